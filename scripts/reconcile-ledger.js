@@ -0,0 +1,25 @@
+// Check that every wallet matches its ledger postings.
+// Usage: node scripts/reconcile-ledger.js [--open-existing]
+//   --open-existing  first post opening entries for wallets that predate the ledger
+const prisma = require('../src/config/database');
+const ledgerService = require('../src/services/ledgerService');
+
+async function main() {
+  if (process.argv.includes('--open-existing')) {
+    const opened = await ledgerService.openExistingWallets();
+    console.log(`📒 Opened ${opened} existing wallet(s)`);
+  }
+
+  const report = await ledgerService.reconcile();
+  console.log(JSON.stringify(report, null, 2));
+  console.log(report.ok ? '✅ Ledger reconciled' : '❌ Ledger mismatches found');
+  return report.ok;
+}
+
+main()
+  .then(ok => prisma.$disconnect().then(() => process.exit(ok ? 0 : 1)))
+  .catch(async (error) => {
+    console.error('❌ Reconciliation failed:', error);
+    await prisma.$disconnect();
+    process.exit(1);
+  });
@@ -0,0 +1,26 @@
+// Run failed payment webhooks again.
+// Usage: node scripts/replay-webhooks.js [--id <event>]
+//   --id  replay only this event (WebhookEvent ID or the gateway's event ID), failed or stuck
+const prisma = require('../src/config/database');
+const webhookService = require('../src/services/webhookService');
+
+async function main() {
+  const index = process.argv.indexOf('--id');
+  const results = index !== -1
+    ? [await webhookService.replayEvent(process.argv[index + 1])]
+    : await webhookService.replayFailed();
+
+  for (const { eventId, type, result } of results) {
+    console.log(`${result === 'failed' ? '❌' : '✅'} ${eventId} (${type}): ${result}`);
+  }
+  console.log(`🔁 Replayed ${results.length} webhook event(s)`);
+  return results.every(r => r.result !== 'failed');
+}
+
+main()
+  .then(ok => prisma.$disconnect().then(() => process.exit(ok ? 0 : 1)))
+  .catch(async (error) => {
+    console.error('❌ Replay failed:', error);
+    await prisma.$disconnect();
+    process.exit(1);
+  });
@@ -20,18 +20,37 @@ const socketManager = require('./src/services/socketManager');
 const gameStateManager = require('./src/services/gameStateManager');
 const matchmakingService = require('./src/services/matchmakingService');
 const gameService = require('./src/services/gameService');
-const MemoryGameService = require('./src/services/MemoryGame');
-const FastLudoService = require('./src/services/FastLudoService');
-const ClassicLudoService = require('./src/services/ClassicLudoService');
-const SnakesLaddersService = require('./src/services/SnakesLaddersService');
+const gameRegistry = require('./src/services/gameRegistry');
+const botService = require('./src/services/botService');
+const spectatorService = require('./src/services/spectatorService');
+const reconnectService = require('./src/services/reconnectService');
+const privateTableService = require('./src/services/privateTableService');
+const tournamentService = require('./src/services/tournamentService');
+const ledgerService = require('./src/services/ledgerService');
+const withdrawalService = require('./src/services/withdrawalService');
+const refundService = require('./src/services/refundService');
+const kycService = require('./src/services/kycService');
 const { authenticateSocket } = require('./src/middleware/auth');
 const { gameSchemas } = require('./src/validation/schemas');
 
+// Game modules register themselves with the game registry when loaded
+require('./src/services/MemoryGame');
+require('./src/services/FastLudoService');
+require('./src/services/ClassicLudoService');
+require('./src/services/SnakesLaddersService');
+
 // Initialize game services
-const memoryGameService = new MemoryGameService(io);
-const fastLudoService = new FastLudoService(io);
-const classicLudoService = new ClassicLudoService(io);
-const snakesLaddersService = new SnakesLaddersService(io);
+gameRegistry.createServices(io);
+spectatorService.init(io);
+reconnectService.init(io);
+privateTableService.init(io);
+tournamentService.init(io);
+withdrawalService.init(io);
+refundService.init(io);
+kycService.init(io);
+const memoryGameService = gameRegistry.getService('MEMORY');
+const fastLudoService = gameRegistry.getService('FAST_LUDO');
+const snakesLaddersService = gameRegistry.getService('SNAKES_LADDERS');
 
 // Socket authentication
 io.use(authenticateSocket);
@@ -56,10 +75,12 @@ io.on('connection', (socket) => {
   logger.info(`📤 Sent connection confirmation to user ${userId} with name: ${userName}`);
 
   // Setup game handlers
-  memoryGameService.setupSocketHandlers(socket);
-  fastLudoService.setupSocketHandlers(socket);
-  classicLudoService.setupSocketHandlers(socket);
-  snakesLaddersService.setupSocketHandlers(socket);
+  gameRegistry.setupSocketHandlers(socket);
+
+  // Put the player back into any game they were playing before the connection dropped
+  reconnectService.handleConnect(socket).catch(err =>
+    logger.error(`Error resuming games for user ${userId}:`, err)
+  );
 
   // Matchmaking events
   socket.on('joinMatchmaking', async (data) => {
@@ -72,20 +93,8 @@ io.on('connection', (socket) => {
         return socket.emit('matchmakingError', { message: error.details[0].message });
       }
 
+      // Game type and player bounds are checked against the game registry by the schema
       const { gameType, maxPlayers, entryFee } = value;
-      
-      // Validate game type enum
-      const validGameTypes = ['CLASSIC_LUDO', 'FAST_LUDO', 'MEMORY', 'SNAKES_LADDERS'];
-      if (!validGameTypes.includes(gameType)) {
-        logger.warn(`Invalid game type ${gameType} for user ${userId}`);
-        return socket.emit('matchmakingError', { message: 'Invalid game type' });
-      }
-
-      // Validate maxPlayers
-      if (maxPlayers < 2 || maxPlayers > 4) {
-        logger.warn(`Invalid maxPlayers ${maxPlayers} for user ${userId}`);
-        return socket.emit('matchmakingError', { message: 'Invalid number of players (2-4 allowed)' });
-      }
 
       // Validate entryFee
       if (entryFee < 0) {
@@ -109,9 +118,12 @@ io.on('connection', (socket) => {
       logger.info(`✅ User ${userId} (${userName}) successfully joined matchmaking queue`);
     } catch (err) {
       logger.error(`❌ Matchmaking join error for user ${userId} (${userName}):`, err);
-      const message = err.message === 'Insufficient balance' 
-        ? 'Insufficient balance to join this game'
-        : 'Failed to join matchmaking';
+      let message = 'Failed to join matchmaking';
+      if (err.message === 'Insufficient balance') {
+        message = 'Insufficient balance to join this game';
+      } else if (err.code === 'GAMING_LIMIT') {
+        message = err.message; // Self-exclusion, loss or session limit
+      }
       socket.emit('matchmakingError', { message });
     }
   });
@@ -152,23 +164,63 @@ io.on('connection', (socket) => {
       socketManager.addUserToGame(userId, gameId);
       socket.join(`game:${gameId}`);
 
-      if (game.type === 'CLASSIC_LUDO') {
-        await classicLudoService.joinRoom(socket, { gameId, playerId: userId, playerName: userName });
-      } else if (game.type === 'FAST_LUDO') {
-        await fastLudoService.joinRoom(socket, { gameId, playerId: userId, playerName: userName });
-      } else if (game.type === 'MEMORY') {
-        await memoryGameService.joinRoom(socket, { roomId: gameId, playerId: userId, playerName: userName });
-      } else if (game.type === 'SNAKES_LADDERS') {
-        await snakesLaddersService.joinRoom(socket, { gameId, playerId: userId, playerName: userName });
-      }
+      await gameRegistry.joinRoom(game.type, socket, { gameId, playerId: userId, playerName: userName });
 
-      socket.emit('gameRoomJoined', { gameId });
+      socket.emit('gameRoomJoined', { gameId, watchers: spectatorService.getWatcherCount(gameId) });
     } catch (error) {
       logger.error(`Error joining game room for user ${userId}:`, error);
       socket.emit('gameError', { message: 'Failed to join game' });
     }
   });
 
+  // Spectators watch a live game read-only from a separate room
+  socket.on('spectateGame', async (data) => {
+    const { gameId } = data || {};
+
+    if (!gameId || typeof gameId !== 'string' || gameId.trim() === '') {
+      return socket.emit('gameError', { message: 'Valid Game ID required' });
+    }
+
+    try {
+      const game = await gameService.getGameById(gameId);
+      if (!game) {
+        return socket.emit('gameError', { message: 'Game not found' });
+      }
+
+      if (!['WAITING', 'PLAYING'].includes(game.status)) {
+        return socket.emit('gameError', { message: 'Game is not live' });
+      }
+
+      await spectatorService.join(socket, game);
+    } catch (error) {
+      logger.error(`Error spectating game ${gameId} for user ${userId}:`, error);
+      socket.emit('gameError', { message: 'Failed to spectate game' });
+    }
+  });
+
+  socket.on('stopSpectating', (data) => {
+    const { gameId } = data || {};
+    if (gameId) {
+      spectatorService.leave(socket, gameId);
+    }
+  });
+
+  // Follow a tournament's round and result updates
+  socket.on('watchTournament', (data) => {
+    const { tournamentId } = data || {};
+    if (!tournamentId || typeof tournamentId !== 'string') {
+      return socket.emit('gameError', { message: 'Valid Tournament ID required' });
+    }
+    socket.join(tournamentService.tournamentRoom(tournamentId));
+  });
+
+  socket.on('stopWatchingTournament', (data) => {
+    const { tournamentId } = data || {};
+    if (tournamentId) {
+      socket.leave(tournamentService.tournamentRoom(tournamentId));
+    }
+  });
+
   // Game action handlers
   socket.on('rollDice', async (data) => {
     try {
@@ -177,13 +229,13 @@ io.on('connection', (socket) => {
         return socket.emit('gameError', { message: error.details[0].message });
       }
 
-      const { gameId } = value;
+      const { gameId, clientSeed } = value;
       const validation = gameStateManager.validateGameAction(gameId, userId, 'rollDice');
       if (!validation.valid) {
         return socket.emit('gameError', { message: validation.reason });
       }
 
-      await fastLudoService.rollDice(socket, { gameId, playerId: userId });
+      await fastLudoService.rollDice(socket, { gameId, playerId: userId, clientSeed });
     } catch (err) {
       logger.error(`Roll dice error for user ${userId}:`, err);
       socket.emit('gameError', { message: 'Failed to roll dice' });
@@ -225,6 +277,31 @@ io.on('connection', (socket) => {
     }
   });
 
+  // Resign from a live game of any type; the game type skips the seat from now on
+  socket.on('forfeitGame', async (data) => {
+    try {
+      const { error, value } = gameSchemas.forfeitGame.validate(data);
+      if (error) {
+        return socket.emit('gameError', { message: error.details[0].message });
+      }
+
+      const { gameId } = value;
+      const game = await gameService.getGameById(gameId);
+      if (!game || game.status !== 'PLAYING' || !game.participants.some(p => p.userId === userId)) {
+        return socket.emit('gameError', { message: 'You cannot forfeit this game' });
+      }
+
+      const forfeited = await gameRegistry.forfeit(game.type, gameId, userId, 'resigned');
+      if (!forfeited) {
+        return socket.emit('gameError', { message: 'You cannot forfeit this game' });
+      }
+      socket.emit('forfeitConfirmed', { gameId });
+    } catch (err) {
+      logger.error(`Forfeit error for user ${userId}:`, err);
+      socket.emit('gameError', { message: 'Failed to forfeit game' });
+    }
+  });
+
   // Additional game action handlers
   socket.on('makeMove', async (data) => {
     try {
@@ -245,16 +322,13 @@ io.on('connection', (socket) => {
         return socket.emit('gameError', { message: 'Game not found' });
       }
 
-      if (game.type === 'CLASSIC_LUDO') {
-        await classicLudoService.makeMove(socket, { gameId, playerId: userId, moveData });
-      } else if (game.type === 'FAST_LUDO') {
-        await fastLudoService.makeMove(socket, { gameId, playerId: userId, moveData });
-      } else if (game.type === 'MEMORY') {
-        await memoryGameService.makeMove(socket, { gameId, playerId: userId, moveData });
-      } else if (game.type === 'SNAKES_LADDERS') {
-        // Snakes & Ladders uses rollDice instead of makeMove
-        socket.emit('gameError', { message: 'Use rollDice for Snakes & Ladders' });
+      const service = gameRegistry.getService(game.type);
+      if (typeof service.makeMove !== 'function') {
+        // Games without a generic move handler use their own socket events
+        return socket.emit('gameError', { message: `makeMove is not supported for ${gameRegistry.get(game.type).name}` });
       }
+
+      await service.makeMove(socket, { gameId, playerId: userId, moveData });
     } catch (err) {
       logger.error(`Make move error for user ${userId}:`, err);
       socket.emit('gameError', { message: 'Failed to make move' });
@@ -280,16 +354,7 @@ io.on('connection', (socket) => {
       }
 
       // Get game state from appropriate service
-      let gameState;
-      if (game.type === 'CLASSIC_LUDO') {
-        gameState = await classicLudoService.getGameState(gameId);
-      } else if (game.type === 'FAST_LUDO') {
-        gameState = await fastLudoService.getGameState(gameId);
-      } else if (game.type === 'MEMORY') {
-        gameState = await memoryGameService.getGameState(gameId);
-      } else if (game.type === 'SNAKES_LADDERS') {
-        gameState = await snakesLaddersService.getGameState(gameId);
-      }
+      const gameState = await gameRegistry.getGameState(game.type, gameId);
 
       socket.emit('gameState', { gameId, state: gameState });
     } catch (err) {
@@ -381,31 +446,21 @@ io.on('connection', (socket) => {
     }
   });
 
+  // Watcher counts must drop before socket.io clears the socket's rooms
+  socket.on('disconnecting', () => spectatorService.handleDisconnecting(socket));
+
   // Disconnect handling
   socket.on('disconnect', (reason) => {
     logger.info(`User disconnected: ${userId} (${reason})`);
     socketManager.removeConnection(socket.id);
 
-    // Update player status to disconnected in active games
-    const userGames = socketManager.getUserGames(userId);
-    if (userGames && userGames.length > 0) {
-      userGames.forEach(gameId => {
-        gameStateManager.updatePlayerStatus(gameId, userId, 'disconnected').catch(err => 
-          logger.error(`Error updating disconnect status for user ${userId} in game ${gameId}:`, err)
-        );
-        
-        // Notify other players
-        socket.to(`game:${gameId}`).emit('playerStatusUpdate', {
-          playerId: userId,
-          playerName: userName,
-          status: 'disconnected',
-          timestamp: new Date().toISOString()
-        });
-      });
-    }
-
-    // Remove from matchmaking queue if not online on other devices
     if (!socketManager.isUserOnline(userId)) {
+      // Hold the player's seats for the reconnect window and tell the other players
+      reconnectService.handleDisconnect(userId, userName).catch(err =>
+        logger.error(`Error holding seats for user ${userId}:`, err)
+      );
+
+      // Remove from matchmaking queue if not online on other devices
       matchmakingService.leaveQueue(userId).catch(err => 
         logger.error(`Error removing user from queue:`, err)
       );
@@ -418,12 +473,33 @@ io.on('connection', (socket) => {
   });
 });
 
+// Queue entries dropped by matchmaking get their entry fee back; tell the player to rejoin
+matchmakingService.setQueueExpiredCallback((queueEntry) => {
+  io.to(`user:${queueEntry.userId}`).emit('matchmakingStatus', {
+    status: 'expired',
+    message: 'No match found, your entry fee was released',
+    gameType: queueEntry.gameType,
+    maxPlayers: queueEntry.maxPlayers,
+    entryFee: parseFloat(queueEntry.entryFee)
+  });
+});
+
 // Matchmaking callback - Fixed syntax errors
 matchmakingService.setGameCreatedCallback(async (game, matchedUsers) => {
   try {
     logger.info(`Game created: ${game.id} (${game.type}) with ${matchedUsers.length} players`);
 
     for (const user of matchedUsers) {
+      if (user.isBot) {
+        // Bots have no connection of their own; seat them in the game service with a stand-in socket
+        await gameRegistry.joinRoom(game.type, botService.createSocket(user.id, user.name), {
+          gameId: game.id,
+          playerId: user.id,
+          playerName: user.name
+        });
+        continue;
+      }
+
       const userSocketIds = socketManager.getUserSockets(user.id);
       
       if (userSocketIds.size > 0) {
@@ -440,7 +516,8 @@ matchmakingService.setGameCreatedCallback(async (game, matchedUsers) => {
               players: matchedUsers.map(u => ({ 
                 id: u.id, 
                 name: u.name || u.phoneNumber || `User${u.id.slice(-4)}`,
-                phoneNumber: u.phoneNumber 
+                phoneNumber: u.phoneNumber,
+                isBot: u.isBot || false
               })),
               yourPlayerId: user.id,
               yourPlayerName: user.name || user.phoneNumber || `User${user.id.slice(-4)}`,
@@ -453,31 +530,11 @@ matchmakingService.setGameCreatedCallback(async (game, matchedUsers) => {
             socket.join(`game:${game.id}`);
             
             // Auto-join game room
-            if (game.type === 'CLASSIC_LUDO') {
-              await classicLudoService.joinRoom(socket, { 
-                gameId: game.id, 
-                playerId: user.id, 
-                playerName: user.name 
-              });
-            } else if (game.type === 'FAST_LUDO') {
-              await fastLudoService.joinRoom(socket, { 
-                gameId: game.id, 
-                playerId: user.id, 
-                playerName: user.name 
-              });
-            } else if (game.type === 'MEMORY') {
-              await memoryGameService.joinRoom(socket, { 
-                roomId: game.id, 
-                playerId: user.id, 
-                playerName: user.name 
-              });
-            } else if (game.type === 'SNAKES_LADDERS') {
-              await snakesLaddersService.joinRoom(socket, { 
-                gameId: game.id, 
-                playerId: user.id, 
-                playerName: user.name 
-              });
-            }
+            await gameRegistry.joinRoom(game.type, socket, { 
+              gameId: game.id, 
+              playerId: user.id, 
+              playerName: user.name 
+            });
           }
         }
       }
@@ -499,24 +556,28 @@ matchmakingService.setGameCreatedCallback(async (game, matchedUsers) => {
           const socketsInRoom = await io.in(`game:${game.id}`).allSockets();
           logger.info(`Game ${game.id}: ${socketsInRoom.size} sockets in room, ${gameFromDb.participants.length} participants expected`);
           
-          if (game.type === 'CLASSIC_LUDO') {
-            await classicLudoService.startGame({ gameId: game.id });
-          } else if (game.type === 'FAST_LUDO') {
-            await fastLudoService.startGame({ gameId: game.id });
-          } else if (game.type === 'MEMORY') {
-            logger.info(`Starting Memory game ${game.id} with ${socketsInRoom.size} sockets in room`);
-            await memoryGameService.startGame({ roomId: game.id });
-          } else if (game.type === 'SNAKES_LADDERS') {
-            logger.info(`Starting Snakes & Ladders game ${game.id} with ${socketsInRoom.size} sockets in room`);
-            await snakesLaddersService.startGame({ gameId: game.id });
+          logger.info(`Starting ${gameRegistry.get(game.type).name} game ${game.id} with ${socketsInRoom.size} sockets in room`);
+          await gameRegistry.startGame(game.type, { gameId: game.id });
+
+          // Game services report start problems to the room and leave the game WAITING
+          const started = await gameService.getGameById(game.id);
+          if (started?.status === 'WAITING') {
+            logger.warn(`Game ${game.id} failed to start, cancelling it`);
+            await refundService.cancelGame(game.id, 'Game failed to start');
+          } else {
+            logger.info(`Successfully auto-started game ${game.id}`);
           }
-          logger.info(`Successfully auto-started game ${game.id}`);
         } else {
           logger.warn(`Game ${game.id} not in WAITING status: ${gameFromDb?.status}`);
         }
       } catch (error) {
         logger.error(`Error auto-starting game ${game?.id || 'unknown'}:`, error);
         logger.error(`Error stack:`, error.stack);
+        if (game?.id) {
+          refundService.cancelGame(game.id, 'Game failed to start').catch(err =>
+            logger.error(`Failed to cancel game ${game.id} after a failed start:`, err)
+          );
+        }
       }
     }, 5000); // 5 seconds delay for all games
   } catch (error) {
@@ -532,16 +593,30 @@ app.use(rateLimit({
   max: 200, // limit each IP to 200 requests per windowMs
   message: "Too many requests from this IP, please try again later."
 }));
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Payment webhooks are signed over the raw body
+  verify: (req, res, buf) => {
+    if (req.originalUrl.endsWith('/webhook')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Routes
 app.use('/api/auth', require('./src/routes/auth'));
 app.use('/api/wallet', require('./src/routes/payment')); // Use payment routes for wallet
 app.use('/api/matchmaking', require('./src/routes/matchmaking'));
+app.use('/api/tables', require('./src/routes/privateTable'));
+app.use('/api/tournaments', require('./src/routes/tournament'));
 app.use('/api/game', require('./src/routes/game'));
 app.use('/api/profile', require('./src/routes/profile'));
 app.use('/api/payment', require('./src/routes/payment'));
+app.use('/api/withdrawals', require('./src/routes/withdrawal'));
+app.use('/api/beneficiaries', require('./src/routes/beneficiary'));
+app.use('/api/promotions', require('./src/routes/promotion'));
+app.use('/api/kyc', require('./src/routes/kyc'));
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -643,10 +718,20 @@ async function startServer() {
     // Test database connection
     await prisma.$connect();
     logger.info('Database connected successfully');
+
+    // Games of the previous process lived in its memory and can't be resumed
+    await refundService.cancelInterruptedGames();
+    await tournamentService.recoverInterruptedTournaments();
     
     // Initialize services
     await matchmakingService.initialize();
     logger.info('Matchmaking service initialized');
+
+    privateTableService.startExpirySweep();
+    tournamentService.startScheduler();
+    ledgerService.startReconciliation();
+    withdrawalService.startProcessing();
+    refundService.startSweeper();
     
     await gameStateManager.initialize();
     logger.info('Game state manager initialized');
@@ -693,6 +778,12 @@ const shutdown = async (signal) => {
         await matchmakingService.stop();
         logger.info('Matchmaking service stopped');
       }
+
+      privateTableService.stop();
+      tournamentService.stop();
+      ledgerService.stop();
+      withdrawalService.stop();
+      refundService.stop();
       
       if (gameStateManager.stop) {
         await gameStateManager.stop();
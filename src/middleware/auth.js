@@ -22,6 +22,7 @@ const authenticateToken = async (req, res, next) => {
         name: true,
         phoneNumber: true,
         email: true,
+        isAdmin: true,
         createdAt: true,
         updatedAt: true,
         wallet: true
@@ -114,7 +115,17 @@ const authenticateSocket = async (socket, next) => {
   }
 };
 
+// Use after authenticateToken on back-office routes
+const requireAdmin = (req, res, next) => {
+  if (!req.user?.isAdmin) {
+    logger.warn(`Admin route ${req.originalUrl} refused for user ${req.user?.id}`);
+    return res.status(403).json({ success: false, message: 'Admin access required' });
+  }
+  next();
+};
+
 module.exports = {
   authenticateToken,
-  authenticateSocket
+  authenticateSocket,
+  requireAdmin
 };
@@ -0,0 +1,54 @@
+const express = require('express');
+const router = express.Router();
+const beneficiaryService = require('../services/beneficiaryService');
+const { walletSchemas } = require('../validation/schemas');
+const { authenticateToken } = require('../middleware/auth');
+const logger = require('../config/logger');
+
+// The user's saved bank accounts and UPI IDs
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const beneficiaries = await beneficiaryService.list(req.user.id);
+    res.json({ success: true, beneficiaries });
+  } catch (err) {
+    logger.error('List beneficiaries error:', err);
+    res.status(500).json({ success: false, message: 'Failed to get saved accounts' });
+  }
+});
+
+// Save a bank account or UPI ID; it can be withdrawn to after the cooling period
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = walletSchemas.addBeneficiary.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({ success: false, message: error.details[0].message });
+    }
+    const beneficiary = await beneficiaryService.add(req.user.id, value);
+    res.status(201).json({ success: true, message: 'Account saved', beneficiary });
+  } catch (err) {
+    logger.error('Add beneficiary error:', err);
+    res.status(400).json({ success: false, message: err.message });
+  }
+});
+
+router.put('/:beneficiaryId/primary', authenticateToken, async (req, res) => {
+  try {
+    const beneficiary = await beneficiaryService.setPrimary(req.user.id, req.params.beneficiaryId);
+    res.json({ success: true, message: 'Primary account updated', beneficiary });
+  } catch (err) {
+    logger.error('Set primary beneficiary error:', err);
+    res.status(400).json({ success: false, message: err.message });
+  }
+});
+
+router.delete('/:beneficiaryId', authenticateToken, async (req, res) => {
+  try {
+    await beneficiaryService.remove(req.user.id, req.params.beneficiaryId);
+    res.json({ success: true, message: 'Account removed' });
+  } catch (err) {
+    logger.error('Remove beneficiary error:', err);
+    res.status(400).json({ success: false, message: err.message });
+  }
+});
+
+module.exports = router;
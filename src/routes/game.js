@@ -1,8 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const gameService = require('../services/gameService');
+const fairDiceService = require('../services/fairDiceService');
+const gameEventService = require('../services/gameEventService');
+const refundService = require('../services/refundService');
 const { gameSchemas } = require('../validation/schemas');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
 const logger = require('../config/logger');
 
 // Get current/active game for user
@@ -27,6 +30,72 @@ router.get('/:gameId', authenticateToken, async (req, res) => {
   }
 });
 
+// Verify the dice rolls of a game against its revealed server seed
+router.get('/:gameId/verify', authenticateToken, async (req, res) => {
+  try {
+    const verification = await fairDiceService.verifyGame(req.params.gameId);
+    if (!verification) {
+      return res.status(404).json({ success: false, message: 'Game not found' });
+    }
+    res.json({ success: true, verification });
+  } catch (err) {
+    logger.error('Verify game error:', err);
+    res.status(500).json({ success: false, message: 'Failed to verify game' });
+  }
+});
+
+// Ordered event log of a finished game; ?step=N returns the state after event N
+router.get('/:gameId/replay', authenticateToken, async (req, res) => {
+  try {
+    let step = null;
+    if (req.query.step !== undefined) {
+      step = Number(req.query.step);
+      if (!Number.isInteger(step) || step < 0) {
+        return res.status(400).json({ success: false, message: 'step must be a non-negative integer' });
+      }
+    }
+
+    const game = await gameService.getGameById(req.params.gameId);
+    if (!game) {
+      return res.status(404).json({ success: false, message: 'Game not found' });
+    }
+
+    // Live states hold hidden information such as face-down Memory cards
+    if (game.status === 'WAITING' || game.status === 'PLAYING') {
+      return res.status(409).json({ success: false, message: 'Replay is available once the game has ended' });
+    }
+
+    const replay = await gameEventService.getReplay(game.id, step);
+    if (step !== null && replay.step === null) {
+      return res.status(404).json({ success: false, message: `Step ${step} not found` });
+    }
+    res.json({ success: true, replay });
+  } catch (err) {
+    logger.error('Get game replay error:', err);
+    res.status(500).json({ success: false, message: 'Failed to get game replay' });
+  }
+});
+
+// Admin abort: cancel a game that is waiting or in progress and refund its entry fees
+router.post('/:gameId/cancel', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { error, value } = gameSchemas.cancelGame.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({ success: false, message: error.details[0].message });
+    }
+
+    const result = await refundService.cancelGame(req.params.gameId, value.reason);
+    if (!result) {
+      return res.status(409).json({ success: false, message: 'Game is no longer waiting or playing' });
+    }
+    logger.info(`Game ${req.params.gameId} cancelled by admin ${req.user.id}`);
+    res.json({ success: true, message: 'Game cancelled and entry fees refunded', ...result });
+  } catch (err) {
+    logger.error('Cancel game error:', err);
+    res.status(400).json({ success: false, message: err.message });
+  }
+});
+
 // Get game history
 router.get('/history/list', authenticateToken, async (req, res) => {
   try {
@@ -0,0 +1,80 @@
+const express = require('express');
+const router = express.Router();
+const kycService = require('../services/kycService');
+const { authSchemas } = require('../validation/schemas');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const logger = require('../config/logger');
+
+const KYC_STATUSES = ['PENDING', 'UNDER_REVIEW', 'APPROVED', 'REJECTED'];
+
+// The user's KYC status
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const kyc = await kycService.getUserKyc(req.user.id);
+    res.json({ success: true, kyc });
+  } catch (err) {
+    logger.error('Get KYC error:', err);
+    res.status(500).json({ success: false, message: 'Failed to get KYC status' });
+  }
+});
+
+// Submit KYC documents, or submit again after a rejection
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = authSchemas.submitKyc.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({ success: false, message: error.details[0].message });
+    }
+    const kyc = await kycService.submit(req.user.id, value);
+    res.json({ success: true, message: `KYC ${kyc.status.toLowerCase().replace('_', ' ')}`, kyc });
+  } catch (err) {
+    logger.error('Submit KYC error:', err);
+    res.status(400).json({ success: false, message: err.message });
+  }
+});
+
+// Admin queue: verifications awaiting review, or those with the given status
+router.get('/review', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !KYC_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, message: 'Invalid status' });
+    }
+    const verifications = await kycService.listForReview(status || null);
+    res.json({ success: true, verifications });
+  } catch (err) {
+    logger.error('List KYC for review error:', err);
+    res.status(500).json({ success: false, message: 'Failed to get KYC verifications' });
+  }
+});
+
+router.post('/:kycId/approve', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { error, value } = authSchemas.approveKyc.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({ success: false, message: error.details[0].message });
+    }
+    const kyc = await kycService.approve(req.params.kycId, req.user.id, value.note || null);
+    res.json({ success: true, message: 'KYC approved', kyc });
+  } catch (err) {
+    logger.error('Approve KYC error:', err);
+    res.status(400).json({ success: false, message: err.message });
+  }
+});
+
+// Reject a verification under review, or revoke an approved one
+router.post('/:kycId/reject', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { error, value } = authSchemas.rejectKyc.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({ success: false, message: error.details[0].message });
+    }
+    const kyc = await kycService.reject(req.params.kycId, req.user.id, value.reason);
+    res.json({ success: true, message: 'KYC rejected', kyc });
+  } catch (err) {
+    logger.error('Reject KYC error:', err);
+    res.status(400).json({ success: false, message: err.message });
+  }
+});
+
+module.exports = router;
@@ -1,27 +1,14 @@
 const express = require('express');
 const router = express.Router();
-const Razorpay = require('razorpay');
-const crypto = require('crypto');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
 const walletService = require('../services/walletService');
+const { walletSchemas } = require('../validation/schemas');
+const paymentManager = require('../services/paymentManager');
+const { getPaymentGateway } = require('../services/paymentGateways');
+const webhookService = require('../services/webhookService');
+const taxService = require('../services/taxService');
 const logger = require('../config/logger');
 
-// Initialize Razorpay with error handling
-let razorpay;
-try {
-  if (process.env.RAZORPAY_KEY_ID && process.env.RAZORPAY_KEY_SECRET) {
-    razorpay = new Razorpay({
-      key_id: process.env.RAZORPAY_KEY_ID,
-      key_secret: process.env.RAZORPAY_KEY_SECRET,
-    });
-    console.log('✅ Razorpay initialized successfully');
-  } else {
-    console.warn('⚠️ Razorpay credentials not found, running in test mode');
-  }
-} catch (error) {
-  console.error('❌ Razorpay initialization failed:', error);
-}
-
 // Middleware to log all requests
 router.use((req, res, next) => {
   console.log(`=== PAYMENT ROUTE: ${req.method} ${req.path} ===`);
@@ -32,91 +19,17 @@ router.use((req, res, next) => {
   next();
 });
 
-// Test deposit route for debugging
-router.post('/test-deposit', authenticateToken, async (req, res) => {
-  try {
-    console.log('=== TEST DEPOSIT DEBUG ===');
-    console.log('Raw body:', req.body);
-    console.log('Body type:', typeof req.body);
-    console.log('Body keys:', Object.keys(req.body || {}));
-    console.log('Content-Type:', req.headers['content-type']);
-    console.log('User:', req.user);
-    console.log('========================');
-    
-    const { amount } = req.body;
-    
-    if (!amount) {
-      return res.status(400).json({
-        success: false,
-        message: 'Amount is required',
-        receivedBody: req.body,
-        bodyType: typeof req.body,
-        bodyKeys: Object.keys(req.body || {})
-      });
-    }
-    
-    res.json({
-      success: true,
-      message: 'Test deposit successful',
-      amount: amount,
-      receivedBody: req.body
-    });
-  } catch (error) {
-    console.error('Test deposit error:', error);
-    res.status(500).json({
-      success: false,
-      message: error.message,
-      stack: error.stack
-    });
-  }
-});
-
 // Create order for deposit
 router.post('/create-deposit-order', authenticateToken, async (req, res) => {
   try {
-    console.log('=== CREATE DEPOSIT ORDER DEBUG ===');
-    console.log('Raw body:', req.body);
-    console.log('Body type:', typeof req.body);
-    console.log('Body keys:', Object.keys(req.body || {}));
-    console.log('Content-Type:', req.headers['content-type']);
-    console.log('User:', req.user);
-    console.log('=================================');
-    
-    const { amount } = req.body;
+    const { amount, promoCode } = req.body || {};
     const userId = req.user.id;
 
-    // Better validation
-    if (!req.body) {
-      return res.status(400).json({
-        success: false,
-        message: 'Request body is missing',
-        debug: {
-          bodyReceived: req.body,
-          contentType: req.headers['content-type']
-        }
-      });
-    }
-
-    if (!amount) {
-      return res.status(400).json({
-        success: false,
-        message: 'Amount is required',
-        receivedBody: req.body,
-        debug: {
-          bodyType: typeof req.body,
-          bodyKeys: Object.keys(req.body || {}),
-          contentType: req.headers['content-type']
-        }
-      });
-    }
-
     const numericAmount = parseFloat(amount);
     if (isNaN(numericAmount) || numericAmount < 10) {
       return res.status(400).json({
         success: false,
-        message: 'Valid amount is required. Minimum deposit amount is ₹10',
-        receivedAmount: amount,
-        parsedAmount: numericAmount
+        message: 'Valid amount is required. Minimum deposit amount is ₹10'
       });
     }
 
@@ -127,149 +40,98 @@ router.post('/create-deposit-order', authenticateToken, async (req, res) => {
       });
     }
 
-    // Create Razorpay order with error handling
-    console.log('🔄 Creating Razorpay order for amount:', numericAmount);
-    let order;
-    
-    if (razorpay) {
-      try {
-        order = await razorpay.orders.create({
-          amount: numericAmount * 100, // amount in paise
-          currency: 'INR',
-          receipt: `deposit_${userId}_${Date.now()}`,
-          notes: {
-            userId,
-            type: 'DEPOSIT'
-          }
-        });
-        console.log('✅ Razorpay order created successfully:', order.id);
-      } catch (razorpayError) {
-        console.error('❌ Razorpay order creation failed:', razorpayError);
-        return res.status(500).json({
-          success: false,
-          message: 'Payment gateway error. Please try again.',
-          error: razorpayError.message,
-          details: 'Razorpay order creation failed'
-        });
-      }
-    } else {
-      // Test mode - create mock order
-      console.log('🧪 Creating mock order (test mode)');
-      order = {
-        id: `order_test_${Date.now()}`,
-        amount: numericAmount * 100,
-        currency: 'INR',
-        receipt: `deposit_${userId}_${Date.now()}`,
-        status: 'created'
-      };
-    }
-
-    // Create transaction record
-    console.log('🔄 Creating transaction record...');
-    let transaction;
-    try {
-      transaction = await walletService.createTransaction(
-        userId,
-        'DEPOSIT',
-        numericAmount,
-        'PENDING',
-        `Wallet deposit of ₹${numericAmount}`,
-        order.id
-      );
-      console.log('✅ Transaction created successfully:', transaction.id);
-    } catch (transactionError) {
-      console.error('❌ Transaction creation failed:', transactionError);
-      return res.status(500).json({
-        success: false,
-        message: 'Database error. Please try again.',
-        error: transactionError.message,
-        details: 'Transaction creation failed'
-      });
-    }
-
-    console.log('🎉 Deposit order creation completed successfully');
-    res.json({
-      success: true,
-      order,
-      transactionId: transaction.id
-    });
+    const result = await paymentManager.createDepositOrder(userId, numericAmount, promoCode || null);
+    res.json(result);
 
   } catch (error) {
-    console.error('💥 Unexpected error in create-deposit-order:', error);
+    if (error.code === 'GAMING_LIMIT') {
+      return res.status(403).json({ success: false, message: error.message });
+    }
+    if (error.code === 'PROMO_INVALID') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
     logger.error('Create deposit order error:', error);
     res.status(500).json({
       success: false,
-      message: 'An unexpected error occurred',
-      error: error.message,
-      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+      message: 'Payment gateway error. Please try again.'
     });
   }
 });
 
-// Verify deposit payment
-router.post('/verify-deposit', authenticateToken, async (req, res) => {
-  try {
-    const { razorpay_order_id, razorpay_payment_id, razorpay_signature, amount } = req.body;
-    const userId = req.user.id;
+// Simulate checkout for a deposit order. Only mounted while the mock gateway is in use.
+// outcome is success or failure; webhookDelaySeconds delays the webhook, null sends none
+if (getPaymentGateway().name === 'mock') {
+  router.post('/mock/checkout', authenticateToken, async (req, res) => {
+    try {
+      const { orderId, outcome = 'success', webhookDelaySeconds = 0 } = req.body || {};
 
-    if (!razorpay_order_id || !razorpay_payment_id || !razorpay_signature) {
-      return res.status(400).json({
-        success: false,
-        message: 'Missing payment details'
+      if (!orderId || !['success', 'failure'].includes(outcome)) {
+        return res.status(400).json({
+          success: false,
+          message: 'orderId and an outcome of success or failure are required'
+        });
+      }
+      if (webhookDelaySeconds !== null && (typeof webhookDelaySeconds !== 'number' || webhookDelaySeconds < 0 || webhookDelaySeconds > 3600)) {
+        return res.status(400).json({
+          success: false,
+          message: 'webhookDelaySeconds must be between 0 and 3600, or null'
+        });
+      }
+
+      const checkout = await paymentManager.simulateCheckout(req.user.id, orderId, {
+        outcome,
+        webhookDelayMs: webhookDelaySeconds === null ? null : webhookDelaySeconds * 1000
       });
-    }
 
-    // Verify signature
-    const expectedSignature = crypto
-      .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
-      .update(razorpay_order_id + '|' + razorpay_payment_id)
-      .digest('hex');
+      res.json({
+        success: true,
+        checkout
+      });
 
-    if (expectedSignature !== razorpay_signature) {
-      return res.status(400).json({
+    } catch (error) {
+      logger.error('Mock checkout error:', error);
+      res.status(400).json({
         success: false,
-        message: 'Invalid payment signature'
+        message: error.message
       });
     }
+  });
+}
+
+// Verify deposit payment
+router.post('/verify-deposit', authenticateToken, async (req, res) => {
+  try {
+    const { razorpay_order_id, razorpay_payment_id, razorpay_signature } = req.body;
+    const userId = req.user.id;
 
-    // Get payment details from Razorpay
-    const payment = await razorpay.payments.fetch(razorpay_payment_id);
-    
-    if (payment.status !== 'captured') {
+    if (!razorpay_order_id || !razorpay_payment_id || !razorpay_signature) {
       return res.status(400).json({
         success: false,
-        message: 'Payment not captured'
+        message: 'Missing payment details'
       });
     }
 
-    // Process the deposit
-    const result = await walletService.processDeposit(
+    // Verifies the signature and the captured payment, then credits the order's amount
+    const result = await paymentManager.processDeposit(
       userId,
-      amount,
       razorpay_order_id,
       razorpay_payment_id,
       razorpay_signature
     );
 
-    if (result.success) {
-      res.json({
-        success: true,
-        message: 'Deposit successful',
-        balance: result.balance,
-        transactionId: result.transactionId
-      });
-    } else {
-      res.status(400).json({
-        success: false,
-        message: result.message
-      });
-    }
+    res.json({
+      success: true,
+      message: 'Deposit successful',
+      balance: result.balance,
+      transactionId: result.transactionId,
+      bonus: result.bonus || null
+    });
 
   } catch (error) {
     logger.error('Verify deposit error:', error);
-    res.status(500).json({
+    res.status(400).json({
       success: false,
-      message: 'Failed to verify deposit'
+      message: error.message || 'Failed to verify deposit'
     });
   }
 });
@@ -277,46 +139,51 @@ router.post('/verify-deposit', authenticateToken, async (req, res) => {
 // Create withdrawal request
 router.post('/create-withdrawal', authenticateToken, async (req, res) => {
   try {
-    const { amount, bankDetails } = req.body;
-    const userId = req.user.id;
-
-    if (!amount || amount < 100) {
+    const { error, value } = walletSchemas.withdraw.validate(req.body || {});
+    if (error) {
       return res.status(400).json({
         success: false,
-        message: 'Minimum withdrawal amount is ₹100'
+        message: error.details[0].message
       });
     }
+    const { amount, beneficiaryId } = value;
+    const userId = req.user.id;
 
-    if (!bankDetails || !bankDetails.accountNumber || !bankDetails.ifscCode || !bankDetails.accountHolderName) {
+    // Check the withdrawable part of the balance (winnings, and unplayed deposits if allowed)
+    const { available, withdrawable } = await walletService.getBalances(userId);
+    if (available < amount) {
       return res.status(400).json({
         success: false,
-        message: 'Bank details are required for withdrawal'
+        message: 'Insufficient balance'
       });
     }
-
-    // Check wallet balance
-    const wallet = await walletService.getWallet(userId);
-    if (!wallet || wallet.balance < amount) {
+    if (withdrawable < amount) {
       return res.status(400).json({
         success: false,
-        message: 'Insufficient balance'
+        message: `Only ₹${withdrawable.toFixed(2)} of your balance can be withdrawn`,
+        withdrawable
       });
     }
 
     // Create withdrawal request
-    const result = await walletService.createWithdrawalRequest(userId, amount, bankDetails);
+    const result = await walletService.createWithdrawalRequest(userId, amount, beneficiaryId || null);
 
     if (result.success) {
       res.json({
         success: true,
         message: 'Withdrawal request created successfully',
         transactionId: result.transactionId,
+        withdrawalId: result.withdrawalId,
+        amount: result.amount,
+        tdsAmount: result.tdsAmount,
+        netAmount: result.netAmount,
         estimatedProcessingTime: '2-3 business days'
       });
     } else {
-      res.status(400).json({
+      res.status(result.kycRequired ? 403 : 400).json({
         success: false,
-        message: result.message
+        message: result.message,
+        ...(result.kycRequired && { kycRequired: true })
       });
     }
 
@@ -357,11 +224,16 @@ router.get('/history', authenticateToken, async (req, res) => {
 router.get('/balance', authenticateToken, async (req, res) => {
   try {
     const userId = req.user.id;
-    const balance = await walletService.getWalletBalance(userId);
+    const { available, held, total, deposit, winnings, bonus, withdrawable } = await walletService.getBalances(userId);
 
+    // balance stays the spendable amount; held funds are reserved for queued games
     res.json({
       success: true,
-      balance: balance
+      balance: available,
+      heldBalance: held,
+      totalBalance: total,
+      buckets: { deposit, winnings, bonus },
+      withdrawableBalance: withdrawable
     });
 
   } catch (error) {
@@ -373,46 +245,76 @@ router.get('/balance', authenticateToken, async (req, res) => {
   }
 });
 
-// Get Razorpay key for frontend
+// Annual TDS statement; ?year=2025 for FY 2025-26 (current year by default), ?format=csv to download
+router.get('/tax-statement', authenticateToken, async (req, res) => {
+  try {
+    const year = req.query.year ? parseInt(req.query.year, 10) : taxService.getFinancialYear();
+    if (isNaN(year) || year < 2000 || year > taxService.getFinancialYear()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid financial year'
+      });
+    }
+
+    const format = req.query.format || 'json';
+    if (!['json', 'csv'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Format must be json or csv'
+      });
+    }
+
+    const statement = await taxService.getTaxStatement(req.user.id, year);
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="tax-statement-FY${statement.financialYear}.csv"`);
+      return res.send(taxService.statementToCsv(statement));
+    }
+
+    res.json({
+      success: true,
+      statement
+    });
+
+  } catch (error) {
+    logger.error('Get tax statement error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate tax statement'
+    });
+  }
+});
+
+// Get the payment gateway's checkout key for frontend
 router.get('/razorpay-key', (req, res) => {
   res.json({
     success: true,
-    key: process.env.RAZORPAY_KEY_ID
+    key: paymentManager.gateway.publicKey,
+    gateway: paymentManager.gateway.name
   });
 });
 
-// Webhook for payment status updates (for future use)
-router.post('/webhook', express.raw({ type: 'application/json' }), async (req, res) => {
+// Webhook for payment status updates. Failures answer 500 so the gateway retries them
+router.post('/webhook', async (req, res) => {
   try {
-    const signature = req.headers['x-razorpay-signature'];
-    const body = req.body.toString();
-
-    // Verify webhook signature
-    const expectedSignature = crypto
-      .createHmac('sha256', process.env.RAZORPAY_WEBHOOK_SECRET)
-      .update(body)
-      .digest('hex');
-
-    if (signature === expectedSignature) {
-      const event = JSON.parse(body);
-      
-      // Handle different webhook events
-      switch (event.event) {
-        case 'payment.captured':
-          // Handle successful payment
-          logger.info('Payment captured:', event.payload.payment.entity.id);
-          break;
-        case 'payment.failed':
-          // Handle failed payment
-          logger.info('Payment failed:', event.payload.payment.entity.id);
-          break;
-        default:
-          logger.info('Unhandled webhook event:', event.event);
-      }
+    // Signatures cover the exact bytes received, kept by the JSON body parser
+    const rawBody = req.rawBody || Buffer.from(JSON.stringify(req.body || {}));
+    const result = await webhookService.receive(
+      rawBody,
+      req.headers['x-razorpay-signature'],
+      req.headers['x-razorpay-event-id'] || null
+    );
 
-      res.status(200).json({ status: 'ok' });
-    } else {
-      res.status(400).json({ status: 'invalid signature' });
+    switch (result) {
+      case 'invalid':
+        return res.status(400).json({ status: 'invalid signature' });
+      case 'stale':
+        return res.status(400).json({ status: 'stale event' });
+      case 'failed':
+        return res.status(500).json({ status: 'error' });
+      default:
+        return res.status(200).json({ status: 'ok', result });
     }
 
   } catch (error) {
@@ -421,4 +323,66 @@ router.post('/webhook', express.raw({ type: 'application/json' }), async (req, r
   }
 });
 
-module.exports = router;
\ No newline at end of file
+// Stored webhook events, e.g. ?status=FAILED (admin)
+router.get('/webhooks', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !['RECEIVED', 'PROCESSING', 'PROCESSED', 'FAILED', 'IGNORED'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid status'
+      });
+    }
+
+    const events = await webhookService.listEvents(status || null);
+    res.json({
+      success: true,
+      events
+    });
+
+  } catch (error) {
+    logger.error('List webhook events error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch webhook events'
+    });
+  }
+});
+
+// Replay every failed webhook event (admin)
+router.post('/webhooks/replay', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const results = await webhookService.replayFailed();
+    res.json({
+      success: true,
+      results
+    });
+
+  } catch (error) {
+    logger.error('Replay webhook events error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to replay webhook events'
+    });
+  }
+});
+
+// Replay one failed or stuck webhook event (admin)
+router.post('/webhooks/:eventId/replay', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const result = await webhookService.replayEvent(req.params.eventId);
+    res.json({
+      success: true,
+      result
+    });
+
+  } catch (error) {
+    logger.error('Replay webhook event error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
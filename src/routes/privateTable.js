@@ -0,0 +1,74 @@
+const express = require('express');
+const router = express.Router();
+const privateTableService = require('../services/privateTableService');
+const { gameSchemas } = require('../validation/schemas');
+const { authenticateToken } = require('../middleware/auth');
+const logger = require('../config/logger');
+
+// Create a private table; the host's entry fee is held straight away
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = gameSchemas.createPrivateTable.validate(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error.details[0].message });
+    }
+    const table = await privateTableService.createTable(req.user.id, value);
+    res.json({ success: true, table });
+  } catch (err) {
+    logger.error('Create private table error:', err);
+    res.status(400).json({ success: false, message: err.message });
+  }
+});
+
+// Join by invite code or deep-link token; the table starts by itself once full
+router.post('/join', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = gameSchemas.joinPrivateTable.validate(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error.details[0].message });
+    }
+    const table = await privateTableService.joinTable(req.user.id, value.code);
+    res.json({ success: true, table });
+  } catch (err) {
+    logger.error('Join private table error:', err);
+    res.status(400).json({ success: false, message: err.message });
+  }
+});
+
+// Look up a table by invite code or deep-link token before joining
+router.get('/invite/:code', authenticateToken, async (req, res) => {
+  try {
+    const table = await privateTableService.findTable(req.params.code);
+    if (!table) {
+      return res.status(404).json({ success: false, message: 'Table not found' });
+    }
+    res.json({ success: true, table: privateTableService.formatTable(table) });
+  } catch (err) {
+    logger.error('Get private table error:', err);
+    res.status(500).json({ success: false, message: 'Failed to get table' });
+  }
+});
+
+// Host starts the table before it is full
+router.post('/:tableId/start', authenticateToken, async (req, res) => {
+  try {
+    const table = await privateTableService.startTable(req.params.tableId, req.user.id);
+    res.json({ success: true, table });
+  } catch (err) {
+    logger.error('Start private table error:', err);
+    res.status(400).json({ success: false, message: err.message });
+  }
+});
+
+// Leave before the game starts and get the entry fee back; the host leaving cancels the table
+router.post('/:tableId/leave', authenticateToken, async (req, res) => {
+  try {
+    const result = await privateTableService.leaveTable(req.params.tableId, req.user.id);
+    res.json({ success: true, message: result.cancelled ? 'Table cancelled' : 'Left table', ...result });
+  } catch (err) {
+    logger.error('Leave private table error:', err);
+    res.status(400).json({ success: false, message: err.message });
+  }
+});
+
+module.exports = router;
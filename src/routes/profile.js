@@ -3,6 +3,10 @@ const router = express.Router();
 const prisma = require('../config/database');
 const { authSchemas } = require('../validation/schemas');
 const { authenticateToken } = require('../middleware/auth');
+const ratingService = require('../services/ratingService');
+const ledgerService = require('../services/ledgerService');
+const responsibleGamingService = require('../services/responsibleGamingService');
+const matchmakingService = require('../services/matchmakingService');
 const logger = require('../config/logger');
 
 // Get user profile
@@ -12,7 +16,8 @@ router.get('/', authenticateToken, async (req, res) => {
       where: { id: req.user.id },
       include: { wallet: true }
     });
-    res.json({ success: true, user });
+    const ratings = await ratingService.getUserRatings(req.user.id);
+    res.json({ success: true, user, ratings });
   } catch (err) {
     logger.error('Get profile error:', err);
     res.status(500).json({ success: false, message: 'Failed to get profile' });
@@ -67,14 +72,15 @@ router.get('/referral', authenticateToken, async (req, res) => {
     });
 
     // Calculate earnings from referrals
-    const referralEarnings = await prisma.walletTransaction.findMany({
+    const referralEarnings = await prisma.transaction.findMany({
       where: {
         userId: req.user.id,
-        type: 'REFERRAL_BONUS'
+        type: 'REFERRAL_BONUS',
+        status: 'COMPLETED'
       }
     });
 
-    const totalEarnings = referralEarnings.reduce((sum, transaction) => sum + transaction.amount, 0);
+    const totalEarnings = referralEarnings.reduce((sum, transaction) => sum + parseFloat(transaction.amount), 0);
     const pendingEarnings = 0; // Calculate pending earnings if needed
 
     const stats = {
@@ -141,7 +147,7 @@ router.post('/apply-referral', authenticateToken, async (req, res) => {
       });
 
       // Give bonus to new user (₹50)
-      await tx.walletTransaction.create({
+      const signupBonus = await tx.transaction.create({
         data: {
           userId: req.user.id,
           amount: 50,
@@ -152,13 +158,13 @@ router.post('/apply-referral', authenticateToken, async (req, res) => {
       });
 
       // Update new user's wallet
-      await tx.wallet.update({
-        where: { userId: req.user.id },
-        data: { balance: { increment: 50 } }
+      await ledgerService.creditUser(tx, req.user.id, 50, 'REFERRAL_SIGNUP_BONUS', {
+        transactionId: signupBonus.id,
+        description: signupBonus.description
       });
 
       // Give bonus to referrer (₹25)
-      await tx.walletTransaction.create({
+      const referralBonus = await tx.transaction.create({
         data: {
           userId: referrer.id,
           amount: 25,
@@ -169,9 +175,9 @@ router.post('/apply-referral', authenticateToken, async (req, res) => {
       });
 
       // Update referrer's wallet
-      await tx.wallet.update({
-        where: { userId: referrer.id },
-        data: { balance: { increment: 25 } }
+      await ledgerService.creditUser(tx, referrer.id, 25, 'REFERRAL_BONUS', {
+        transactionId: referralBonus.id,
+        description: referralBonus.description
       });
     });
 
@@ -186,6 +192,60 @@ router.post('/apply-referral', authenticateToken, async (req, res) => {
   }
 });
 
+// Responsible gaming limits, what has been used of each and changes waiting out the cooling period
+router.get('/limits', authenticateToken, async (req, res) => {
+  try {
+    const limits = await responsibleGamingService.getLimits(req.user.id);
+    res.json({ success: true, ...limits });
+  } catch (err) {
+    logger.error('Get gaming limits error:', err);
+    res.status(500).json({ success: false, message: 'Failed to get limits' });
+  }
+});
+
+// Set limits; lower ones apply now, higher or removed ones after the cooling period
+router.put('/limits', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = authSchemas.updateLimits.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({ success: false, message: error.details[0].message });
+    }
+    const limits = await responsibleGamingService.setLimits(req.user.id, value, req.ip);
+    res.json({ success: true, message: 'Limits updated', ...limits });
+  } catch (err) {
+    logger.error('Update gaming limits error:', err);
+    res.status(500).json({ success: false, message: 'Failed to update limits' });
+  }
+});
+
+// Exclude yourself from deposits and play; can't be shortened once set
+router.post('/limits/self-exclusion', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = authSchemas.selfExclude.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({ success: false, message: error.details[0].message });
+    }
+    const selfExcludedUntil = await responsibleGamingService.selfExclude(req.user.id, value.days, req.ip);
+    // A queued entry fee is released rather than played
+    await matchmakingService.leaveQueue(req.user.id);
+    res.json({ success: true, message: `You are self-excluded until ${selfExcludedUntil.toISOString()}`, selfExcludedUntil });
+  } catch (err) {
+    logger.error('Self-exclusion error:', err);
+    res.status(500).json({ success: false, message: 'Failed to self-exclude' });
+  }
+});
+
+// Audit trail of the user's limit changes
+router.get('/limits/history', authenticateToken, async (req, res) => {
+  try {
+    const changes = await responsibleGamingService.getHistory(req.user.id);
+    res.json({ success: true, changes });
+  } catch (err) {
+    logger.error('Get gaming limit history error:', err);
+    res.status(500).json({ success: false, message: 'Failed to get limit history' });
+  }
+});
+
 // Helper function to generate referral code
 function generateReferralCode() {
   const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
@@ -0,0 +1,98 @@
+const express = require('express');
+const router = express.Router();
+const promotionService = require('../services/promotionService');
+const { walletSchemas } = require('../validation/schemas');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const logger = require('../config/logger');
+
+// Check a promo code and the bonus it gives on a deposit, before creating the deposit order
+router.post('/check', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = walletSchemas.checkPromoCode.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({ success: false, message: error.details[0].message });
+    }
+    const { promotion, bonusAmount, wageringRequired } = await promotionService.validateCode(req.user.id, value.code, value.amount);
+    res.json({ success: true, code: promotion.code, bonusAmount, wageringRequired, validUntil: promotion.validUntil });
+  } catch (err) {
+    if (err.code === 'PROMO_INVALID') {
+      return res.status(400).json({ success: false, message: err.message });
+    }
+    logger.error('Check promo code error:', err);
+    res.status(500).json({ success: false, message: 'Failed to check promo code' });
+  }
+});
+
+// The user's promo codes, with wagering progress
+router.get('/redemptions', authenticateToken, async (req, res) => {
+  try {
+    const redemptions = await promotionService.getUserRedemptions(req.user.id);
+    res.json({ success: true, redemptions });
+  } catch (err) {
+    logger.error('List redemptions error:', err);
+    res.status(500).json({ success: false, message: 'Failed to get promo codes' });
+  }
+});
+
+// Give up a bonus to withdraw before its wagering requirement is met
+router.post('/redemptions/:redemptionId/forfeit', authenticateToken, async (req, res) => {
+  try {
+    const result = await promotionService.forfeit(req.user.id, req.params.redemptionId);
+    res.json({ success: true, message: 'Bonus forfeited', ...result });
+  } catch (err) {
+    logger.error('Forfeit bonus error:', err);
+    res.status(400).json({ success: false, message: err.message });
+  }
+});
+
+// Admin: redemptions per campaign and code
+router.get('/report', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const campaigns = await promotionService.getCampaignReport(req.query.campaign || null);
+    res.json({ success: true, campaigns });
+  } catch (err) {
+    logger.error('Promotion report error:', err);
+    res.status(500).json({ success: false, message: 'Failed to get promotion report' });
+  }
+});
+
+router.get('/', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const promotions = await promotionService.listPromotions(req.query.campaign || null);
+    res.json({ success: true, promotions });
+  } catch (err) {
+    logger.error('List promotions error:', err);
+    res.status(500).json({ success: false, message: 'Failed to get promotions' });
+  }
+});
+
+router.post('/', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { error, value } = walletSchemas.createPromotion.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({ success: false, message: error.details[0].message });
+    }
+    const promotion = await promotionService.createPromotion(value, req.user.id);
+    res.status(201).json({ success: true, message: 'Promotion created', promotion });
+  } catch (err) {
+    logger.error('Create promotion error:', err);
+    res.status(400).json({ success: false, message: err.message });
+  }
+});
+
+// Change limits or the end date, or switch a promotion off
+router.patch('/:promotionId', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { error, value } = walletSchemas.updatePromotion.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({ success: false, message: error.details[0].message });
+    }
+    const promotion = await promotionService.updatePromotion(req.params.promotionId, value);
+    res.json({ success: true, message: 'Promotion updated', promotion });
+  } catch (err) {
+    logger.error('Update promotion error:', err);
+    res.status(400).json({ success: false, message: err.message });
+  }
+});
+
+module.exports = router;
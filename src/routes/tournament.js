@@ -0,0 +1,65 @@
+const express = require('express');
+const router = express.Router();
+const tournamentService = require('../services/tournamentService');
+const { gameSchemas } = require('../validation/schemas');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const logger = require('../config/logger');
+
+const TOURNAMENT_STATUSES = ['SCHEDULED', 'RUNNING', 'FINISHED', 'CANCELLED'];
+
+// Upcoming and running tournaments, or those with the given status
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !TOURNAMENT_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, message: 'Invalid status' });
+    }
+    const tournaments = await tournamentService.listTournaments(status || null);
+    res.json({ success: true, tournaments });
+  } catch (err) {
+    logger.error('List tournaments error:', err);
+    res.status(500).json({ success: false, message: 'Failed to get tournaments' });
+  }
+});
+
+// Standings and every round's tables with their game IDs
+router.get('/:tournamentId', authenticateToken, async (req, res) => {
+  try {
+    const tournament = await tournamentService.getTournament(req.params.tournamentId);
+    if (!tournament) {
+      return res.status(404).json({ success: false, message: 'Tournament not found' });
+    }
+    res.json({ success: true, tournament });
+  } catch (err) {
+    logger.error('Get tournament error:', err);
+    res.status(500).json({ success: false, message: 'Failed to get tournament' });
+  }
+});
+
+// Register and pay the buy-in while registration is open
+router.post('/:tournamentId/register', authenticateToken, async (req, res) => {
+  try {
+    const entry = await tournamentService.register(req.params.tournamentId, req.user.id);
+    res.json({ success: true, message: 'Registered for tournament', entry });
+  } catch (err) {
+    logger.error('Tournament registration error:', err);
+    res.status(400).json({ success: false, message: err.message });
+  }
+});
+
+// Schedule a tournament
+router.post('/', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { error, value } = gameSchemas.createTournament.validate(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error.details[0].message });
+    }
+    const tournament = await tournamentService.createTournament(value);
+    res.json({ success: true, tournament: tournamentService.formatTournament(tournament, 0) });
+  } catch (err) {
+    logger.error('Create tournament error:', err);
+    res.status(400).json({ success: false, message: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,66 @@
+const express = require('express');
+const router = express.Router();
+const withdrawalService = require('../services/withdrawalService');
+const { walletSchemas } = require('../validation/schemas');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const logger = require('../config/logger');
+
+const WITHDRAWAL_STATUSES = ['REQUESTED', 'UNDER_REVIEW', 'APPROVED', 'PROCESSING', 'PAID', 'REJECTED', 'FAILED'];
+
+// The user's recent withdrawals and where each one is
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const withdrawals = await withdrawalService.getUserWithdrawals(req.user.id);
+    res.json({ success: true, withdrawals });
+  } catch (err) {
+    logger.error('List withdrawals error:', err);
+    res.status(500).json({ success: false, message: 'Failed to get withdrawals' });
+  }
+});
+
+// Admin queue: withdrawals awaiting review, or those with the given status
+router.get('/review', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !WITHDRAWAL_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, message: 'Invalid status' });
+    }
+    const withdrawals = await withdrawalService.listForReview(status || null);
+    res.json({ success: true, withdrawals });
+  } catch (err) {
+    logger.error('List withdrawals for review error:', err);
+    res.status(500).json({ success: false, message: 'Failed to get withdrawals' });
+  }
+});
+
+// Approve for payout
+router.post('/:withdrawalId/approve', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { error, value } = walletSchemas.approveWithdrawal.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({ success: false, message: error.details[0].message });
+    }
+    const withdrawal = await withdrawalService.approve(req.params.withdrawalId, req.user.id, value.note || null);
+    res.json({ success: true, message: 'Withdrawal approved', withdrawal });
+  } catch (err) {
+    logger.error('Approve withdrawal error:', err);
+    res.status(400).json({ success: false, message: err.message });
+  }
+});
+
+// Reject and refund the amount to the user's wallet
+router.post('/:withdrawalId/reject', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { error, value } = walletSchemas.rejectWithdrawal.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({ success: false, message: error.details[0].message });
+    }
+    const withdrawal = await withdrawalService.reject(req.params.withdrawalId, req.user.id, value.reason);
+    res.json({ success: true, message: 'Withdrawal rejected and refunded', withdrawal });
+  } catch (err) {
+    logger.error('Reject withdrawal error:', err);
+    res.status(400).json({ success: false, message: err.message });
+  }
+});
+
+module.exports = router;
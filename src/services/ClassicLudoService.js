@@ -1,5 +1,11 @@
 const logger = require('../config/logger');
 const gameService = require('./gameService');
+const fairDiceService = require('./fairDiceService');
+const botService = require('./botService');
+const reconnectService = require('./reconnectService');
+const spectatorService = require('./spectatorService');
+const gameEventService = require('./gameEventService');
+const gameRegistry = require('./gameRegistry');
 const prisma = require('../config/database');
 
 class ClassicLudoService {
@@ -21,6 +27,16 @@ class ClassicLudoService {
     socket.on('ROLL_CLASSIC_LUDO_DICE', (data) => this.rollDice(socket, data));
     socket.on('MOVE_CLASSIC_LUDO_PIECE', (data) => this.movePiece(socket, data));
     socket.on('JOIN_CLASSIC_LUDO_ROOM', (data) => this.joinRoom(socket, data));
+    socket.on('FORFEIT_CLASSIC_LUDO', async (data) => {
+      try {
+        if (!(await this.forfeit(data?.gameId, socket.user.id))) {
+          socket.emit('CLASSIC_LUDO_ERROR', { message: 'You cannot forfeit this game.' });
+        }
+      } catch (error) {
+        logger.error(`Forfeit error for user ${socket.user.id} in game ${data?.gameId}:`, error);
+        socket.emit('CLASSIC_LUDO_ERROR', { message: 'Failed to forfeit game.' });
+      }
+    });
   }
 
   async startGame({ gameId }) {
@@ -35,7 +51,7 @@ class ClassicLudoService {
     let game = await gameService.getGameById(gameId);
     if (!game) {
       logger.error(`Classic Ludo: Game ${gameId} not found for starting.`);
-      this.io.to(`game:${gameId}`).emit('CLASSIC_LUDO_ERROR', { message: 'Game not found.' });
+      this.io.to(spectatorService.liveRooms(gameId)).emit('CLASSIC_LUDO_ERROR', { message: 'Game not found.' });
       return;
     }
 
@@ -44,7 +60,7 @@ class ClassicLudoService {
 
     if (!game.participants || game.participants.length < 2) {
       logger.warn(`Classic Ludo: Not enough players in game ${gameId}. Current: ${game.participants?.length || 0}`);
-      this.io.to(`game:${gameId}`).emit('CLASSIC_LUDO_ERROR', { message: 'Not enough players to start game.' });
+      this.io.to(spectatorService.liveRooms(gameId)).emit('CLASSIC_LUDO_ERROR', { message: 'Not enough players to start game.' });
       return;
     }
 
@@ -52,7 +68,7 @@ class ClassicLudoService {
     const initialBoard = gameService.initializeLudoGameBoard(game.maxPlayers);
     if (!initialBoard || typeof initialBoard !== 'object') {
       logger.error(`Classic Ludo: Failed to initialize game board for ${gameId}`);
-      this.io.to(`game:${gameId}`).emit('CLASSIC_LUDO_ERROR', { message: 'Failed to initialize game board.' });
+      this.io.to(spectatorService.liveRooms(gameId)).emit('CLASSIC_LUDO_ERROR', { message: 'Failed to initialize game board.' });
       return;
     }
     
@@ -69,19 +85,21 @@ class ClassicLudoService {
     const currentTurnUserId = game.participants[0]?.userId;
     if (!currentTurnUserId) {
       logger.error(`Classic Ludo: No valid user found for first turn in game ${gameId}`);
-      this.io.to(`game:${gameId}`).emit('CLASSIC_LUDO_ERROR', { message: 'Failed to determine first player.' });
+      this.io.to(spectatorService.liveRooms(gameId)).emit('CLASSIC_LUDO_ERROR', { message: 'Failed to determine first player.' });
       return;
     }
 
     logger.info(`Classic Ludo: Updating game state for ${gameId}, first player: ${currentTurnUserId}`);
-    game = await gameService.updateGameState(gameId, initialBoard, 0, 'PLAYING', null);
+    game = await gameService.updateGameState(gameId, initialBoard, 0);
     
     if (!game) {
       logger.error(`Classic Ludo: Failed to update game state for ${gameId}`);
-      this.io.to(`game:${gameId}`).emit('CLASSIC_LUDO_ERROR', { message: 'Failed to update game state.' });
+      this.io.to(spectatorService.liveRooms(gameId)).emit('CLASSIC_LUDO_ERROR', { message: 'Failed to update game state.' });
       return;
     }
 
+    const serverSeedHash = await fairDiceService.commitServerSeed(gameId);
+
     // Store game instance in memory for quick access
     this.games.set(gameId, {
       gameState: {
@@ -92,7 +110,8 @@ class ClassicLudoService {
         diceValue: null,
         gameStatus: 'PLAYING'
       },
-      participants: game.participants
+      participants: game.participants,
+      forfeited: [] // Player IDs in the order they forfeited
     });
 
     // Safely create players array for broadcast
@@ -103,22 +122,25 @@ class ClassicLudoService {
     })) : [];
 
     // Broadcast game started to all players
-    this.io.to(`game:${gameId}`).emit('CLASSIC_LUDO_GAME_STARTED', {
+    this.io.to(spectatorService.liveRooms(gameId)).emit('CLASSIC_LUDO_GAME_STARTED', {
       gameBoard: initialBoard,
       players: players,
       currentTurn: currentTurnUserId,
-      gameStatus: 'PLAYING'
+      gameStatus: 'PLAYING',
+      serverSeedHash
     });
+    this.recordEvent(gameId, 'GAME_STARTED', null, { players, serverSeedHash });
 
     logger.info(`✅ Classic Ludo game ${gameId} started with ${game.participants?.length || 0} players.`);
+    this.scheduleAutoTurn(gameId);
   } catch (error) {
     logger.error(`❌ Classic Ludo: Error starting game ${gameId}:`, error);
-    this.io.to(`game:${gameId}`).emit('CLASSIC_LUDO_ERROR', { message: 'Failed to start game.' });
+    this.io.to(spectatorService.liveRooms(gameId)).emit('CLASSIC_LUDO_ERROR', { message: 'Failed to start game.' });
   }
 }
 
   async rollDice(socket, data) {
-    const { gameId } = data;
+    const { gameId, clientSeed } = data;
     const playerId = socket.user.id;
 
     try {
@@ -145,9 +167,16 @@ class ClassicLudoService {
         return socket.emit('CLASSIC_LUDO_ERROR', { message: 'Dice already rolled this turn. Please move a piece or end turn.' });
       }
 
-      // Roll dice (1-6)
-      const diceValue = Math.floor(Math.random() * 6) + 1;
+      // Mark the roll before awaiting so a double tap can't roll twice
       gameInstance.gameState.diceRolled = true;
+      let roll;
+      try {
+        roll = await fairDiceService.rollDice(gameId, playerId, clientSeed);
+      } catch (rollError) {
+        gameInstance.gameState.diceRolled = false;
+        throw rollError;
+      }
+      const diceValue = roll.value;
       gameInstance.gameState.diceValue = diceValue;
 
       const canMove = this.canPlayerMove(gameInstance.gameState.board, playerId, diceValue);
@@ -155,20 +184,30 @@ class ClassicLudoService {
       const movablePieces = this.getMovablePieces(gameInstance.gameState.board, playerId, diceValue);
 
       // Broadcast dice roll to all players
-      this.io.to(`game:${gameId}`).emit('CLASSIC_LUDO_DICE_ROLLED', {
+      this.io.to(spectatorService.liveRooms(gameId)).emit('CLASSIC_LUDO_DICE_ROLLED', {
         playerId,
         diceValue,
         canMove,
         playerColor,
         movablePieces,
-        gameBoard: gameInstance.gameState.board
+        gameBoard: gameInstance.gameState.board,
+        fairness: {
+          nonce: roll.nonce,
+          clientSeed: roll.clientSeed,
+          serverSeedHash: roll.serverSeedHash
+        }
       });
 
+      this.recordEvent(gameId, 'DICE_ROLLED', playerId, { value: diceValue, nonce: roll.nonce, canMove });
+
       // Check if player can move, if not, end turn automatically
       if (!canMove) {
         setTimeout(() => {
           try {
+            // A forfeit in the meantime has already passed the turn on
+            if (this.games.get(gameId)?.gameState.currentTurnPlayerId !== playerId) return;
             this.endTurn(gameId, diceValue !== 6); // Don't change turn if rolled 6
+            this.recordEvent(gameId, 'TURN_PASSED', playerId, { diceValue });
           } catch (error) {
             logger.error(`Classic Ludo: Error in endTurn timeout for game ${gameId}:`, error);
           }
@@ -247,15 +286,12 @@ class ClassicLudoService {
       
       if (isGameFinished) {
         winnerId = playerId;
-        gameInstance.gameState.gameStatus = 'FINISHED';
-        await gameService.updateGameState(gameId, board, gameInstance.gameState.currentTurnIndex, 'FINISHED', winnerId);
-        await gameService.processGameWinnings(gameId);
       } else {
-        await gameService.updateGameState(gameId, board, gameInstance.gameState.currentTurnIndex, 'PLAYING', null);
+        await gameService.updateGameState(gameId, board, gameInstance.gameState.currentTurnIndex);
       }
 
       // Broadcast move result to all players
-      this.io.to(`game:${gameId}`).emit('CLASSIC_LUDO_PIECE_MOVED', {
+      this.io.to(spectatorService.liveRooms(gameId)).emit('CLASSIC_LUDO_PIECE_MOVED', {
         playerId,
         pieceId,
         updatedPiece: piece,
@@ -267,14 +303,19 @@ class ClassicLudoService {
         newPosition: moveResult.newPosition,
         playerColor: playerColor
       });
+      this.recordEvent(gameId, 'PIECE_MOVED', playerId, {
+        pieceId,
+        diceValue,
+        action: moveResult.action,
+        newPosition: moveResult.newPosition,
+        scoreChange
+      });
+      if (moveResult.capturedPiece) {
+        this.recordEvent(gameId, 'PIECE_CAPTURED', playerId, { pieceId, capturedPiece: moveResult.capturedPiece });
+      }
 
       if (isGameFinished) {
-        this.io.to(`game:${gameId}`).emit('CLASSIC_LUDO_GAME_ENDED', {
-          winner: winnerId,
-          finalBoard: board,
-          reason: 'All pieces finished'
-        });
-        this.games.delete(gameId);
+        await this.endGame(gameId, winnerId, 'All pieces finished');
       } else {
         // End turn (change turn if didn't roll 6 or if no more moves possible)
         const shouldChangeTurn = diceValue !== 6;
@@ -288,6 +329,58 @@ class ClassicLudoService {
     }
   }
 
+  /**
+   * Finishes the game: persists the final board, pays out and tells the room.
+   */
+  async endGame(gameId, winnerId, reason = 'All pieces finished') {
+    const gameInstance = this.games.get(gameId);
+    if (!gameInstance) {
+      logger.warn(`Classic Ludo: Game instance ${gameId} not found during endGame call.`);
+      return;
+    }
+
+    const board = gameInstance.gameState.board;
+    gameInstance.gameState.gameStatus = 'FINISHED';
+
+    // Winner first, everyone else by pieces finished and then score, players who forfeited last
+    const rankings = gameService.rankPlayers(
+      Object.values(board).filter(player => player.playerId).map(player => {
+        const forfeitOrder = gameInstance.forfeited.indexOf(player.playerId);
+        return {
+          userId: player.playerId,
+          isWinner: player.playerId === winnerId,
+          piecesFinished: player.piecesFinished,
+          score: player.score,
+          forfeitOrder: forfeitOrder === -1 ? null : forfeitOrder
+        };
+      }),
+      gameService.compareWithForfeits(
+        (a, b) => (b.isWinner - a.isWinner) || (b.piecesFinished - a.piecesFinished) || (b.score - a.score)
+      )
+    );
+    await gameService.finishGame(gameId, {
+      gameData: board,
+      currentTurn: gameInstance.gameState.currentTurnIndex,
+      winnerId,
+      rankings
+    });
+
+    this.io.to(spectatorService.liveRooms(gameId)).emit('CLASSIC_LUDO_GAME_ENDED', {
+      winner: winnerId,
+      rankings,
+      finalBoard: board,
+      reason,
+      fairness: await fairDiceService.revealServerSeed(gameId)
+    });
+    this.recordEvent(gameId, 'GAME_ENDED', null, { winnerId, rankings, reason });
+    await gameEventService.finish(gameId);
+    this.games.delete(gameId);
+    botService.clearGame(gameId);
+    reconnectService.clearGame(gameId);
+
+    logger.info(`🏁 Classic Ludo: Game ${gameId} ended. Winner: ${winnerId}, Reason: ${reason}`);
+  }
+
   async joinRoom(socket, data) {
     const { gameId, playerId, playerName } = data;
 
@@ -299,7 +392,7 @@ class ClassicLudoService {
       }
 
       // Notify room about player joining
-      this.io.to(`game:${gameId}`).emit('CLASSIC_LUDO_PLAYER_JOINED', {
+      this.io.to(spectatorService.liveRooms(gameId)).emit('CLASSIC_LUDO_PLAYER_JOINED', {
         playerId,
         playerName
       });
@@ -323,29 +416,79 @@ class ClassicLudoService {
     }
   }
 
-  canPlayerMove(board, playerId, diceValue) {
-    const playerColor = gameService.getLudoPlayerColor(board, playerId);
-    if (!playerColor) return false;
+  /**
+   * Drop a cancelled game without settling it; its entry fees were refunded.
+   */
+  abortGame(gameId) {
+    this.games.delete(gameId);
+    botService.clearGame(gameId);
+    reconnectService.clearGame(gameId);
+    logger.info(`🛑 Classic Ludo: Game ${gameId} aborted`);
+  }
 
-    const playerData = board[playerColor];
-    
-    // Check each piece to see if it can move
-    for (const piece of playerData.pieces) {
-      if (piece.position === 'home' && diceValue === 6) {
-        return true; // Can move out of home with 6
-      }
-      if (piece.position === 'board') {
-        return true; // Can always try to move pieces on board
-      }
-      if (piece.position === 'homeStretch') {
-        const newPos = piece.boardPosition + diceValue;
-        if (newPos <= 6) {
-          return true; // Can move in home stretch without overshooting
-        }
-      }
+  /**
+   * Takes a player out of the game. Their pieces stay on the board but their turns are skipped.
+   * The game ends when one player remains, or when only bots do.
+   * @returns {Promise<boolean>} Whether the player was taken out
+   */
+  async forfeit(gameId, playerId, reason = 'resigned') {
+    const gameInstance = this.games.get(gameId);
+    if (!gameInstance || gameInstance.gameState.gameStatus !== 'PLAYING') {
+      logger.warn(`Classic Ludo: Player ${playerId} tried to forfeit game ${gameId}, which is not in progress.`);
+      return false;
     }
-    
-    return false;
+    if (!gameInstance.participants.some(p => p.userId === playerId) || gameInstance.forfeited.includes(playerId)) {
+      logger.warn(`Classic Ludo: Player ${playerId} cannot forfeit game ${gameId}.`);
+      return false;
+    }
+
+    gameInstance.forfeited.push(playerId);
+    botService.cancelTurn(gameId, playerId);
+    await gameService.markForfeited(gameId, playerId);
+
+    this.io.to(spectatorService.liveRooms(gameId)).emit('CLASSIC_LUDO_PLAYER_FORFEITED', { playerId, reason });
+    this.recordEvent(gameId, 'PLAYER_FORFEITED', playerId, { reason });
+
+    const active = gameInstance.participants.filter(p => !gameInstance.forfeited.includes(p.userId));
+    if (active.length === 1 || active.every(p => p.isBot)) {
+      await this.endGame(gameId, active.length === 1 ? active[0].userId : null, 'forfeit');
+    } else if (gameInstance.gameState.currentTurnPlayerId === playerId) {
+      this.endTurn(gameId, true);
+    }
+
+    logger.info(`🏳️ Classic Ludo: Player ${playerId} forfeited game ${gameId} (${reason}).`);
+    return true;
+  }
+
+  /**
+   * Everything a reconnecting player needs to redraw the table. Classic Ludo has no timers.
+   */
+  getSnapshot(gameId) {
+    const gameInstance = this.games.get(gameId);
+    if (!gameInstance) return null;
+
+    const { board, currentTurnPlayerId, currentTurnIndex, diceValue, diceRolled, gameStatus } = gameInstance.gameState;
+    return {
+      gameBoard: board,
+      currentTurn: currentTurnPlayerId,
+      currentTurnIndex,
+      diceValue,
+      diceRolled,
+      gameStatus,
+      scores: Object.fromEntries(Object.values(board).filter(player => player.playerId).map(player => [player.playerId, player.score]))
+    };
+  }
+
+  /**
+   * Add an event to the game's replay log along with the in-memory state it left behind.
+   */
+  recordEvent(gameId, type, actorId, payload) {
+    const gameInstance = this.games.get(gameId);
+    gameEventService.record(gameId, type, actorId, payload, gameInstance?.gameState);
+  }
+
+  canPlayerMove(board, playerId, diceValue) {
+    return this.getMovablePieces(board, playerId, diceValue).length > 0;
   }
 
   getMovablePieces(board, playerId, diceValue) {
@@ -356,20 +499,7 @@ class ClassicLudoService {
     const movablePieces = [];
     
     playerData.pieces.forEach((piece, index) => {
-      let canMove = false;
-      
-      if (piece.position === 'home' && diceValue === 6) {
-        canMove = true;
-      } else if (piece.position === 'board') {
-        canMove = true;
-      } else if (piece.position === 'homeStretch') {
-        const newPos = piece.boardPosition + diceValue;
-        if (newPos <= 6) {
-          canMove = true;
-        }
-      }
-      
-      if (canMove) {
+      if (gameService.canMoveLudoPiece(piece, playerColor, diceValue)) {
         movablePieces.push({
           pieceId: index,
           pieceIndex: index,
@@ -401,8 +531,14 @@ class ClassicLudoService {
     gameInstance.gameState.diceValue = null;
 
     if (changeTurn) {
-      // Move to next player
-      const nextTurnIndex = (gameInstance.gameState.currentTurnIndex + 1) % gameInstance.participants.length;
+      // Move to next player, skipping seats that forfeited
+      let nextTurnIndex = gameInstance.gameState.currentTurnIndex;
+      do {
+        nextTurnIndex = (nextTurnIndex + 1) % gameInstance.participants.length;
+      } while (
+        gameInstance.forfeited.includes(gameInstance.participants[nextTurnIndex]?.userId) &&
+        nextTurnIndex !== gameInstance.gameState.currentTurnIndex
+      );
       gameInstance.gameState.currentTurnIndex = nextTurnIndex;
       
       // Validate the next participant exists
@@ -415,13 +551,57 @@ class ClassicLudoService {
     }
 
     // Broadcast turn update
-    this.io.to(`game:${gameId}`).emit('CLASSIC_LUDO_TURN_UPDATE', {
+    this.io.to(spectatorService.liveRooms(gameId)).emit('CLASSIC_LUDO_TURN_UPDATE', {
       currentTurn: gameInstance.gameState.currentTurnPlayerId,
       currentTurnIndex: gameInstance.gameState.currentTurnIndex,
       currentPlayer: gameInstance.participants[gameInstance.gameState.currentTurnIndex],
       gameBoard: gameInstance.gameState.board
     });
+
+    this.scheduleAutoTurn(gameId);
+  }
+
+  /**
+   * Play the current turn for a bot or a disconnected player: roll, then move the piece the
+   * difficulty prefers. Does nothing when a connected human is to play.
+   */
+  scheduleAutoTurn(gameId) {
+    const gameInstance = this.games.get(gameId);
+    if (!gameInstance || gameInstance.gameState.gameStatus !== 'PLAYING') return;
+
+    const playerId = gameInstance.gameState.currentTurnPlayerId;
+    const participant = gameInstance.participants.find(p => p.userId === playerId);
+    if (!participant) return;
+    if (!participant.isBot && !reconnectService.isAway(gameId, playerId)) return;
+
+    const difficulty = participant.isBot ? participant.botDifficulty : reconnectService.AUTO_PLAY_DIFFICULTY;
+    botService.scheduleTurn(gameId, playerId, difficulty, async () => {
+      const socket = botService.createSocket(playerId, participant.user?.name);
+      await this.rollDice(socket, { gameId });
+
+      const current = this.games.get(gameId);
+      if (!current || !current.gameState.diceRolled || current.gameState.currentTurnPlayerId !== playerId) return;
+
+      const { board, diceValue } = current.gameState;
+      const movablePieces = this.getMovablePieces(board, playerId, diceValue);
+      if (movablePieces.length === 0) return; // rollDice ends the turn by itself
+
+      await botService.wait(botService.thinkTime(difficulty));
+      const playerColor = gameService.getLudoPlayerColor(board, playerId);
+      const pieceId = botService.chooseLudoPiece(board, playerColor, diceValue, movablePieces, difficulty);
+      await this.movePiece(socket, { gameId, pieceId });
+    });
   }
 }
 
+gameRegistry.register({
+  type: 'CLASSIC_LUDO',
+  name: 'Classic Ludo',
+  minPlayers: 2,
+  maxPlayers: 4,
+  Service: ClassicLudoService,
+  initializeBoard: (playerCount) => gameService.initializeLudoGameBoard(playerCount),
+  socketEvents: ['START_CLASSIC_LUDO', 'ROLL_CLASSIC_LUDO_DICE', 'MOVE_CLASSIC_LUDO_PIECE', 'JOIN_CLASSIC_LUDO_ROOM', 'FORFEIT_CLASSIC_LUDO']
+});
+
 module.exports = ClassicLudoService;
\ No newline at end of file
@@ -1,6 +1,12 @@
 // FastLudoService.js - Fast Ludo game implementation with timer and points
 const logger = require('../config/logger'); // Adjust path to logger
 const gameService = require('./gameService'); // Import gameService
+const fairDiceService = require('./fairDiceService'); // Commit-reveal dice rolls
+const botService = require('./botService'); // Plays turns for bot participants
+const reconnectService = require('./reconnectService'); // Seats held for disconnected players
+const spectatorService = require('./spectatorService'); // Streams live events to watchers
+const gameEventService = require('./gameEventService'); // Replay log of every action
+const gameRegistry = require('./gameRegistry'); // Registers Fast Ludo as a playable game type
 const prisma = require('../config/database'); // Import prisma for game.participants
 
 class FastLudoService {
@@ -43,6 +49,16 @@ class FastLudoService {
     socket.on('ROLL_FAST_LUDO_DICE', (data) => this.rollDice(socket, data));
     socket.on('MOVE_FAST_LUDO_PIECE', (data) => this.movePiece(socket, data));
     socket.on('JOIN_FAST_LUDO_ROOM', (data) => this.joinRoom(socket, data));
+    socket.on('FORFEIT_FAST_LUDO', async (data) => {
+      try {
+        if (!(await this.forfeit(data?.gameId, socket.user.id))) {
+          socket.emit('FAST_LUDO_ERROR', { message: 'You cannot forfeit this game.' });
+        }
+      } catch (error) {
+        logger.error(`Forfeit error for user ${socket.user.id} in game ${data?.gameId}:`, error);
+        socket.emit('FAST_LUDO_ERROR', { message: 'Failed to forfeit game.' });
+      }
+    });
     
     // Auto-join room when socket connects (for matchmaking integration)
     // This listener is typically handled in server.js after matchFound event
@@ -76,7 +92,7 @@ class FastLudoService {
       let game = await gameService.getGameById(gameId);
       if (!game) {
         logger.error(`Fast Ludo: Game ${gameId} not found for starting.`);
-        this.io.to(`game:${gameId}`).emit('FAST_LUDO_GAME_ERROR', { message: 'Game not found.' });
+        this.io.to(spectatorService.liveRooms(gameId)).emit('FAST_LUDO_GAME_ERROR', { message: 'Game not found.' });
         return;
       }
       
@@ -88,6 +104,7 @@ class FastLudoService {
         try {
           game = await prisma.game.findUnique({
             where: { id: gameId },
+            omit: fairDiceService.HIDDEN_GAME_FIELDS,
             include: {
               participants: {
                 include: {
@@ -99,21 +116,21 @@ class FastLudoService {
           
           if (!game || !game.participants) {
             logger.error(`Fast Ludo: Even after explicit fetch, game ${gameId} has no participants`);
-            this.io.to(`game:${gameId}`).emit('FAST_LUDO_GAME_ERROR', { message: 'Game participants not found.' });
+            this.io.to(spectatorService.liveRooms(gameId)).emit('FAST_LUDO_GAME_ERROR', { message: 'Game participants not found.' });
             return;
           }
           
           logger.info(`Fast Ludo: Successfully fetched participants for game ${gameId}. Count: ${game.participants.length}`);
         } catch (dbError) {
           logger.error(`Fast Ludo: Database error fetching game ${gameId} with participants:`, dbError);
-          this.io.to(`game:${gameId}`).emit('FAST_LUDO_GAME_ERROR', { message: 'Database error fetching game participants.' });
+          this.io.to(spectatorService.liveRooms(gameId)).emit('FAST_LUDO_GAME_ERROR', { message: 'Database error fetching game participants.' });
           return;
         }
       }
       
       if (!Array.isArray(game.participants) || game.participants.length < 2) {
         logger.warn(`Fast Ludo: Not enough players in game ${gameId}. Current: ${game.participants?.length || 0}`);
-        this.io.to(`game:${gameId}`).emit('FAST_LUDO_GAME_ERROR', { message: 'Not enough players to start game.' });
+        this.io.to(spectatorService.liveRooms(gameId)).emit('FAST_LUDO_GAME_ERROR', { message: 'Not enough players to start game.' });
         return;
       }
 
@@ -121,7 +138,7 @@ class FastLudoService {
       const initialBoard = gameService.initializeLudoGameBoard(game.maxPlayers);
       if (!initialBoard || typeof initialBoard !== 'object') {
         logger.error(`Fast Ludo: Failed to initialize game board for ${gameId}`);
-        this.io.to(`game:${gameId}`).emit('FAST_LUDO_GAME_ERROR', { message: 'Failed to initialize game board.' });
+        this.io.to(spectatorService.liveRooms(gameId)).emit('FAST_LUDO_GAME_ERROR', { message: 'Failed to initialize game board.' });
         return;
       }
       
@@ -140,16 +157,18 @@ class FastLudoService {
       const currentTurnUserId = updatedParticipants[0]?.userId;
       if (!currentTurnUserId) {
         logger.error(`Fast Ludo: No valid user found for first turn in game ${gameId}`);
-        this.io.to(`game:${gameId}`).emit('FAST_LUDO_GAME_ERROR', { message: 'Failed to determine first player.' });
+        this.io.to(spectatorService.liveRooms(gameId)).emit('FAST_LUDO_GAME_ERROR', { message: 'Failed to determine first player.' });
         return;
       }
 
       logger.info(`Fast Ludo: Updating game state for ${gameId}, first player: ${currentTurnUserId}`);
-      game = await gameService.updateGameState(gameId, initialBoard, 0, 'PLAYING', null); // 0 = index of first player
+      // Fast Ludo keeps dice state next to the board so turns can be validated from the DB
+      const initialGameData = { board: initialBoard, diceValue: null, diceRolled: false };
+      game = await gameService.updateGameState(gameId, initialGameData, 0); // 0 = index of first player
       
       if (!game) {
         logger.error(`Fast Ludo: Failed to update game state for ${gameId}`);
-        this.io.to(`game:${gameId}`).emit('FAST_LUDO_GAME_ERROR', { message: 'Failed to update game state.' });
+        this.io.to(spectatorService.liveRooms(gameId)).emit('FAST_LUDO_GAME_ERROR', { message: 'Failed to update game state.' });
         return;
       }
 
@@ -167,33 +186,42 @@ class FastLudoService {
           timerDuration: game.maxPlayers === 2 ? 300000 : 600000, // 5 or 10 minutes
           endTime: Date.now() + (game.maxPlayers === 2 ? 300000 : 600000)
         },
+        forfeited: [], // Player IDs in the order they forfeited
         timer: null
       });
 
+      const serverSeedHash = await fairDiceService.commitServerSeed(gameId);
+
       logger.info(`Fast Ludo: Starting game ${gameId} with ${game.participants.length} players. Initial turn for ${currentTurnUserId}.`);
 
-      this.io.to(`game:${gameId}`).emit('FAST_LUDO_GAME_STARTED', {
+      this.io.to(spectatorService.liveRooms(gameId)).emit('FAST_LUDO_GAME_STARTED', {
         gameBoard: initialBoard, // Send the initial board state
         players: updatedParticipants.map(p => ({id: p.userId, name: p.user.name, color: p.color})), // Simplified player info
         currentTurn: currentTurnUserId,
         gameStatus: 'PLAYING',
         timerDuration: game.maxPlayers === 2 ? 300000 : 600000,
-        endTime: Date.now() + (game.maxPlayers === 2 ? 300000 : 600000)
+        endTime: Date.now() + (game.maxPlayers === 2 ? 300000 : 600000),
+        serverSeedHash
       });
+      this.recordEvent(gameId, 'GAME_STARTED', null, {
+        players: updatedParticipants.map(p => ({ id: p.userId, color: p.color })),
+        serverSeedHash
+      }, initialGameData, game.currentTurn);
 
       // Emit initial turn update
-      this.io.to(`game:${gameId}`).emit('FAST_LUDO_TURN_UPDATE', {
+      this.io.to(spectatorService.liveRooms(gameId)).emit('FAST_LUDO_TURN_UPDATE', {
         currentPlayerId: currentTurnUserId,
         currentTurnIndex: game.currentTurn // Index
       });
 
       // Start game timer
       this.startGameTimer(gameId);
+      this.scheduleAutoTurn(gameId, game.currentTurn);
 
       logger.info(`Fast Ludo game ${gameId} successfully started.`);
     } catch (error) {
       logger.error(`❌ Fast Ludo: Error starting game ${gameId}:`, error);
-      this.io.to(`game:${gameId}`).emit('FAST_LUDO_GAME_ERROR', { message: 'Failed to start game.' });
+      this.io.to(spectatorService.liveRooms(gameId)).emit('FAST_LUDO_GAME_ERROR', { message: 'Failed to start game.' });
     }
   }
 
@@ -217,7 +245,7 @@ class FastLudoService {
     logger.info(`Fast Ludo: Timer started for game ${gameId} for ${gameInstance.gameState.timerDuration / 1000} seconds.`);
   }
 
-  async rollDice(socket, { gameId, playerId }) {
+  async rollDice(socket, { gameId, playerId, clientSeed }) {
     await this.acquireGameLock(gameId);
     
     try {
@@ -239,7 +267,8 @@ class FastLudoService {
         return socket.emit('FAST_LUDO_ERROR', { message: 'Dice already rolled this turn. Please move a piece.' });
       }
 
-      const diceValue = Math.floor(Math.random() * 6) + 1;
+      const roll = await fairDiceService.rollDice(gameId, playerId, clientSeed);
+      const diceValue = roll.value;
       
       // Update gameData for persistence
       gameData.diceValue = diceValue;
@@ -247,7 +276,7 @@ class FastLudoService {
       gameData.lastRollTime = new Date(); // Track last roll time
 
       // Persist updated game state (only relevant parts of gameData)
-      await gameService.updateGameState(gameId, gameData, game.currentTurn, 'PLAYING', null);
+      await gameService.updateGameState(gameId, gameData, game.currentTurn);
 
       logger.info(`Fast Ludo: Player ${playerId} rolled ${diceValue} in game ${gameId}.`);
 
@@ -256,7 +285,7 @@ class FastLudoService {
       const movablePieces = this.getMovablePieces(gameData.board, playerId, diceValue);
 
       // Broadcast dice roll to all players in game room
-      this.io.to(`game:${gameId}`).emit('FAST_LUDO_DICE_ROLLED', {
+      this.io.to(spectatorService.liveRooms(gameId)).emit('FAST_LUDO_DICE_ROLLED', {
         playerId,
         diceValue,
         currentTurnIndex: game.currentTurn,
@@ -265,25 +294,41 @@ class FastLudoService {
         playerColor,
         canMove,
         movablePieces,
-        gameBoard: gameData.board
+        gameBoard: gameData.board,
+        fairness: {
+          nonce: roll.nonce,
+          clientSeed: roll.clientSeed,
+          serverSeedHash: roll.serverSeedHash
+        }
       });
 
+      this.recordEvent(gameId, 'DICE_ROLLED', playerId, { value: diceValue, nonce: roll.nonce, canMove }, gameData, game.currentTurn);
+
       // Auto-end turn if player cannot move
       if (!canMove) {
         setTimeout(async () => {
           try {
+            // A forfeit in the meantime has already passed the turn on
+            if (!this.games.has(gameId) || this.games.get(gameId).forfeited.includes(playerId)) return;
+
             // Reset dice state and move to next turn
             gameData.diceRolled = false;
             gameData.diceValue = null;
             
-            const nextTurnIndex = (game.currentTurn + 1) % game.participants.length;
-            await gameService.updateGameState(gameId, gameData, nextTurnIndex, 'PLAYING', null);
+            const nextTurnIndex = this.nextActiveTurn(gameId, game.participants, game.currentTurn);
+            await gameService.updateGameState(gameId, gameData, nextTurnIndex);
+            const gameInstance = this.games.get(gameId);
+            if (gameInstance) {
+              gameInstance.gameState.currentTurn = nextTurnIndex;
+            }
+            this.recordEvent(gameId, 'TURN_PASSED', playerId, { diceValue }, gameData, nextTurnIndex);
             
-            this.io.to(`game:${gameId}`).emit('FAST_LUDO_TURN_UPDATE', {
+            this.io.to(spectatorService.liveRooms(gameId)).emit('FAST_LUDO_TURN_UPDATE', {
               currentPlayerId: game.participants[nextTurnIndex].userId,
               currentTurnIndex: nextTurnIndex,
               gameBoard: gameData.board
             });
+            this.scheduleAutoTurn(gameId, nextTurnIndex);
           } catch (error) {
             logger.error(`Fast Ludo: Error auto-ending turn for ${gameId}:`, error);
           }
@@ -342,11 +387,18 @@ class FastLudoService {
         return socket.emit('FAST_LUDO_ERROR', { message: moveResult.message });
       }
 
-      // Update the piece state within the board
-      board[playerColor].pieces[pieceId] = moveResult.updatedPiece;
-      board[playerColor].score += moveResult.scoreChange;
-      board[playerColor].piecesFinished += moveResult.piecesFinishedChange;
-      board[playerColor].piecesInHome += moveResult.piecesInHomeChange; // This will be negative if moved out of home
+      // applyLudoMove updates the piece and the home/finished counters in place, only scoring is left here
+      let scoreChange = this.POINTS.MOVE;
+      const killedPlayers = [];
+      if (moveResult.action === 'CAPTURE') {
+        scoreChange += this.POINTS.KILL;
+        const { color: capturedColor, playerId: capturedPlayerId } = moveResult.capturedPiece;
+        board[capturedColor].score += this.POINTS.KILLED_PENALTY;
+        killedPlayers.push(capturedPlayerId);
+      } else if (moveResult.action === 'FINISH_PIECE') {
+        scoreChange += this.POINTS.FINISH_TOKEN;
+      }
+      board[playerColor].score += scoreChange;
 
       // Reset dice state after move
       gameData.diceRolled = false;
@@ -369,7 +421,7 @@ class FastLudoService {
       } else {
         // Move to next turn in sequence if no extra turn
         if (game.participants && game.participants.length > 0) {
-          nextTurnIndex = (game.currentTurn + 1) % game.participants.length;
+          nextTurnIndex = this.nextActiveTurn(gameId, game.participants, game.currentTurn);
           logger.debug(`Fast Ludo: Switching turn to index ${nextTurnIndex} in game ${gameId}.`);
         } else {
           logger.error(`Fast Ludo: Cannot switch turn - participants array is invalid in game ${gameId}`);
@@ -377,13 +429,11 @@ class FastLudoService {
         }
       }
 
-      // Persist the updated game state to the database
+      // Persist the updated game state to the database; endGame marks the game finished as it settles it
       const updatedGame = await gameService.updateGameState(
         gameId,
         gameData,
-        nextTurnIndex,
-        gameStatus,
-        winnerId
+        nextTurnIndex
       );
 
       // Update in-memory game instance with new state (mainly for timer and quick access)
@@ -391,14 +441,14 @@ class FastLudoService {
       if (gameInstance) {
         gameInstance.gameState.board = updatedGame.gameData.board; // Sync in-memory board
         gameInstance.gameState.currentTurn = updatedGame.currentTurn;
-        gameInstance.gameState.status = updatedGame.status;
+        gameInstance.gameState.status = gameStatus;
         // Reset timer for next player's turn or end timer if game finished
-        if (updatedGame.status === 'PLAYING' && !isExtraTurn) {
+        if (gameStatus === 'PLAYING' && !isExtraTurn) {
           this.startGameTimer(gameId); // Restart timer for the new player
-        } else if (updatedGame.status === 'PLAYING' && isExtraTurn) {
+        } else if (gameStatus === 'PLAYING' && isExtraTurn) {
           // Keep timer running if extra turn for same player, but reset if you have turn-based timers
           // For a game-long timer, no action needed here. If per-turn timer, reset it.
-        } else if (updatedGame.status === 'FINISHED') {
+        } else if (gameStatus === 'FINISHED') {
           if (gameInstance.timer) clearTimeout(gameInstance.timer);
         }
       }
@@ -412,7 +462,7 @@ class FastLudoService {
       });
 
       // Broadcast move result to all players in game room
-      this.io.to(`game:${gameId}`).emit('FAST_LUDO_PIECE_MOVED', {
+      this.io.to(spectatorService.liveRooms(gameId)).emit('FAST_LUDO_PIECE_MOVED', {
         playerId, // Player who moved
         pieceId,
         diceValue: diceValue,
@@ -421,16 +471,29 @@ class FastLudoService {
         nextTurnIndex: updatedGame.currentTurn,
         nextPlayerId: updatedGame.participants[updatedGame.currentTurn].userId,
         isExtraTurn: isExtraTurn,
-        killedPlayers: moveResult.killedPlayers // List of IDs of players whose pieces were killed
+        killedPlayers // List of IDs of players whose pieces were killed
       });
+      this.recordEvent(gameId, 'PIECE_MOVED', playerId, {
+        pieceId,
+        diceValue,
+        action: moveResult.action,
+        newPosition: moveResult.newPosition,
+        scoreChange,
+        isExtraTurn
+      }, updatedGame.gameData, updatedGame.currentTurn);
+      if (moveResult.capturedPiece) {
+        this.recordEvent(gameId, 'PIECE_CAPTURED', playerId, { pieceId, capturedPiece: moveResult.capturedPiece }, updatedGame.gameData, updatedGame.currentTurn);
+      }
 
       logger.info(`Fast Ludo: Player ${playerId} moved piece ${pieceId} with dice ${diceValue} in game ${gameId}.`);
 
       // If game is finished, broadcast end game event and process winnings
-      if (updatedGame.status === 'FINISHED') {
-        this.endGame(gameId, winnerId, 'completion'); // Calls processGameWinnings
+      if (gameStatus === 'FINISHED') {
+        this.endGame(gameId, winnerId, 'completion'); // Settles the game through finishGame
         // Cleanup game instance from map
         this.games.delete(gameId);
+      } else {
+        this.scheduleAutoTurn(gameId, updatedGame.currentTurn);
       }
     } catch (error) {
       logger.error(`❌ Fast Ludo: Move piece error for player ${playerId}, piece ${pieceId} in game ${gameId}:`, error);
@@ -457,19 +520,18 @@ class FastLudoService {
       }
     });
 
-    let winner = null;
-    let highestScore = -Infinity;
+    // Players who forfeited can't win on time
+    Object.keys(scores)
+      .filter(playerId => gameInstance.forfeited.includes(playerId))
+      .forEach(playerId => delete scores[playerId]);
 
-    Object.keys(scores).forEach(playerId => {
-      if (scores[playerId] > highestScore) {
-        highestScore = scores[playerId];
-        winner = playerId;
-      }
-    });
+    const highestScore = Math.max(...Object.values(scores));
+    const leaders = Object.keys(scores).filter(playerId => scores[playerId] === highestScore);
 
-    if (highestScore === -Infinity || winner === null) {
-      logger.warn(`Fast Ludo: Game ${gameId} ended by timer with no clear winner (scores were all 0 or negative).`);
-      winner = null; // Explicitly set winner to null if no one scored positive
+    // A tie for the top score has no single winner; endGame splits the prizes between the tied players
+    const winner = leaders.length === 1 ? leaders[0] : null;
+    if (winner === null) {
+      logger.warn(`Fast Ludo: Game ${gameId} ended by timer with ${leaders.length} players tied on ${highestScore} points.`);
     }
 
     // Use the centralized endGame to handle DB update and cleanup
@@ -481,8 +543,10 @@ class FastLudoService {
   /**
    * Finalizes a game, updates DB, emits end event, and processes winnings.
    * @param {string} gameId - The ID of the game.
+   * Players are ranked by score, except that a player who finished all tokens always ranks first.
    * @param {string|null} winnerId - The ID of the winning player, or null for a tie/no clear winner.
-   * @param {string} reason - The reason for ending the game ('completion' or 'timer').
+   * @param {string} reason - The reason for ending the game ('completion', 'timer' or 'forfeit').
+   * Players who forfeited rank below everyone who didn't.
    */
   async endGame(gameId, winnerId, reason = 'completion') {
     logger.info(`Fast Ludo: Calling endGame for game ${gameId}. Winner: ${winnerId}, Reason: ${reason}`);
@@ -497,36 +561,54 @@ class FastLudoService {
       clearTimeout(gameInstance.timer);
       gameInstance.timer = null;
     }
+    botService.clearGame(gameId);
+    reconnectService.clearGame(gameId);
 
-    // Update game status and winner in the database
-    const finalGame = await gameService.updateGameState(
-      gameId,
-      gameInstance.gameState.board, // Persist final board state
-      gameInstance.gameState.currentTurn, // Keep last turn index
-      'FINISHED',
-      winnerId
-    );
-
-    // Get final scores (could be from updatedGame.gameData or a re-fetch if needed)
+    const finalGameData = { board: gameInstance.gameState.board, diceValue: null, diceRolled: false };
     const finalScores = {};
-    Object.keys(finalGame.gameData.board).forEach(color => {
-      if (finalGame.gameData.board[color].playerId) {
-        finalScores[finalGame.gameData.board[color].playerId] = finalGame.gameData.board[color].score;
+    Object.keys(finalGameData.board).forEach(color => {
+      if (finalGameData.board[color].playerId) {
+        finalScores[finalGameData.board[color].playerId] = finalGameData.board[color].score;
       }
     });
 
-    this.io.to(`game:${gameId}`).emit('FAST_LUDO_GAME_ENDED', {
+    const rankings = gameService.rankPlayers(
+      Object.keys(finalScores).map(playerId => {
+        const forfeitOrder = gameInstance.forfeited.indexOf(playerId);
+        return {
+          userId: playerId,
+          isWinner: playerId === winnerId,
+          score: finalScores[playerId],
+          forfeitOrder: forfeitOrder === -1 ? null : forfeitOrder
+        };
+      }),
+      gameService.compareWithForfeits((a, b) => (b.isWinner - a.isWinner) || (b.score - a.score))
+    );
+    const winners = rankings.filter(r => r.rank === 1).map(r => r.userId);
+
+    // Mark the game finished and pay out before telling the room, so the seed can be verified at once
+    await gameService.finishGame(gameId, {
+      gameData: finalGameData,
+      currentTurn: gameInstance.gameState.currentTurn, // Keep last turn index
+      winnerId,
+      rankings
+    });
+
+    this.io.to(spectatorService.liveRooms(gameId)).emit('FAST_LUDO_GAME_ENDED', {
       winner: winnerId,
+      winners, // More than one when the top score is tied
+      rankings,
       reason,
       finalScores,
-      gameBoard: finalGame.gameData.board // Send final board state
+      gameBoard: finalGameData.board, // Send final board state
+      fairness: await fairDiceService.revealServerSeed(gameId) // Lets players verify every roll
     });
 
+    this.recordEvent(gameId, 'GAME_ENDED', null, { winnerId, rankings, reason }, finalGameData, gameInstance.gameState.currentTurn);
+    await gameEventService.finish(gameId);
+
     logger.info(`Fast Ludo game ${gameId} ended. Winner: ${winnerId}, Reason: ${reason}`);
 
-    // Process winnings after the game is officially ended and state updated
-    await gameService.processGameWinnings(gameId);
-    
     // Explicitly make all sockets leave this game room
     // This is handled in server.js's 'gameFinished' emit block.
     // If not, it should be done here:
@@ -568,7 +650,7 @@ class FastLudoService {
         id: gameId,
         players: gameFromDb.participants.map(p => ({id: p.userId, name: p.user?.name || 'Unknown', socketId: socket.id, color: p.color})), // Simplified player info
         gameState: {
-          board: gameFromDb.gameData, // Initial board from DB
+          board: gameFromDb.gameData?.board || gameFromDb.gameData, // Initial board from DB
           currentTurn: gameFromDb.currentTurn,
           status: gameFromDb.status,
           diceValue: gameFromDb.gameData?.diceValue || null,
@@ -577,6 +659,10 @@ class FastLudoService {
           timerDuration: gameFromDb.maxPlayers === 2 ? 300000 : 600000, // Re-calculate or fetch from game.gameData
           endTime: gameFromDb.gameData?.endTime || (gameFromDb.createdAt.getTime() + (gameFromDb.maxPlayers === 2 ? 300000 : 600000))
         },
+        forfeited: gameFromDb.participants
+          .filter(p => p.forfeited)
+          .sort((a, b) => a.forfeitedAt - b.forfeitedAt)
+          .map(p => p.userId),
         timer: null
       };
       this.games.set(gameId, gameInstance);
@@ -602,7 +688,7 @@ class FastLudoService {
     socket.join(`game:${gameId}`);
     
     // Notify room about player joining
-    this.io.to(`game:${gameId}`).emit('FAST_LUDO_PLAYER_JOINED', {
+    this.io.to(spectatorService.liveRooms(gameId)).emit('FAST_LUDO_PLAYER_JOINED', {
       playerId,
       playerName,
       playersCount: gameInstance.players.length,
@@ -621,6 +707,145 @@ class FastLudoService {
     });
   }
 
+  /**
+   * Index of the next player after fromIndex who hasn't forfeited.
+   */
+  nextActiveTurn(gameId, participants, fromIndex) {
+    const forfeited = this.games.get(gameId)?.forfeited || [];
+    let index = fromIndex;
+    do {
+      index = (index + 1) % participants.length;
+    } while (forfeited.includes(participants[index].userId) && index !== fromIndex);
+    return index;
+  }
+
+  /**
+   * Drop a cancelled game without settling it; its entry fees were refunded.
+   */
+  abortGame(gameId) {
+    const gameInstance = this.games.get(gameId);
+    if (gameInstance?.timer) {
+      clearTimeout(gameInstance.timer);
+    }
+    this.games.delete(gameId);
+    botService.clearGame(gameId);
+    reconnectService.clearGame(gameId);
+    logger.info(`🛑 Fast Ludo: Game ${gameId} aborted`);
+  }
+
+  /**
+   * Takes a player out of the game. Their pieces stay on the board but their turns are skipped
+   * and they can't win on time. The game ends when one player remains, or when only bots do.
+   * @returns {Promise<boolean>} Whether the player was taken out
+   */
+  async forfeit(gameId, playerId, reason = 'resigned') {
+    await this.acquireGameLock(gameId);
+
+    try {
+      const gameInstance = this.games.get(gameId);
+      const game = await gameService.getGameById(gameId);
+      if (!gameInstance || !game || game.status !== 'PLAYING') {
+        logger.warn(`Fast Ludo: Player ${playerId} tried to forfeit game ${gameId}, which is not in progress.`);
+        return false;
+      }
+      if (!game.participants.some(p => p.userId === playerId) || gameInstance.forfeited.includes(playerId)) {
+        logger.warn(`Fast Ludo: Player ${playerId} cannot forfeit game ${gameId}.`);
+        return false;
+      }
+
+      gameInstance.forfeited.push(playerId);
+      botService.cancelTurn(gameId, playerId);
+      await gameService.markForfeited(gameId, playerId);
+
+      this.io.to(spectatorService.liveRooms(gameId)).emit('FAST_LUDO_PLAYER_FORFEITED', { playerId, reason });
+      this.recordEvent(gameId, 'PLAYER_FORFEITED', playerId, { reason }, game.gameData, game.currentTurn);
+
+      const active = game.participants.filter(p => !gameInstance.forfeited.includes(p.userId));
+      if (active.length === 1 || active.every(p => p.isBot)) {
+        await this.endGame(gameId, active.length === 1 ? active[0].userId : null, 'forfeit');
+      } else if (game.participants[game.currentTurn].userId === playerId) {
+        // Drop any roll they made and hand the turn on
+        const gameData = { ...game.gameData, diceRolled: false, diceValue: null };
+        const nextTurnIndex = this.nextActiveTurn(gameId, game.participants, game.currentTurn);
+        await gameService.updateGameState(gameId, gameData, nextTurnIndex);
+        gameInstance.gameState.currentTurn = nextTurnIndex;
+
+        this.io.to(spectatorService.liveRooms(gameId)).emit('FAST_LUDO_TURN_UPDATE', {
+          currentPlayerId: game.participants[nextTurnIndex].userId,
+          currentTurnIndex: nextTurnIndex,
+          gameBoard: gameData.board
+        });
+        this.scheduleAutoTurn(gameId, nextTurnIndex);
+      }
+
+      logger.info(`🏳️ Fast Ludo: Player ${playerId} forfeited game ${gameId} (${reason}).`);
+      return true;
+    } finally {
+      this.releaseGameLock(gameId);
+    }
+  }
+
+  /**
+   * Plays the turn at turnIndex (the current turn by default) if it belongs to a bot or a
+   * disconnected player: rolls, then moves the piece the difficulty prefers. Turns of
+   * connected players are left alone.
+   */
+  scheduleAutoTurn(gameId, turnIndex = this.games.get(gameId)?.gameState.currentTurn) {
+    const participant = this.games.get(gameId)?.players[turnIndex];
+    if (!participant?.userId) return;
+    if (!participant.isBot && !reconnectService.isAway(gameId, participant.userId)) return;
+
+    const playerId = participant.userId;
+    const difficulty = participant.isBot ? participant.botDifficulty : reconnectService.AUTO_PLAY_DIFFICULTY;
+    botService.scheduleTurn(gameId, playerId, difficulty, async () => {
+      const socket = botService.createSocket(playerId, participant.user?.name);
+      await this.rollDice(socket, { gameId, playerId });
+
+      // The roll is persisted with the game, read it back to pick a move
+      const game = await gameService.getGameById(gameId);
+      const gameData = game?.gameData;
+      if (!game || game.status !== 'PLAYING' || !gameData?.diceRolled || game.participants[game.currentTurn]?.userId !== playerId) return;
+
+      const movablePieces = this.getMovablePieces(gameData.board, playerId, gameData.diceValue);
+      if (movablePieces.length === 0) return; // rollDice ends the turn by itself
+
+      await botService.wait(botService.thinkTime(difficulty));
+      const playerColor = gameService.getLudoPlayerColor(gameData.board, playerId);
+      const pieceId = botService.chooseLudoPiece(gameData.board, playerColor, gameData.diceValue, movablePieces, difficulty);
+      await this.movePiece(socket, { gameId, playerId, pieceId });
+    });
+  }
+
+  /**
+   * Adds an event to the game's replay log. Fast Ludo state lives in gameData plus the turn index.
+   */
+  recordEvent(gameId, type, actorId, payload, gameData, currentTurn) {
+    gameEventService.record(gameId, type, actorId, payload, { ...gameData, currentTurn });
+  }
+
+  /**
+   * Everything a reconnecting player needs to redraw the table, including the game clock.
+   * Board, dice and turn come from the DB, which is where Fast Ludo keeps them.
+   */
+  async getSnapshot(gameId) {
+    const gameInstance = this.games.get(gameId);
+    const game = await gameService.getGameById(gameId);
+    if (!gameInstance || !game) return null;
+
+    const gameData = game.gameData || {};
+    return {
+      gameBoard: gameData.board,
+      scores: this.getScoresFromBoard(gameData.board),
+      currentPlayerId: game.participants[game.currentTurn]?.userId,
+      currentTurnIndex: game.currentTurn,
+      diceValue: gameData.diceValue,
+      diceRolled: gameData.diceRolled,
+      status: game.status,
+      timerEndTime: gameInstance.gameState.endTime,
+      timeLeftMs: Math.max(0, gameInstance.gameState.endTime - Date.now())
+    };
+  }
+
   // Helper to extract current scores from the board object
   getScoresFromBoard(board) {
     const scores = {};
@@ -633,25 +858,7 @@ class FastLudoService {
   }
 
   canPlayerMove(board, playerId, diceValue) {
-    const playerColor = gameService.getLudoPlayerColor(board, playerId);
-    if (!playerColor) return false;
-
-    const playerData = board[playerColor];
-    
-    // In Fast Ludo, all pieces start outside, so check if any piece can move
-    for (const piece of playerData.pieces) {
-      if (piece.position === 'board') {
-        return true; // Can always try to move pieces on board
-      }
-      if (piece.position === 'homeStretch') {
-        const newPos = piece.boardPosition + diceValue;
-        if (newPos <= 6) {
-          return true; // Can move in home stretch without overshooting
-        }
-      }
-    }
-    
-    return false;
+    return this.getMovablePieces(board, playerId, diceValue).length > 0;
   }
 
   getMovablePieces(board, playerId, diceValue) {
@@ -662,18 +869,7 @@ class FastLudoService {
     const movablePieces = [];
     
     playerData.pieces.forEach((piece, index) => {
-      let canMove = false;
-      
-      if (piece.position === 'board') {
-        canMove = true;
-      } else if (piece.position === 'homeStretch') {
-        const newPos = piece.boardPosition + diceValue;
-        if (newPos <= 6) {
-          canMove = true;
-        }
-      }
-      
-      if (canMove) {
+      if (gameService.canMoveLudoPiece(piece, playerColor, diceValue)) {
         movablePieces.push({
           pieceId: index,
           pieceIndex: index,
@@ -688,4 +884,14 @@ class FastLudoService {
   }
 }
 
+gameRegistry.register({
+  type: 'FAST_LUDO',
+  name: 'Fast Ludo',
+  minPlayers: 2,
+  maxPlayers: 4,
+  Service: FastLudoService,
+  initializeBoard: (playerCount) => gameService.initializeLudoGameBoard(playerCount),
+  socketEvents: ['START_FAST_LUDO', 'ROLL_FAST_LUDO_DICE', 'MOVE_FAST_LUDO_PIECE', 'JOIN_FAST_LUDO_ROOM', 'FORFEIT_FAST_LUDO']
+});
+
 module.exports = FastLudoService;
\ No newline at end of file
@@ -1,6 +1,11 @@
 // MemoryGameService.js - Complete Memory Game Implementation
 const logger = require('../config/logger');
 const gameService = require('./gameService');
+const gameRegistry = require('./gameRegistry');
+const botService = require('./botService');
+const reconnectService = require('./reconnectService');
+const spectatorService = require('./spectatorService');
+const gameEventService = require('./gameEventService');
 const prisma = require('../config/database');
 
 class MemoryGameService {
@@ -10,7 +15,6 @@ class MemoryGameService {
     this.TURN_TIMER = 15000; // 15 seconds total for 2 cards
     this.turnTimers = new Map();
     this.countdownIntervals = new Map();
-    this.processedWinnings = new Set(); // Track games where winnings have been processed
   }
 
   setupSocketHandlers(socket) {
@@ -19,27 +23,6 @@ class MemoryGameService {
     socket.on('selectCard', (data) => this.selectCard(socket, data));
     socket.on('JOIN_MEMORY_ROOM', (data) => this.joinRoom(socket, data));
     socket.on('LEAVE_MEMORY_GAME', (data) => this.handlePlayerLeave(socket, data));
-    socket.on('disconnect', () => this.handlePlayerDisconnect(socket));
-  }
-
-  async safeProcessWinnings(gameId, winnerId) {
-    // Check if winnings have already been processed for this game
-    if (this.processedWinnings.has(gameId)) {
-      logger.warn(`Winnings already processed for game ${gameId}, skipping duplicate processing`);
-      return;
-    }
-
-    // Mark as processed immediately to prevent race conditions
-    this.processedWinnings.add(gameId);
-
-    try {
-      await gameService.processGameWinnings(gameId);
-      logger.info(`Successfully processed winnings for game ${gameId}, winner: ${winnerId}`);
-    } catch (error) {
-      logger.error(`Failed to process game winnings for game ${gameId}:`, error);
-      // Remove from processed set if it failed, so it can be retried
-      this.processedWinnings.delete(gameId);
-    }
   }
 
   async startGame({ roomId }) {
@@ -48,7 +31,7 @@ class MemoryGameService {
       
       const game = await gameService.getGameById(roomId);
       if (!game || !game.participants || game.participants.length < 2) {
-        this.io.to(`game:${roomId}`).emit('MEMORY_GAME_ERROR', { 
+        this.io.to(spectatorService.liveRooms(roomId)).emit('MEMORY_GAME_ERROR', { 
           message: 'Not enough players to start game.' 
         });
         return;
@@ -62,7 +45,8 @@ class MemoryGameService {
         id: p.userId,
         name: p.user?.name || `Player ${index + 1}`,
         position: index,
-        score: 0
+        score: 0,
+        isBot: p.isBot
       }));
 
       // Initialize game state
@@ -78,7 +62,9 @@ class MemoryGameService {
         matchedPairs: 0,
         totalPairs: 15,
         status: 'playing',
-        processingCards: false
+        processingCards: false,
+        bots: this.getBotDifficulties(game.participants),
+        forfeited: [] // { id, name, score } in the order players forfeited
       };
 
       // Initialize scores and lifelines
@@ -92,12 +78,12 @@ class MemoryGameService {
       this.games.set(roomId, gameState);
 
       // Update database
-      await gameService.updateGameState(roomId, initialBoard, 0, 'PLAYING', null);
+      await gameService.updateGameState(roomId, initialBoard, 0);
 
       console.log(`Memory Game: Starting game ${roomId} with prize pool: ${game.prizePool}`);
       
       // Emit game started
-      this.io.to(`game:${roomId}`).emit('MEMORY_GAME_STARTED', {
+      this.io.to(spectatorService.liveRooms(roomId)).emit('MEMORY_GAME_STARTED', {
         gameBoard: initialBoard.map(card => ({
           id: card.id,
           position: card.position,
@@ -112,9 +98,10 @@ class MemoryGameService {
         totalPairs: 15,
         prizePool: game.prizePool || 0
       });
+      this.recordEvent(roomId, 'GAME_STARTED', null, { players: players.map(p => p.id) });
 
       // Emit initial turn state
-      this.io.to(`game:${roomId}`).emit('MEMORY_GAME_CURRENT_TURN', {
+      this.io.to(spectatorService.liveRooms(roomId)).emit('MEMORY_GAME_CURRENT_TURN', {
         currentPlayer: players[0].id,
         currentPlayerName: players[0].name,
         players: players
@@ -126,7 +113,7 @@ class MemoryGameService {
       logger.info(`Memory Game: Game ${roomId} started successfully with ${players.length} players`);
     } catch (error) {
       logger.error(`Memory Game: Error starting game ${roomId}:`, error);
-      this.io.to(`game:${roomId}`).emit('MEMORY_GAME_ERROR', { 
+      this.io.to(spectatorService.liveRooms(roomId)).emit('MEMORY_GAME_ERROR', { 
         message: 'Failed to start game.' 
       });
     }
@@ -260,12 +247,14 @@ class MemoryGameService {
       });
 
       // Emit card opened
-      this.io.to(`game:${gameId}`).emit('MEMORY_CARD_OPENED', {
+      this.io.to(spectatorService.liveRooms(gameId)).emit('MEMORY_CARD_OPENED', {
         position: position,
         symbol: card.symbol,
         playerId: playerId,
         selectedCount: gameState.selectedCards.length
       });
+      botService.rememberMemoryCard(gameId, position, card.symbol);
+      this.recordEvent(gameId, 'CARD_FLIPPED', playerId, { position, symbol: card.symbol });
 
       // If 2 cards selected, check for match
       if (gameState.selectedCards.length === 2) {
@@ -309,13 +298,17 @@ class MemoryGameService {
         });
 
         // Emit match event immediately
-        this.io.to(`game:${gameId}`).emit('MEMORY_CARDS_MATCHED', {
+        this.io.to(spectatorService.liveRooms(gameId)).emit('MEMORY_CARDS_MATCHED', {
           positions: [card1.position, card2.position],
           playerId: gameState.currentTurnPlayerId,
           playerName: currentPlayer.name,
           scores: gameState.scores,
           matchedPairs: gameState.matchedPairs
         });
+        this.recordEvent(gameId, 'CARDS_MATCHED', gameState.currentTurnPlayerId, {
+          positions: [card1.position, card2.position],
+          symbol: card1.symbol
+        });
 
         // Check if game finished
         if (gameState.matchedPairs >= gameState.totalPairs) {
@@ -334,18 +327,22 @@ class MemoryGameService {
         gameState.board[card2.position].isFlipped = false;
         
         // Emit mismatch event with immediate flip back
-        this.io.to(`game:${gameId}`).emit('MEMORY_CARDS_MISMATCHED', {
+        this.io.to(spectatorService.liveRooms(gameId)).emit('MEMORY_CARDS_MISMATCHED', {
           positions: [card1.position, card2.position],
           symbols: [card1.symbol, card2.symbol],
           nextPlayerName: gameState.players[(gameState.currentTurnIndex + 1) % gameState.players.length].name
         });
+        this.recordEvent(gameId, 'CARDS_MISMATCHED', gameState.currentTurnPlayerId, {
+          positions: [card1.position, card2.position],
+          symbols: [card1.symbol, card2.symbol]
+        });
 
         // Change turn immediately
         this.nextTurn(gameId);
       }
 
       // Update database (non-blocking)
-      gameService.updateGameState(gameId, gameState.board, gameState.currentTurnIndex, 'PLAYING', null).catch(err => {
+      gameService.updateGameState(gameId, gameState.board, gameState.currentTurnIndex).catch(err => {
         logger.error('Failed to update game state:', err);
       });
 
@@ -372,7 +369,7 @@ class MemoryGameService {
     const currentPlayer = gameState.players[gameState.currentTurnIndex];
 
     // Emit turn change
-    this.io.to(`game:${gameId}`).emit('MEMORY_TURN_CHANGED', {
+    this.io.to(spectatorService.liveRooms(gameId)).emit('MEMORY_TURN_CHANGED', {
       currentPlayer: currentPlayer,
       currentPlayerId: currentPlayer.id,
       currentPlayerName: currentPlayer.name,
@@ -380,7 +377,7 @@ class MemoryGameService {
     });
 
     // Also emit the old event name for compatibility
-    this.io.to(`game:${gameId}`).emit('MEMORY_GAME_CURRENT_TURN', {
+    this.io.to(spectatorService.liveRooms(gameId)).emit('MEMORY_GAME_CURRENT_TURN', {
       currentPlayer: currentPlayer.id,
       currentPlayerName: currentPlayer.name,
       players: gameState.players
@@ -402,11 +399,12 @@ class MemoryGameService {
     const timer = setTimeout(() => {
       this.handleTurnTimeout(gameId);
     }, this.TURN_TIMER);
+    gameState.turnEndsAt = Date.now() + this.TURN_TIMER;
 
     this.turnTimers.set(gameId, timer);
 
     // Emit timer start
-    this.io.to(`game:${gameId}`).emit('MEMORY_TURN_TIMER', {
+    this.io.to(spectatorService.liveRooms(gameId)).emit('MEMORY_TURN_TIMER', {
       playerId: gameState.currentTurnPlayerId,
       playerName: currentPlayer?.name || 'Unknown',
       timeLeft: this.TURN_TIMER / 1000
@@ -417,7 +415,7 @@ class MemoryGameService {
     const countdownInterval = setInterval(() => {
       timeLeft--;
       if (timeLeft > 0) {
-        this.io.to(`game:${gameId}`).emit('MEMORY_TIMER_UPDATE', {
+        this.io.to(spectatorService.liveRooms(gameId)).emit('MEMORY_TIMER_UPDATE', {
           timeLeft: timeLeft
         });
       } else {
@@ -426,6 +424,48 @@ class MemoryGameService {
     }, 1000);
 
     this.countdownIntervals.set(gameId, countdownInterval);
+
+    this.scheduleAutoTurn(gameId);
+  }
+
+  /**
+   * Add an event to the game's replay log along with the full board, face-down symbols included.
+   */
+  recordEvent(gameId, type, actorId, payload) {
+    gameEventService.record(gameId, type, actorId, payload, this.games.get(gameId));
+  }
+
+  getBotDifficulties(participants) {
+    return Object.fromEntries(participants.filter(p => p.isBot).map(p => [p.userId, p.botDifficulty]));
+  }
+
+  /**
+   * If the current player is a bot or disconnected, flip two cards for them with a pause in between.
+   */
+  scheduleAutoTurn(gameId) {
+    const gameState = this.games.get(gameId);
+    const player = gameState?.players.find(p => p.id === gameState.currentTurnPlayerId);
+    if (!player) return;
+    if (!player.isBot && !reconnectService.isAway(gameId, player.id)) return;
+
+    const difficulty = player.isBot ? gameState.bots[player.id] : reconnectService.AUTO_PLAY_DIFFICULTY;
+    botService.scheduleTurn(gameId, player.id, difficulty, async () => {
+      const socket = botService.createSocket(player.id, player.name);
+
+      for (let pick = 0; pick < 2; pick++) {
+        const current = this.games.get(gameId);
+        if (!current || current.currentTurnPlayerId !== player.id || current.processingCards) return;
+
+        const firstCard = current.selectedCards[0] || null;
+        const position = botService.chooseMemoryCard(gameId, current.board, firstCard, difficulty);
+        if (position === null) return;
+
+        await this.selectCard(socket, { gameId, playerId: player.id, position });
+        if (pick === 0) {
+          await botService.wait(botService.thinkTime(difficulty));
+        }
+      }
+    });
   }
 
   clearTurnTimer(gameId) {
@@ -453,7 +493,7 @@ class MemoryGameService {
       gameState.missedTurns[currentPlayer.id] = (gameState.missedTurns[currentPlayer.id] || 0) + 1;
 
       // Emit lifeline lost event
-      this.io.to(`game:${gameId}`).emit('MEMORY_LIFELINE_LOST', {
+      this.io.to(spectatorService.liveRooms(gameId)).emit('MEMORY_LIFELINE_LOST', {
         playerId: currentPlayer.id,
         playerName: currentPlayer.name,
         remainingLifelines: gameState.lifelines[currentPlayer.id]
@@ -462,7 +502,7 @@ class MemoryGameService {
       // Check if player should be eliminated (0 lifelines remaining)
       if (gameState.lifelines[currentPlayer.id] === 0) {
         // Emit player eliminated event
-        this.io.to(`game:${gameId}`).emit('MEMORY_PLAYER_ELIMINATED', {
+        this.io.to(spectatorService.liveRooms(gameId)).emit('MEMORY_PLAYER_ELIMINATED', {
           playerId: currentPlayer.id,
           playerName: currentPlayer.name,
           reason: 'No lifelines remaining'
@@ -473,6 +513,7 @@ class MemoryGameService {
         delete gameState.scores[currentPlayer.id];
         delete gameState.lifelines[currentPlayer.id];
         delete gameState.missedTurns[currentPlayer.id];
+        this.recordEvent(gameId, 'PLAYER_ELIMINATED', null, { playerId: currentPlayer.id, reason: 'No lifelines remaining' });
 
         // Check if only one player remains
         if (gameState.players.length === 1) {
@@ -496,19 +537,24 @@ class MemoryGameService {
 
     // Emit card flip back event if there are cards to flip
     if (flippedPositions.length > 0) {
-      this.io.to(`game:${gameId}`).emit('MEMORY_CARDS_TIMEOUT_FLIP_BACK', {
+      this.io.to(spectatorService.liveRooms(gameId)).emit('MEMORY_CARDS_TIMEOUT_FLIP_BACK', {
         positions: flippedPositions
       });
     }
 
     // Emit turn skipped event
-    this.io.to(`game:${gameId}`).emit('MEMORY_TURN_SKIPPED', {
+    this.io.to(spectatorService.liveRooms(gameId)).emit('MEMORY_TURN_SKIPPED', {
       skippedPlayer: currentPlayer?.name || 'Unknown',
       skippedPlayerId: currentPlayer?.id,
       nextPlayerName: nextPlayer?.name || 'Unknown',
       reason: 'timeout',
       flippedBackPositions: flippedPositions
     });
+    this.recordEvent(gameId, 'TURN_TIMEOUT', null, {
+      playerId: currentPlayer?.id,
+      remainingLifelines: gameState.lifelines[currentPlayer?.id] ?? 0,
+      flippedBackPositions: flippedPositions
+    });
 
     // Move to next turn (only if player wasn't eliminated)
     if (gameState.players.find(p => p.id === currentPlayer?.id)) {
@@ -520,7 +566,7 @@ class MemoryGameService {
     }
   }
 
-  async endGame(gameId) {
+  async endGame(gameId, reason = 'completed') {
     try {
       const gameState = this.games.get(gameId);
       if (!gameState) return;
@@ -531,16 +577,26 @@ class MemoryGameService {
       let winnerId = null;
       let highestScore = -1;
       
-      // Create sorted leaderboard
-      const leaderboard = gameState.players.map(player => ({
-        id: player.id,
-        name: player.name,
-        score: gameState.scores[player.id] || 0
-      })).sort((a, b) => b.score - a.score);
-
-      // Determine winner
+      // Create sorted leaderboard, players who forfeited go last
+      const leaderboard = [
+        ...gameState.players.map(player => ({
+          id: player.id,
+          name: player.name,
+          score: gameState.scores[player.id] || 0,
+          forfeitOrder: null
+        })).sort((a, b) => b.score - a.score),
+        ...gameState.forfeited.map((player, index) => ({ ...player, forfeitOrder: index })).reverse()
+      ];
+
+      const rankings = gameService.rankPlayers(
+        leaderboard.map(entry => ({ userId: entry.id, score: entry.score, forfeitOrder: entry.forfeitOrder })),
+        gameService.compareWithForfeits((a, b) => b.score - a.score)
+      );
+      const winnerIds = rankings.filter(r => r.rank === 1).map(r => r.userId);
+
+      // Determine winner; a tie for the top score has no single winner and the prizes are split
       if (leaderboard.length > 0) {
-        winnerId = leaderboard[0].id;
+        winnerId = winnerIds.length === 1 ? winnerIds[0] : null;
         highestScore = leaderboard[0].score;
       }
 
@@ -555,13 +611,20 @@ class MemoryGameService {
       console.log(`Memory Game: Leaderboard:`, leaderboard);
       console.log(`Memory Game: Final scores:`, gameState.scores);
 
-      // Update database
-      await gameService.updateGameState(gameId, gameState.board, gameState.currentTurnIndex, 'FINISHED', winnerId);
+      // Mark the game finished and pay out
+      await gameService.finishGame(gameId, {
+        gameData: gameState.board,
+        currentTurn: gameState.currentTurnIndex,
+        winnerId,
+        rankings
+      });
 
       // Emit game end with complete information
-      this.io.to(`game:${gameId}`).emit('MEMORY_GAME_ENDED', {
+      this.io.to(spectatorService.liveRooms(gameId)).emit('MEMORY_GAME_ENDED', {
         winner: winner,
         winnerId: winnerId,
+        winnerIds, // More than one when the top score is tied
+        rankings,
         finalScores: gameState.scores,
         players: gameState.players,
         prizePool: prizePool,
@@ -571,19 +634,17 @@ class MemoryGameService {
           totalPairs: gameState.totalPairs,
           matchedPairs: gameState.matchedPairs,
           winnerScore: highestScore
-        }
+        },
+        reason
       });
 
-      // Process winnings only once (non-blocking)
-      if (winnerId) {
-        this.safeProcessWinnings(gameId, winnerId).catch(err => {
-          logger.error('Failed to process game winnings:', err);
-        });
-      }
+      this.recordEvent(gameId, 'GAME_ENDED', null, { winnerId, rankings, reason });
+      gameEventService.finish(gameId);
 
       // Clean up
       this.games.delete(gameId);
-      this.processedWinnings.delete(gameId); // Clean up processed winnings tracking
+      botService.clearGame(gameId);
+      reconnectService.clearGame(gameId);
 
       logger.info(`Memory Game: Game ${gameId} ended. Winner: ${winnerId} with score: ${highestScore}`);
     } catch (error) {
@@ -606,7 +667,8 @@ class MemoryGameService {
           id: p.userId,
           name: p.user?.name || `Player ${index + 1}`,
           position: index,
-          score: 0
+          score: 0,
+          isBot: p.isBot
         }));
 
         gameState = {
@@ -621,7 +683,8 @@ class MemoryGameService {
           matchedPairs: 0,
           totalPairs: 15,
           status: gameFromDb.status,
-          processingCards: false
+          processingCards: false,
+          bots: this.getBotDifficulties(gameFromDb.participants)
         };
 
         // Initialize scores and lifelines
@@ -675,123 +738,156 @@ class MemoryGameService {
     }
   }
 
-  async handlePlayerLeave(socket, { roomId, playerId }) {
-    try {
-      const gameState = this.games.get(roomId);
-      if (!gameState) return;
-
-      await this.handlePlayerExit(roomId, playerId, 'left');
-    } catch (error) {
-      logger.error(`Memory Game: Player leave error:`, error);
+  /**
+   * Game state for spectators. Face-down cards are sent without their symbols.
+   */
+  getSpectatorState(gameId) {
+    const gameState = this.games.get(gameId);
+    if (!gameState) {
+      // Not started yet; watchers get the board with MEMORY_GAME_STARTED
+      return { status: 'waiting' };
     }
+
+    return {
+      gameBoard: gameState.board.map(card => ({
+        id: card.id,
+        position: card.position,
+        isFlipped: card.isFlipped,
+        isMatched: card.isMatched,
+        symbol: card.isFlipped || card.isMatched ? card.symbol : null
+      })),
+      players: gameState.players,
+      currentPlayer: gameState.players.find(p => p.id === gameState.currentTurnPlayerId),
+      scores: gameState.scores,
+      lifelines: gameState.lifelines,
+      matchedPairs: gameState.matchedPairs,
+      totalPairs: gameState.totalPairs,
+      status: gameState.status
+    };
+  }
+
+  /**
+   * Everything a reconnecting player needs to redraw the table: the spectator view plus
+   * their own turn progress and the turn clock.
+   */
+  getSnapshot(gameId) {
+    const gameState = this.games.get(gameId);
+    if (!gameState) return null;
+
+    return {
+      ...this.getSpectatorState(gameId),
+      currentTurnIndex: gameState.currentTurnIndex,
+      selectedCards: gameState.selectedCards,
+      processingCards: gameState.processingCards,
+      turnEndsAt: gameState.turnEndsAt,
+      turnTimeLeftMs: Math.max(0, (gameState.turnEndsAt || 0) - Date.now())
+    };
   }
 
-  async handlePlayerDisconnect(socket) {
+  async handlePlayerLeave(socket, { roomId }) {
     try {
-      // Find all games this socket is part of
-      const playerId = socket.user?.id;
-      if (!playerId) return;
-
-      for (const [roomId, gameState] of this.games.entries()) {
-        const player = gameState.players.find(p => p.id === playerId);
-        if (player) {
-          await this.handlePlayerExit(roomId, playerId, 'disconnected');
-        }
-      }
+      await this.forfeit(roomId, socket.user.id, 'left');
     } catch (error) {
-      logger.error(`Memory Game: Player disconnect error:`, error);
+      logger.error(`Memory Game: Player leave error:`, error);
     }
   }
 
+  /**
+   * Drop a cancelled game without settling it; its entry fees were refunded.
+   */
+  abortGame(gameId) {
+    this.clearTurnTimer(gameId);
+    this.games.delete(gameId);
+    botService.clearGame(gameId);
+    reconnectService.clearGame(gameId);
+    logger.info(`🛑 Memory Game: Game ${gameId} aborted`);
+  }
+
+  /**
+   * Takes a player out of the game. Their score is kept for the final standings, where they rank
+   * below everyone still playing. The game ends when one player remains, or when only bots do.
+   * @returns {Promise<boolean>} Whether the player was taken out
+   */
+  async forfeit(gameId, playerId, reason = 'resigned') {
+    return this.handlePlayerExit(gameId, playerId, reason);
+  }
+
   async handlePlayerExit(roomId, playerId, reason) {
     try {
       const gameState = this.games.get(roomId);
-      if (!gameState || gameState.status !== 'playing') return;
-
-      const leavingPlayer = gameState.players.find(p => p.id === playerId);
-      if (!leavingPlayer) return;
+      if (!gameState || gameState.status !== 'playing') return false;
 
-      // Clear timers
-      this.clearTurnTimer(roomId);
+      const leavingIndex = gameState.players.findIndex(p => p.id === playerId);
+      if (leavingIndex === -1) return false;
+      const leavingPlayer = gameState.players[leavingIndex];
+      const wasTheirTurn = gameState.currentTurnPlayerId === playerId;
 
-      // If it's a 2-player game, automatically declare the other player as winner
-      if (gameState.players.length === 2) {
-        const remainingPlayer = gameState.players.find(p => p.id !== playerId);
-        
-        if (remainingPlayer) {
-          // Get game info for prize pool
-          const game = await gameService.getGameById(roomId);
-          const prizePool = game?.prizePool || 0;
-
-          // Update database with winner
-          await gameService.updateGameState(roomId, gameState.board, gameState.currentTurnIndex, 'FINISHED', remainingPlayer.id);
-
-          // Create leaderboard with remaining player as winner
-          const leaderboard = [
-            {
-              id: remainingPlayer.id,
-              name: remainingPlayer.name,
-              score: gameState.scores[remainingPlayer.id] || 0
-            },
-            {
-              id: playerId,
-              name: leavingPlayer.name,
-              score: gameState.scores[playerId] || 0
-            }
-          ];
-
-          // Emit game end with winner
-          this.io.to(`game:${roomId}`).emit('MEMORY_GAME_ENDED', {
-            winner: remainingPlayer,
-            winnerId: remainingPlayer.id,
-            finalScores: gameState.scores,
-            players: gameState.players,
-            prizePool: prizePool,
-            leaderboard: leaderboard,
-            totalPlayers: gameState.players.length,
-            gameStats: {
-              totalPairs: gameState.totalPairs,
-              matchedPairs: gameState.matchedPairs,
-              winnerScore: gameState.scores[remainingPlayer.id] || 0
-            },
-            reason: `${leavingPlayer.name} ${reason} the game`
-          });
+      await gameService.markForfeited(roomId, playerId);
+      botService.cancelTurn(roomId, playerId);
 
-          // Process winnings only if there's a valid winner
-          if (remainingPlayer && remainingPlayer.id) {
-            this.safeProcessWinnings(roomId, remainingPlayer.id).catch(err => {
-              logger.error('Failed to process game winnings:', err);
-            });
-          }
+      gameState.forfeited.push({ id: playerId, name: leavingPlayer.name, score: gameState.scores[playerId] || 0 });
+      gameState.players.splice(leavingIndex, 1);
+      delete gameState.scores[playerId];
+      delete gameState.lifelines[playerId];
+      delete gameState.missedTurns[playerId];
+      this.recordEvent(roomId, 'PLAYER_FORFEITED', playerId, { reason });
 
-          // Clean up
-          this.games.delete(roomId);
-          this.processedWinnings.delete(roomId); // Clean up processed winnings tracking
-
-          logger.info(`Memory Game: Game ${roomId} ended due to player ${reason}. Winner: ${remainingPlayer.id}`);
-        }
-      } else {
-        // For games with more than 2 players, just remove the player and continue
-        gameState.players = gameState.players.filter(p => p.id !== playerId);
-        delete gameState.scores[playerId];
+      // Notify remaining players
+      this.io.to(spectatorService.liveRooms(roomId)).emit('MEMORY_PLAYER_LEFT', {
+        playerId: playerId,
+        playerName: leavingPlayer.name,
+        reason: reason,
+        remainingPlayers: gameState.players
+      });
 
-        // If it was the leaving player's turn, move to next player
-        if (gameState.currentTurnPlayerId === playerId) {
-          this.nextTurn(roomId);
-        }
+      if (gameState.players.length === 1 || gameState.players.every(p => p.isBot)) {
+        await this.endGame(roomId, `${leavingPlayer.name} ${reason} the game`);
+        return true;
+      }
 
-        // Notify remaining players
-        this.io.to(`game:${roomId}`).emit('MEMORY_PLAYER_LEFT', {
-          playerId: playerId,
-          playerName: leavingPlayer.name,
-          reason: reason,
-          remainingPlayers: gameState.players
+      if (wasTheirTurn) {
+        // Turn the cards they had open back over; nextTurn then moves on to the seat they vacated
+        const flippedPositions = gameState.selectedCards.map(selected => selected.position);
+        flippedPositions.forEach(position => {
+          gameState.board[position].isFlipped = false;
         });
+        if (flippedPositions.length > 0) {
+          this.io.to(spectatorService.liveRooms(roomId)).emit('MEMORY_CARDS_TIMEOUT_FLIP_BACK', {
+            positions: flippedPositions
+          });
+        }
+        this.clearTurnTimer(roomId);
+        gameState.currentTurnIndex = (leavingIndex - 1 + gameState.players.length) % gameState.players.length;
+        this.nextTurn(roomId);
+      } else if (leavingIndex < gameState.currentTurnIndex) {
+        gameState.currentTurnIndex--;
       }
+
+      logger.info(`Memory Game: Player ${playerId} ${reason} game ${roomId}`);
+      return true;
     } catch (error) {
       logger.error(`Memory Game: Handle player exit error:`, error);
+      return false;
     }
   }
 }
 
+gameRegistry.register({
+  type: 'MEMORY',
+  name: 'Memory',
+  minPlayers: 2,
+  maxPlayers: 4,
+  Service: MemoryGameService,
+  initializeBoard: () => gameService.initializeMemoryGameBoard(),
+  socketEvents: ['START_MEMORY_GAME', 'SELECT_MEMORY_CARD', 'selectCard', 'JOIN_MEMORY_ROOM', 'LEAVE_MEMORY_GAME'],
+  hooks: {
+    // Memory rooms are keyed by roomId rather than gameId
+    join: (service, socket, { gameId, playerId, playerName }) => service.joinRoom(socket, { roomId: gameId, playerId, playerName }),
+    start: (service, { gameId }) => service.startGame({ roomId: gameId }),
+    end: (service, gameId) => service.endGame(gameId),
+    // The stored board holds every card's symbol, watchers only see the face-up ones
+    getSpectatorState: (service, gameId) => service.getSpectatorState(gameId)
+  }
+});
+
 module.exports = MemoryGameService;
\ No newline at end of file
@@ -1,5 +1,11 @@
 const logger = require('../config/logger');
 const gameService = require('./gameService');
+const fairDiceService = require('./fairDiceService');
+const botService = require('./botService');
+const reconnectService = require('./reconnectService');
+const spectatorService = require('./spectatorService');
+const gameEventService = require('./gameEventService');
+const gameRegistry = require('./gameRegistry');
 const gameStateManager = require('./gameStateManager');
 
 class SnakesLaddersService {
@@ -112,7 +118,7 @@ class SnakesLaddersService {
 
         socket.join(`game:${gameId}`);
 
-        this.io.to(`game:${gameId}`).emit('snakes_playerJoined', {
+        this.io.to(spectatorService.liveRooms(gameId)).emit('snakes_playerJoined', {
           players: room.players,
           gameState: {
             started: room.gameStarted,
@@ -156,15 +162,19 @@ class SnakesLaddersService {
           config: this.GAME_CONFIG 
         }, room.currentTurnIndex, 'PLAYING');
 
-        this.io.to(`game:${gameId}`).emit('snakes_gameStarted', {
+        const serverSeedHash = await fairDiceService.commitServerSeed(gameId);
+
+        this.io.to(spectatorService.liveRooms(gameId)).emit('snakes_gameStarted', {
           players: room.players,
           currentPlayer: room.getCurrentPlayer(),
           gameState: {
             started: true,
             currentTurn: room.currentTurnIndex
-          }
+          },
+          serverSeedHash
         });
 
+        this.recordEvent(gameId, 'GAME_STARTED', null, { serverSeedHash });
         logger.info(`Snakes & Ladders game started in room: ${gameId}`);
       } catch (error) {
         logger.error(`Snakes start game error for user ${userId}:`, error);
@@ -172,94 +182,16 @@ class SnakesLaddersService {
       }
     });
 
-    socket.on('snakes_rollDice', async (data) => {
-      try {
-        const { gameId } = data;
-        
-        if (!gameId || !this.rooms.has(gameId)) {
-          return socket.emit('snakes_error', { message: 'Invalid game ID' });
-        }
-
-        const room = this.rooms.get(gameId);
-        
-        if (!room.gameStarted) {
-          return socket.emit('snakes_error', { message: 'Game not started yet' });
-        }
-
-        const currentPlayer = room.getCurrentPlayer();
-        if (currentPlayer.id !== userId) {
-          return socket.emit('snakes_error', { message: 'Not your turn' });
-        }
-
-        // Check if dice already rolled this turn
-        if (room.diceRolled) {
-          return socket.emit('snakes_error', { message: 'Dice already rolled this turn' });
-        }
-
-        const diceValue = Math.floor(Math.random() * 6) + 1;
-        room.lastDiceRoll = { player: userId, value: diceValue, timestamp: new Date() };
-        room.diceRolled = true;
+    socket.on('snakes_rollDice', (data) => this.rollDice(socket, data));
 
-        const oldPosition = currentPlayer.position;
-        let newPosition = oldPosition + diceValue;
-        
-        // Check if player would go beyond 100
-        if (newPosition > this.GAME_CONFIG.BOARD_SIZE) {
-          newPosition = oldPosition; // Stay in same position if would exceed 100
-        }
-        
-        const moveResult = room.updatePlayerPosition(userId, newPosition);
-
-        this.io.to(`game:${gameId}`).emit('snakes_diceRolled', {
-          playerId: userId,
-          playerName: currentPlayer.username,
-          value: diceValue,
-          oldPosition,
-          newPosition: currentPlayer.position,
-          event: moveResult.event,
-          canMove: newPosition !== oldPosition
-        });
-
-        if (moveResult.won) {
-          // Update game as finished
-          await gameService.updateGameState(gameId, { 
-            board: room.getGameState(),
-            winner: moveResult.winner 
-          }, room.currentTurnIndex, 'FINISHED', userId);
-
-          // Process winnings
-          await gameService.processGameWinnings(gameId);
-
-          this.io.to(`game:${gameId}`).emit('snakes_gameWon', {
-            winner: moveResult.winner,
-            players: room.players
-          });
-          
-          logger.info(`${moveResult.winner.username} won Snakes & Ladders in room: ${gameId}`);
-        } else {
-          // Move to next turn after a delay
-          setTimeout(() => {
-            room.nextTurn();
-            room.diceRolled = false; // Reset dice for next player
-            
-            // Update game state in database
-            gameService.updateGameState(gameId, { 
-              board: room.getGameState() 
-            }, room.currentTurnIndex).catch(err => 
-              logger.error(`Error updating game state for ${gameId}:`, err)
-            );
-
-            this.io.to(`game:${gameId}`).emit('snakes_turnChanged', {
-              currentPlayer: room.getCurrentPlayer(),
-              players: room.players,
-              currentTurnIndex: room.currentTurnIndex
-            });
-          }, 3000); // 3 second delay to show the move
+    socket.on('snakes_forfeit', async (data) => {
+      try {
+        if (!(await this.forfeit(data?.gameId, userId))) {
+          socket.emit('snakes_error', { message: 'You cannot forfeit this game' });
         }
-
       } catch (error) {
-        logger.error(`Snakes roll dice error for user ${userId}:`, error);
-        socket.emit('snakes_error', { message: 'Failed to roll dice' });
+        logger.error(`Forfeit error for user ${userId} in game ${data?.gameId}:`, error);
+        socket.emit('snakes_error', { message: 'Failed to forfeit game' });
       }
     });
 
@@ -282,7 +214,7 @@ class SnakesLaddersService {
           return socket.emit('snakes_error', { message: 'Invalid message' });
         }
 
-        this.io.to(`game:${gameId}`).emit('snakes_messageReceived', {
+        this.io.to(spectatorService.liveRooms(gameId)).emit('snakes_messageReceived', {
           from: player.username,
           message: message.trim(),
           timestamp: new Date(),
@@ -308,7 +240,7 @@ class SnakesLaddersService {
         const validEmotes = ['😀', '😂', '😍', '😎', '🤔', '😢', '😡', '👍', '👎', '❤️'];
         if (!validEmotes.includes(emote)) return;
 
-        this.io.to(`game:${gameId}`).emit('snakes_emoteReceived', {
+        this.io.to(spectatorService.liveRooms(gameId)).emit('snakes_emoteReceived', {
           from: player.username,
           emote,
           playerId: player.id,
@@ -342,7 +274,7 @@ class SnakesLaddersService {
           board: room.getGameState() 
         }, 0, 'WAITING');
 
-        this.io.to(`game:${gameId}`).emit('snakes_gameReset', {
+        this.io.to(spectatorService.liveRooms(gameId)).emit('snakes_gameReset', {
           players: room.players,
           gameState: {
             started: false,
@@ -375,7 +307,7 @@ class SnakesLaddersService {
             this.rooms.delete(gameId);
             logger.info(`Snakes & Ladders room deleted: ${gameId}`);
           } else {
-            this.io.to(`game:${gameId}`).emit('snakes_playerLeft', {
+            this.io.to(spectatorService.liveRooms(gameId)).emit('snakes_playerLeft', {
               leftPlayer: removedPlayer,
               players: room.players,
               currentPlayer: room.getCurrentPlayer()
@@ -390,6 +322,185 @@ class SnakesLaddersService {
     });
   }
 
+  async rollDice(socket, data) {
+    const { gameId, clientSeed } = data;
+    const userId = socket.user.id;
+
+    try {
+      
+      if (!gameId || !this.rooms.has(gameId)) {
+        return socket.emit('snakes_error', { message: 'Invalid game ID' });
+      }
+
+      const room = this.rooms.get(gameId);
+      
+      if (!room.gameStarted) {
+        return socket.emit('snakes_error', { message: 'Game not started yet' });
+      }
+
+      if (room.gameFinished) {
+        return socket.emit('snakes_error', { message: 'Game is over' });
+      }
+
+      const currentPlayer = room.getCurrentPlayer();
+      if (currentPlayer.id !== userId) {
+        return socket.emit('snakes_error', { message: 'Not your turn' });
+      }
+
+      // Check if dice already rolled this turn
+      if (room.diceRolled) {
+        return socket.emit('snakes_error', { message: 'Dice already rolled this turn' });
+      }
+
+      room.diceRolled = true;
+      let roll;
+      try {
+        roll = await fairDiceService.rollDice(gameId, userId, clientSeed);
+      } catch (rollError) {
+        room.diceRolled = false;
+        throw rollError;
+      }
+      const diceValue = roll.value;
+      room.lastDiceRoll = { player: userId, value: diceValue, nonce: roll.nonce, timestamp: new Date() };
+
+      const oldPosition = currentPlayer.position;
+      let newPosition = oldPosition + diceValue;
+      
+      // Check if player would go beyond 100
+      if (newPosition > this.GAME_CONFIG.BOARD_SIZE) {
+        newPosition = oldPosition; // Stay in same position if would exceed 100
+      }
+      
+      const moveResult = room.updatePlayerPosition(userId, newPosition);
+
+      this.io.to(spectatorService.liveRooms(gameId)).emit('snakes_diceRolled', {
+        playerId: userId,
+        playerName: currentPlayer.username,
+        value: diceValue,
+        oldPosition,
+        newPosition: currentPlayer.position,
+        event: moveResult.event,
+        canMove: newPosition !== oldPosition,
+        fairness: {
+          nonce: roll.nonce,
+          clientSeed: roll.clientSeed,
+          serverSeedHash: roll.serverSeedHash
+        }
+      });
+
+      this.recordEvent(gameId, 'DICE_ROLLED', userId, {
+        value: diceValue,
+        nonce: roll.nonce,
+        from: oldPosition,
+        to: currentPlayer.position
+      });
+      if (moveResult.event) {
+        const eventType = moveResult.event.type === 'snake' ? 'SNAKE_BITE' : 'LADDER_CLIMB';
+        this.recordEvent(gameId, eventType, userId, { from: moveResult.event.from, to: moveResult.event.to });
+      }
+
+      if (moveResult.won) {
+        await this.endGame(gameId, userId);
+      } else {
+        // Move to next turn after a delay
+        setTimeout(() => {
+          // The game may have ended by forfeit in the meantime
+          if (!room.gameFinished) {
+            this.passTurn(gameId);
+          }
+        }, 3000); // 3 second delay to show the move
+      }
+
+    } catch (error) {
+      logger.error(`Snakes roll dice error for user ${userId}:`, error);
+      socket.emit('snakes_error', { message: 'Failed to roll dice' });
+    }
+  }
+
+  passTurn(gameId) {
+    const room = this.rooms.get(gameId);
+    room.nextTurn();
+    room.diceRolled = false; // Reset dice for next player
+
+    // Update game state in database
+    gameService.updateGameState(gameId, { 
+      board: room.getGameState() 
+    }, room.currentTurnIndex).catch(err => 
+      logger.error(`Error updating game state for ${gameId}:`, err)
+    );
+
+    this.io.to(spectatorService.liveRooms(gameId)).emit('snakes_turnChanged', {
+      currentPlayer: room.getCurrentPlayer(),
+      players: room.players,
+      currentTurnIndex: room.currentTurnIndex
+    });
+    this.scheduleAutoTurn(gameId);
+  }
+
+  /**
+   * Drop a cancelled game without settling it; its entry fees were refunded.
+   */
+  abortGame(gameId) {
+    this.rooms.delete(gameId);
+    botService.clearGame(gameId);
+    reconnectService.clearGame(gameId);
+    logger.info(`🛑 Snakes & Ladders: Game ${gameId} aborted`);
+  }
+
+  /**
+   * Takes a player out of the game. They keep their square but their turns are skipped.
+   * The game ends when one player remains, or when only bots do.
+   * @returns {Promise<boolean>} Whether the player was taken out
+   */
+  async forfeit(gameId, playerId, reason = 'resigned') {
+    const room = this.rooms.get(gameId);
+    const player = room?.getPlayer(playerId);
+    if (!room || !room.gameStarted || room.gameFinished || !player || player.forfeited) {
+      logger.warn(`Player ${playerId} cannot forfeit Snakes & Ladders game ${gameId}`);
+      return false;
+    }
+
+    const wasTheirTurn = room.getCurrentPlayer().id === playerId;
+    player.forfeited = true;
+    room.forfeitOrder.push(playerId);
+    botService.cancelTurn(gameId, playerId);
+    await gameService.markForfeited(gameId, playerId);
+
+    this.io.to(spectatorService.liveRooms(gameId)).emit('snakes_playerForfeited', {
+      playerId,
+      playerName: player.username,
+      reason,
+      players: room.players
+    });
+    this.recordEvent(gameId, 'PLAYER_FORFEITED', playerId, { reason });
+
+    const active = room.players.filter(p => !p.forfeited);
+    if (active.length === 1 || active.every(p => p.isBot)) {
+      await this.endGame(gameId, active.length === 1 ? active[0].id : null, 'forfeit');
+    } else if (wasTheirTurn && !room.diceRolled) {
+      // After a roll the pending turn change moves on by itself
+      this.passTurn(gameId);
+    }
+
+    logger.info(`🏳️ ${player.username} forfeited Snakes & Ladders game ${gameId} (${reason})`);
+    return true;
+  }
+
+  /**
+   * Roll for the current player if it is a bot or disconnected.
+   */
+  scheduleAutoTurn(gameId) {
+    const room = this.rooms.get(gameId);
+    const currentPlayer = room?.gameStarted ? room.getCurrentPlayer() : null;
+    if (!currentPlayer) return;
+    if (!currentPlayer.isBot && !reconnectService.isAway(gameId, currentPlayer.id)) return;
+
+    const difficulty = currentPlayer.isBot ? currentPlayer.botDifficulty : reconnectService.AUTO_PLAY_DIFFICULTY;
+    botService.scheduleTurn(gameId, currentPlayer.id, difficulty, () =>
+      this.rollDice(botService.createSocket(currentPlayer.id, currentPlayer.username), { gameId })
+    );
+  }
+
   async joinRoom(socket, data) {
     const { gameId, playerId, playerName } = data;
     
@@ -445,6 +556,15 @@ class SnakesLaddersService {
         return;
       }
 
+      // Bots have no client to join the room, seat them from the game's participants
+      const game = await gameService.getGameById(gameId);
+      game.participants.filter(p => p.isBot).forEach(p => {
+        if (!room.getPlayer(p.userId)) {
+          room.addPlayer(p.userId, p.user?.name || 'Bot');
+        }
+        Object.assign(room.getPlayer(p.userId), { isBot: true, botDifficulty: p.botDifficulty });
+      });
+
       room.startGame();
       
       // Update game status in database
@@ -453,21 +573,95 @@ class SnakesLaddersService {
         config: this.GAME_CONFIG 
       }, room.currentTurnIndex, 'PLAYING');
 
-      this.io.to(`game:${gameId}`).emit('snakes_gameStarted', {
+      const serverSeedHash = await fairDiceService.commitServerSeed(gameId);
+
+      this.io.to(spectatorService.liveRooms(gameId)).emit('snakes_gameStarted', {
         players: room.players,
         currentPlayer: room.getCurrentPlayer(),
         gameState: {
           started: true,
           currentTurn: room.currentTurnIndex
-        }
+        },
+        serverSeedHash
       });
 
+      this.recordEvent(gameId, 'GAME_STARTED', null, { serverSeedHash });
       logger.info(`Snakes & Ladders game auto-started in room: ${gameId}`);
+      this.scheduleAutoTurn(gameId);
     } catch (error) {
       logger.error(`Error auto-starting Snakes & Ladders game ${gameId}:`, error);
     }
   }
 
+  async endGame(gameId, winnerId, reason = 'completed') {
+    const room = this.rooms.get(gameId);
+    if (!room) {
+      logger.warn(`Snakes & Ladders room not found during endGame: ${gameId}`);
+      return;
+    }
+
+    const winner = room.getPlayer(winnerId) || null;
+    room.gameFinished = true;
+    botService.clearGame(gameId);
+    reconnectService.clearGame(gameId);
+
+    // Winner first, everyone else by how far up the board they got, players who forfeited last
+    const rankings = gameService.rankPlayers(
+      room.players.map(player => {
+        const forfeitOrder = room.forfeitOrder.indexOf(player.id);
+        return {
+          userId: player.id,
+          isWinner: player.id === winnerId,
+          position: player.position,
+          forfeitOrder: forfeitOrder === -1 ? null : forfeitOrder
+        };
+      }),
+      gameService.compareWithForfeits((a, b) => (b.isWinner - a.isWinner) || (b.position - a.position))
+    );
+
+    // Mark the game finished and pay out
+    await gameService.finishGame(gameId, {
+      gameData: { board: room.getGameState(), winner },
+      currentTurn: room.currentTurnIndex,
+      winnerId,
+      rankings
+    });
+
+    this.io.to(spectatorService.liveRooms(gameId)).emit('snakes_gameWon', {
+      winner,
+      rankings,
+      players: room.players,
+      reason,
+      fairness: await fairDiceService.revealServerSeed(gameId)
+    });
+    this.recordEvent(gameId, 'GAME_ENDED', null, { winnerId, rankings, reason });
+    await gameEventService.finish(gameId);
+    
+    logger.info(`${winner?.username || winnerId} won Snakes & Ladders in room: ${gameId}`);
+  }
+
+  /**
+   * Add an event to the game's replay log along with the room state it left behind.
+   */
+  recordEvent(gameId, type, actorId, payload) {
+    const room = this.rooms.get(gameId);
+    gameEventService.record(gameId, type, actorId, payload, room?.getGameState());
+  }
+
+  /**
+   * Everything a reconnecting player needs to redraw the board.
+   */
+  getSnapshot(gameId) {
+    const room = this.rooms.get(gameId);
+    if (!room) return null;
+
+    return {
+      ...room.getGameState(),
+      currentPlayer: room.getCurrentPlayer(),
+      diceRolled: room.diceRolled
+    };
+  }
+
   async getGameState(gameId) {
     if (!this.rooms.has(gameId)) {
       return null;
@@ -498,9 +692,11 @@ class GameRoom {
     this.players = [];
     this.currentTurnIndex = 0;
     this.gameStarted = false;
+    this.gameFinished = false;
     this.lastDiceRoll = null;
     this.diceRolled = false;
     this.gameHistory = [];
+    this.forfeitOrder = []; // Player IDs in the order they forfeited
     this.createdAt = new Date();
     
     this.addPlayer(creatorId, creatorName);
@@ -552,7 +748,11 @@ class GameRoom {
   }
 
   nextTurn() {
-    this.currentTurnIndex = (this.currentTurnIndex + 1) % this.players.length;
+    // Skip players who forfeited
+    const startIndex = this.currentTurnIndex;
+    do {
+      this.currentTurnIndex = (this.currentTurnIndex + 1) % this.players.length;
+    } while (this.players[this.currentTurnIndex].forfeited && this.currentTurnIndex !== startIndex);
   }
 
   updatePlayerPosition(socketId, newPosition) {
@@ -611,12 +811,15 @@ class GameRoom {
       player.position = 1;
       player.isReady = false;
       player.score = 0;
+      player.forfeited = false;
     });
     this.currentTurnIndex = 0;
     this.gameStarted = false;
+    this.gameFinished = false;
     this.lastDiceRoll = null;
     this.diceRolled = false;
     this.gameHistory = [];
+    this.forfeitOrder = [];
   }
 
   getGameState() {
@@ -630,4 +833,17 @@ class GameRoom {
   }
 }
 
+gameRegistry.register({
+  type: 'SNAKES_LADDERS',
+  name: 'Snakes & Ladders',
+  minPlayers: 2,
+  maxPlayers: 4,
+  Service: SnakesLaddersService,
+  initializeBoard: (playerCount) => gameService.initializeSnakesLaddersGameBoard(playerCount),
+  socketEvents: [
+    'snakes_createRoom', 'snakes_joinRoom', 'snakes_startGame', 'snakes_rollDice',
+    'snakes_sendMessage', 'snakes_sendEmote', 'snakes_resetGame', 'snakes_leaveRoom', 'snakes_forfeit'
+  ]
+});
+
 module.exports = SnakesLaddersService;
\ No newline at end of file
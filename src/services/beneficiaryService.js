@@ -0,0 +1,252 @@
+const prisma = require('../config/database');
+const logger = require('../config/logger');
+const { encrypt, decrypt, fingerprint } = require('../utils/encryption');
+
+/**
+ * Saved bank accounts and UPI IDs that withdrawals are paid to.
+ *
+ * Account numbers are encrypted at rest and only decrypted to send a payout; everything shown
+ * to users and stored with withdrawals carries the last four digits. A new beneficiary can't be
+ * paid until BENEFICIARY_COOLING_HOURS have passed, so a stolen session can't add an account
+ * and empty the wallet into it at once. The first beneficiary becomes primary, and withdrawals
+ * without a beneficiary go to the primary one.
+ *
+ * An IFSC has no check digit: it is four letters of bank code, a reserved 0 and six characters
+ * of branch code, and the reserved 0 is the only internal check it offers.
+ */
+class BeneficiaryService {
+  constructor() {
+    this.COOLING_PERIOD_MS = parseFloat(process.env.BENEFICIARY_COOLING_HOURS || '24') * 60 * 60 * 1000;
+    this.MAX_BENEFICIARIES = 5;
+    this.IFSC_PATTERN = /^[A-Z]{4}0[A-Z0-9]{6}$/;
+    this.ACCOUNT_NUMBER_PATTERN = /^\d{9,18}$/;
+    this.VPA_PATTERN = /^[a-z0-9._-]{2,256}@[a-z][a-z0-9]{2,64}$/;
+    // Bank names for the codes most users bank with; other banks keep the name given
+    this.BANK_CODES = {
+      SBIN: 'State Bank of India',
+      HDFC: 'HDFC Bank',
+      ICIC: 'ICICI Bank',
+      UTIB: 'Axis Bank',
+      KKBK: 'Kotak Mahindra Bank',
+      PUNB: 'Punjab National Bank',
+      BARB: 'Bank of Baroda',
+      CNRB: 'Canara Bank',
+      UBIN: 'Union Bank of India',
+      IDIB: 'Indian Bank',
+      BKID: 'Bank of India',
+      YESB: 'Yes Bank',
+      INDB: 'IndusInd Bank',
+      IDFB: 'IDFC First Bank',
+      FDRL: 'Federal Bank'
+    };
+  }
+
+  /**
+   * Whether an IFSC is well formed, with the reserved fifth character.
+   */
+  isValidIfsc(ifscCode) {
+    return this.IFSC_PATTERN.test(String(ifscCode || '').toUpperCase());
+  }
+
+  async list(userId) {
+    const beneficiaries = await prisma.beneficiary.findMany({
+      where: { userId, deletedAt: null },
+      orderBy: [{ isPrimary: 'desc' }, { createdAt: 'asc' }]
+    });
+    return beneficiaries.map(beneficiary => this.formatBeneficiary(beneficiary));
+  }
+
+  /**
+   * Save a bank account or UPI ID.
+   * @param {object} details - { type, label, accountHolderName } and, for BANK_ACCOUNT,
+   *   { accountNumber, ifscCode, bankName } or, for UPI, { vpa }
+   */
+  async add(userId, details) {
+    const data = {
+      userId,
+      type: details.type,
+      label: details.label || null,
+      accountHolderName: details.accountHolderName.trim()
+    };
+    let accountKey;
+
+    if (details.type === 'BANK_ACCOUNT') {
+      const accountNumber = String(details.accountNumber).replace(/\s/g, '');
+      const ifscCode = String(details.ifscCode).toUpperCase();
+      if (!this.ACCOUNT_NUMBER_PATTERN.test(accountNumber)) {
+        throw new Error('Account number must be 9 to 18 digits');
+      }
+      if (!this.isValidIfsc(ifscCode)) {
+        throw new Error('Invalid IFSC code');
+      }
+      Object.assign(data, {
+        accountNumberEncrypted: encrypt(accountNumber),
+        accountNumberLast4: accountNumber.slice(-4),
+        ifscCode,
+        bankName: this.BANK_CODES[ifscCode.slice(0, 4)] || details.bankName || null
+      });
+      accountKey = `BANK_ACCOUNT:${ifscCode}:${accountNumber}`;
+    } else {
+      const vpa = String(details.vpa).trim().toLowerCase();
+      if (!this.VPA_PATTERN.test(vpa)) {
+        throw new Error('Invalid UPI ID');
+      }
+      data.vpa = vpa;
+      accountKey = `UPI:${vpa}`;
+    }
+    data.fingerprint = fingerprint(accountKey);
+
+    const beneficiary = await prisma.$transaction(async (tx) => {
+      const existing = await tx.beneficiary.findMany({
+        where: { userId, deletedAt: null },
+        select: { fingerprint: true }
+      });
+      if (existing.some(saved => saved.fingerprint === data.fingerprint)) {
+        throw new Error('This account is already saved');
+      }
+      if (existing.length >= this.MAX_BENEFICIARIES) {
+        throw new Error(`You can save up to ${this.MAX_BENEFICIARIES} accounts. Remove one to add another.`);
+      }
+
+      return tx.beneficiary.create({
+        data: {
+          ...data,
+          isPrimary: existing.length === 0,
+          activeFrom: new Date(Date.now() + this.COOLING_PERIOD_MS)
+        }
+      });
+    });
+
+    logger.info(`🏦 User ${userId} added ${beneficiary.type} beneficiary ${beneficiary.id}, payable from ${beneficiary.activeFrom.toISOString()}`);
+    return this.formatBeneficiary(beneficiary);
+  }
+
+  async findOwned(client, userId, beneficiaryId) {
+    const beneficiary = await client.beneficiary.findFirst({
+      where: { id: beneficiaryId, userId, deletedAt: null }
+    });
+    if (!beneficiary) {
+      throw new Error('Beneficiary not found');
+    }
+    return beneficiary;
+  }
+
+  async setPrimary(userId, beneficiaryId) {
+    const beneficiary = await prisma.$transaction(async (tx) => {
+      await this.findOwned(tx, userId, beneficiaryId);
+      await tx.beneficiary.updateMany({
+        where: { userId, isPrimary: true },
+        data: { isPrimary: false }
+      });
+      return tx.beneficiary.update({
+        where: { id: beneficiaryId },
+        data: { isPrimary: true }
+      });
+    });
+
+    logger.info(`🏦 User ${userId} made beneficiary ${beneficiaryId} primary`);
+    return this.formatBeneficiary(beneficiary);
+  }
+
+  /**
+   * Remove a beneficiary. It is kept for its withdrawals; if it was primary, the oldest
+   * remaining one becomes primary.
+   */
+  async remove(userId, beneficiaryId) {
+    await prisma.$transaction(async (tx) => {
+      const beneficiary = await this.findOwned(tx, userId, beneficiaryId);
+      await tx.beneficiary.update({
+        where: { id: beneficiaryId },
+        data: { deletedAt: new Date(), isPrimary: false }
+      });
+
+      if (beneficiary.isPrimary) {
+        const next = await tx.beneficiary.findFirst({
+          where: { userId, deletedAt: null },
+          orderBy: { createdAt: 'asc' }
+        });
+        if (next) {
+          await tx.beneficiary.update({ where: { id: next.id }, data: { isPrimary: true } });
+        }
+      }
+    });
+
+    logger.info(`🏦 User ${userId} removed beneficiary ${beneficiaryId}`);
+  }
+
+  /**
+   * The beneficiary a withdrawal is paid to: the one given, or the primary one.
+   * Throws if it doesn't exist or is still in its cooling period.
+   */
+  async getForWithdrawal(userId, beneficiaryId = null) {
+    const beneficiary = beneficiaryId
+      ? await this.findOwned(prisma, userId, beneficiaryId)
+      : await prisma.beneficiary.findFirst({ where: { userId, isPrimary: true, deletedAt: null } });
+    if (!beneficiary) {
+      throw new Error('Add a bank account or UPI ID to withdraw to');
+    }
+    if (beneficiary.activeFrom > new Date()) {
+      throw new Error(`This account was added recently and can receive withdrawals from ${beneficiary.activeFrom.toISOString()}`);
+    }
+    return beneficiary;
+  }
+
+  /**
+   * Masked copy of a beneficiary, stored with a withdrawal and its transaction.
+   */
+  toBankDetails(beneficiary) {
+    return {
+      beneficiaryId: beneficiary.id,
+      type: beneficiary.type,
+      accountHolderName: beneficiary.accountHolderName,
+      accountNumberLast4: beneficiary.accountNumberLast4,
+      ifscCode: beneficiary.ifscCode,
+      bankName: beneficiary.bankName,
+      vpa: beneficiary.vpa
+    };
+  }
+
+  describe(beneficiary) {
+    return beneficiary.type === 'UPI'
+      ? `UPI: ${beneficiary.vpa}`
+      : `A/C: ${beneficiary.accountNumberLast4}, IFSC: ${beneficiary.ifscCode}`;
+  }
+
+  /**
+   * Account details for the payout gateway, with the account number decrypted.
+   */
+  async getPayoutDetails(beneficiaryId) {
+    const beneficiary = await prisma.beneficiary.findUnique({ where: { id: beneficiaryId } });
+    if (!beneficiary) {
+      throw new Error(`Beneficiary ${beneficiaryId} not found`);
+    }
+    if (beneficiary.type === 'UPI') {
+      return { accountHolderName: beneficiary.accountHolderName, vpa: beneficiary.vpa };
+    }
+    return {
+      accountHolderName: beneficiary.accountHolderName,
+      accountNumber: decrypt(beneficiary.accountNumberEncrypted),
+      ifscCode: beneficiary.ifscCode,
+      bankName: beneficiary.bankName
+    };
+  }
+
+  formatBeneficiary(beneficiary) {
+    return {
+      id: beneficiary.id,
+      type: beneficiary.type,
+      label: beneficiary.label,
+      accountHolderName: beneficiary.accountHolderName,
+      accountNumber: beneficiary.accountNumberLast4 ? `XXXX${beneficiary.accountNumberLast4}` : null,
+      ifscCode: beneficiary.ifscCode,
+      bankName: beneficiary.bankName,
+      vpa: beneficiary.vpa,
+      isPrimary: beneficiary.isPrimary,
+      activeFrom: beneficiary.activeFrom,
+      canWithdraw: beneficiary.activeFrom <= new Date(),
+      createdAt: beneficiary.createdAt
+    };
+  }
+}
+
+module.exports = new BeneficiaryService();
@@ -0,0 +1,238 @@
+const prisma = require('../config/database');
+const logger = require('../config/logger');
+const gameService = require('./gameService');
+
+const BOT_NAMES = ['Arjun', 'Priya', 'Rohan'];
+
+/**
+ * Server-side bot players.
+ *
+ * Matchmaking seats bots when a queue entry has waited longer than BOT_FILL_WAIT_SECONDS.
+ * Bots are regular users flagged with isBot, their participations carry isBot and a difficulty,
+ * and they play through the same service methods as humans using a socket stand-in.
+ *
+ * Difficulty levels:
+ *   easy   - picks any legal move, remembers few Memory cards
+ *   medium - prefers captures, finishing and leaving home, remembers most cards
+ *   hard   - scores every move including safety, remembers every card
+ */
+class BotService {
+  constructor() {
+    this.enabled = process.env.BOTS_ENABLED !== 'false';
+    this.FILL_WAIT_MS = parseInt(process.env.BOT_FILL_WAIT_SECONDS || '60', 10) * 1000;
+    this.DIFFICULTIES = {
+      easy: { thinkTimeMs: [1500, 3000], memoryRecall: 0.3 },
+      medium: { thinkTimeMs: [1000, 2500], memoryRecall: 0.7 },
+      hard: { thinkTimeMs: [800, 1800], memoryRecall: 1 }
+    };
+    this.FORCED_DIFFICULTY = this.DIFFICULTIES[process.env.BOT_DIFFICULTY] ? process.env.BOT_DIFFICULTY : null;
+
+    this.pendingTurns = new Map(); // `${gameId}:${playerId}` -> timeout
+    this.memoryKnowledge = new Map(); // gameId -> Map(position -> symbol) of cards bots have seen
+  }
+
+  /**
+   * Make sure `count` bot users exist and return them.
+   */
+  async getBotUsers(count) {
+    const bots = [];
+    for (let i = 0; i < count; i++) {
+      const phoneNumber = `bot-${i + 1}`;
+      const bot = await prisma.user.upsert({
+        where: { phoneNumber },
+        update: {},
+        create: {
+          phoneNumber,
+          name: `${BOT_NAMES[i % BOT_NAMES.length]} (Bot)`,
+          isBot: true,
+          isVerified: true
+        }
+      });
+      bots.push(bot);
+    }
+    return bots;
+  }
+
+  /**
+   * Pick a difficulty that suits the human players at the table.
+   */
+  difficultyForRating(averageRating) {
+    if (this.FORCED_DIFFICULTY) return this.FORCED_DIFFICULTY;
+    if (averageRating < 1400) return 'easy';
+    if (averageRating < 1600) return 'medium';
+    return 'hard';
+  }
+
+  /**
+   * Socket stand-in so bots can call the same service methods as connected players.
+   */
+  createSocket(botId, botName) {
+    return {
+      id: `bot:${botId}`,
+      user: { id: botId, name: botName, isBot: true },
+      emit: (event, payload) => {
+        if (/ERROR/i.test(event)) {
+          logger.warn(`🤖 Bot ${botId} got ${event}: ${payload?.message}`);
+        }
+      },
+      join: () => {},
+      leave: () => {}
+    };
+  }
+
+  thinkTime(difficulty) {
+    const [min, max] = (this.DIFFICULTIES[difficulty] || this.DIFFICULTIES.medium).thinkTimeMs;
+    return min + Math.floor(Math.random() * (max - min));
+  }
+
+  wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Run a bot's turn after a short, human-looking pause. A turn already scheduled for the
+   * same bot in the same game is not scheduled twice.
+   */
+  scheduleTurn(gameId, playerId, difficulty, takeTurn) {
+    const key = `${gameId}:${playerId}`;
+    if (this.pendingTurns.has(key)) return;
+
+    const timeout = setTimeout(async () => {
+      this.pendingTurns.delete(key);
+      try {
+        await takeTurn();
+      } catch (error) {
+        logger.error(`🤖 Bot ${playerId} failed to play its turn in game ${gameId}:`, error);
+      }
+    }, this.thinkTime(difficulty));
+
+    this.pendingTurns.set(key, timeout);
+  }
+
+  cancelTurn(gameId, playerId) {
+    const key = `${gameId}:${playerId}`;
+    if (this.pendingTurns.has(key)) {
+      clearTimeout(this.pendingTurns.get(key));
+      this.pendingTurns.delete(key);
+    }
+  }
+
+  clearGame(gameId) {
+    for (const [key, timeout] of this.pendingTurns) {
+      if (key.startsWith(`${gameId}:`)) {
+        clearTimeout(timeout);
+        this.pendingTurns.delete(key);
+      }
+    }
+    this.memoryKnowledge.delete(gameId);
+  }
+
+  // ---- Ludo ----
+
+  isThreatened(board, playerColor, cell) {
+    if (gameService.SAFE_ZONES.includes(cell)) return false;
+
+    return Object.keys(board).some(color => {
+      if (color === playerColor || !board[color].pieces) return false;
+      return board[color].pieces.some(piece => {
+        if (piece.position !== 'board') return false;
+        const distance = (cell - piece.boardPosition + gameService.BOARD_SIZE) % gameService.BOARD_SIZE;
+        return distance >= 1 && distance <= 6;
+      });
+    });
+  }
+
+  /**
+   * Choose which piece to move.
+   * @param {Array<{pieceId: number}>} movablePieces - As returned by the Ludo services
+   */
+  chooseLudoPiece(board, playerColor, diceValue, movablePieces, difficulty) {
+    if (movablePieces.length === 0) return null;
+    if (difficulty === 'easy') {
+      return movablePieces[Math.floor(Math.random() * movablePieces.length)].pieceId;
+    }
+
+    let best = null;
+    for (const { pieceId } of movablePieces) {
+      // Simulate the move on a copy of the board
+      const simulatedBoard = JSON.parse(JSON.stringify(board));
+      const piece = simulatedBoard[playerColor].pieces[pieceId];
+      const progressBefore = gameService.getLudoPieceProgress(piece, playerColor);
+      const wasThreatened = piece.position === 'board' && this.isThreatened(board, playerColor, piece.boardPosition);
+      const result = gameService.applyLudoMove(piece, diceValue, playerColor, simulatedBoard);
+      if (!result.success) continue;
+
+      let score;
+      if (difficulty === 'medium') {
+        const priority = { CAPTURE: 4, FINISH_PIECE: 3, MOVE_OUT_HOME: 2, MOVE: 1 };
+        score = priority[result.action] * 100 + progressBefore;
+      } else {
+        score = gameService.getLudoPieceProgress(piece, playerColor) * 0.5;
+        if (result.action === 'CAPTURE') score += 50;
+        if (result.action === 'FINISH_PIECE') score += 40;
+        if (result.action === 'MOVE_OUT_HOME') score += 20;
+        if (result.inHomeStretch) score += 30;
+        if (piece.position === 'board') {
+          if (gameService.SAFE_ZONES.includes(piece.boardPosition)) score += 15;
+          if (this.isThreatened(simulatedBoard, playerColor, piece.boardPosition)) score -= 25;
+        }
+        if (wasThreatened) score += 15;
+      }
+
+      if (!best || score > best.score) {
+        best = { pieceId, score };
+      }
+    }
+
+    return best ? best.pieceId : movablePieces[0].pieceId;
+  }
+
+  // ---- Memory ----
+
+  rememberMemoryCard(gameId, position, symbol) {
+    if (!this.memoryKnowledge.has(gameId)) {
+      this.memoryKnowledge.set(gameId, new Map());
+    }
+    this.memoryKnowledge.get(gameId).set(position, symbol);
+  }
+
+  /**
+   * Choose the next card to flip. Each remembered card is recalled with the difficulty's
+   * probability, so weaker bots forget what they have seen.
+   * @param {Array} board - Cards with position, isFlipped and isMatched
+   * @param {{position: number, symbol: string}|null} firstCard - Card already flipped this turn
+   */
+  chooseMemoryCard(gameId, board, firstCard, difficulty) {
+    const recall = (this.DIFFICULTIES[difficulty] || this.DIFFICULTIES.medium).memoryRecall;
+    const seen = this.memoryKnowledge.get(gameId) || new Map();
+    const available = board.filter(card => !card.isMatched && !card.isFlipped);
+    if (available.length === 0) return null;
+
+    const recalled = new Map();
+    for (const card of available) {
+      if (seen.has(card.position) && Math.random() < recall) {
+        recalled.set(card.position, seen.get(card.position));
+      }
+    }
+
+    if (firstCard) {
+      for (const [position, symbol] of recalled) {
+        if (symbol === firstCard.symbol) return position;
+      }
+    } else {
+      // Open a pair the bot remembers
+      const bySymbol = new Map();
+      for (const [position, symbol] of recalled) {
+        if (bySymbol.has(symbol)) return bySymbol.get(symbol);
+        bySymbol.set(symbol, position);
+      }
+    }
+
+    // Otherwise explore a card the bot hasn't seen
+    const unseen = available.filter(card => !seen.has(card.position));
+    const pool = unseen.length > 0 ? unseen : available;
+    return pool[Math.floor(Math.random() * pool.length)].position;
+  }
+}
+
+module.exports = new BotService();
@@ -0,0 +1,131 @@
+const logger = require('../config/logger');
+
+// Promotional windows use Indian Standard Time for their daily hours
+const IST_OFFSET_MINUTES = 330;
+
+/**
+ * Default commission policy: a flat 10% rake on every game.
+ *
+ * Override it with the COMMISSION_POLICY environment variable (JSON with the same shape):
+ * {
+ *   "defaultRate": 0.1,
+ *   "rules": [
+ *     { "name": "high-stakes", "gameTypes": ["FAST_LUDO"], "minEntryFee": 100, "rate": 0.08 }
+ *   ],
+ *   "promotions": [
+ *     { "name": "diwali", "startsAt": "2025-10-20T00:00:00+05:30", "endsAt": "2025-10-22T00:00:00+05:30", "rate": 0 },
+ *     { "name": "happy-hour", "dailyFrom": "18:00", "dailyTo": "20:00", "gameTypes": ["MEMORY"], "rate": 0 }
+ *   ]
+ * }
+ *
+ * Active promotions win over rules, and the first matching entry of each list applies.
+ * Every entry may restrict itself by gameTypes, minEntryFee and maxEntryFee (inclusive).
+ */
+const DEFAULT_POLICY = {
+  defaultRate: 0.1,
+  rules: [],
+  promotions: []
+};
+
+class CommissionService {
+  constructor() {
+    this.policy = this.loadPolicy(process.env.COMMISSION_POLICY);
+  }
+
+  loadPolicy(rawPolicy) {
+    if (!rawPolicy) {
+      return DEFAULT_POLICY;
+    }
+
+    try {
+      const parsed = JSON.parse(rawPolicy);
+      const policy = {
+        defaultRate: parsed.defaultRate ?? DEFAULT_POLICY.defaultRate,
+        rules: parsed.rules || [],
+        promotions: parsed.promotions || []
+      };
+
+      const rates = [policy.defaultRate, ...policy.rules.map(r => r.rate), ...policy.promotions.map(p => p.rate)];
+      if (rates.some(rate => typeof rate !== 'number' || rate < 0 || rate > 1)) {
+        throw new Error('Commission rates must be numbers between 0 and 1');
+      }
+
+      logger.info(`💼 Commission policy loaded: default ${policy.defaultRate * 100}%, ${policy.rules.length} rule(s), ${policy.promotions.length} promotion(s)`);
+      return policy;
+    } catch (error) {
+      logger.error('Invalid COMMISSION_POLICY, falling back to the default policy:', error);
+      return DEFAULT_POLICY;
+    }
+  }
+
+  matchesGame(entry, gameType, entryFee) {
+    if (entry.gameTypes && !entry.gameTypes.includes(gameType)) return false;
+    if (entry.minEntryFee !== undefined && entryFee < entry.minEntryFee) return false;
+    if (entry.maxEntryFee !== undefined && entryFee > entry.maxEntryFee) return false;
+    return true;
+  }
+
+  isPromotionActive(promotion, at) {
+    if (promotion.startsAt && at < new Date(promotion.startsAt)) return false;
+    if (promotion.endsAt && at >= new Date(promotion.endsAt)) return false;
+
+    if (promotion.dailyFrom && promotion.dailyTo) {
+      const toMinutes = (time) => {
+        const [hours, minutes] = time.split(':').map(Number);
+        return hours * 60 + minutes;
+      };
+      const istMinutes = (at.getUTCHours() * 60 + at.getUTCMinutes() + IST_OFFSET_MINUTES) % (24 * 60);
+      const from = toMinutes(promotion.dailyFrom);
+      const to = toMinutes(promotion.dailyTo);
+
+      // Windows such as 22:00-02:00 wrap past midnight
+      const inWindow = from <= to
+        ? istMinutes >= from && istMinutes < to
+        : istMinutes >= from || istMinutes < to;
+      if (!inWindow) return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Find the commission rate that applies to a game.
+   * @returns {{ rate: number, rule: string }}
+   */
+  getRate(gameType, entryFee, at = new Date()) {
+    const promotion = this.policy.promotions.find(p =>
+      this.isPromotionActive(p, at) && this.matchesGame(p, gameType, entryFee)
+    );
+    if (promotion) {
+      return { rate: promotion.rate, rule: `promotion:${promotion.name || 'unnamed'}` };
+    }
+
+    const rule = this.policy.rules.find(r => this.matchesGame(r, gameType, entryFee));
+    if (rule) {
+      return { rate: rule.rate, rule: `rule:${rule.name || 'unnamed'}` };
+    }
+
+    return { rate: this.policy.defaultRate, rule: 'default' };
+  }
+
+  /**
+   * Split the entry fees of a game into the platform rake and the prize pool.
+   * The rake is rounded down to the paisa so players never pay more than the advertised rate.
+   */
+  calculate(gameType, entryFee, playerCount, at = new Date()) {
+    const fee = parseFloat(entryFee);
+    const totalPaise = Math.round(fee * playerCount * 100);
+    const { rate, rule } = this.getRate(gameType, fee, at);
+    const rakePaise = Math.floor(totalPaise * rate + 1e-9); // Epsilon absorbs float error such as 100 * 0.29
+
+    return {
+      totalEntryFees: totalPaise / 100,
+      rakeRate: rate,
+      rakeAmount: rakePaise / 100,
+      prizePool: (totalPaise - rakePaise) / 100,
+      rule
+    };
+  }
+}
+
+module.exports = new CommissionService();
@@ -0,0 +1,200 @@
+const crypto = require('crypto');
+const prisma = require('../config/database');
+const logger = require('../config/logger');
+
+/**
+ * Provably fair dice using a commit-reveal scheme.
+ *
+ * When a game starts the server picks a secret seed and publishes only its SHA-256 hash.
+ * Every roll is derived from HMAC-SHA256(serverSeed, `${clientSeed}:${nonce}:${round}`), so
+ * neither side can steer a result. The seed is revealed when the game ends and anyone can re-derive the rolls.
+ *
+ * A player who knew the seed early could pick client seeds that roll what they want, so every
+ * other game query leaves it out with HIDDEN_GAME_FIELDS and only this service selects it.
+ */
+class FairDiceService {
+  constructor() {
+    this.seeds = new Map(); // gameId -> { serverSeed, serverSeedHash, nextNonce }
+    this.MAX_CLIENT_SEED_LENGTH = 64;
+    this.HIDDEN_GAME_FIELDS = { serverSeed: true }; // Prisma `omit` for game queries outside this service
+  }
+
+  hashServerSeed(serverSeed) {
+    return crypto.createHash('sha256').update(serverSeed).digest('hex');
+  }
+
+  /**
+   * Derive a 1-6 dice value from the seeds and nonce.
+   * Bytes >= 252 are skipped so every face has exactly the same probability.
+   */
+  deriveDiceValue(serverSeed, clientSeed, nonce) {
+    let round = 0;
+    while (true) {
+      const digest = crypto
+        .createHmac('sha256', serverSeed)
+        .update(`${clientSeed}:${nonce}:${round}`)
+        .digest();
+
+      for (const byte of digest) {
+        if (byte < 252) {
+          return (byte % 6) + 1;
+        }
+      }
+      round++;
+    }
+  }
+
+  /**
+   * Commit to a fresh server seed for a game. Calling it again returns the existing commitment.
+   */
+  async commitServerSeed(gameId) {
+    const existing = await this.loadSeed(gameId);
+    if (existing) {
+      return existing.serverSeedHash;
+    }
+
+    const serverSeed = crypto.randomBytes(32).toString('hex');
+    const serverSeedHash = this.hashServerSeed(serverSeed);
+
+    await prisma.game.update({
+      where: { id: gameId },
+      data: { serverSeed, serverSeedHash }
+    });
+
+    this.seeds.set(gameId, { serverSeed, serverSeedHash, nextNonce: 0 });
+    logger.info(`🔒 Fair dice: committed server seed for game ${gameId} (hash ${serverSeedHash})`);
+    return serverSeedHash;
+  }
+
+  async loadSeed(gameId) {
+    if (this.seeds.has(gameId)) {
+      return this.seeds.get(gameId);
+    }
+
+    const game = await prisma.game.findUnique({
+      where: { id: gameId },
+      select: { serverSeed: true, serverSeedHash: true }
+    });
+    if (!game || !game.serverSeed) {
+      return null;
+    }
+
+    const lastRoll = await prisma.diceRoll.findFirst({
+      where: { gameId },
+      orderBy: { nonce: 'desc' }
+    });
+
+    const seed = {
+      serverSeed: game.serverSeed,
+      serverSeedHash: game.serverSeedHash,
+      nextNonce: lastRoll ? lastRoll.nonce + 1 : 0
+    };
+    this.seeds.set(gameId, seed);
+    return seed;
+  }
+
+  normalizeClientSeed(clientSeed, playerId) {
+    if (typeof clientSeed === 'string' && clientSeed.trim() !== '') {
+      return clientSeed.trim().slice(0, this.MAX_CLIENT_SEED_LENGTH);
+    }
+    // Players who don't send a seed get their own user ID, which they know in advance
+    return playerId;
+  }
+
+  /**
+   * Roll a die for a player and record the roll so it can be verified later.
+   */
+  async rollDice(gameId, playerId, clientSeed) {
+    // Games started before seeds existed get a commitment on their first roll
+    await this.commitServerSeed(gameId);
+    const seed = this.seeds.get(gameId);
+
+    const nonce = seed.nextNonce++;
+    const normalizedClientSeed = this.normalizeClientSeed(clientSeed, playerId);
+    const value = this.deriveDiceValue(seed.serverSeed, normalizedClientSeed, nonce);
+
+    await prisma.diceRoll.create({
+      data: {
+        gameId,
+        userId: playerId,
+        nonce,
+        clientSeed: normalizedClientSeed,
+        value
+      }
+    });
+
+    return {
+      value,
+      nonce,
+      clientSeed: normalizedClientSeed,
+      serverSeedHash: seed.serverSeedHash
+    };
+  }
+
+  /**
+   * Reveal the server seed once the game is over. Returns null if nothing was committed.
+   */
+  async revealServerSeed(gameId) {
+    const seed = await this.loadSeed(gameId);
+    this.seeds.delete(gameId);
+
+    if (!seed) {
+      return null;
+    }
+
+    logger.info(`🔓 Fair dice: revealed server seed for game ${gameId}`);
+    return { serverSeed: seed.serverSeed, serverSeedHash: seed.serverSeedHash };
+  }
+
+  /**
+   * Re-derive every recorded roll of a game. The seed stays hidden until the game is over.
+   */
+  async verifyGame(gameId) {
+    const game = await prisma.game.findUnique({
+      where: { id: gameId },
+      select: { id: true, status: true, serverSeed: true, serverSeedHash: true }
+    });
+    if (!game) {
+      return null;
+    }
+
+    const rolls = await prisma.diceRoll.findMany({
+      where: { gameId },
+      orderBy: { nonce: 'asc' }
+    });
+
+    const revealed = game.status === 'FINISHED' || game.status === 'CANCELLED';
+    const canVerify = revealed && Boolean(game.serverSeed);
+    const seedMatchesCommitment = canVerify
+      ? this.hashServerSeed(game.serverSeed) === game.serverSeedHash
+      : null;
+
+    const verifiedRolls = rolls.map(roll => {
+      const expectedValue = canVerify
+        ? this.deriveDiceValue(game.serverSeed, roll.clientSeed, roll.nonce)
+        : null;
+
+      return {
+        nonce: roll.nonce,
+        playerId: roll.userId,
+        clientSeed: roll.clientSeed,
+        value: roll.value,
+        expectedValue,
+        valid: expectedValue === null ? null : expectedValue === roll.value,
+        rolledAt: roll.createdAt
+      };
+    });
+
+    return {
+      gameId: game.id,
+      status: game.status,
+      serverSeedHash: game.serverSeedHash,
+      serverSeed: revealed ? game.serverSeed : null,
+      seedMatchesCommitment,
+      allRollsValid: canVerify ? seedMatchesCommitment && verifiedRolls.every(r => r.valid) : null,
+      rolls: verifiedRolls
+    };
+  }
+}
+
+module.exports = new FairDiceService();
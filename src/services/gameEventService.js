@@ -0,0 +1,150 @@
+const crypto = require('crypto');
+const prisma = require('../config/database');
+const logger = require('../config/logger');
+
+/**
+ * Persisted move log for every game.
+ *
+ * Each action is stored as a GameEvent with a per-game sequence number, the acting player, an
+ * event payload and the game state it produced, together with a SHA-256 hash of that state.
+ * Replays read the stream back in order and can show the state at any step; the hashes reveal
+ * any state that was edited after it was recorded.
+ *
+ * Event types:
+ *   GAME_STARTED, DICE_ROLLED, PIECE_MOVED, PIECE_CAPTURED, TURN_PASSED, CARD_FLIPPED,
+ *   CARDS_MATCHED, CARDS_MISMATCHED, TURN_TIMEOUT, PLAYER_ELIMINATED, PLAYER_LEFT,
+ *   PLAYER_FORFEITED, SNAKE_BITE, LADDER_CLIMB, GAME_ENDED
+ */
+class GameEventService {
+  constructor() {
+    this.nextSequence = new Map(); // gameId -> next sequence number
+    this.writeQueues = new Map(); // gameId -> promise of the last queued write, keeps events in order
+  }
+
+  /**
+   * Stable JSON: object keys are sorted so the hash doesn't depend on key order,
+   * which Postgres JSONB doesn't preserve.
+   */
+  canonicalize(value) {
+    if (Array.isArray(value)) {
+      return `[${value.map(item => this.canonicalize(item)).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+      const keys = Object.keys(value).sort();
+      return `{${keys.map(key => `${JSON.stringify(key)}:${this.canonicalize(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+  }
+
+  hashState(state) {
+    return crypto.createHash('sha256').update(this.canonicalize(state)).digest('hex');
+  }
+
+  async loadNextSequence(gameId) {
+    if (this.nextSequence.has(gameId)) {
+      return this.nextSequence.get(gameId);
+    }
+
+    const lastEvent = await prisma.gameEvent.findFirst({
+      where: { gameId },
+      orderBy: { sequence: 'desc' }
+    });
+    const sequence = lastEvent ? lastEvent.sequence + 1 : 0;
+    this.nextSequence.set(gameId, sequence);
+    return sequence;
+  }
+
+  /**
+   * Append an event to a game's log. Events of one game are written in the order they were
+   * recorded. A failed write is logged and never interrupts the game.
+   * @param {string} gameId
+   * @param {string} type - One of the event types above
+   * @param {string|null} actorId - Player who acted, null for server-driven events
+   * @param {object} payload - What happened
+   * @param {object} state - Game state after the event
+   */
+  record(gameId, type, actorId, payload, state) {
+    // Snapshot now, the live state keeps changing while the write waits its turn
+    const snapshot = JSON.parse(JSON.stringify(state ?? null));
+    const data = JSON.parse(JSON.stringify(payload ?? {}));
+
+    const previous = this.writeQueues.get(gameId) || Promise.resolve();
+    const write = previous.then(async () => {
+      try {
+        const sequence = await this.loadNextSequence(gameId);
+        await prisma.gameEvent.create({
+          data: {
+            gameId,
+            sequence,
+            type,
+            actorId,
+            payload: data,
+            state: snapshot,
+            stateHash: this.hashState(snapshot)
+          }
+        });
+        this.nextSequence.set(gameId, sequence + 1);
+      } catch (error) {
+        logger.error(`Failed to record ${type} event for game ${gameId}:`, error);
+      }
+    });
+
+    this.writeQueues.set(gameId, write);
+    return write;
+  }
+
+  /**
+   * Wait for queued events and forget the game's in-memory counters.
+   */
+  async finish(gameId) {
+    await this.writeQueues.get(gameId);
+    this.writeQueues.delete(gameId);
+    this.nextSequence.delete(gameId);
+  }
+
+  /**
+   * Ordered event stream of a game and the state after a given step (the last one by default).
+   * @returns {Promise<object|null>} null if the game doesn't exist
+   */
+  async getReplay(gameId, step = null) {
+    const game = await prisma.game.findUnique({
+      where: { id: gameId },
+      select: { id: true, type: true, status: true }
+    });
+    if (!game) {
+      return null;
+    }
+
+    const events = await prisma.gameEvent.findMany({
+      where: { gameId },
+      orderBy: { sequence: 'asc' }
+    });
+
+    const replayEvents = events.map(event => ({
+      sequence: event.sequence,
+      type: event.type,
+      actorId: event.actorId,
+      payload: event.payload,
+      stateHash: event.stateHash,
+      valid: this.hashState(event.state) === event.stateHash,
+      createdAt: event.createdAt
+    }));
+
+    const lastSequence = events.length > 0 ? events[events.length - 1].sequence : null;
+    const targetStep = step === null ? lastSequence : step;
+    const stepEvent = events.find(event => event.sequence === targetStep);
+
+    return {
+      gameId: game.id,
+      gameType: game.type,
+      status: game.status,
+      totalSteps: events.length,
+      allEventsValid: replayEvents.every(event => event.valid),
+      events: replayEvents,
+      step: stepEvent ? targetStep : null,
+      state: stepEvent ? stepEvent.state : null
+    };
+  }
+}
+
+module.exports = new GameEventService();
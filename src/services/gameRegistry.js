@@ -0,0 +1,218 @@
+const logger = require('../config/logger');
+
+// Percentage of the prize pool paid to each finishing place, keyed by table size
+const DEFAULT_PAYOUTS = {
+  2: [100],
+  3: [70, 30],
+  4: [70, 30]
+};
+
+/**
+ * Registry of playable game types.
+ *
+ * Every game module registers a definition describing its type, player bounds, how it builds
+ * its initial board, its lifecycle hooks and the socket events it listens to. Matchmaking,
+ * validation and socket routing look games up here instead of branching on the game type.
+ *
+ * Definition shape:
+ *   type           - GameType enum value, e.g. 'CLASSIC_LUDO'
+ *   name           - Display name
+ *   minPlayers     - Smallest table size
+ *   maxPlayers     - Largest table size
+ *   Service        - Service class, instantiated once with the socket.io server
+ *   initializeBoard(playerCount) - Initial gameData stored when matchmaking creates the game
+ *   socketEvents   - Client events bound by Service#setupSocketHandlers
+ *   payouts        - Optional prize split per table size, e.g. { 4: [70, 30] }. Defaults to DEFAULT_PAYOUTS
+ *   hooks          - Optional overrides, each called with the service instance first:
+ *                    join(service, socket, { gameId, playerId, playerName })
+ *                    start(service, { gameId })
+ *                    end(service, gameId, winnerId, reason)
+ *                    getState(service, gameId)
+ *                    getSpectatorState(service, gameId) - State safe to show watchers. Defaults to getState,
+ *                      so games with hidden information must provide it
+ *                    getSnapshot(service, gameId) - Board, turn, timers and scores sent to a reconnecting
+ *                      player. Defaults to Service#getSnapshot, then getState
+ *                    forfeit(service, gameId, playerId, reason) - Defaults to Service#forfeit, which
+ *                      resolves to true when the player was taken out of the game
+ *                    abort(service, gameId) - Drop a cancelled game's in-memory state and timers without
+ *                      settling it. Defaults to Service#abortGame
+ *
+ * Services play turns for bots and disconnected players through scheduleAutoTurn(gameId).
+ */
+class GameRegistry {
+  constructor() {
+    this.definitions = new Map(); // type -> definition
+    this.services = new Map(); // type -> service instance
+  }
+
+  register(definition) {
+    const { type, minPlayers, maxPlayers, Service, initializeBoard } = definition || {};
+
+    if (!type || typeof type !== 'string') {
+      throw new Error('Game definition requires a type');
+    }
+    if (this.definitions.has(type)) {
+      throw new Error(`Game type ${type} is already registered`);
+    }
+    if (!Number.isInteger(minPlayers) || !Number.isInteger(maxPlayers) || minPlayers < 2 || maxPlayers < minPlayers) {
+      throw new Error(`Game type ${type} has invalid player bounds`);
+    }
+    if (typeof Service !== 'function' || typeof initializeBoard !== 'function') {
+      throw new Error(`Game type ${type} must provide a Service class and initializeBoard`);
+    }
+
+    const payouts = { ...DEFAULT_PAYOUTS, ...(definition.payouts || {}) };
+    for (const [playerCount, structure] of Object.entries(payouts)) {
+      const total = structure.reduce((sum, percent) => sum + percent, 0);
+      if (structure.length > Number(playerCount) || Math.abs(total - 100) > 1e-9) {
+        throw new Error(`Game type ${type} has an invalid ${playerCount}-player payout structure`);
+      }
+    }
+
+    const socketEvents = definition.socketEvents || [];
+    for (const [otherType, other] of this.definitions) {
+      const clash = socketEvents.find(event => other.socketEvents.includes(event));
+      if (clash) {
+        throw new Error(`Socket event ${clash} of ${type} is already used by ${otherType}`);
+      }
+    }
+
+    this.definitions.set(type, {
+      name: type,
+      ...definition,
+      socketEvents,
+      payouts,
+      hooks: definition.hooks || {}
+    });
+    logger.info(`🎮 Registered game type ${type} (${minPlayers}-${maxPlayers} players)`);
+  }
+
+  has(type) {
+    return this.definitions.has(type);
+  }
+
+  get(type) {
+    const definition = this.definitions.get(type);
+    if (!definition) {
+      throw new Error(`Unknown game type: ${type}`);
+    }
+    return definition;
+  }
+
+  getTypes() {
+    return Array.from(this.definitions.keys());
+  }
+
+  isValidPlayerCount(type, playerCount) {
+    if (!this.has(type)) {
+      return false;
+    }
+    const { minPlayers, maxPlayers } = this.get(type);
+    return Number.isInteger(playerCount) && playerCount >= minPlayers && playerCount <= maxPlayers;
+  }
+
+  getPayoutStructure(type, playerCount) {
+    return this.get(type).payouts[playerCount] || [100];
+  }
+
+  initializeBoard(type, playerCount) {
+    return this.get(type).initializeBoard(playerCount);
+  }
+
+  /**
+   * Instantiate every registered game service. Called once by server.js.
+   */
+  createServices(io) {
+    for (const [type, definition] of this.definitions) {
+      if (!this.services.has(type)) {
+        this.services.set(type, new definition.Service(io));
+      }
+    }
+    logger.info(`🎮 Game services ready: ${this.getTypes().join(', ')}`);
+  }
+
+  getService(type) {
+    const service = this.services.get(type);
+    if (!service) {
+      throw new Error(`No service running for game type: ${type}`);
+    }
+    return service;
+  }
+
+  setupSocketHandlers(socket) {
+    for (const service of this.services.values()) {
+      service.setupSocketHandlers(socket);
+    }
+  }
+
+  async joinRoom(type, socket, data) {
+    const { hooks } = this.get(type);
+    const service = this.getService(type);
+    return hooks.join ? hooks.join(service, socket, data) : service.joinRoom(socket, data);
+  }
+
+  async startGame(type, data) {
+    const { hooks } = this.get(type);
+    const service = this.getService(type);
+    return hooks.start ? hooks.start(service, data) : service.startGame(data);
+  }
+
+  async endGame(type, gameId, winnerId, reason) {
+    const { hooks } = this.get(type);
+    const service = this.getService(type);
+    return hooks.end ? hooks.end(service, gameId, winnerId, reason) : service.endGame(gameId, winnerId, reason);
+  }
+
+  async getGameState(type, gameId) {
+    const { hooks } = this.get(type);
+    const service = this.getService(type);
+    if (hooks.getState) {
+      return hooks.getState(service, gameId);
+    }
+    return typeof service.getGameState === 'function' ? service.getGameState(gameId) : null;
+  }
+
+  async getSnapshot(type, gameId) {
+    const { hooks } = this.get(type);
+    const service = this.getService(type);
+    if (hooks.getSnapshot) {
+      return hooks.getSnapshot(service, gameId);
+    }
+    if (typeof service.getSnapshot === 'function') {
+      return service.getSnapshot(gameId);
+    }
+    return this.getGameState(type, gameId);
+  }
+
+  async forfeit(type, gameId, playerId, reason) {
+    const { hooks } = this.get(type);
+    const service = this.getService(type);
+    return hooks.forfeit ? hooks.forfeit(service, gameId, playerId, reason) : service.forfeit(gameId, playerId, reason);
+  }
+
+  abortGame(type, gameId) {
+    const { hooks } = this.get(type);
+    const service = this.getService(type);
+    if (hooks.abort) {
+      return hooks.abort(service, gameId);
+    }
+    return typeof service.abortGame === 'function' ? service.abortGame(gameId) : undefined;
+  }
+
+  scheduleAutoTurn(type, gameId) {
+    const service = this.getService(type);
+    if (typeof service.scheduleAutoTurn === 'function') {
+      service.scheduleAutoTurn(gameId);
+    }
+  }
+
+  async getSpectatorState(type, gameId) {
+    const { hooks } = this.get(type);
+    if (hooks.getSpectatorState) {
+      return hooks.getSpectatorState(this.getService(type), gameId);
+    }
+    return this.getGameState(type, gameId);
+  }
+}
+
+module.exports = new GameRegistry();
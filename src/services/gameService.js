@@ -1,6 +1,10 @@
 const prisma = require('../config/database');
 const logger = require('../config/logger');
 const walletService = require('./walletService');
+const gameRegistry = require('./gameRegistry');
+const ratingService = require('./ratingService');
+const ledgerService = require('./ledgerService');
+const fairDiceService = require('./fairDiceService');
 
 class GameService {
   constructor() {
@@ -12,6 +16,11 @@ class GameService {
       yellow: 39
     };
     this.SAFE_ZONES = [0, 13, 26, 39, 8, 21, 34, 47, 51, 12, 25, 38];
+    // Each color walks 51 shared cells from its start cell, then a 6-cell private home column.
+    // Path progress 0-50 is on the shared track, 51-55 is inside the home column, 56 is the final cell.
+    this.SHARED_PATH_LENGTH = 51;
+    this.HOME_COLUMN_LENGTH = 6;
+    this.FINAL_PATH_POSITION = this.SHARED_PATH_LENGTH + this.HOME_COLUMN_LENGTH - 1;
     this.STAR_CELLS = [1, 9, 14, 22, 27, 35, 40, 48];
     this.COLORS = ['red', 'blue', 'green', 'yellow'];
     this.POINTS = {
@@ -21,6 +30,7 @@ class GameService {
       FINISH_TOKEN: 10,
       KILLED_PENALTY: -3
     };
+    this.gameFinishedListeners = []; // Called with (game, rankings) once a game's results are settled
   }
 
   initializeLudoGameBoard(maxPlayers) {
@@ -30,10 +40,10 @@ class GameService {
     colors.forEach(color => {
       board[color] = {
         pieces: [
-          { id: 0, position: 'home', homeIndex: 0, boardPosition: -1 },
-          { id: 1, position: 'home', homeIndex: 1, boardPosition: -1 },
-          { id: 2, position: 'home', homeIndex: 2, boardPosition: -1 },
-          { id: 3, position: 'home', homeIndex: 3, boardPosition: -1 }
+          { id: 0, position: 'home', homeIndex: 0, boardPosition: -1, stepsMoved: -1 },
+          { id: 1, position: 'home', homeIndex: 1, boardPosition: -1, stepsMoved: -1 },
+          { id: 2, position: 'home', homeIndex: 2, boardPosition: -1, stepsMoved: -1 },
+          { id: 3, position: 'home', homeIndex: 3, boardPosition: -1, stepsMoved: -1 }
         ],
         piecesInHome: 4,
         piecesFinished: 0,
@@ -130,6 +140,7 @@ class GameService {
     try {
       return await prisma.game.findUnique({
         where: { id: gameId },
+        omit: fairDiceService.HIDDEN_GAME_FIELDS,
         include: {
           participants: { 
             include: { user: true },
@@ -151,6 +162,7 @@ class GameService {
             in: ['WAITING', 'PLAYING']
           }
         },
+        omit: fairDiceService.HIDDEN_GAME_FIELDS,
         include: {
           participants: { 
             include: { user: true },
@@ -164,15 +176,21 @@ class GameService {
     }
   }
 
-  async updateGameState(gameId, newGameData, newCurrentTurn, newGameStatus = 'PLAYING', winnerId = null) {
+  /**
+   * Save the state of a live game. Games end through finishGame, so a game that has finished or
+   * been cancelled is never written back to WAITING or PLAYING.
+   */
+  async updateGameState(gameId, newGameData, newCurrentTurn, newGameStatus = 'PLAYING') {
+    if (newGameStatus !== 'WAITING' && newGameStatus !== 'PLAYING') {
+      throw new Error(`Game ${gameId} can't be moved to ${newGameStatus} here; finished games are settled by finishGame`);
+    }
     return prisma.game.update({
-      where: { id: gameId },
+      where: { id: gameId, status: { in: ['WAITING', 'PLAYING'] } },
+      omit: fairDiceService.HIDDEN_GAME_FIELDS,
       data: {
         gameData: newGameData,
         currentTurn: newCurrentTurn,
         status: newGameStatus,
-        winner: winnerId,
-        finishedAt: newGameStatus === 'FINISHED' ? new Date() : undefined,
         updatedAt: new Date()
       }
     });
@@ -231,46 +249,209 @@ class GameService {
     };
   }
 
-  async processGameWinnings(gameId) {
-    try {
-      const game = await this.getGameById(gameId);
-      if (!game || game.status !== 'FINISHED' || !game.winner) {
-        logger.warn(`Cannot process winnings for game ${gameId}: invalid game state`);
-        return;
+  /**
+   * Assign competition ranks (1, 1, 3, ...) to players. `compare` orders players best-first;
+   * players it considers equal share a rank.
+   * @returns {Array<{userId: string, rank: number}>}
+   */
+  rankPlayers(players, compare) {
+    const sorted = [...players].sort(compare);
+    const rankings = [];
+
+    sorted.forEach((player, index) => {
+      const tiedWithPrevious = index > 0 && compare(sorted[index - 1], player) === 0;
+      const rank = tiedWithPrevious ? rankings[index - 1].rank : index + 1;
+      rankings.push({ userId: player.userId, rank });
+    });
+
+    return rankings;
+  }
+
+  /**
+   * Wrap a ranking comparator so players still in the game rank above players who forfeited,
+   * and a later forfeit ranks above an earlier one. Players carry `forfeitOrder`: the 0-based
+   * order in which they forfeited, or null while still playing.
+   */
+  compareWithForfeits(compare) {
+    return (a, b) => {
+      const aOrder = a.forfeitOrder ?? Infinity;
+      const bOrder = b.forfeitOrder ?? Infinity;
+      if (aOrder !== bOrder) {
+        return bOrder - aOrder;
       }
+      return compare(a, b);
+    };
+  }
 
-      // Check if winnings have already been processed to prevent double crediting
-      try {
-        const existingTransaction = await prisma.transaction.findFirst({
-          where: {
-            userId: game.winner,
-            type: 'GAME_WINNING',
-            gameId: gameId
-          }
+  async markForfeited(gameId, userId) {
+    await prisma.gameParticipation.updateMany({
+      where: { gameId, userId },
+      data: { forfeited: true, forfeitedAt: new Date() }
+    });
+    logger.info(`🏳️ User ${userId} forfeited game ${gameId}`);
+  }
+
+  /**
+   * Split a prize pool by rank. Tied players share the places they occupy evenly, e.g. with
+   * a 70/30 structure two players tied for 1st get 50 each. Amounts are worked out in paise;
+   * rounding leftovers and shares of places nobody reached go to the top-ranked player.
+   * @param {number} prizePool - Total amount to distribute
+   * @param {Array<{userId: string, rank: number}>} rankings
+   * @param {number[]} structure - Percentage of the pool for each place, best first
+   * @returns {Array<{userId: string, rank: number, amount: number}>}
+   */
+  calculatePayouts(prizePool, rankings, structure) {
+    const poolPaise = Math.round(prizePool * 100);
+    const sorted = [...rankings].sort((a, b) => a.rank - b.rank);
+    const payouts = [];
+    let allocatedPaise = 0;
+
+    for (let i = 0; i < sorted.length;) {
+      const group = sorted.filter(r => r.rank === sorted[i].rank);
+      const places = structure.slice(i, i + group.length);
+      const groupPercent = places.reduce((sum, percent) => sum + percent, 0);
+      const groupPaise = Math.floor(poolPaise * groupPercent / 100);
+      const sharePaise = Math.floor(groupPaise / group.length);
+
+      group.forEach((ranking, index) => {
+        // Hand the indivisible paise to the first players of the group
+        const amountPaise = sharePaise + (index < groupPaise - sharePaise * group.length ? 1 : 0);
+        payouts.push({ userId: ranking.userId, rank: ranking.rank, amountPaise });
+        allocatedPaise += amountPaise;
+      });
+
+      i += group.length;
+    }
+
+    if (payouts.length > 0 && allocatedPaise < poolPaise) {
+      payouts[0].amountPaise += poolPaise - allocatedPaise;
+    }
+
+    return payouts
+      .filter(payout => payout.amountPaise > 0)
+      .map(({ userId, rank, amountPaise }) => ({ userId, rank, amount: amountPaise / 100 }));
+  }
+
+  /**
+   * Finish a game: save its final state, record final ranks and pay out the prize pool in one
+   * database transaction. Moving the game from PLAYING to FINISHED claims it, so a game is paid
+   * out exactly once and never after it was cancelled. If settling fails the game stays PLAYING
+   * and the stalled game sweep refunds it.
+   * @param {string} gameId
+   * @param {object} result
+   * @param {*} result.gameData - Final board state
+   * @param {number} result.currentTurn - Last turn index
+   * @param {string|null} result.winnerId
+   * @param {Array<{userId: string, rank: number}>|null} result.rankings - Full standings. When
+   *   omitted, the winner is ranked 1st and receives the whole pool.
+   * @returns {Promise<Array|null>} The payouts, or null if the game wasn't settled
+   */
+  async finishGame(gameId, { gameData, currentTurn, winnerId = null, rankings = null }) {
+    const standings = rankings && rankings.length > 0
+      ? rankings
+      : (winnerId ? [{ userId: winnerId, rank: 1 }] : []);
+
+    let settled;
+    try {
+      settled = await prisma.$transaction(async (tx) => {
+        const claimed = await tx.game.updateMany({
+          where: { id: gameId, status: 'PLAYING' },
+          data: { status: 'FINISHED', gameData, currentTurn, winner: winnerId, finishedAt: new Date() }
+        });
+        if (claimed.count === 0) {
+          return null;
+        }
+
+        const game = await tx.game.findUnique({
+          where: { id: gameId },
+          omit: fairDiceService.HIDDEN_GAME_FIELDS,
+          include: { participants: true }
         });
 
-        if (existingTransaction) {
-          logger.warn(`Winnings already processed for game ${gameId}, skipping duplicate processing`);
-          return;
+        for (const { userId, rank } of standings) {
+          await tx.gameParticipation.updateMany({
+            where: { gameId, userId },
+            data: { rank }
+          });
         }
-      } catch (transactionCheckError) {
-        logger.warn(`Could not check existing transactions for game ${gameId}, proceeding with caution:`, transactionCheckError);
-        // Continue with processing but log the issue
-      }
 
-      // Prize pool is already 90% of entry fees, so winner gets the full prize pool
-      const winnerAmount = game.prizePool;
-      await walletService.creditWallet(game.winner, winnerAmount, 'GAME_WINNING', gameId);
-      
-      logger.info(`Game ${gameId} winnings processed: ₹${winnerAmount.toFixed(2)} credited to user ${game.winner}`);
+        // Prize pool is already net of the platform fee. Players who forfeited rank last and
+        // aren't paid; places they would have taken go to the winner.
+        const forfeitedIds = new Set(game.participants.filter(p => p.forfeited).map(p => p.userId));
+        const structure = gameRegistry.getPayoutStructure(game.type, game.participants.length);
+        const payouts = this.calculatePayouts(
+          parseFloat(game.prizePool),
+          standings.filter(s => !forfeitedIds.has(s.userId)),
+          structure
+        );
+
+        for (const payout of payouts) {
+          const participant = game.participants.find(p => p.userId === payout.userId);
+          if (participant?.isBot) {
+            // The platform staked the bot's seat, so its share goes back to the platform
+            await ledgerService.post(tx, {
+              type: 'BOT_SHARE',
+              gameId,
+              description: `Share of bot ${payout.userId} (rank ${payout.rank}) in game ${gameId}`
+            }, [
+              { type: 'ESCROW', amount: -payout.amount },
+              { type: 'PLATFORM_RAKE', amount: payout.amount }
+            ]);
+            continue;
+          }
+
+          await walletService.creditWallet(
+            payout.userId,
+            payout.amount,
+            'GAME_WINNING',
+            gameId,
+            `Game winnings - rank ${payout.rank}`,
+            tx
+          );
+        }
+
+        return { game, payouts, structure };
+      });
     } catch (error) {
-      logger.error(`Error processing game winnings for game ${gameId}:`, error);
+      logger.error(`Error settling game ${gameId}, it stays PLAYING until the stalled game sweep refunds it:`, error);
+      return null;
+    }
+
+    if (!settled) {
+      logger.warn(`Game ${gameId} was not settled: it is no longer playing`);
+      return null;
     }
+
+    const { game, payouts, structure } = settled;
+    for (const payout of payouts) {
+      logger.info(`Game ${gameId} winnings: ₹${payout.amount.toFixed(2)} for ${payout.userId} (rank ${payout.rank})`);
+    }
+    logger.info(`Game ${gameId} finished and settled: ${payouts.length} payout(s) using ${structure.join('/')} structure`);
+
+    // Skill ratings are driven by the ranks just recorded
+    await ratingService.updateRatingsForGame(gameId);
+    await this.notifyGameFinished(game, standings);
+    return payouts;
   }
 
   /**
-   * Update player score in game participation record
+   * Register a callback for finished games, e.g. to move tournament players on.
+   * Listeners may be called more than once for a game and must ignore repeats.
    */
+  onGameFinished(listener) {
+    this.gameFinishedListeners.push(listener);
+  }
+
+  async notifyGameFinished(game, rankings) {
+    for (const listener of this.gameFinishedListeners) {
+      try {
+        await listener(game, rankings);
+      } catch (error) {
+        logger.error(`Game finished listener failed for game ${game.id}:`, error);
+      }
+    }
+  }
+
   async updatePlayerScore(gameId, playerId, newScore) {
     try {
       await prisma.gameParticipation.updateMany({
@@ -289,6 +470,33 @@ class GameService {
     }
   }
 
+  /**
+   * Get how far a piece has travelled along its color's path (-1 while at home).
+   * Boards saved before stepsMoved existed are derived from boardPosition.
+   */
+  getLudoPieceProgress(piece, playerColor) {
+    if (piece.position === 'home') return -1;
+    if (piece.position === 'finished') return this.FINAL_PATH_POSITION;
+    if (typeof piece.stepsMoved === 'number' && piece.stepsMoved >= 0) return piece.stepsMoved;
+
+    if (piece.position === 'homeStretch') {
+      return this.SHARED_PATH_LENGTH - 1 + piece.boardPosition;
+    }
+    const startPosition = this.HOME_POSITIONS[playerColor];
+    return (piece.boardPosition - startPosition + this.BOARD_SIZE) % this.BOARD_SIZE;
+  }
+
+  /**
+   * Check whether a piece can legally move with the given dice value
+   */
+  canMoveLudoPiece(piece, playerColor, diceValue) {
+    if (!piece || piece.position === 'finished') return false;
+    if (piece.position === 'home') return diceValue === 6;
+
+    const progress = this.getLudoPieceProgress(piece, playerColor);
+    return progress + diceValue <= this.FINAL_PATH_POSITION;
+  }
+
   /**
    * Apply Ludo piece movement logic
    */
@@ -303,6 +511,10 @@ class GameService {
         return { success: false, message: 'Invalid dice value' };
       }
 
+      if (piece.position === 'finished') {
+        return { success: false, message: 'Piece already finished' };
+      }
+
       // If piece is at home, can only move out with 6
       if (piece.position === 'home') {
         if (diceValue === 6) {
@@ -311,6 +523,7 @@ class GameService {
           piece.position = 'board';
           piece.boardPosition = startPosition;
           piece.homeIndex = -1;
+          piece.stepsMoved = 0;
           
           // Update board state
           if (board[playerColor]) {
@@ -328,62 +541,79 @@ class GameService {
         }
       }
 
-      // If piece is on board, calculate new position
-      if (piece.position === 'board') {
-        const currentPos = piece.boardPosition;
-        let newPos = (currentPos + diceValue) % this.BOARD_SIZE;
-        
-        // Check if piece reaches home column (simplified logic)
-        const homeStretch = this.HOME_POSITIONS[playerColor] + 51;
-        if (newPos >= homeStretch) {
-          // Piece is finishing
-          piece.position = 'finished';
-          piece.boardPosition = -1;
-          
-          if (board[playerColor]) {
-            board[playerColor].piecesFinished++;
-          }
-          
-          return { 
-            success: true, 
-            message: 'Piece finished!',
-            newPosition: -1,
-            action: 'FINISH_PIECE'
-          };
-        }
+      if (piece.position !== 'board' && piece.position !== 'homeStretch') {
+        return { success: false, message: 'Invalid piece position' };
+      }
+
+      const targetProgress = this.getLudoPieceProgress(piece, playerColor) + diceValue;
 
-        // Normal move
-        piece.boardPosition = newPos;
+      // The final cell can only be entered with an exact roll
+      if (targetProgress > this.FINAL_PATH_POSITION) {
+        return { success: false, message: 'Exact roll needed to reach home' };
+      }
+
+      piece.stepsMoved = targetProgress;
+
+      if (targetProgress === this.FINAL_PATH_POSITION) {
+        piece.position = 'finished';
+        piece.boardPosition = -1;
         
-        // Check for captures (simplified - would need more complex logic)
-        let capturedPiece = null;
-        for (const color in board) {
-          if (color !== playerColor) {
-            for (const otherPiece of board[color].pieces) {
-              if (otherPiece.position === 'board' && otherPiece.boardPosition === newPos) {
-                // Capture logic - send opponent piece home
-                if (!this.SAFE_ZONES.includes(newPos)) {
-                  otherPiece.position = 'home';
-                  otherPiece.boardPosition = -1;
-                  otherPiece.homeIndex = board[color].piecesInHome;
-                  board[color].piecesInHome++;
-                  capturedPiece = { color, pieceId: otherPiece.id };
-                }
-              }
-            }
-          }
+        if (board[playerColor]) {
+          board[playerColor].piecesFinished++;
         }
         
         return { 
           success: true, 
-          message: capturedPiece ? 'Piece moved and captured opponent' : 'Piece moved',
-          newPosition: newPos,
-          action: capturedPiece ? 'CAPTURE' : 'MOVE',
-          capturedPiece
+          message: 'Piece finished!',
+          newPosition: -1,
+          action: 'FINISH_PIECE'
         };
       }
 
-      return { success: false, message: 'Invalid piece position' };
+      // Home column cells are private to the color, so nothing can be captured there
+      if (targetProgress >= this.SHARED_PATH_LENGTH) {
+        piece.position = 'homeStretch';
+        piece.boardPosition = targetProgress - this.SHARED_PATH_LENGTH + 1;
+
+        return {
+          success: true,
+          message: 'Piece moved in home column',
+          newPosition: piece.boardPosition,
+          action: 'MOVE',
+          inHomeStretch: true
+        };
+      }
+
+      // Normal move on the shared track
+      const newPos = (this.HOME_POSITIONS[playerColor] + targetProgress) % this.BOARD_SIZE;
+      piece.position = 'board';
+      piece.boardPosition = newPos;
+      
+      let capturedPiece = null;
+      if (!this.SAFE_ZONES.includes(newPos)) {
+        for (const color in board) {
+          if (color === playerColor || !board[color].pieces) continue;
+          for (const otherPiece of board[color].pieces) {
+            if (otherPiece.position === 'board' && otherPiece.boardPosition === newPos) {
+              // Send opponent piece back home
+              otherPiece.position = 'home';
+              otherPiece.boardPosition = -1;
+              otherPiece.stepsMoved = -1;
+              otherPiece.homeIndex = board[color].piecesInHome;
+              board[color].piecesInHome++;
+              capturedPiece = { color, pieceId: otherPiece.id, playerId: board[color].playerId };
+            }
+          }
+        }
+      }
+      
+      return { 
+        success: true, 
+        message: capturedPiece ? 'Piece moved and captured opponent' : 'Piece moved',
+        newPosition: newPos,
+        action: capturedPiece ? 'CAPTURE' : 'MOVE',
+        capturedPiece
+      };
     } catch (error) {
       logger.error('Error in applyLudoMove:', error);
       return { success: false, message: 'Move calculation failed' };
@@ -109,8 +109,7 @@ class GameStateManager {
           gameId,
           newState.gameData,
           newState.currentTurn,
-          newState.status,
-          newState.winner
+          newState.status
         );
         
         // Update in memory
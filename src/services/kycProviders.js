@@ -0,0 +1,136 @@
+const crypto = require('crypto');
+const logger = require('../config/logger');
+
+/**
+ * KYC providers check the identity documents a user submits.
+ *
+ * A provider is an object with:
+ *   name - Stored with each verification, e.g. 'mock'
+ *   verifyPan({ panNumber, fullName, dateOfBirth }) - Resolves to { status, registeredName,
+ *     reference, reason }: status 'VERIFIED' when the PAN exists, belongs to an individual and
+ *     carries the given date of birth, otherwise 'FAILED' with a reason
+ *   verifyAddressProof({ type, number, fullName }) - Resolves to { status, reference, reason },
+ *     status 'VERIFIED', 'FAILED', or 'PENDING' when the document needs a person to look at it
+ *   matchNames(name, otherName) - Resolves to a score from 0 (different people) to 1 (same name)
+ * Calls reject only when the provider couldn't be reached; the verification then stays PENDING
+ * and the user can submit again.
+ *
+ * KYC_PROVIDER selects the provider and must be set for KYC to work. Only 'mock' ships with the
+ * server, and it is refused when NODE_ENV is production; a live provider is added to PROVIDERS.
+ */
+
+const HONORIFICS = new Set(['MR', 'MRS', 'MS', 'MISS', 'DR', 'SHRI', 'SMT', 'KUM']);
+
+function nameTokens(name) {
+  return String(name || '')
+    .toUpperCase()
+    .replace(/[^A-Z\s]/g, ' ')
+    .split(/\s+/)
+    .filter(token => token && !HONORIFICS.has(token));
+}
+
+/**
+ * Offline provider for development and tests. Documents are judged by their number alone:
+ *   - a PAN whose digits are 0000 doesn't exist
+ *   - an address proof number ending in 0000 fails, one ending in 1111 needs manual review
+ * Names match token by token, ignoring order and honorifics; an initial matches any name
+ * starting with that letter.
+ */
+class MockKycProvider {
+  constructor() {
+    this.name = 'mock';
+  }
+
+  reference(prefix) {
+    return `${prefix}_mock_${crypto.randomBytes(6).toString('hex')}`;
+  }
+
+  async verifyPan({ panNumber, fullName }) {
+    const reference = this.reference('pan');
+    if (panNumber.slice(5, 9) === '0000') {
+      return { status: 'FAILED', registeredName: null, reference, reason: 'PAN not found' };
+    }
+    if (panNumber[3] !== 'P') {
+      return { status: 'FAILED', registeredName: null, reference, reason: 'PAN does not belong to an individual' };
+    }
+    return { status: 'VERIFIED', registeredName: nameTokens(fullName).join(' '), reference, reason: null };
+  }
+
+  async verifyAddressProof({ number }) {
+    const reference = this.reference('addr');
+    if (number.endsWith('0000')) {
+      return { status: 'FAILED', reference, reason: 'Document number not found' };
+    }
+    if (number.endsWith('1111')) {
+      return { status: 'PENDING', reference, reason: 'Document image unclear' };
+    }
+    return { status: 'VERIFIED', reference, reason: null };
+  }
+
+  async matchNames(name, otherName) {
+    const a = nameTokens(name);
+    const b = nameTokens(otherName);
+    if (a.length === 0 || b.length === 0) {
+      return 0;
+    }
+
+    const remaining = [...b];
+    let matched = 0;
+    for (const token of a) {
+      const index = remaining.findIndex(other =>
+        other === token ||
+        (token.length === 1 && other.startsWith(token)) ||
+        (other.length === 1 && token.startsWith(other))
+      );
+      if (index !== -1) {
+        remaining.splice(index, 1);
+        matched++;
+      }
+    }
+    return Math.round((matched / Math.max(a.length, b.length)) * 100) / 100;
+  }
+}
+
+const PROVIDERS = {
+  mock: () => new MockKycProvider()
+};
+
+function createKycProvider(name) {
+  const create = PROVIDERS[name];
+  if (!create) {
+    throw new Error(`Unknown KYC provider: ${name}`);
+  }
+  return create();
+}
+
+let provider = null;
+
+/**
+ * The configured provider, created on first use. Throws while KYC_PROVIDER is unset or names
+ * a provider that can't run here, and tries again on the next call.
+ */
+function getKycProvider() {
+  if (!provider) {
+    const name = process.env.KYC_PROVIDER;
+    if (!name) {
+      throw new Error('KYC_PROVIDER is not set: use a live provider, or mock to simulate verification offline');
+    }
+    if (name === 'mock' && process.env.NODE_ENV === 'production') {
+      throw new Error('The mock KYC provider cannot be used in production');
+    }
+
+    provider = createKycProvider(name);
+    if (provider.name === 'mock') {
+      logger.warn('KYC provider: mock, identity documents are not really checked');
+    } else {
+      logger.info(`KYC provider: ${provider.name}`);
+    }
+  }
+  return provider;
+}
+
+module.exports = {
+  MockKycProvider,
+  createKycProvider,
+  getKycProvider
+};
@@ -0,0 +1,335 @@
+const prisma = require('../config/database');
+const logger = require('../config/logger');
+const { getKycProvider } = require('./kycProviders');
+
+/**
+ * KYC verification.
+ *
+ * A user submits their PAN, date of birth, an address proof and the name on their bank
+ * account. Users under 18 are rejected outright; otherwise the KYC provider checks the documents
+ * and matches the PAN name against the bank account holder. A failed PAN or address proof
+ * rejects the submission, checks the provider can't settle (an unclear document, a name scoring
+ * below KYC_NAME_MATCH_THRESHOLD) go to an admin, and everything verified approves it.
+ *
+ * Approved KYC is required for a withdrawal above KYC_WITHDRAWAL_THRESHOLD, and for the first
+ * withdrawal that takes the user's total withdrawn past KYC_CUMULATIVE_WITHDRAWAL_THRESHOLD.
+ * Those withdrawals must also go to an account in the verified name.
+ *
+ * A PAN backs one account: a verification under review or approved holds its PAN in the unique
+ * `linkedPan` column, so a second account submitting the same PAN at the same time is rejected
+ * by the database even when both pass the check made before calling the provider.
+ */
+class KycService {
+  constructor() {
+    this.io = null;
+    this.MIN_AGE = 18;
+    this.NAME_MATCH_THRESHOLD = parseFloat(process.env.KYC_NAME_MATCH_THRESHOLD || '0.8');
+    this.WITHDRAWAL_THRESHOLD = parseFloat(process.env.KYC_WITHDRAWAL_THRESHOLD || '10000');
+    this.CUMULATIVE_WITHDRAWAL_THRESHOLD = parseFloat(process.env.KYC_CUMULATIVE_WITHDRAWAL_THRESHOLD || '25000');
+    this.REVIEWABLE_STATUSES = ['UNDER_REVIEW'];
+  }
+
+  init(io) {
+    this.io = io;
+  }
+
+  /**
+   * The KYC provider. It is resolved on first use, so a missing or unusable provider fails KYC
+   * submissions and KYC-gated withdrawals, not the server.
+   */
+  getProvider() {
+    try {
+      return getKycProvider();
+    } catch (error) {
+      logger.error(`KYC provider unavailable: ${error.message}`);
+      const unavailable = new Error('Verification service unavailable, please try again later');
+      unavailable.code = 'KYC_UNAVAILABLE';
+      throw unavailable;
+    }
+  }
+
+  /**
+   * Error for a withdrawal that needs KYC first; routes tell the client to start KYC.
+   */
+  kycError(message) {
+    const error = new Error(message);
+    error.code = 'KYC_REQUIRED';
+    return error;
+  }
+
+  /**
+   * Age in whole years on today's date in IST.
+   */
+  getAge(dateOfBirth, now = new Date()) {
+    const today = new Date(now.getTime() + 5.5 * 60 * 60 * 1000);
+    const birth = new Date(dateOfBirth);
+    const age = today.getUTCFullYear() - birth.getUTCFullYear();
+    const beforeBirthday = today.getUTCMonth() < birth.getUTCMonth() ||
+      (today.getUTCMonth() === birth.getUTCMonth() && today.getUTCDate() < birth.getUTCDate());
+    return beforeBirthday ? age - 1 : age;
+  }
+
+  /**
+   * Submit KYC, or submit again after a rejection or a provider outage.
+   * @param {object} details - { panNumber, fullName, dateOfBirth, addressProofType, addressProofNumber, bankAccountName }
+   */
+  async submit(userId, details) {
+    const provider = this.getProvider();
+    const existing = await prisma.kycVerification.findUnique({ where: { userId } });
+    if (existing?.status === 'APPROVED') {
+      throw new Error('KYC is already approved');
+    }
+    if (existing?.status === 'UNDER_REVIEW') {
+      throw new Error('KYC is already under review');
+    }
+
+    const panNumber = details.panNumber.toUpperCase();
+    const linked = await prisma.kycVerification.findFirst({
+      where: { panNumber, userId: { not: userId }, status: { in: ['UNDER_REVIEW', 'APPROVED'] } }
+    });
+    if (linked) {
+      throw new Error('This PAN is already linked to another account');
+    }
+
+    const record = {
+      status: 'PENDING',
+      fullName: details.fullName,
+      dateOfBirth: new Date(details.dateOfBirth),
+      panNumber,
+      linkedPan: null,
+      panStatus: 'PENDING',
+      panName: null,
+      addressProofType: details.addressProofType,
+      addressProofLast4: details.addressProofNumber.slice(-4),
+      addressProofStatus: 'PENDING',
+      bankAccountName: details.bankAccountName,
+      nameMatchScore: null,
+      nameMatchStatus: 'PENDING',
+      provider: provider.name,
+      providerReference: null,
+      rejectionReason: null,
+      reviewedBy: null,
+      reviewNote: null,
+      submittedAt: new Date(),
+      reviewedAt: null,
+      approvedAt: null
+    };
+    let kyc = await prisma.kycVerification.upsert({
+      where: { userId },
+      create: { userId, ...record },
+      update: record
+    });
+
+    if (this.getAge(record.dateOfBirth) < this.MIN_AGE) {
+      kyc = await this.decide(kyc.id, 'REJECTED', { rejectionReason: `You must be ${this.MIN_AGE} or older` });
+      return this.formatKyc(kyc);
+    }
+
+    let checks;
+    try {
+      checks = await this.runChecks(provider, record, details.addressProofNumber);
+    } catch (error) {
+      logger.error(`KYC provider ${provider.name} failed for user ${userId}:`, error);
+      throw new Error('Verification service unavailable, please try again later');
+    }
+
+    const { pan, address, nameMatchScore } = checks;
+    const nameMatchStatus = nameMatchScore >= this.NAME_MATCH_THRESHOLD ? 'VERIFIED' : 'PENDING';
+    const result = {
+      panStatus: pan.status,
+      panName: pan.registeredName,
+      addressProofStatus: address.status,
+      nameMatchScore,
+      nameMatchStatus,
+      providerReference: [pan.reference, address.reference].filter(Boolean).join(',')
+    };
+
+    let status = 'APPROVED';
+    if (pan.status === 'FAILED' || address.status === 'FAILED') {
+      status = 'REJECTED';
+      result.rejectionReason = pan.status === 'FAILED' ? pan.reason : address.reason;
+    } else if (address.status === 'PENDING' || nameMatchStatus === 'PENDING') {
+      status = 'UNDER_REVIEW';
+    }
+    if (status !== 'REJECTED') {
+      result.linkedPan = panNumber;
+    }
+
+    try {
+      kyc = await this.decide(kyc.id, status, result);
+    } catch (error) {
+      if (error.code !== 'P2002') {
+        throw error;
+      }
+      // Another account linked the PAN while the provider was checking this one
+      status = 'REJECTED';
+      kyc = await this.decide(kyc.id, status, { ...result, linkedPan: null, rejectionReason: 'This PAN is already linked to another account' });
+    }
+    logger.info(`🪪 KYC of user ${userId} submitted: ${status} (PAN ${pan.status}, address ${address.status}, name match ${nameMatchScore})`);
+    return this.formatKyc(kyc);
+  }
+
+  async runChecks(provider, record, addressProofNumber) {
+    const pan = await provider.verifyPan({
+      panNumber: record.panNumber,
+      fullName: record.fullName,
+      dateOfBirth: record.dateOfBirth
+    });
+    const address = await provider.verifyAddressProof({
+      type: record.addressProofType,
+      number: addressProofNumber,
+      fullName: record.fullName
+    });
+    const nameMatchScore = pan.status === 'VERIFIED'
+      ? await provider.matchNames(pan.registeredName || record.fullName, record.bankAccountName)
+      : 0;
+    return { pan, address, nameMatchScore };
+  }
+
+  /**
+   * Record the outcome of a verification and tell the user.
+   */
+  async decide(kycId, status, data = {}) {
+    const kyc = await prisma.kycVerification.update({
+      where: { id: kycId },
+      data: {
+        ...data,
+        status,
+        approvedAt: status === 'APPROVED' ? new Date() : null
+      }
+    });
+    this.notify(kyc);
+    return kyc;
+  }
+
+  async approve(kycId, adminId, note = null) {
+    const approved = await prisma.kycVerification.updateMany({
+      where: { id: kycId, status: { in: this.REVIEWABLE_STATUSES } },
+      data: { status: 'APPROVED', reviewedBy: adminId, reviewNote: note, reviewedAt: new Date(), approvedAt: new Date() }
+    });
+    const kyc = await prisma.kycVerification.findUnique({ where: { id: kycId } });
+    if (!kyc) {
+      throw new Error('KYC verification not found');
+    }
+    if (approved.count === 0) {
+      throw new Error(`KYC verification is ${kyc.status.toLowerCase()}, not awaiting review`);
+    }
+
+    logger.info(`🪪 KYC ${kycId} of user ${kyc.userId} approved by admin ${adminId}`);
+    this.notify(kyc);
+    return this.formatKyc(kyc, true);
+  }
+
+  /**
+   * Reject a verification under review, or revoke an approved one.
+   */
+  async reject(kycId, adminId, reason) {
+    const rejected = await prisma.kycVerification.updateMany({
+      where: { id: kycId, status: { in: [...this.REVIEWABLE_STATUSES, 'APPROVED'] } },
+      data: {
+        status: 'REJECTED',
+        linkedPan: null,
+        rejectionReason: reason,
+        reviewedBy: adminId,
+        reviewNote: reason,
+        reviewedAt: new Date(),
+        approvedAt: null
+      }
+    });
+    const kyc = await prisma.kycVerification.findUnique({ where: { id: kycId } });
+    if (!kyc) {
+      throw new Error('KYC verification not found');
+    }
+    if (rejected.count === 0) {
+      throw new Error(`KYC verification is ${kyc.status.toLowerCase()} and can't be rejected`);
+    }
+
+    logger.info(`🪪 KYC ${kycId} of user ${kyc.userId} rejected by admin ${adminId}: ${reason}`);
+    this.notify(kyc);
+    return this.formatKyc(kyc, true);
+  }
+
+  /**
+   * Throw a KYC_REQUIRED error unless the user may withdraw this amount to this account.
+   * Call it in the transaction that creates the withdrawal, with the user's wallet locked, so
+   * the total withdrawn can't change before the withdrawal is recorded.
+   * @param {object} client - Prisma client or transaction
+   */
+  async assertWithdrawalAllowed(client, userId, amount, bankDetails) {
+    const withdrawn = await client.withdrawal.aggregate({
+      _sum: { grossAmount: true },
+      where: { userId, status: { notIn: ['REJECTED', 'FAILED'] } }
+    });
+    const total = parseFloat(withdrawn._sum.grossAmount || 0) + amount;
+    if (amount <= this.WITHDRAWAL_THRESHOLD && total <= this.CUMULATIVE_WITHDRAWAL_THRESHOLD) {
+      return;
+    }
+
+    const kyc = await client.kycVerification.findUnique({ where: { userId } });
+    if (kyc?.status !== 'APPROVED') {
+      const progress = kyc?.status === 'UNDER_REVIEW' ? ' Your KYC is under review.' : '';
+      throw this.kycError(`KYC verification is required for withdrawals above ₹${this.WITHDRAWAL_THRESHOLD} or a total of ₹${this.CUMULATIVE_WITHDRAWAL_THRESHOLD}.${progress}`);
+    }
+
+    const score = await this.getProvider().matchNames(kyc.panName || kyc.fullName, bankDetails.accountHolderName);
+    if (score < this.NAME_MATCH_THRESHOLD) {
+      throw this.kycError('The bank account holder name does not match your verified KYC name');
+    }
+  }
+
+  async getUserKyc(userId) {
+    const kyc = await prisma.kycVerification.findUnique({ where: { userId } });
+    return kyc ? this.formatKyc(kyc) : null;
+  }
+
+  async listForReview(status = null, limit = 50) {
+    const verifications = await prisma.kycVerification.findMany({
+      where: { status: status || { in: this.REVIEWABLE_STATUSES } },
+      orderBy: { submittedAt: 'asc' },
+      take: limit,
+      include: { user: { select: { id: true, name: true, phoneNumber: true } } }
+    });
+    return verifications.map(kyc => ({ ...this.formatKyc(kyc, true), user: kyc.user }));
+  }
+
+  notify(kyc) {
+    if (!this.io) return;
+    this.io.to(`user:${kyc.userId}`).emit('kycStatus', {
+      kycId: kyc.id,
+      status: kyc.status,
+      reason: kyc.status === 'REJECTED' ? kyc.rejectionReason : null
+    });
+  }
+
+  /**
+   * A verification as shown to the user, or in full to an admin.
+   */
+  formatKyc(kyc, full = false) {
+    return {
+      id: kyc.id,
+      userId: kyc.userId,
+      status: kyc.status,
+      fullName: kyc.fullName,
+      dateOfBirth: kyc.dateOfBirth,
+      panNumber: full ? kyc.panNumber : `XXXXXX${kyc.panNumber.slice(-4)}`,
+      panStatus: kyc.panStatus,
+      panName: full ? kyc.panName : undefined,
+      addressProofType: kyc.addressProofType,
+      addressProofLast4: kyc.addressProofLast4,
+      addressProofStatus: kyc.addressProofStatus,
+      bankAccountName: kyc.bankAccountName,
+      nameMatchScore: kyc.nameMatchScore,
+      nameMatchStatus: kyc.nameMatchStatus,
+      provider: full ? kyc.provider : undefined,
+      providerReference: full ? kyc.providerReference : undefined,
+      rejectionReason: kyc.rejectionReason,
+      reviewNote: full ? kyc.reviewNote : undefined,
+      reviewedBy: full ? kyc.reviewedBy : undefined,
+      submittedAt: kyc.submittedAt,
+      reviewedAt: kyc.reviewedAt,
+      approvedAt: kyc.approvedAt
+    };
+  }
+}
+
+module.exports = new KycService();
@@ -0,0 +1,389 @@
+const prisma = require('../config/database');
+const logger = require('../config/logger');
+
+/**
+ * Double-entry ledger behind every wallet.
+ *
+ * Money moves between accounts only through journal entries whose postings sum to zero.
+ * Accounts:
+ *   USER_CASH        - money a user deposited and hasn't played yet
+ *   USER_WINNINGS    - a user's prize money
+ *   USER_BONUS       - a user's promotional credit
+ *   ESCROW           - with a user, their held funds; without, the entry fees of games in play
+ *   PLATFORM_RAKE    - platform commission, which also pays for bonuses and stakes bot seats
+ *   GATEWAY_CLEARING - deposits and withdrawals in transit through the payment gateway
+ *   TAX_PAYABLE      - TDS deducted from withdrawals until it is paid to the tax authority
+ * The wallet's bucket balances mirror the user's accounts (see WALLET_COLUMNS), Wallet.balance
+ * is their total and Wallet.heldBalance mirrors the user's escrow account. They are only ever
+ * changed here, in the same database transaction as the postings, and `reconcile` proves they
+ * still match.
+ */
+class LedgerService {
+  constructor() {
+    // Platform account on the other side of each wallet transaction type
+    this.COUNTER_ACCOUNTS = {
+      DEPOSIT: 'GATEWAY_CLEARING',
+      WITHDRAWAL: 'GATEWAY_CLEARING',
+      DEPOSIT_REFUND: 'GATEWAY_CLEARING',
+      CHARGEBACK: 'GATEWAY_CLEARING',
+      TDS: 'TAX_PAYABLE',
+      GAME_ENTRY: 'ESCROW',
+      GAME_WINNING: 'ESCROW',
+      REFUND: 'ESCROW',
+      REFERRAL_BONUS: 'PLATFORM_RAKE',
+      REFERRAL_SIGNUP_BONUS: 'PLATFORM_RAKE',
+      PROMO_BONUS: 'PLATFORM_RAKE',
+      BONUS_FORFEIT: 'PLATFORM_RAKE'
+    };
+    // User account credited for each type, cash unless listed
+    this.CREDIT_ACCOUNTS = {
+      GAME_WINNING: 'USER_WINNINGS',
+      REFERRAL_BONUS: 'USER_BONUS',
+      REFERRAL_SIGNUP_BONUS: 'USER_BONUS',
+      PROMO_BONUS: 'USER_BONUS'
+    };
+    // Wallet column mirroring each user account; all but escrow add up to Wallet.balance
+    this.WALLET_COLUMNS = {
+      USER_CASH: 'depositBalance',
+      USER_WINNINGS: 'winningsBalance',
+      USER_BONUS: 'bonusBalance',
+      ESCROW: 'heldBalance'
+    };
+    // Game entries use up bonus credit first and prize money last, which stays withdrawable
+    this.SPEND_ORDER = ['USER_BONUS', 'USER_CASH', 'USER_WINNINGS'];
+
+    this.RECONCILE_INTERVAL_MS = parseInt(process.env.LEDGER_RECONCILE_INTERVAL_MINUTES || '60', 10) * 60 * 1000;
+    this.reconcileInterval = null;
+  }
+
+  accountCode(type, userId = null) {
+    return userId ? `${type}:${userId}` : type;
+  }
+
+  toPaise(amount) {
+    return Math.round(parseFloat(amount) * 100);
+  }
+
+  async getAccount(tx, type, userId = null) {
+    const code = this.accountCode(type, userId);
+    return tx.ledgerAccount.upsert({
+      where: { code },
+      update: {},
+      create: { code, type, userId }
+    });
+  }
+
+  /**
+   * Record a balanced journal entry and apply it to the account balances and wallets.
+   * Must run inside the caller's database transaction. A posting that would take a user
+   * account below zero fails the whole entry with 'Insufficient balance'.
+   * @param {object} tx - Transaction client
+   * @param {object} entry - { type, description, userId, gameId, transactionId, reversalOfId }
+   * @param {Array<{type: string, userId?: string, amount: number}>} postings - Signed amounts
+   * @returns {Promise<object>} The journal entry
+   */
+  async post(tx, entry, postings) {
+    const lines = postings
+      .map(p => ({ ...p, userId: p.userId || null, paise: this.toPaise(p.amount) }))
+      .filter(p => p.paise !== 0);
+
+    if (lines.length < 2 || lines.some(p => isNaN(p.paise))) {
+      throw new Error(`Invalid ${entry.type} journal entry`);
+    }
+    const total = lines.reduce((sum, p) => sum + p.paise, 0);
+    if (total !== 0) {
+      throw new Error(`Unbalanced ${entry.type} journal entry (off by ${total / 100})`);
+    }
+
+    const journalEntry = await tx.journalEntry.create({
+      data: {
+        type: entry.type,
+        description: entry.description || null,
+        userId: entry.userId || null,
+        gameId: entry.gameId || null,
+        transactionId: entry.transactionId || null,
+        reversalOfId: entry.reversalOfId || null
+      }
+    });
+
+    const walletChanges = new Map(); // userId -> paise per Wallet column
+    for (const line of lines) {
+      const account = await this.getAccount(tx, line.type, line.userId);
+      const amount = line.paise / 100;
+
+      if (line.userId && line.paise < 0) {
+        const updated = await tx.ledgerAccount.updateMany({
+          where: { id: account.id, balance: { gte: -amount } },
+          data: { balance: { increment: amount } }
+        });
+        if (updated.count === 0) {
+          throw new Error('Insufficient balance');
+        }
+      } else {
+        await tx.ledgerAccount.update({
+          where: { id: account.id },
+          data: { balance: { increment: amount } }
+        });
+      }
+
+      await tx.ledgerPosting.create({
+        data: { entryId: journalEntry.id, accountId: account.id, amount }
+      });
+
+      if (line.userId) {
+        const change = walletChanges.get(line.userId) || this.emptyWalletTotals();
+        this.addToWalletTotals(change, line.type, line.paise);
+        walletChanges.set(line.userId, change);
+      }
+    }
+
+    for (const [userId, change] of walletChanges) {
+      const amounts = Object.entries(change).filter(([, paise]) => paise !== 0);
+      await tx.wallet.upsert({
+        where: { userId },
+        create: { userId, ...Object.fromEntries(amounts.map(([column, paise]) => [column, paise / 100])) },
+        update: Object.fromEntries(amounts.map(([column, paise]) => [column, { increment: paise / 100 }]))
+      });
+    }
+
+    return journalEntry;
+  }
+
+  emptyWalletTotals() {
+    return { balance: 0, depositBalance: 0, winningsBalance: 0, bonusBalance: 0, heldBalance: 0 };
+  }
+
+  addToWalletTotals(totals, accountType, paise) {
+    const column = this.WALLET_COLUMNS[accountType];
+    totals[column] += paise;
+    if (accountType !== 'ESCROW') {
+      totals.balance += paise;
+    }
+  }
+
+  /**
+   * Postings taking `amount` from a user's accounts in the given order.
+   * @param {string[]} order - Accounts to draw from, SPEND_ORDER by default
+   */
+  async debitUser(tx, userId, amount, order = this.SPEND_ORDER) {
+    let remaining = this.toPaise(amount);
+    const postings = [];
+
+    for (const type of order) {
+      const account = await this.getAccount(tx, type, userId);
+      const taken = Math.min(Math.max(this.toPaise(account.balance), 0), remaining);
+      postings.push({ type, userId, amount: -taken / 100 });
+      remaining -= taken;
+    }
+    if (remaining > 0) {
+      throw new Error('Insufficient balance');
+    }
+
+    return postings;
+  }
+
+  /**
+   * Move money into a user's wallet from the platform account that matches the type.
+   */
+  async creditUser(tx, userId, amount, type, entry = {}) {
+    return this.post(tx, { type, userId, ...entry }, [
+      { type: this.COUNTER_ACCOUNTS[type], amount: -amount },
+      { type: this.CREDIT_ACCOUNTS[type] || 'USER_CASH', userId, amount }
+    ]);
+  }
+
+  /**
+   * Move money out of a user's wallet to the platform account that matches the type.
+   */
+  async chargeUser(tx, userId, amount, type, entry = {}, order = this.SPEND_ORDER) {
+    return this.post(tx, { type, userId, ...entry }, [
+      ...await this.debitUser(tx, userId, amount, order),
+      { type: this.COUNTER_ACCOUNTS[type], amount }
+    ]);
+  }
+
+  /**
+   * Undo an entry by posting its exact opposite.
+   * @param {string|null} transactionId - Transaction recording the reversal, the original's by default
+   */
+  async reverse(tx, entryId, type, description = null, transactionId = null) {
+    const original = await tx.journalEntry.findUnique({
+      where: { id: entryId },
+      include: { postings: { include: { account: true } } }
+    });
+    if (!original) {
+      throw new Error(`Journal entry ${entryId} not found`);
+    }
+    if (await tx.journalEntry.findUnique({ where: { reversalOfId: entryId } })) {
+      throw new Error(`Journal entry ${entryId} was already reversed`);
+    }
+
+    return this.post(tx, {
+      type,
+      description: description || `Reversal of ${original.type} entry ${original.id}`,
+      userId: original.userId,
+      gameId: original.gameId,
+      transactionId: transactionId || original.transactionId,
+      reversalOfId: original.id
+    }, original.postings.map(p => ({
+      type: p.account.type,
+      userId: p.account.userId,
+      amount: -parseFloat(p.amount)
+    })));
+  }
+
+  /**
+   * Undo the entry recorded for a transaction, e.g. to refund a failed withdrawal.
+   */
+  async reverseTransaction(tx, transactionId, type, description = null, reversalTransactionId = null) {
+    const original = await tx.journalEntry.findFirst({
+      where: { transactionId, reversalOfId: null },
+      orderBy: { createdAt: 'asc' }
+    });
+    if (!original) {
+      throw new Error(`No journal entry for transaction ${transactionId}`);
+    }
+    return this.reverse(tx, original.id, type, description, reversalTransactionId);
+  }
+
+  /**
+   * Balances of a user's ledger accounts.
+   */
+  async getUserBalances(userId) {
+    const accounts = await prisma.ledgerAccount.findMany({ where: { userId } });
+    const balances = { USER_CASH: 0, USER_WINNINGS: 0, USER_BONUS: 0, ESCROW: 0 };
+    for (const account of accounts) {
+      balances[account.type] = parseFloat(account.balance);
+    }
+    return balances;
+  }
+
+  startReconciliation() {
+    if (this.reconcileInterval) {
+      clearInterval(this.reconcileInterval);
+    }
+    this.reconcileInterval = setInterval(() => {
+      this.reconcile().catch(error => logger.error('Ledger reconciliation error:', error));
+    }, this.RECONCILE_INTERVAL_MS);
+    logger.info(`Ledger reconciliation scheduled every ${this.RECONCILE_INTERVAL_MS / 60000} minutes.`);
+  }
+
+  stop() {
+    if (this.reconcileInterval) {
+      clearInterval(this.reconcileInterval);
+      this.reconcileInterval = null;
+      logger.info('Ledger reconciliation stopped.');
+    }
+  }
+
+  /**
+   * Prove the ledger is consistent:
+   *   - every journal entry sums to zero
+   *   - every account's running balance equals the sum of its postings
+   *   - every wallet bucket equals the postings of the matching user account, and
+   *     Wallet.balance their total
+   * @returns {Promise<object>} Report with the mismatches found
+   */
+  async reconcile() {
+    const startedAt = Date.now();
+
+    const unbalancedEntries = (await prisma.ledgerPosting.groupBy({
+      by: ['entryId'],
+      _sum: { amount: true }
+    }))
+      .filter(group => this.toPaise(group._sum.amount) !== 0)
+      .map(group => ({ entryId: group.entryId, off: parseFloat(group._sum.amount) }));
+
+    const sums = new Map((await prisma.ledgerPosting.groupBy({
+      by: ['accountId'],
+      _sum: { amount: true }
+    })).map(group => [group.accountId, this.toPaise(group._sum.amount)]));
+
+    const accounts = await prisma.ledgerAccount.findMany();
+    const accountMismatches = [];
+    const userTotals = new Map(); // userId -> paise per Wallet column, from postings
+    for (const account of accounts) {
+      const posted = sums.get(account.id) || 0;
+      if (posted !== this.toPaise(account.balance)) {
+        accountMismatches.push({ code: account.code, balance: parseFloat(account.balance), posted: posted / 100 });
+      }
+      if (account.userId) {
+        const totals = userTotals.get(account.userId) || this.emptyWalletTotals();
+        this.addToWalletTotals(totals, account.type, posted);
+        userTotals.set(account.userId, totals);
+      }
+    }
+
+    const wallets = await prisma.wallet.findMany();
+    const walletMismatches = [];
+    for (const wallet of wallets) {
+      const totals = userTotals.get(wallet.userId) || this.emptyWalletTotals();
+      const differences = Object.keys(totals)
+        .filter(column => totals[column] !== this.toPaise(wallet[column]))
+        .map(column => ({ column, wallet: parseFloat(wallet[column]), posted: totals[column] / 100 }));
+      if (differences.length > 0) {
+        walletMismatches.push({ userId: wallet.userId, differences });
+      }
+    }
+
+    const report = {
+      checkedAt: new Date(),
+      entriesUnbalanced: unbalancedEntries.length,
+      accountsChecked: accounts.length,
+      walletsChecked: wallets.length,
+      unbalancedEntries,
+      accountMismatches,
+      walletMismatches,
+      ok: unbalancedEntries.length === 0 && accountMismatches.length === 0 && walletMismatches.length === 0
+    };
+
+    if (report.ok) {
+      logger.info(`📒 Ledger reconciled: ${wallets.length} wallets and ${accounts.length} accounts match their postings (${Date.now() - startedAt}ms)`);
+    } else {
+      logger.error(`📒 Ledger reconciliation found ${unbalancedEntries.length} unbalanced entries, ${accountMismatches.length} account and ${walletMismatches.length} wallet mismatches`, {
+        unbalancedEntries: unbalancedEntries.slice(0, 20),
+        accountMismatches: accountMismatches.slice(0, 20),
+        walletMismatches: walletMismatches.slice(0, 20)
+      });
+    }
+    return report;
+  }
+
+  /**
+   * Post the balance of wallets that predate the ledger as opening entries, so they reconcile.
+   * Only wallets without any ledger accounts are touched.
+   * @returns {Promise<number>} Wallets opened
+   */
+  async openExistingWallets() {
+    const wallets = await prisma.wallet.findMany({
+      where: { user: { ledgerAccounts: { none: {} } } }
+    });
+
+    let opened = 0;
+    for (const wallet of wallets) {
+      const balance = parseFloat(wallet.balance);
+      const held = parseFloat(wallet.heldBalance);
+      if (balance === 0 && held === 0) continue;
+
+      await prisma.$transaction(async (tx) => {
+        // The postings add the amounts again, so start the wallet from zero
+        await tx.wallet.update({ where: { userId: wallet.userId }, data: this.emptyWalletTotals() });
+        await this.post(tx, {
+          type: 'OPENING_BALANCE',
+          userId: wallet.userId,
+          description: 'Wallet balance before the ledger'
+        }, [
+          { type: 'GATEWAY_CLEARING', amount: -(balance + held) },
+          { type: 'USER_CASH', userId: wallet.userId, amount: balance },
+          { type: 'ESCROW', userId: wallet.userId, amount: held }
+        ]);
+      });
+      opened++;
+    }
+
+    logger.info(`📒 Opened ${opened} existing wallet(s) in the ledger`);
+    return opened;
+  }
+}
+
+module.exports = new LedgerService();
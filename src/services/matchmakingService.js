@@ -1,13 +1,28 @@
 const prisma = require('../config/database');
 const logger = require('../config/logger');
 const walletService = require('./walletService');
-const gameService = require('./gameService'); // For initializing game board based on game type
+const gameRegistry = require('./gameRegistry'); // For initializing game board based on game type
+const commissionService = require('./commissionService'); // Platform rake per game type, stake and time
+const ratingService = require('./ratingService'); // Skill ratings for fair pairing
+const botService = require('./botService'); // Bots fill seats for players who waited too long
+const ledgerService = require('./ledgerService');
+const fairDiceService = require('./fairDiceService');
+const responsibleGamingService = require('./responsibleGamingService'); // Self-exclusion, loss and session limits
 
 class MatchmakingService {
   constructor() {
     this.matchmakingInterval = null;
     this.onGameCreatedCallback = null; // Callback to notify server.js
+    this.onQueueExpiredCallback = null;
+    this.QUEUE_TTL_MS = parseInt(process.env.MATCHMAKING_QUEUE_TTL_MINUTES || '10', 10) * 60 * 1000;
     this.initialized = false;
+    // Allowed rating gap between the longest-waiting player and their opponents.
+    // Starts tight and widens with time in queue so nobody waits forever.
+    this.RATING_RANGE = {
+      BASE: 100,
+      WIDEN_PER_SECOND: 5,
+      MAX: 1000
+    };
   }
 
   async initialize() {
@@ -49,22 +64,23 @@ class MatchmakingService {
     this.onGameCreatedCallback = callback;
   }
 
+  setQueueExpiredCallback(callback) {
+    this.onQueueExpiredCallback = callback;
+  }
+
   async joinQueue(userId, gameType, maxPlayers, entryFee) {
     try {
       logger.info(`🎯 User ${userId} attempting to join queue: ${gameType} - ${maxPlayers}P - ₹${entryFee}`);
-      
-      // Check if user has sufficient balance (skip for free games)
-      if (entryFee > 0) {
-        const balance = await walletService.getWalletBalance(userId);
-        logger.info(`💰 User ${userId} balance: ₹${balance}, required: ₹${entryFee}`);
-        if (balance < entryFee) {
-          logger.warn(`❌ Insufficient balance for user ${userId} to join queue. Has: ${balance}, Needs: ${entryFee}`);
-          throw new Error('Insufficient balance');
-        }
-      } else {
-        logger.info(`🆓 Free game - skipping balance check for user ${userId}`);
-      }
 
+      if (!gameRegistry.has(gameType)) {
+        throw new Error('Invalid game type');
+      }
+      if (!gameRegistry.isValidPlayerCount(gameType, maxPlayers)) {
+        const { minPlayers, maxPlayers: upperBound } = gameRegistry.get(gameType);
+        throw new Error(`Invalid number of players (${minPlayers}-${upperBound} allowed)`);
+      }
+      await responsibleGamingService.assertCanPlay(userId, entryFee);
+      
       // Check if user is already in queue
       const existingQueue = await prisma.matchmakingQueue.findFirst({
         where: { userId }
@@ -72,19 +88,30 @@ class MatchmakingService {
 
       if (existingQueue) {
         logger.info(`⚠️ User ${userId} already in queue (ID: ${existingQueue.id}) - removing old entry before adding new.`);
-        await prisma.matchmakingQueue.delete({
-          where: { id: existingQueue.id }
-        });
+        await this.removeQueueEntry(existingQueue, 'Rejoined matchmaking');
       }
 
-      // Add to queue
-      const queueEntry = await prisma.matchmakingQueue.create({
-        data: {
-          userId,
-          gameType,
-          maxPlayers,
-          entryFee
-        }
+      if (entryFee > 0) {
+        await walletService.getWallet(userId); // Make sure there is a wallet to hold funds in
+      } else {
+        logger.info(`🆓 Free game - no entry fee to hold for user ${userId}`);
+      }
+
+      // Reserve the entry fee together with the queue entry; it is captured when a game is created
+      const queueEntry = await prisma.$transaction(async (tx) => {
+        const hold = entryFee > 0
+          ? await walletService.holdFunds(userId, entryFee, `Entry fee - ${gameType} ${maxPlayers}P`, tx)
+          : null;
+
+        return tx.matchmakingQueue.create({
+          data: {
+            userId,
+            gameType,
+            maxPlayers,
+            entryFee,
+            holdId: hold ? hold.id : null
+          }
+        });
       });
 
       logger.info(`✅ User ${userId} successfully joined matchmaking queue (ID: ${queueEntry.id}) for ${gameType} ${maxPlayers}P game.`);
@@ -102,11 +129,17 @@ class MatchmakingService {
 
   async leaveQueue(userId) {
     try {
-      const deletedCount = await prisma.matchmakingQueue.deleteMany({
+      const queueEntries = await prisma.matchmakingQueue.findMany({
         where: { userId }
       });
-      if (deletedCount.count > 0) {
-        logger.info(`✅ User ${userId} successfully left matchmaking queue. Removed ${deletedCount.count} entries.`);
+      let removed = 0;
+      for (const queueEntry of queueEntries) {
+        if (await this.removeQueueEntry(queueEntry, 'Left matchmaking')) {
+          removed++;
+        }
+      }
+      if (removed > 0) {
+        logger.info(`✅ User ${userId} successfully left matchmaking queue. Removed ${removed} entries.`);
       } else {
         logger.info(`User ${userId} was not in any matchmaking queue.`);
       }
@@ -121,9 +154,48 @@ class MatchmakingService {
     }
   }
 
+  /**
+   * Take an entry off the queue and give back its held entry fee, both or neither.
+   * @returns {Promise<boolean>} false if the entry was already gone, e.g. matched into a game
+   */
+  async removeQueueEntry(queueEntry, reason) {
+    return prisma.$transaction(async (tx) => {
+      const deleted = await tx.matchmakingQueue.deleteMany({ where: { id: queueEntry.id } });
+      if (deleted.count === 0) {
+        return false;
+      }
+      if (queueEntry.holdId) {
+        await walletService.releaseHold(queueEntry.holdId, reason, tx);
+      }
+      return true;
+    });
+  }
+
+  /**
+   * Drop queue entries that waited longer than QUEUE_TTL_MS and release their entry fees.
+   */
+  async expireQueueEntries() {
+    const expired = await prisma.matchmakingQueue.findMany({
+      where: { createdAt: { lte: new Date(Date.now() - this.QUEUE_TTL_MS) } }
+    });
+
+    for (const queueEntry of expired) {
+      try {
+        if (await this.removeQueueEntry(queueEntry, 'Matchmaking expired')) {
+          logger.info(`⌛ Queue entry ${queueEntry.id} of user ${queueEntry.userId} expired, entry fee released.`);
+          this.notifyQueueExpired(queueEntry);
+        }
+      } catch (error) {
+        logger.error(`Failed to expire queue entry ${queueEntry.id}:`, error);
+      }
+    }
+  }
+
   async processMatchmaking() {
     try {
       logger.info('🔍 Processing matchmaking cycle...');
+
+      await this.expireQueueEntries();
       
       // Group queue entries by game type, maxPlayers, and entry fee
       // We need to find groups that have enough players for a game
@@ -155,26 +227,41 @@ class MatchmakingService {
 
         logger.info(`🎮 Evaluating group: GameType: ${gameType}, MaxPlayers: ${maxPlayers}P, EntryFee: ₹${entryFee}, Available: ${availableCount}`);
         
-        // Create multiple games if we have enough players
-        const possibleGames = Math.floor(availableCount / maxPlayers);
-        
-        if (possibleGames > 0) {
-          logger.info(`✅ Can create ${possibleGames} games with ${maxPlayers} players each from ${availableCount} available players`);
-          
-          for (let i = 0; i < possibleGames; i++) {
-            try {
-              await this.createGame(gameType, maxPlayers, entryFee);
-              gamesCreated++;
-              logger.info(`🎉 Created game ${i + 1}/${possibleGames} for ${gameType} ${maxPlayers}P ₹${entryFee}`);
-            } catch (error) {
-              logger.error(`Failed to create game ${i + 1}/${possibleGames}:`, error);
-              break; // Stop creating more games if one fails
-            }
-          }
-        } else {
+        if (availableCount < maxPlayers) {
           logger.info(`⚠️ Not enough players for a full ${maxPlayers}-player ${gameType} game. Available: ${availableCount}. Skipping for now.`);
+          continue;
+        }
+
+        // Load the group oldest first with each player's rating for this game type
+        const queueEntries = await prisma.matchmakingQueue.findMany({
+          where: { gameType, maxPlayers, entryFee },
+          orderBy: { createdAt: 'asc' }
+        });
+        const ratings = await ratingService.getRatingsForUsers(queueEntries.map(e => e.userId), gameType);
+        let pool = queueEntries.map(entry => ({ ...entry, rating: ratings.get(entry.userId) }));
+
+        // Create as many rating-compatible games as the group allows
+        let match;
+        while ((match = this.findRatedMatch(pool, maxPlayers)) !== null) {
+          try {
+            await this.createGame(gameType, maxPlayers, entryFee, match.map(e => e.id));
+            gamesCreated++;
+            logger.info(`🎉 Created game for ${gameType} ${maxPlayers}P ₹${entryFee} with ratings ${match.map(e => Math.round(e.rating)).join(', ')}`);
+          } catch (error) {
+            logger.error(`Failed to create game for ${gameType} ${maxPlayers}P ₹${entryFee}:`, error);
+            break; // Stop creating more games if one fails
+          }
+
+          const matchedIds = new Set(match.map(e => e.id));
+          pool = pool.filter(e => !matchedIds.has(e.id));
+        }
+
+        if (pool.length >= maxPlayers) {
+          logger.info(`⏳ ${pool.length} ${gameType} players left waiting for closer ratings.`);
         }
       }
+
+      gamesCreated += await this.fillTablesWithBots();
       
       if (gamesCreated > 0) {
         logger.info(`🎉 Matchmaking cycle completed. Created ${gamesCreated} new games.`);
@@ -188,18 +275,93 @@ class MatchmakingService {
     }
   }
 
-  async createGame(gameType, playersToMatch, entryFee) {
+  /**
+   * Rating allowed around a queue entry, widening the longer it has waited.
+   */
+  getRatingRange(queueEntry, now = Date.now()) {
+    const waitSeconds = Math.max(0, (now - new Date(queueEntry.createdAt).getTime()) / 1000);
+    return Math.min(this.RATING_RANGE.BASE + waitSeconds * this.RATING_RANGE.WIDEN_PER_SECOND, this.RATING_RANGE.MAX);
+  }
+
+  /**
+   * Pick players for one game from queue entries sorted oldest first. The longest-waiting player
+   * anchors the table and takes the closest ratings inside their current range; if they can't
+   * fill a table yet, the next-oldest player gets a try.
+   * @returns {Array|null} The matched entries, or null if no table can be filled.
+   */
+  findRatedMatch(pool, playersNeeded, now = Date.now()) {
+    for (const anchor of pool) {
+      const range = this.getRatingRange(anchor, now);
+      const opponents = pool
+        .filter(e => e.id !== anchor.id && Math.abs(e.rating - anchor.rating) <= range)
+        .sort((a, b) => Math.abs(a.rating - anchor.rating) - Math.abs(b.rating - anchor.rating));
+
+      if (opponents.length >= playersNeeded - 1) {
+        return [anchor, ...opponents.slice(0, playersNeeded - 1)];
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Seat bots next to players who have waited longer than the bot fill threshold and
+   * can't complete a table with humans alone.
+   * @returns {Promise<number>} Number of games created
+   */
+  async fillTablesWithBots() {
+    if (!botService.enabled) {
+      return 0;
+    }
+
+    const staleEntries = await prisma.matchmakingQueue.findMany({
+      where: { createdAt: { lte: new Date(Date.now() - botService.FILL_WAIT_MS) } },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    let gamesCreated = 0;
+    const seated = new Set();
+
+    for (const staleEntry of staleEntries) {
+      if (seated.has(staleEntry.id)) continue;
+      const { gameType, maxPlayers, entryFee } = staleEntry;
+
+      const humans = await prisma.matchmakingQueue.findMany({
+        where: { gameType, maxPlayers, entryFee },
+        orderBy: { createdAt: 'asc' },
+        take: maxPlayers
+      });
+      if (humans.length >= maxPlayers) {
+        continue; // A full human table is possible; the rating range widens until it forms
+      }
+
+      const botCount = maxPlayers - humans.length;
+      try {
+        await this.createGame(gameType, maxPlayers, entryFee, humans.map(e => e.id), botCount);
+        humans.forEach(e => seated.add(e.id));
+        gamesCreated++;
+        logger.info(`🤖 Created ${gameType} ${maxPlayers}P ₹${entryFee} game with ${humans.length} player(s) and ${botCount} bot(s)`);
+      } catch (error) {
+        logger.error(`Failed to fill ${gameType} ${maxPlayers}P ₹${entryFee} table with bots:`, error);
+      }
+    }
+
+    return gamesCreated;
+  }
+
+  async createGame(gameType, playersToMatch, entryFee, queueEntryIds = null, botCount = 0) {
     try {
-      logger.info(`Attempting to create game: Type: ${gameType}, Players: ${playersToMatch}, EntryFee: ₹${entryFee}`);
+      logger.info(`Attempting to create game: Type: ${gameType}, Players: ${playersToMatch}, EntryFee: ₹${entryFee}${botCount > 0 ? `, Bots: ${botCount}` : ''}`);
+      const humansNeeded = playersToMatch - botCount;
       
-      // Get exact number of players from queue (oldest entries first)
+      // Get exact number of players from queue (the chosen entries, otherwise oldest first)
       const queueEntries = await prisma.matchmakingQueue.findMany({
         where: {
           gameType,
           maxPlayers: playersToMatch, // Important: Match on maxPlayers
-          entryFee
+          entryFee,
+          ...(queueEntryIds && { id: { in: queueEntryIds } })
         },
-        take: playersToMatch, // Take exactly the number of players needed
+        take: humansNeeded, // Take exactly the number of players needed
         include: {
           user: true
         },
@@ -208,101 +370,71 @@ class MatchmakingService {
         }
       });
 
-      if (queueEntries.length < playersToMatch) {
-        logger.warn(`❌ Failed to create game: Not enough players found after re-query. Needed: ${playersToMatch}, Found: ${queueEntries.length}. This might be a race condition, retrying next cycle.`);
+      if (queueEntries.length < humansNeeded) {
+        logger.warn(`❌ Failed to create game: Not enough players found after re-query. Needed: ${humansNeeded}, Found: ${queueEntries.length}. This might be a race condition, retrying next cycle.`);
         return null; // Not enough players (might have been removed by another process)
       }
 
-      // Calculate prize pool (90% of total entry fees, 10% platform fee)
-      const totalEntryFees = entryFee * playersToMatch;
-      const prizePool = totalEntryFees * 0.9;
-      logger.info(`Calculated prize pool: ₹${prizePool.toFixed(2)} from total entry fees ₹${totalEntryFees.toFixed(2)}.`);
-
-      // Create game and process payments in transaction
-      const result = await prisma.$transaction(async (tx) => {
-        // Initialize gameData based on gameType
-        let initialGameData = {};
-        if (gameType === 'CLASSIC_LUDO') {
-          initialGameData = gameService.initializeLudoGameBoard(playersToMatch);
-        } else if (gameType === 'FAST_LUDO') {
-          initialGameData = gameService.initializeLudoGameBoard(playersToMatch);
-        } else if (gameType === 'MEMORY') {
-          initialGameData = gameService.initializeMemoryGameBoard();
-        } else if (gameType === 'SNAKES_LADDERS') {
-          initialGameData = gameService.initializeSnakesLaddersGameBoard(playersToMatch);
+      // Entries queued before holds existed have nothing to capture; send them back to rejoin
+      const unheld = entryFee > 0 ? queueEntries.filter(q => !q.holdId) : [];
+      if (unheld.length > 0) {
+        for (const queueEntry of unheld) {
+          await this.removeQueueEntry(queueEntry, 'No entry fee held');
+          this.notifyQueueExpired(queueEntry);
         }
+        logger.warn(`❌ Removed ${unheld.length} queue entr(ies) without a held entry fee, retrying next cycle.`);
+        return null;
+      }
 
-        // Create game
-        const game = await tx.game.create({
-          data: {
-            type: gameType,
-            maxPlayers: playersToMatch,
-            entryFee,
-            prizePool,
-            status: 'WAITING', // Game is created but waiting for players to join socket room
-            gameData: initialGameData, // Store initial game board state
-            // currentTurn will be set when the game actually starts
-          }
-        });
-        logger.info(`Game ${game.id} created in database with initial status 'WAITING'.`);
-
-        // Process entry fees and create participations
-        const participations = [];
-        const colors = ['red', 'blue', 'green', 'yellow']; // Standard Ludo colors
-
-        for (let i = 0; i < queueEntries.length; i++) {
-          const queueEntry = queueEntries[i];
-          const playerColor = colors[i % colors.length]; // Assign colors cyclically
+      // Bots play at a level matched to the humans at the table
+      let bots = [];
+      let botDifficulty = null;
+      if (botCount > 0) {
+        bots = await botService.getBotUsers(botCount);
+        const ratings = await ratingService.getRatingsForUsers(queueEntries.map(e => e.userId), gameType);
+        const averageRating = [...ratings.values()].reduce((sum, r) => sum + r, 0) / ratings.size;
+        botDifficulty = botService.difficultyForRating(averageRating);
+      }
 
-          // Deduct entry fee only if not free game
-          if (entryFee > 0) {
-            await walletService.deductGameEntry(queueEntry.userId, entryFee, game.id);
-            logger.info(`Deducted ₹${entryFee} from user ${queueEntry.userId} for game entry.`);
-          }
+      // Split entry fees into the platform rake and the prize pool according to the commission policy.
+      // The platform stakes the bot seats, so a table filled with bots pays out like a full one.
+      const { totalEntryFees, prizePool, rakeAmount, rakeRate, rule } = commissionService.calculate(gameType, entryFee, playersToMatch);
+      logger.info(`Calculated prize pool: ₹${prizePool.toFixed(2)} from total entry fees ₹${totalEntryFees.toFixed(2)} (rake ₹${rakeAmount.toFixed(2)} at ${(rakeRate * 100).toFixed(2)}%, ${rule}).`);
 
-          // Create participation record
-          const participation = await tx.gameParticipation.create({
-            data: {
-              userId: queueEntry.userId,
-              gameId: game.id,
-              position: i, // Store turn order
-              color: playerColor, // Assign color to participant
-              score: 0 // Initialize score to 0
-            }
-          });
-          participations.push(participation);
-          logger.info(`User ${queueEntry.userId} added as participant for game ${game.id} with color ${playerColor}.`);
+      // Create game and process payments in transaction
+      const result = await prisma.$transaction(async (tx) => {
+        const game = await this.insertGame(tx, {
+          gameType,
+          maxPlayers: playersToMatch,
+          entryFee,
+          commission: { prizePool, rakeAmount, rakeRate, rule },
+          humans: queueEntries.map(q => q.user),
+          bots,
+          botDifficulty
+        });
 
-          // Remove from queue (use deleteMany to avoid errors if already deleted)
+        for (const queueEntry of queueEntries) {
+          // A player who left meanwhile got their fee back, so the whole game is rolled back
           const deletedQueue = await tx.matchmakingQueue.deleteMany({
             where: { id: queueEntry.id }
           });
-          if (deletedQueue.count > 0) {
-            logger.info(`Queue entry ${queueEntry.id} removed for user ${queueEntry.userId}.`);
-          } else {
-            logger.warn(`Queue entry ${queueEntry.id} was already removed for user ${queueEntry.userId}.`);
+          if (deletedQueue.count === 0) {
+            throw new Error(`Queue entry ${queueEntry.id} of user ${queueEntry.userId} was already removed`);
           }
-        }
-
-        // Fetch the game again with its participants to ensure the `participants` relation is loaded
-        const gameWithParticipants = await tx.game.findUnique({
-            where: { id: game.id },
-            include: { participants: true } // Include the participants
-        });
+          logger.info(`Queue entry ${queueEntry.id} removed for user ${queueEntry.userId}.`);
 
+          // Capture the held entry fee only if not free game
+          if (entryFee > 0) {
+            await walletService.captureHold(queueEntry.holdId, 'GAME_ENTRY', `Game entry fee for game ${game.id}`, game.id, tx);
+            logger.info(`Captured ₹${entryFee} entry fee of user ${queueEntry.userId} for game ${game.id}.`);
+          }
+        }
 
-        return { game: gameWithParticipants, participations, players: queueEntries.map(q => q.user) };
+        return { game, players: [...queueEntries.map(q => q.user), ...bots] };
       });
 
       logger.info(`🎉 Game ${result.game.id} successfully created and players matched. Notifying via callback.`);
-
-      // Notify server.js about the created game and matched players
-      // The callback is responsible for emitting socket events to clients
-      if (this.onGameCreatedCallback) {
-        this.onGameCreatedCallback(result.game, result.players);
-      } else {
-        logger.warn('No onGameCreatedCallback registered with MatchmakingService.');
-      }
+      this.notifyGameCreated(result.game, result.players);
 
       return result.game;
     } catch (error) {
@@ -312,6 +444,130 @@ class MatchmakingService {
     }
   }
 
+  /**
+   * Create a game for a private table inside the transaction that starts the table and captures
+   * its players' entry fees. The table starts with whoever is seated, so the game is sized to them.
+   * The caller announces the game with notifyGameCreated once the transaction commits.
+   * @param {Array} users - Seated users, host first
+   */
+  async createPrivateGame(tx, gameType, entryFee, users) {
+    const commission = commissionService.calculate(gameType, entryFee, users.length);
+
+    const game = await this.insertGame(tx, {
+      gameType,
+      maxPlayers: users.length,
+      entryFee,
+      commission,
+      humans: users
+    });
+
+    logger.info(`🎉 Private game ${game.id} created for ${users.length} players.`);
+    return game;
+  }
+
+  /**
+   * Create a tournament table. Players paid the tournament buy-in, so the game itself has no
+   * entry fee or prize pool.
+   * @param {Array} users - Seated users in seat order
+   */
+  async createTournamentGame(gameType, users) {
+    const game = await prisma.$transaction(tx => this.insertGame(tx, {
+      gameType,
+      maxPlayers: users.length,
+      entryFee: 0,
+      commission: { prizePool: 0, rakeAmount: 0, rakeRate: 0, rule: 'tournament' },
+      humans: users
+    }));
+
+    logger.info(`🏆 Tournament game ${game.id} created for ${users.length} players. Notifying via callback.`);
+    this.notifyGameCreated(game, users);
+    return game;
+  }
+
+  /**
+   * Create a WAITING game and its participations. Humans take the first seats in the order
+   * given, bots the remaining ones.
+   * @returns {Promise<object>} The game with its participants
+   */
+  async insertGame(tx, { gameType, maxPlayers, entryFee, commission, humans, bots = [], botDifficulty = null }) {
+    const game = await tx.game.create({
+      data: {
+        type: gameType,
+        maxPlayers,
+        entryFee,
+        prizePool: commission.prizePool,
+        rakeAmount: commission.rakeAmount,
+        rakeRate: commission.rakeRate,
+        rakeRule: commission.rule,
+        status: 'WAITING', // Game is created but waiting for players to join socket room
+        gameData: gameRegistry.initializeBoard(gameType, maxPlayers), // Store initial game board state
+        // currentTurn will be set when the game actually starts
+      }
+    });
+    logger.info(`Game ${game.id} created in database with initial status 'WAITING'.`);
+
+    // The platform pays the entry fees of bot seats into escrow; prize shares of bots come back as BOT_SHARE
+    const botStake = Math.round(parseFloat(entryFee) * bots.length * 100) / 100;
+    if (botStake > 0) {
+      await ledgerService.post(tx, { type: 'BOT_STAKE', gameId: game.id, description: `Entry fees of ${bots.length} bot seat(s) in game ${game.id}` }, [
+        { type: 'PLATFORM_RAKE', amount: -botStake },
+        { type: 'ESCROW', amount: botStake }
+      ]);
+    }
+
+    // The platform's commission leaves the entry fees held for games as soon as the game exists
+    if (parseFloat(commission.rakeAmount) > 0) {
+      await ledgerService.post(tx, { type: 'RAKE', gameId: game.id, description: `Commission for game ${game.id} (${commission.rule})` }, [
+        { type: 'ESCROW', amount: -commission.rakeAmount },
+        { type: 'PLATFORM_RAKE', amount: commission.rakeAmount }
+      ]);
+    }
+
+    const colors = ['red', 'blue', 'green', 'yellow']; // Standard Ludo colors
+    const seats = [...humans, ...bots];
+
+    for (let position = 0; position < seats.length; position++) {
+      const isBot = position >= humans.length;
+      const color = colors[position % colors.length]; // Assign colors cyclically
+
+      await tx.gameParticipation.create({
+        data: {
+          userId: seats[position].id,
+          gameId: game.id,
+          position, // Store turn order
+          color,
+          score: 0,
+          // Bots take the remaining seats; the platform staked their entry fees above
+          ...(isBot && { isBot: true, botDifficulty })
+        }
+      });
+      logger.info(`${isBot ? `🤖 Bot ${seats[position].id} (${botDifficulty})` : `User ${seats[position].id}`} added as participant for game ${game.id} with color ${color}.`);
+    }
+
+    // Fetch the game again with its participants to ensure the `participants` relation is loaded
+    return tx.game.findUnique({
+      where: { id: game.id },
+      omit: fairDiceService.HIDDEN_GAME_FIELDS,
+      include: { participants: true }
+    });
+  }
+
+  notifyGameCreated(game, players) {
+    // Notify server.js about the created game and matched players
+    // The callback is responsible for emitting socket events to clients
+    if (this.onGameCreatedCallback) {
+      this.onGameCreatedCallback(game, players);
+    } else {
+      logger.warn('No onGameCreatedCallback registered with MatchmakingService.');
+    }
+  }
+
+  notifyQueueExpired(queueEntry) {
+    if (this.onQueueExpiredCallback) {
+      this.onQueueExpiredCallback(queueEntry);
+    }
+  }
+
   async getQueueStatus(userId) {
     try {
       const queueEntry = await prisma.matchmakingQueue.findFirst({
@@ -334,11 +590,15 @@ class MatchmakingService {
         }
       });
 
+      const rating = await ratingService.getRating(userId, queueEntry.gameType);
+
       return {
         inQueue: true,
         gameType: queueEntry.gameType,
         maxPlayers: queueEntry.maxPlayers,
         entryFee: parseFloat(queueEntry.entryFee),
+        rating,
+        ratingRange: Math.round(this.getRatingRange(queueEntry)),
         playersInQueue,
         waitTime: Date.now() - queueEntry.createdAt.getTime()
       };
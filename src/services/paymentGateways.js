@@ -0,0 +1,433 @@
+const Razorpay = require('razorpay');
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+const logger = require('../config/logger');
+
+/**
+ * Payment gateways take deposits and send payouts.
+ *
+ * A gateway is an object with:
+ *   name      - Stored with payouts, e.g. 'razorpay'
+ *   publicKey - Key the client's checkout uses
+ *   createOrder({ amount, receipt, notes }) - Order the user pays at checkout; amount in rupees.
+ *     Resolves to the gateway's order, whose `id` is stored as Transaction.razorpayOrderId
+ *   verifySignature({ orderId, paymentId, signature }) - Whether the checkout result is genuine
+ *   fetchPayment(paymentId) - Resolves to { id, orderId, amount, status, method }, amount in
+ *     rupees and status 'created', 'authorized', 'captured', 'refunded' or 'failed'
+ *   refund(paymentId, amount, notes) - Resolves to { id, paymentId, amount, status }
+ *   verifyWebhookSignature(rawBody, signature) - Whether a webhook came from the gateway
+ *   normalizeWebhook(body) - The parsed webhook body as { type, createdAt, payment, refund,
+ *     dispute }, type e.g. 'payment.captured' and each entity null unless the event carries it:
+ *       payment { id, orderId, amount, status, method }
+ *       refund  { id, paymentId, amount, status, notes }
+ *       dispute { id, paymentId, amount, status, phase, reasonCode, respondBy }
+ *   createPayout({ reference, amount, bankDetails }) - Start a payout to a bank account,
+ *     bankDetails { accountHolderName, accountNumber, ifscCode }, or to a UPI ID,
+ *     bankDetails { accountHolderName, vpa }. `reference` is the withdrawal ID and must make
+ *     the call idempotent: calling again with the same reference returns the payout already
+ *     created instead of paying twice
+ *   getPayout(reference) - The payout created for a reference, or null if there is none
+ * Payout calls resolve to { payoutId, status, failureReason } with status 'PROCESSING', 'PAID'
+ * or 'FAILED', and reject only when the gateway couldn't be reached, in which case the
+ * withdrawal service retries.
+ *
+ * PAYMENT_GATEWAY selects the gateway: 'razorpay', or 'mock' to run the whole deposit and
+ * withdrawal flow offline. It must be set, and the mock is refused when NODE_ENV is production.
+ */
+
+function signOrderPayment(secret, orderId, paymentId) {
+  return crypto.createHmac('sha256', secret).update(`${orderId}|${paymentId}`).digest('hex');
+}
+
+function signWebhook(secret, rawBody) {
+  return crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+}
+
+function signaturesMatch(expected, signature) {
+  const a = Buffer.from(expected);
+  const b = Buffer.from(String(signature || ''));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function normalizePayment(entity) {
+  return {
+    id: entity.id,
+    orderId: entity.order_id,
+    amount: entity.amount / 100,
+    status: entity.status,
+    method: entity.method || null
+  };
+}
+
+// Razorpay's webhook format, which the mock gateway sends too
+function normalizeRazorpayWebhook(body) {
+  const payload = body.payload || {};
+  const refund = payload.refund?.entity;
+  const dispute = payload.dispute?.entity;
+  return {
+    type: body.event,
+    createdAt: body.created_at ? new Date(body.created_at * 1000) : null,
+    payment: payload.payment?.entity ? normalizePayment(payload.payment.entity) : null,
+    refund: refund ? {
+      id: refund.id,
+      paymentId: refund.payment_id,
+      amount: refund.amount / 100,
+      status: refund.status,
+      notes: refund.notes || {}
+    } : null,
+    dispute: dispute ? {
+      id: dispute.id,
+      paymentId: dispute.payment_id,
+      amount: dispute.amount / 100,
+      status: dispute.status,
+      phase: dispute.phase || null,
+      reasonCode: dispute.reason_code || null,
+      respondBy: dispute.respond_by ? new Date(dispute.respond_by * 1000) : null
+    } : null
+  };
+}
+
+class RazorpayGateway {
+  constructor() {
+    this.name = 'razorpay';
+    this.publicKey = process.env.RAZORPAY_KEY_ID;
+    this.keySecret = process.env.RAZORPAY_KEY_SECRET;
+    this.webhookSecret = process.env.RAZORPAY_WEBHOOK_SECRET;
+    this.payoutAccountNumber = process.env.RAZORPAYX_ACCOUNT_NUMBER;
+    this.client = new Razorpay({ key_id: this.publicKey, key_secret: this.keySecret });
+  }
+
+  async createOrder({ amount, receipt, notes }) {
+    return this.client.orders.create({
+      amount: Math.round(amount * 100), // Paise
+      currency: 'INR',
+      receipt,
+      notes
+    });
+  }
+
+  verifySignature({ orderId, paymentId, signature }) {
+    return signaturesMatch(signOrderPayment(this.keySecret, orderId, paymentId), signature);
+  }
+
+  async fetchPayment(paymentId) {
+    return normalizePayment(await this.client.payments.fetch(paymentId));
+  }
+
+  async refund(paymentId, amount, notes = {}) {
+    const refund = await this.client.payments.refund(paymentId, { amount: Math.round(amount * 100), notes });
+    return { id: refund.id, paymentId: refund.payment_id, amount: refund.amount / 100, status: refund.status };
+  }
+
+  verifyWebhookSignature(rawBody, signature) {
+    if (!this.webhookSecret) {
+      logger.warn('Webhook secret not configured');
+      return false;
+    }
+    return signaturesMatch(signWebhook(this.webhookSecret, rawBody), signature);
+  }
+
+  normalizeWebhook(body) {
+    return normalizeRazorpayWebhook(body);
+  }
+
+  // Payouts go through RazorpayX, which the SDK doesn't cover
+  async payoutRequest(method, path, body = null, headers = {}) {
+    if (!this.payoutAccountNumber) {
+      throw new Error('RAZORPAYX_ACCOUNT_NUMBER not configured');
+    }
+    const response = await fetch(`https://api.razorpay.com/v1${path}`, {
+      method,
+      headers: {
+        Authorization: `Basic ${Buffer.from(`${this.publicKey}:${this.keySecret}`).toString('base64')}`,
+        'Content-Type': 'application/json',
+        ...headers
+      },
+      body: body ? JSON.stringify(body) : undefined,
+      timeout: 15000
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error?.description || `RazorpayX responded ${response.status}`);
+    }
+    return data;
+  }
+
+  formatPayout(payout) {
+    if (payout.status === 'processed') {
+      return { payoutId: payout.id, status: 'PAID', failureReason: null };
+    }
+    if (['reversed', 'rejected', 'failed', 'cancelled'].includes(payout.status)) {
+      return {
+        payoutId: payout.id,
+        status: 'FAILED',
+        failureReason: payout.status_details?.description || payout.failure_reason || `Payout ${payout.status}`
+      };
+    }
+    return { payoutId: payout.id, status: 'PROCESSING', failureReason: null };
+  }
+
+  async createPayout({ reference, amount, bankDetails }) {
+    const contact = { name: bankDetails.accountHolderName, type: 'customer' };
+    const fundAccount = bankDetails.vpa
+      ? { account_type: 'vpa', vpa: { address: bankDetails.vpa }, contact }
+      : {
+        account_type: 'bank_account',
+        bank_account: {
+          name: bankDetails.accountHolderName,
+          ifsc: bankDetails.ifscCode,
+          account_number: bankDetails.accountNumber
+        },
+        contact
+      };
+    const payout = await this.payoutRequest('POST', '/payouts', {
+      account_number: this.payoutAccountNumber,
+      amount: Math.round(amount * 100),
+      currency: 'INR',
+      mode: bankDetails.vpa ? 'UPI' : 'IMPS',
+      purpose: 'payout',
+      fund_account: fundAccount,
+      queue_if_low_balance: true,
+      reference_id: reference
+    }, { 'X-Payout-Idempotency': reference });
+    return this.formatPayout(payout);
+  }
+
+  async getPayout(reference) {
+    const query = new URLSearchParams({ account_number: this.payoutAccountNumber || '', reference_id: reference });
+    const { items } = await this.payoutRequest('GET', `/payouts?${query}`);
+    return items && items.length > 0 ? this.formatPayout(items[0]) : null;
+  }
+}
+
+/**
+ * Offline stand-in for the gateway. Nothing is random about outcomes: a checkout succeeds or
+ * fails as asked through `pay`, which can also deliver the matching webhook after a delay, and
+ * payouts stay PROCESSING for MOCK_PAYOUT_SETTLE_SECONDS, then are paid, except those to account
+ * numbers or UPI IDs ending in 0000 (before the @), which fail. Signatures are real HMACs over a fixed secret, so the
+ * verification code paths run unchanged. State is kept in memory, so a payout still processing
+ * at a restart is created again under its reference.
+ */
+class MockGateway {
+  constructor() {
+    this.name = 'mock';
+    this.publicKey = 'rzp_test_mock';
+    this.secret = process.env.MOCK_GATEWAY_SECRET || 'mock_gateway_secret';
+    this.PAYOUT_SETTLE_MS = parseInt(process.env.MOCK_PAYOUT_SETTLE_SECONDS || '30', 10) * 1000;
+    this.orders = new Map(); // orderId -> order
+    this.payments = new Map(); // paymentId -> payment entity
+    this.payouts = new Map(); // reference -> payout
+    this.sequence = 0;
+    this.webhookHandler = null;
+  }
+
+  nextId(prefix) {
+    this.sequence += 1;
+    return `${prefix}_mock${String(this.sequence).padStart(6, '0')}${crypto.randomBytes(4).toString('hex')}`;
+  }
+
+  /**
+   * Where simulated webhooks are delivered, as (rawBody, signature, eventId).
+   */
+  setWebhookHandler(handler) {
+    this.webhookHandler = handler;
+  }
+
+  async createOrder({ amount, receipt, notes }) {
+    const order = {
+      id: this.nextId('order'),
+      amount: Math.round(amount * 100),
+      currency: 'INR',
+      receipt,
+      notes,
+      status: 'created'
+    };
+    this.orders.set(order.id, order);
+    return { ...order };
+  }
+
+  /**
+   * Simulate the user paying an order at checkout.
+   * @param {object} options
+   * @param {'success'|'failure'} options.outcome
+   * @param {number|null} options.webhookDelayMs - Delay before the webhook, null for none
+   * @returns {object} What the checkout hands the client: the signed payment on success, the error otherwise
+   */
+  pay(orderId, { outcome = 'success', webhookDelayMs = 0 } = {}) {
+    const order = this.orders.get(orderId);
+    if (!order) {
+      throw new Error('Order not found');
+    }
+    if (order.status === 'paid') {
+      throw new Error('Order already paid');
+    }
+
+    const captured = outcome === 'success';
+    const payment = {
+      id: this.nextId('pay'),
+      order_id: orderId,
+      amount: order.amount,
+      currency: 'INR',
+      status: captured ? 'captured' : 'failed',
+      method: 'upi',
+      error_description: captured ? null : 'Payment declined by the mock gateway'
+    };
+    this.payments.set(payment.id, payment);
+    order.status = captured ? 'paid' : 'attempted';
+
+    if (webhookDelayMs !== null) {
+      this.deliverWebhook(captured ? 'payment.captured' : 'payment.failed', { payment }, webhookDelayMs);
+    }
+
+    return captured
+      ? {
+          razorpay_order_id: orderId,
+          razorpay_payment_id: payment.id,
+          razorpay_signature: signOrderPayment(this.secret, orderId, payment.id)
+        }
+      : { error: { code: 'BAD_REQUEST_ERROR', description: payment.error_description, metadata: { order_id: orderId, payment_id: payment.id } } };
+  }
+
+  /**
+   * Send a webhook about the given entities, e.g. { payment }, after a delay.
+   */
+  deliverWebhook(event, entities, delayMs) {
+    const payload = {};
+    for (const [name, entity] of Object.entries(entities)) {
+      payload[name] = { entity: { ...entity } };
+    }
+    const rawBody = Buffer.from(JSON.stringify({
+      entity: 'event',
+      event,
+      payload,
+      created_at: Math.floor(Date.now() / 1000)
+    }));
+    const signature = signWebhook(this.secret, rawBody);
+    const eventId = this.nextId('evt');
+
+    const timer = setTimeout(() => {
+      if (!this.webhookHandler) {
+        logger.warn(`Mock gateway has no webhook handler, dropped ${event}`);
+        return;
+      }
+      Promise.resolve(this.webhookHandler(rawBody, signature, eventId))
+        .catch(error => logger.error('Mock webhook delivery error:', error));
+    }, delayMs);
+    timer.unref();
+  }
+
+  verifySignature({ orderId, paymentId, signature }) {
+    return signaturesMatch(signOrderPayment(this.secret, orderId, paymentId), signature);
+  }
+
+  async fetchPayment(paymentId) {
+    const payment = this.payments.get(paymentId);
+    if (!payment) {
+      throw new Error('Payment not found');
+    }
+    return normalizePayment(payment);
+  }
+
+  async refund(paymentId, amount, notes = {}) {
+    const payment = this.payments.get(paymentId);
+    if (!payment || payment.status !== 'captured') {
+      throw new Error('Only captured payments can be refunded');
+    }
+    payment.status = 'refunded';
+
+    const refund = {
+      id: this.nextId('rfnd'),
+      payment_id: paymentId,
+      amount: Math.round(amount * 100),
+      currency: 'INR',
+      notes,
+      status: 'processed'
+    };
+    this.deliverWebhook('refund.processed', { refund, payment }, 0);
+    return { id: refund.id, paymentId, amount, status: refund.status };
+  }
+
+  verifyWebhookSignature(rawBody, signature) {
+    return signaturesMatch(signWebhook(this.secret, rawBody), signature);
+  }
+
+  normalizeWebhook(body) {
+    return normalizeRazorpayWebhook(body);
+  }
+
+  async createPayout({ reference, amount, bankDetails }) {
+    if (!this.payouts.has(reference)) {
+      this.payouts.set(reference, {
+        payoutId: this.nextId('pout'),
+        amount,
+        fails: String(bankDetails.accountNumber || bankDetails.vpa.split('@')[0]).endsWith('0000'),
+        createdAt: Date.now()
+      });
+      logger.info(`💸 Mock payout of ₹${amount} created for withdrawal ${reference}`);
+    }
+    return this.getPayout(reference);
+  }
+
+  async getPayout(reference) {
+    const payout = this.payouts.get(reference);
+    if (!payout) {
+      return null;
+    }
+
+    if (Date.now() - payout.createdAt < this.PAYOUT_SETTLE_MS) {
+      return { payoutId: payout.payoutId, status: 'PROCESSING', failureReason: null };
+    }
+    return payout.fails
+      ? { payoutId: payout.payoutId, status: 'FAILED', failureReason: 'Beneficiary account rejected the transfer' }
+      : { payoutId: payout.payoutId, status: 'PAID', failureReason: null };
+  }
+}
+
+const GATEWAYS = {
+  razorpay: () => new RazorpayGateway(),
+  mock: () => new MockGateway()
+};
+
+function createPaymentGateway(name) {
+  const create = GATEWAYS[name];
+  if (!create) {
+    throw new Error(`Unknown payment gateway: ${name}`);
+  }
+  return create();
+}
+
+let gateway = null;
+
+/**
+ * The configured gateway, shared by deposits and withdrawals. The services that use it create
+ * it when they load, so a server without a usable gateway fails at startup.
+ */
+function getPaymentGateway() {
+  if (!gateway) {
+    const name = process.env.PAYMENT_GATEWAY;
+    if (!name) {
+      throw new Error('PAYMENT_GATEWAY is not set: use razorpay, or mock to simulate payments offline');
+    }
+    if (name === 'mock' && process.env.NODE_ENV === 'production') {
+      throw new Error('The mock payment gateway cannot be used in production');
+    }
+    if (name === 'razorpay' && !(process.env.RAZORPAY_KEY_ID && process.env.RAZORPAY_KEY_SECRET)) {
+      throw new Error('Razorpay credentials are not configured');
+    }
+
+    gateway = createPaymentGateway(name);
+    if (gateway.name === 'mock') {
+      logger.warn('Payment gateway: mock, deposits and payouts are simulated');
+    } else {
+      logger.info(`Payment gateway: ${gateway.name}`);
+    }
+  }
+  return gateway;
+}
+
+module.exports = {
+  RazorpayGateway,
+  MockGateway,
+  createPaymentGateway,
+  getPaymentGateway
+};
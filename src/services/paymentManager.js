@@ -1,41 +1,31 @@
-const Razorpay = require('razorpay');
-const crypto = require('crypto');
 const logger = require('../config/logger');
 const prisma = require('../config/database');
+const ledgerService = require('./ledgerService');
+const walletService = require('./walletService');
+const responsibleGamingService = require('./responsibleGamingService');
+const promotionService = require('./promotionService');
+const { getPaymentGateway } = require('./paymentGateways');
 
 class PaymentManager {
   constructor() {
-    this.razorpay = null;
-    this.initializeRazorpay();
+    this.gateway = getPaymentGateway();
+    // Deposit refunds and chargebacks are taken from cash first, never from bonus credit
+    this.CLAWBACK_ORDER = ['USER_CASH', 'USER_WINNINGS'];
   }
 
-  initializeRazorpay() {
-    if (!process.env.RAZORPAY_KEY_ID || !process.env.RAZORPAY_KEY_SECRET) {
-      logger.warn('Razorpay credentials not configured');
-      return;
-    }
-
-    this.razorpay = new Razorpay({
-      key_id: process.env.RAZORPAY_KEY_ID,
-      key_secret: process.env.RAZORPAY_KEY_SECRET,
-    });
-    
-    logger.info('Razorpay initialized successfully');
-  }
-
-  async createDepositOrder(userId, amount) {
-    if (!this.razorpay) {
-      throw new Error('Payment gateway not configured');
-    }
-
+  /**
+   * @param {string|null} promoCode - Code whose bonus is credited with the deposit
+   */
+  async createDepositOrder(userId, amount, promoCode = null) {
     if (amount < 10 || amount > 50000) {
       throw new Error('Invalid amount. Must be between ₹10 and ₹50,000');
     }
+    await responsibleGamingService.assertCanDeposit(userId, amount);
+    const promo = promoCode ? await promotionService.validateCode(userId, promoCode, amount) : null;
 
     try {
-      const order = await this.razorpay.orders.create({
-        amount: Math.round(amount * 100), // Convert to paise
-        currency: 'INR',
+      const order = await this.gateway.createOrder({
+        amount,
         receipt: `deposit_${userId}_${Date.now()}`,
         notes: {
           userId,
@@ -43,22 +33,33 @@ class PaymentManager {
         }
       });
 
-      // Create pending transaction
-      const transaction = await prisma.transaction.create({
-        data: {
-          userId,
-          type: 'DEPOSIT',
-          amount,
-          status: 'PENDING',
-          description: `Wallet deposit of ₹${amount}`,
-          razorpayOrderId: order.id
+      // Create pending transaction, with the promo code reserved for it
+      const transaction = await prisma.$transaction(async (tx) => {
+        const deposit = await tx.transaction.create({
+          data: {
+            userId,
+            type: 'DEPOSIT',
+            amount,
+            status: 'PENDING',
+            description: `Wallet deposit of ₹${amount}`,
+            razorpayOrderId: order.id
+          }
+        });
+        if (promo) {
+          await promotionService.reserve(tx, promo.promotion, deposit, promo);
         }
+        return deposit;
       });
 
       return {
         success: true,
         order,
-        transactionId: transaction.id
+        transactionId: transaction.id,
+        gateway: this.gateway.name,
+        key: this.gateway.publicKey,
+        ...(promo && {
+          promo: { code: promo.promotion.code, bonusAmount: promo.bonusAmount, wageringRequired: promo.wageringRequired }
+        })
       };
     } catch (error) {
       logger.error('Error creating deposit order:', error);
@@ -67,24 +68,17 @@ class PaymentManager {
   }
 
   async verifyPayment(razorpayOrderId, razorpayPaymentId, razorpaySignature) {
-    if (!this.razorpay) {
-      throw new Error('Payment gateway not configured');
-    }
-
     try {
-      // Verify signature
-      const expectedSignature = crypto
-        .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
-        .update(razorpayOrderId + '|' + razorpayPaymentId)
-        .digest('hex');
-
-      if (expectedSignature !== razorpaySignature) {
+      if (!this.gateway.verifySignature({ orderId: razorpayOrderId, paymentId: razorpayPaymentId, signature: razorpaySignature })) {
         throw new Error('Invalid payment signature');
       }
 
       // Fetch payment details
-      const payment = await this.razorpay.payments.fetch(razorpayPaymentId);
-      
+      const payment = await this.gateway.fetchPayment(razorpayPaymentId);
+
+      if (payment.orderId !== razorpayOrderId) {
+        throw new Error('Payment does not belong to this order');
+      }
       if (payment.status !== 'captured') {
         throw new Error('Payment not captured');
       }
@@ -99,58 +93,96 @@ class PaymentManager {
     }
   }
 
-  async processDeposit(userId, amount, razorpayOrderId, razorpayPaymentId, razorpaySignature) {
-    try {
-      // Verify payment first
-      await this.verifyPayment(razorpayOrderId, razorpayPaymentId, razorpaySignature);
+  /**
+   * Credit a deposit the user paid at checkout. The amount is the order's, not the client's.
+   */
+  async processDeposit(userId, razorpayOrderId, razorpayPaymentId, razorpaySignature) {
+    const { payment } = await this.verifyPayment(razorpayOrderId, razorpayPaymentId, razorpaySignature);
+
+    const owned = await prisma.transaction.findFirst({
+      where: { userId, razorpayOrderId, type: 'DEPOSIT' }
+    });
+    if (!owned) {
+      throw new Error('Transaction not found');
+    }
+
+    const result = await this.completeDeposit(payment, razorpaySignature);
+    if (result) {
+      return result;
+    }
 
-      // Process in transaction
+    // The webhook may have got there first
+    const completed = await prisma.transaction.findUnique({ where: { id: owned.id } });
+    if (completed.status !== 'COMPLETED' || completed.razorpayPaymentId !== payment.id) {
+      throw new Error('Transaction not found or already processed');
+    }
+    return {
+      success: true,
+      balance: await walletService.getWalletBalance(userId),
+      transactionId: completed.id
+    };
+  }
+
+  /**
+   * Mark the deposit of a captured payment's order COMPLETED and credit the wallet. A deposit
+   * whose earlier payment attempt failed can still be completed by a later one on the same order.
+   * Safe to call from both the checkout verification and the webhook: only the first one credits.
+   * @returns {Promise<object|null>} null if the deposit was already completed
+   */
+  async completeDeposit(payment, razorpaySignature = null) {
+    try {
       const result = await prisma.$transaction(async (tx) => {
-        // Find pending transaction
         const transaction = await tx.transaction.findFirst({
           where: {
-            userId,
-            razorpayOrderId,
-            status: 'PENDING',
+            razorpayOrderId: payment.orderId,
+            status: { in: ['PENDING', 'FAILED'] },
             type: 'DEPOSIT'
           }
         });
-
         if (!transaction) {
-          throw new Error('Transaction not found or already processed');
+          return null;
+        }
+
+        const amount = parseFloat(transaction.amount);
+        if (Math.round(payment.amount * 100) !== Math.round(amount * 100)) {
+          throw new Error(`Payment ${payment.id} of ₹${payment.amount} does not match deposit of ₹${amount}`);
         }
 
-        // Update transaction
-        await tx.transaction.update({
-          where: { id: transaction.id },
+        // Claim the deposit so a concurrent verification or webhook doesn't credit it again
+        const claimed = await tx.transaction.updateMany({
+          where: { id: transaction.id, status: transaction.status },
           data: {
             status: 'COMPLETED',
-            razorpayPaymentId,
-            razorpaySignature,
-            updatedAt: new Date()
+            razorpayPaymentId: payment.id,
+            ...(razorpaySignature && { razorpaySignature })
           }
         });
+        if (claimed.count === 0) {
+          return null;
+        }
 
         // Update wallet
-        const wallet = await tx.wallet.upsert({
-          where: { userId },
-          create: { userId, balance: amount },
-          update: {
-            balance: {
-              increment: amount
-            }
-          }
+        await ledgerService.creditUser(tx, transaction.userId, amount, 'DEPOSIT', {
+          transactionId: transaction.id,
+          description: `Deposit via order ${payment.orderId}`
         });
+        const bonus = await promotionService.creditDepositBonus(tx, transaction);
+        const wallet = await tx.wallet.findUnique({ where: { userId: transaction.userId } });
 
-        return { transaction, wallet };
+        return { transaction, wallet, amount, bonus };
       });
 
-      logger.info(`Deposit processed: User ${userId}, Amount: ₹${amount}`);
-      
+      if (!result) {
+        return null;
+      }
+
+      logger.info(`Deposit processed: User ${result.transaction.userId}, Amount: ₹${result.amount}`);
+
       return {
         success: true,
         balance: parseFloat(result.wallet.balance),
-        transactionId: result.transaction.id
+        transactionId: result.transaction.id,
+        bonus: result.bonus
       };
     } catch (error) {
       logger.error('Error processing deposit:', error);
@@ -158,125 +190,22 @@ class PaymentManager {
     }
   }
 
-  async createWithdrawal(userId, amount, bankDetails) {
-    if (amount < 100) {
-      throw new Error('Minimum withdrawal amount is ₹100');
+  /**
+   * Simulate checkout for a pending deposit order; only the mock gateway supports it.
+   */
+  async simulateCheckout(userId, razorpayOrderId, options) {
+    if (!this.gateway.pay) {
+      throw new Error('Checkout simulation is only available with the mock payment gateway');
     }
 
-    if (!bankDetails?.accountNumber || !bankDetails?.ifscCode || !bankDetails?.accountHolderName) {
-      throw new Error('Complete bank details required');
-    }
-
-    try {
-      const result = await prisma.$transaction(async (tx) => {
-        // Check balance
-        const wallet = await tx.wallet.findUnique({
-          where: { userId }
-        });
-
-        if (!wallet || parseFloat(wallet.balance) < amount) {
-          throw new Error('Insufficient balance');
-        }
-
-        // Create withdrawal transaction
-        const transaction = await tx.transaction.create({
-          data: {
-            userId,
-            type: 'WITHDRAWAL',
-            amount,
-            status: 'PENDING',
-            description: `Withdrawal of ₹${amount}`,
-            metadata: {
-              bankDetails: {
-                accountNumber: bankDetails.accountNumber,
-                ifscCode: bankDetails.ifscCode,
-                accountHolderName: bankDetails.accountHolderName,
-                bankName: bankDetails.bankName || 'Not specified'
-              },
-              requestedAt: new Date().toISOString()
-            }
-          }
-        });
-
-        // Deduct from wallet
-        await tx.wallet.update({
-          where: { userId },
-          data: {
-            balance: {
-              decrement: amount
-            }
-          }
-        });
-
-        return transaction;
-      });
-
-      // DEMO ONLY: Auto-approve withdrawal after 30 seconds. In production, integrate with a real payout service and remove this logic.
-      this.scheduleWithdrawalProcessing(result.id, userId, amount);
-
-      return {
-        success: true,
-        transactionId: result.id,
-        message: 'Withdrawal request created successfully'
-      };
-    } catch (error) {
-      logger.error('Error creating withdrawal:', error);
-      throw error;
+    const transaction = await prisma.transaction.findFirst({
+      where: { userId, razorpayOrderId, type: 'DEPOSIT' }
+    });
+    if (!transaction) {
+      throw new Error('Transaction not found');
     }
-  }
-
-  scheduleWithdrawalProcessing(transactionId, userId, amount) {
-    // Demo auto-approval after 30 seconds
-    setTimeout(async () => {
-      try {
-        const transaction = await prisma.transaction.findUnique({
-          where: { id: transactionId }
-        });
 
-        if (!transaction || transaction.status !== 'PENDING') {
-          return;
-        }
-
-        await prisma.transaction.update({
-          where: { id: transactionId },
-          data: {
-            status: 'COMPLETED',
-            description: 'Withdrawal processed (Demo)',
-            updatedAt: new Date()
-          }
-        });
-
-        logger.info(`Withdrawal auto-processed: ${transactionId} for user ${userId}`);
-      } catch (error) {
-        logger.error(`Error auto-processing withdrawal ${transactionId}:`, error);
-        
-        // Refund on failure
-        try {
-          await prisma.$transaction(async (tx) => {
-            await tx.transaction.update({
-              where: { id: transactionId },
-              data: {
-                status: 'FAILED',
-                description: 'Withdrawal failed - amount refunded'
-              }
-            });
-
-            await tx.wallet.update({
-              where: { userId },
-              data: {
-                balance: {
-                  increment: amount
-                }
-              }
-            });
-          });
-          
-          logger.info(`Withdrawal ${transactionId} failed, amount refunded to user ${userId}`);
-        } catch (refundError) {
-          logger.error(`Critical: Failed to refund withdrawal ${transactionId}:`, refundError);
-        }
-      }
-    }, 30000);
+    return this.gateway.pay(razorpayOrderId, options);
   }
 
   async getTransactionHistory(userId, page = 1, limit = 20, type = null) {
@@ -327,61 +256,213 @@ class PaymentManager {
     }
   }
 
-  verifyWebhookSignature(body, signature) {
-    if (!process.env.RAZORPAY_WEBHOOK_SECRET) {
-      logger.warn('Webhook secret not configured');
-      return false;
-    }
-
-    const expectedSignature = crypto
-      .createHmac('sha256', process.env.RAZORPAY_WEBHOOK_SECRET)
-      .update(body)
-      .digest('hex');
-
-    return signature === expectedSignature;
-  }
-
+  /**
+   * Handle a verified webhook event, normalized by the gateway. Throws if handling failed, so
+   * the event is kept for a retry or replay; every handler is safe to run again.
+   * @returns {Promise<boolean>} false for event types that aren't handled
+   */
   async handleWebhook(event) {
-    try {
-      switch (event.event) {
-        case 'payment.captured':
-          await this.handlePaymentCaptured(event.payload.payment.entity);
-          break;
-        case 'payment.failed':
-          await this.handlePaymentFailed(event.payload.payment.entity);
-          break;
-        default:
-          logger.info('Unhandled webhook event:', event.event);
-      }
-    } catch (error) {
-      logger.error('Error handling webhook:', error);
+    switch (event.type) {
+      case 'payment.captured':
+        await this.handlePaymentCaptured(event.payment);
+        return true;
+      case 'payment.failed':
+        await this.handlePaymentFailed(event.payment);
+        return true;
+      case 'refund.processed':
+        await this.handleRefundProcessed(event.refund);
+        return true;
+      default:
+        if (event.type && event.type.startsWith('payment.dispute.') && event.dispute) {
+          await this.handleDispute(event.type.slice('payment.dispute.'.length), event.dispute);
+          return true;
+        }
+        logger.info('Unhandled webhook event:', event.type);
+        return false;
     }
   }
 
+  /**
+   * Complete the deposit if the user never returned from checkout. A second payment captured
+   * for an order whose deposit was already credited is refunded.
+   */
   async handlePaymentCaptured(payment) {
     logger.info('Payment captured via webhook:', payment.id);
-    // Additional processing if needed
+
+    const result = await this.completeDeposit(payment);
+    if (result) {
+      return;
+    }
+
+    const completed = await prisma.transaction.findFirst({
+      where: { razorpayOrderId: payment.orderId, type: 'DEPOSIT', status: 'COMPLETED' }
+    });
+    if (completed && completed.razorpayPaymentId && completed.razorpayPaymentId !== payment.id) {
+      const refund = await this.gateway.refund(payment.id, payment.amount, { transactionId: completed.id });
+      logger.warn(`Duplicate payment ${payment.id} for deposit ${completed.id} refunded (${refund.id})`);
+    }
   }
 
   async handlePaymentFailed(payment) {
     logger.info('Payment failed via webhook:', payment.id);
     
     // Mark transaction as failed
-    try {
-      await prisma.transaction.updateMany({
-        where: {
-          razorpayPaymentId: payment.id,
-          status: 'PENDING'
-        },
+    await prisma.transaction.updateMany({
+      where: {
+        razorpayOrderId: payment.orderId,
+        type: 'DEPOSIT',
+        status: 'PENDING'
+      },
+      data: {
+        status: 'FAILED',
+        razorpayPaymentId: payment.id,
+        description: 'Payment failed'
+      }
+    });
+  }
+
+  /**
+   * A refund issued on a credited deposit, e.g. from the gateway dashboard, takes the amount
+   * back out of the wallet. Refunds of payments that were never credited (duplicates) need nothing.
+   */
+  async handleRefundProcessed(refund) {
+    logger.info(`Refund ${refund.id} processed for payment ${refund.paymentId}`);
+
+    const deposit = await prisma.transaction.findFirst({
+      where: { razorpayPaymentId: refund.paymentId, type: 'DEPOSIT', status: 'COMPLETED' }
+    });
+    if (!deposit) {
+      return;
+    }
+
+    await prisma.$transaction(async (tx) => {
+      const existing = await tx.transaction.findFirst({
+        where: { type: 'DEPOSIT_REFUND', razorpayPaymentId: refund.id }
+      });
+      if (existing) {
+        return;
+      }
+
+      const transaction = await tx.transaction.create({
         data: {
-          status: 'FAILED',
-          description: 'Payment failed'
+          userId: deposit.userId,
+          type: 'DEPOSIT_REFUND',
+          amount: refund.amount,
+          status: 'COMPLETED',
+          description: `Deposit of ₹${parseFloat(deposit.amount)} refunded to the payment source`,
+          razorpayOrderId: deposit.razorpayOrderId,
+          razorpayPaymentId: refund.id,
+          metadata: { depositTransactionId: deposit.id, paymentId: refund.paymentId }
         }
       });
+      await ledgerService.chargeUser(tx, deposit.userId, refund.amount, 'DEPOSIT_REFUND', {
+        transactionId: transaction.id,
+        description: transaction.description
+      }, this.CLAWBACK_ORDER);
+    });
+
+    logger.info(`Deposit ${deposit.id} refunded: ₹${refund.amount} taken from user ${deposit.userId}`);
+  }
+
+  /**
+   * Track a chargeback. The disputed amount is held while the dispute is open, released if it's
+   * won or closed and taken as a CHARGEBACK if it's lost.
+   * @param {string} action - Event suffix: created, under_review, action_required, won, lost or closed
+   */
+  async handleDispute(action, dispute) {
+    const STATUSES = { created: 'OPEN', action_required: 'OPEN', under_review: 'UNDER_REVIEW', won: 'WON', lost: 'LOST', closed: 'CLOSED' };
+    const status = STATUSES[action];
+    if (!status) {
+      logger.info(`Unhandled dispute event ${action} for dispute ${dispute.id}`);
+      return;
+    }
+
+    const deposit = await prisma.transaction.findFirst({
+      where: { razorpayPaymentId: dispute.paymentId, type: 'DEPOSIT' }
+    });
+
+    const record = await prisma.paymentDispute.upsert({
+      where: { gatewayDisputeId: dispute.id },
+      create: {
+        gatewayDisputeId: dispute.id,
+        paymentId: dispute.paymentId,
+        transactionId: deposit?.id || null,
+        userId: deposit?.userId || null,
+        amount: dispute.amount,
+        status,
+        phase: dispute.phase,
+        reasonCode: dispute.reasonCode,
+        respondBy: dispute.respondBy
+      },
+      update: {
+        status,
+        phase: dispute.phase,
+        respondBy: dispute.respondBy
+      }
+    });
+
+    if (!record.userId) {
+      logger.warn(`Dispute ${dispute.id} on payment ${dispute.paymentId} matches no deposit`);
+      return;
+    }
+
+    if (status === 'OPEN' || status === 'UNDER_REVIEW') {
+      if (!record.holdId) {
+        await this.holdDisputedAmount(record);
+      }
+      return;
+    }
+
+    const resolved = await prisma.$transaction(async (tx) => {
+      const claimed = await tx.paymentDispute.updateMany({
+        where: { id: record.id, resolvedAt: null },
+        data: { resolvedAt: new Date() }
+      });
+      if (claimed.count === 0) {
+        return false;
+      }
+
+      if (record.holdId && status === 'LOST') {
+        await walletService.captureHold(record.holdId, 'CHARGEBACK', `Chargeback of ₹${parseFloat(record.amount)} on deposit ${record.transactionId}`, null, tx);
+      } else if (record.holdId) {
+        await walletService.releaseHold(record.holdId, `Dispute ${status.toLowerCase()}`, tx);
+      }
+      return true;
+    });
+    if (!resolved) {
+      return;
+    }
+
+    if (status === 'LOST' && !record.holdId) {
+      logger.error(`Dispute ${dispute.id} lost but nothing was held from user ${record.userId}; recover ₹${parseFloat(record.amount)} manually`);
+    } else {
+      logger.info(`Dispute ${dispute.id} ${status.toLowerCase()} for user ${record.userId}`);
+    }
+  }
+
+  async holdDisputedAmount(record) {
+    try {
+      await prisma.$transaction(async (tx) => {
+        const hold = await walletService.holdFunds(record.userId, parseFloat(record.amount), `Payment dispute ${record.gatewayDisputeId}`, tx, this.CLAWBACK_ORDER);
+        const attached = await tx.paymentDispute.updateMany({
+          where: { id: record.id, holdId: null },
+          data: { holdId: hold.id }
+        });
+        if (attached.count === 0) {
+          throw new Error('Dispute already has a hold');
+        }
+      });
+      logger.warn(`Dispute ${record.gatewayDisputeId}: ₹${parseFloat(record.amount)} held from user ${record.userId}`);
     } catch (error) {
-      logger.error('Error updating failed payment:', error);
+      if (error.message === 'Insufficient balance') {
+        logger.error(`Dispute ${record.gatewayDisputeId}: user ${record.userId} can't cover ₹${parseFloat(record.amount)}, nothing held`);
+        return;
+      }
+      if (error.message !== 'Dispute already has a hold') {
+        throw error;
+      }
     }
   }
 }
 
-module.exports = new PaymentManager();
\ No newline at end of file
+module.exports = new PaymentManager();
@@ -0,0 +1,415 @@
+const crypto = require('crypto');
+const prisma = require('../config/database');
+const logger = require('../config/logger');
+const walletService = require('./walletService');
+const gameRegistry = require('./gameRegistry');
+const matchmakingService = require('./matchmakingService');
+const responsibleGamingService = require('./responsibleGamingService');
+
+/**
+ * Invite-only tables.
+ *
+ * A host picks the game type, table size and entry fee and gets a short invite code plus a
+ * deep-link token. Players join with either one. Every player's entry fee is held in their
+ * wallet while they are seated; the game is created through matchmaking once the table is full
+ * or the host starts it early, and the holds are captured in the same transaction. Players who
+ * leave, and everyone at a table that is cancelled or still unfilled after
+ * PRIVATE_TABLE_TTL_MINUTES, get their hold released.
+ *
+ * Joining, leaving and starting each lock the table row while it is OPEN, so they happen one at
+ * a time: a player who left is never seated in the game, and a seated player is never refunded.
+ */
+class PrivateTableService {
+  constructor() {
+    this.io = null;
+    this.TABLE_TTL_MS = parseInt(process.env.PRIVATE_TABLE_TTL_MINUTES || '30', 10) * 60 * 1000;
+    this.INVITE_LINK_BASE_URL = process.env.INVITE_LINK_BASE_URL || 'budzee://table/';
+    this.CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // No 0/O or 1/I to mix up
+    this.CODE_LENGTH = 6;
+    this.SWEEP_INTERVAL_MS = 60000;
+    this.sweepInterval = null;
+  }
+
+  init(io) {
+    this.io = io;
+  }
+
+  startExpirySweep() {
+    if (this.sweepInterval) {
+      clearInterval(this.sweepInterval);
+    }
+    this.sweepInterval = setInterval(() => {
+      this.expireTables().catch(error => logger.error('Private table expiry sweep failed:', error));
+    }, this.SWEEP_INTERVAL_MS);
+    logger.info('Private table expiry sweep started, running every 60 seconds.');
+  }
+
+  stop() {
+    if (this.sweepInterval) {
+      clearInterval(this.sweepInterval);
+      this.sweepInterval = null;
+      logger.info('Private table expiry sweep stopped.');
+    }
+  }
+
+  async generateInviteCode() {
+    for (let attempt = 0; attempt < 5; attempt++) {
+      let code = '';
+      for (let i = 0; i < this.CODE_LENGTH; i++) {
+        code += this.CODE_ALPHABET[crypto.randomInt(this.CODE_ALPHABET.length)];
+      }
+      const existing = await prisma.privateTable.findUnique({ where: { inviteCode: code } });
+      if (!existing) {
+        return code;
+      }
+    }
+    throw new Error('Failed to generate invite code');
+  }
+
+  async findTable(codeOrToken) {
+    const value = String(codeOrToken || '').trim();
+    return prisma.privateTable.findFirst({
+      where: { OR: [{ inviteCode: value.toUpperCase() }, { inviteToken: value }] },
+      include: { seats: { include: { user: true }, orderBy: { joinedAt: 'asc' } } }
+    });
+  }
+
+  async getTable(tableId) {
+    return prisma.privateTable.findUnique({
+      where: { id: tableId },
+      include: { seats: { include: { user: true }, orderBy: { joinedAt: 'asc' } } }
+    });
+  }
+
+  formatTable(table) {
+    return {
+      id: table.id,
+      hostId: table.hostId,
+      gameType: table.gameType,
+      maxPlayers: table.maxPlayers,
+      entryFee: parseFloat(table.entryFee),
+      inviteCode: table.inviteCode,
+      inviteLink: `${this.INVITE_LINK_BASE_URL}${table.inviteToken}`,
+      status: table.status,
+      expiresAt: table.expiresAt,
+      gameId: table.gameId,
+      players: table.seats.map((seat, index) => ({
+        id: seat.userId,
+        name: seat.user?.name || `Player ${index + 1}`,
+        isHost: seat.userId === table.hostId
+      }))
+    };
+  }
+
+  /**
+   * Hold a player's entry fee for a table. Free tables hold nothing.
+   * @returns {Promise<string|null>} ID of the wallet hold
+   */
+  async holdEntryFee(tx, userId, entryFee, inviteCode) {
+    if (entryFee <= 0) {
+      return null;
+    }
+    const hold = await walletService.holdFunds(userId, entryFee, `Entry fee held for private table ${inviteCode}`, tx);
+    return hold.id;
+  }
+
+  /**
+   * Give a seat its entry fee back. Seats taken before holds existed paid their fee on joining,
+   * which is refunded instead.
+   */
+  async releaseEntryFee(tx, seat, inviteCode, reason) {
+    const description = `Entry fee for private table ${inviteCode} returned (${reason})`;
+    if (seat.holdId) {
+      await walletService.releaseHold(seat.holdId, description, tx);
+    } else if (seat.feeTransactionId) {
+      await walletService.refundTransaction(seat.feeTransactionId, description, tx);
+    }
+  }
+
+  /**
+   * Lock an open table's row until the transaction ends. Throws if it is no longer open.
+   */
+  async lockOpenTable(tx, tableId) {
+    const locked = await tx.privateTable.updateMany({
+      where: { id: tableId, status: 'OPEN' },
+      data: { updatedAt: new Date() }
+    });
+    if (locked.count === 0) {
+      throw new Error('Table is no longer open');
+    }
+  }
+
+  async createTable(hostId, { gameType, maxPlayers, entryFee }) {
+    if (!gameRegistry.has(gameType)) {
+      throw new Error('Invalid game type');
+    }
+    if (!gameRegistry.isValidPlayerCount(gameType, maxPlayers)) {
+      const { minPlayers, maxPlayers: upperBound } = gameRegistry.get(gameType);
+      throw new Error(`Invalid number of players (${minPlayers}-${upperBound} allowed)`);
+    }
+    await responsibleGamingService.assertCanPlay(hostId, entryFee);
+
+    const inviteCode = await this.generateInviteCode();
+    if (entryFee > 0) {
+      await walletService.getWallet(hostId); // Make sure there is a wallet to hold funds in
+    }
+
+    const table = await prisma.$transaction(async (tx) => {
+      const holdId = await this.holdEntryFee(tx, hostId, entryFee, inviteCode);
+      return tx.privateTable.create({
+        data: {
+          hostId,
+          gameType,
+          maxPlayers,
+          entryFee,
+          inviteCode,
+          inviteToken: crypto.randomBytes(24).toString('base64url'),
+          expiresAt: new Date(Date.now() + this.TABLE_TTL_MS),
+          seats: { create: { userId: hostId, holdId } }
+        },
+        include: { seats: { include: { user: true } } }
+      });
+    });
+
+    logger.info(`🔒 User ${hostId} created private ${gameType} ${maxPlayers}P ₹${entryFee} table ${table.id} (${inviteCode})`);
+    return this.formatTable(table);
+  }
+
+  async joinTable(userId, codeOrToken) {
+    const table = await this.findTable(codeOrToken);
+    if (!table) {
+      throw new Error('Table not found');
+    }
+    if (table.status !== 'OPEN' || table.expiresAt <= new Date()) {
+      throw new Error('Table is no longer open');
+    }
+    if (table.seats.some(seat => seat.userId === userId)) {
+      throw new Error('You are already at this table');
+    }
+    if (table.seats.length >= table.maxPlayers) {
+      throw new Error('Table is full');
+    }
+
+    const entryFee = parseFloat(table.entryFee);
+    await responsibleGamingService.assertCanPlay(userId, entryFee);
+    if (entryFee > 0) {
+      await walletService.getWallet(userId); // Make sure there is a wallet to hold funds in
+    }
+
+    // Re-check under the table lock, another player may have taken the last seat meanwhile
+    await prisma.$transaction(async (tx) => {
+      await this.lockOpenTable(tx, table.id);
+      const seated = await tx.privateTableSeat.count({ where: { tableId: table.id } });
+      if (seated >= table.maxPlayers) {
+        throw new Error('Table is full');
+      }
+      const holdId = await this.holdEntryFee(tx, userId, entryFee, table.inviteCode);
+      await tx.privateTableSeat.create({ data: { tableId: table.id, userId, holdId } });
+    });
+
+    logger.info(`🔒 User ${userId} joined private table ${table.id} (${table.inviteCode})`);
+
+    const updated = await this.getTable(table.id);
+    if (updated.seats.length >= updated.maxPlayers) {
+      await this.launch(updated);
+      return this.formatTable(await this.getTable(table.id));
+    }
+
+    this.notifyTable(updated);
+    return this.formatTable(updated);
+  }
+
+  /**
+   * Start a table before it is full. Only the host can, and only with enough players for the game type.
+   */
+  async startTable(tableId, userId) {
+    const table = await this.getTable(tableId);
+    if (!table) {
+      throw new Error('Table not found');
+    }
+    if (table.hostId !== userId) {
+      throw new Error('Only the host can start the table');
+    }
+    if (table.status !== 'OPEN') {
+      throw new Error('Table is no longer open');
+    }
+
+    const { minPlayers } = gameRegistry.get(table.gameType);
+    if (table.seats.length < minPlayers) {
+      throw new Error(`At least ${minPlayers} players are needed to start`);
+    }
+
+    await this.launch(table);
+    return this.formatTable(await this.getTable(tableId));
+  }
+
+  /**
+   * Create the game for a table. Claiming the table, creating the game and capturing the entry
+   * fees of the players seated at that moment happen in one transaction, so the table can't
+   * start twice and a failed start leaves it open with every hold in place.
+   */
+  async launch(table) {
+    const { game, seats } = await prisma.$transaction(async (tx) => {
+      const claimed = await tx.privateTable.updateMany({
+        where: { id: table.id, status: 'OPEN' },
+        data: { status: 'STARTED', startedAt: new Date() }
+      });
+      if (claimed.count === 0) {
+        throw new Error('Table is no longer open');
+      }
+
+      const seats = await tx.privateTableSeat.findMany({
+        where: { tableId: table.id },
+        include: { user: true },
+        orderBy: { joinedAt: 'asc' }
+      });
+      const { minPlayers } = gameRegistry.get(table.gameType);
+      if (seats.length < minPlayers) {
+        throw new Error(`At least ${minPlayers} players are needed to start`);
+      }
+
+      const game = await matchmakingService.createPrivateGame(
+        tx,
+        table.gameType,
+        parseFloat(table.entryFee),
+        seats.map(seat => seat.user)
+      );
+      await tx.privateTable.update({ where: { id: table.id }, data: { gameId: game.id } });
+
+      // The held fees now pay for the game
+      const description = `Game entry fee for game ${game.id}`;
+      for (const seat of seats) {
+        if (seat.holdId) {
+          const transaction = await walletService.captureHold(seat.holdId, 'GAME_ENTRY', description, game.id, tx);
+          await tx.privateTableSeat.update({ where: { id: seat.id }, data: { feeTransactionId: transaction.id } });
+        } else if (seat.feeTransactionId) {
+          await tx.transaction.update({ where: { id: seat.feeTransactionId }, data: { gameId: game.id, description } });
+        }
+      }
+
+      return { game, seats };
+    });
+
+    logger.info(`🔒 Private table ${table.id} started game ${game.id} with ${seats.length} players`);
+    matchmakingService.notifyGameCreated(game, seats.map(seat => seat.user));
+    this.notifyTable({ ...table, seats, status: 'STARTED', gameId: game.id });
+    return game;
+  }
+
+  /**
+   * Leave a table that hasn't started. The player's hold is released; if the host leaves the
+   * table is cancelled and everyone's hold is released.
+   */
+  async leaveTable(tableId, userId) {
+    const table = await this.getTable(tableId);
+    if (!table) {
+      throw new Error('Table not found');
+    }
+    if (!table.seats.some(s => s.userId === userId)) {
+      throw new Error('You are not at this table');
+    }
+    if (table.status !== 'OPEN') {
+      throw new Error('Table is no longer open');
+    }
+
+    if (table.hostId === userId) {
+      await this.closeTable(table, 'CANCELLED');
+      return { cancelled: true };
+    }
+
+    // Under the table lock, so the table can't start with this player in between
+    await prisma.$transaction(async (tx) => {
+      await this.lockOpenTable(tx, tableId);
+      const seat = await tx.privateTableSeat.findUnique({
+        where: { tableId_userId: { tableId, userId } }
+      });
+      if (!seat) {
+        throw new Error('You are not at this table');
+      }
+      await this.releaseEntryFee(tx, seat, table.inviteCode, 'left the table');
+      await tx.privateTableSeat.delete({ where: { id: seat.id } });
+    });
+    logger.info(`🔒 User ${userId} left private table ${table.id}`);
+
+    this.notifyTable(await this.getTable(tableId), [userId]);
+    return { cancelled: false };
+  }
+
+  /**
+   * Close an open table as EXPIRED or CANCELLED and release everyone's entry fee.
+   */
+  async closeTable(table, status) {
+    const closed = await prisma.privateTable.updateMany({
+      where: { id: table.id, status: 'OPEN' },
+      data: { status }
+    });
+    if (closed.count === 0) {
+      return;
+    }
+
+    // Seats read after closing, so a player who sat down just before is released too
+    const seats = await prisma.privateTableSeat.findMany({
+      where: { tableId: table.id },
+      include: { user: true },
+      orderBy: { joinedAt: 'asc' }
+    });
+    logger.info(`🔒 Private table ${table.id} (${table.inviteCode}) ${status.toLowerCase()} with ${seats.length} player(s) seated`);
+    await this.refundSeats(table, seats, status);
+    this.notifyTable({ ...table, seats, status });
+  }
+
+  async refundSeats(table, seats, status) {
+    const reason = status === 'CANCELLED' ? 'table cancelled' : 'table expired unfilled';
+
+    for (const seat of seats) {
+      try {
+        await prisma.$transaction(async (tx) => {
+          await this.releaseEntryFee(tx, seat, table.inviteCode, reason);
+          await tx.privateTableSeat.update({ where: { id: seat.id }, data: { refunded: true } });
+        });
+      } catch (error) {
+        // The seat stays unrefunded and the next sweep tries again
+        logger.error(`Failed to refund seat of user ${seat.userId} at private table ${table.id}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Close tables that weren't filled in time and retry refunds that failed earlier.
+   */
+  async expireTables() {
+    const expired = await prisma.privateTable.findMany({
+      where: { status: 'OPEN', expiresAt: { lte: new Date() } }
+    });
+    for (const table of expired) {
+      await this.closeTable(table, 'EXPIRED');
+    }
+
+    const pending = await prisma.privateTableSeat.findMany({
+      where: { refunded: false, table: { status: { in: ['EXPIRED', 'CANCELLED'] } } },
+      include: { table: true }
+    });
+    for (const seat of pending) {
+      await this.refundSeats(seat.table, [seat], seat.table.status);
+    }
+
+    if (expired.length > 0) {
+      logger.info(`🔒 Expired ${expired.length} unfilled private table(s)`);
+    }
+  }
+
+  /**
+   * Push the table's lobby state to everyone at it, and to players who just left.
+   */
+  notifyTable(table, formerPlayerIds = []) {
+    if (!this.io) return;
+
+    const payload = this.formatTable(table);
+    const userIds = [...table.seats.map(seat => seat.userId), ...formerPlayerIds];
+    for (const userId of userIds) {
+      this.io.to(`user:${userId}`).emit('privateTableUpdated', payload);
+    }
+  }
+}
+
+module.exports = new PrivateTableService();
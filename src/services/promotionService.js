@@ -0,0 +1,553 @@
+const prisma = require('../config/database');
+const logger = require('../config/logger');
+const ledgerService = require('./ledgerService');
+
+/**
+ * Promo codes for deposit bonuses.
+ *
+ * A code is applied to a deposit order and checked then; the redemption stays PENDING until the
+ * deposit completes, when the limits are checked again and the bonus is credited as bonus credit
+ * in the same database transaction. A redemption that no longer fits its code's limits is
+ * CANCELLED and the deposit is credited without a bonus.
+ *
+ * A bonus carries a wagering requirement of the bonus times the code's wagering multiplier.
+ * Entry fees paid after the bonus was credited count towards it, oldest redemption first, and
+ * refunded entry fees don't count. Withdrawals wait until every requirement is met, or until the
+ * user forfeits the outstanding bonuses.
+ */
+class PromotionService {
+  constructor() {
+    this.REDEEMED_STATUSES = ['CREDITED', 'COMPLETED', 'FORFEITED'];
+  }
+
+  /**
+   * Error for a code that can't be applied; routes show its message to the user.
+   */
+  promoError(message) {
+    const error = new Error(message);
+    error.code = 'PROMO_INVALID';
+    return error;
+  }
+
+  toValue(decimal) {
+    return decimal === null || decimal === undefined ? null : parseFloat(decimal);
+  }
+
+  normalizeCode(code) {
+    return String(code || '').trim().toUpperCase();
+  }
+
+  calculateBonus(promotion, amount) {
+    let bonus = promotion.type === 'FLAT'
+      ? this.toValue(promotion.value)
+      : amount * this.toValue(promotion.value) / 100;
+    if (promotion.maxBonus !== null) {
+      bonus = Math.min(bonus, this.toValue(promotion.maxBonus));
+    }
+    return Math.round(bonus * 100) / 100;
+  }
+
+  getWageringRequired(promotion, bonusAmount) {
+    return Math.round(bonusAmount * this.toValue(promotion.wageringMultiplier) * 100) / 100;
+  }
+
+  /**
+   * Throw a PROMO_INVALID error unless the user may redeem the promotion on a deposit of this
+   * amount now.
+   * @param {string|null} depositTransactionId - Deposit being credited, left out of the first deposit check
+   */
+  async assertRedeemable(client, promotion, userId, amount, depositTransactionId = null) {
+    const minDeposit = this.toValue(promotion.minDeposit);
+    const maxDeposit = this.toValue(promotion.maxDeposit);
+    if (amount < minDeposit) {
+      throw this.promoError(`This promo code needs a deposit of at least ₹${minDeposit}`);
+    }
+    if (maxDeposit !== null && amount > maxDeposit) {
+      throw this.promoError(`This promo code applies to deposits of up to ₹${maxDeposit}`);
+    }
+    if (promotion.totalLimit !== null && promotion.redemptionCount >= promotion.totalLimit) {
+      throw this.promoError('This promo code has been fully redeemed');
+    }
+
+    const used = await client.promotionRedemption.count({
+      where: { promotionId: promotion.id, userId, status: { in: this.REDEEMED_STATUSES } }
+    });
+    if (used >= promotion.perUserLimit) {
+      throw this.promoError('You have already used this promo code');
+    }
+
+    if (promotion.firstDepositOnly) {
+      const deposits = await client.transaction.count({
+        where: {
+          userId,
+          type: 'DEPOSIT',
+          status: 'COMPLETED',
+          ...(depositTransactionId && { id: { not: depositTransactionId } })
+        }
+      });
+      if (deposits > 0) {
+        throw this.promoError('This promo code is only for your first deposit');
+      }
+    }
+  }
+
+  /**
+   * Check a code for a deposit the user is about to make.
+   * @returns {Promise<{promotion: object, bonusAmount: number, wageringRequired: number}>}
+   */
+  async validateCode(userId, code, amount) {
+    const promotion = await prisma.promotion.findUnique({ where: { code: this.normalizeCode(code) } });
+    if (!promotion || !promotion.isActive) {
+      throw this.promoError('Invalid promo code');
+    }
+    const now = new Date();
+    if (promotion.validFrom > now) {
+      throw this.promoError('This promo code is not active yet');
+    }
+    if (promotion.validUntil <= now) {
+      throw this.promoError('This promo code has expired');
+    }
+
+    await this.assertRedeemable(prisma, promotion, userId, amount);
+    const bonusAmount = this.calculateBonus(promotion, amount);
+    return { promotion, bonusAmount, wageringRequired: this.getWageringRequired(promotion, bonusAmount) };
+  }
+
+  /**
+   * Apply a validated code to a new deposit order.
+   */
+  async reserve(tx, promotion, deposit, { bonusAmount, wageringRequired }) {
+    return tx.promotionRedemption.create({
+      data: {
+        promotionId: promotion.id,
+        userId: deposit.userId,
+        depositTransactionId: deposit.id,
+        depositAmount: deposit.amount,
+        bonusAmount,
+        wageringRequired
+      }
+    });
+  }
+
+  async cancelRedemption(tx, redemption, reason) {
+    await tx.promotionRedemption.update({
+      where: { id: redemption.id },
+      data: { status: 'CANCELLED', cancelReason: reason }
+    });
+    logger.warn(`🎁 Promo code ${redemption.promotion.code} not credited on deposit ${redemption.depositTransactionId}: ${reason}`);
+    return null;
+  }
+
+  /**
+   * Credit the bonus of the code applied to a deposit, inside the transaction that completes it.
+   * @returns {Promise<object|null>} { code, bonusAmount, wageringRequired }, or null without a bonus
+   */
+  async creditDepositBonus(tx, deposit) {
+    const redemption = await tx.promotionRedemption.findUnique({
+      where: { depositTransactionId: deposit.id },
+      include: { promotion: true }
+    });
+    if (!redemption || redemption.status !== 'PENDING') {
+      return null;
+    }
+
+    const { promotion } = redemption;
+    if (!promotion.isActive) {
+      return this.cancelRedemption(tx, redemption, 'The promotion was withdrawn');
+    }
+    try {
+      await this.assertRedeemable(tx, promotion, deposit.userId, parseFloat(deposit.amount), deposit.id);
+    } catch (error) {
+      if (error.code !== 'PROMO_INVALID') {
+        throw error;
+      }
+      return this.cancelRedemption(tx, redemption, error.message);
+    }
+
+    // Conditional on the count, so concurrent deposits can't redeem past the limit
+    const claimed = await tx.promotion.updateMany({
+      where: {
+        id: promotion.id,
+        ...(promotion.totalLimit !== null && { redemptionCount: { lt: promotion.totalLimit } })
+      },
+      data: { redemptionCount: { increment: 1 } }
+    });
+    if (claimed.count === 0) {
+      return this.cancelRedemption(tx, redemption, 'This promo code has been fully redeemed');
+    }
+
+    const bonusAmount = parseFloat(redemption.bonusAmount);
+    const wageringRequired = parseFloat(redemption.wageringRequired);
+    const transaction = await tx.transaction.create({
+      data: {
+        userId: deposit.userId,
+        type: 'PROMO_BONUS',
+        amount: bonusAmount,
+        status: 'COMPLETED',
+        description: `Bonus for promo code ${promotion.code} on deposit of ₹${parseFloat(deposit.amount)}`,
+        metadata: { promotionId: promotion.id, redemptionId: redemption.id, depositTransactionId: deposit.id }
+      }
+    });
+    await ledgerService.creditUser(tx, deposit.userId, bonusAmount, 'PROMO_BONUS', {
+      transactionId: transaction.id,
+      description: transaction.description
+    });
+
+    const now = new Date();
+    await tx.promotionRedemption.update({
+      where: { id: redemption.id },
+      data: {
+        status: wageringRequired > 0 ? 'CREDITED' : 'COMPLETED',
+        bonusTransactionId: transaction.id,
+        creditedAt: now,
+        wageringCompletedAt: wageringRequired > 0 ? null : now
+      }
+    });
+
+    logger.info(`🎁 Promo code ${promotion.code}: ₹${bonusAmount} bonus credited to user ${deposit.userId}, wagering ₹${wageringRequired}`);
+    return { code: promotion.code, bonusAmount, wageringRequired };
+  }
+
+  /**
+   * Count the entry fees paid since the last check towards the user's outstanding wagering
+   * requirements, and mark those that are met COMPLETED. Each fee counts once, towards the
+   * oldest requirement credited before it; fees already refunded don't count, and a fee
+   * refunded after a check counted it is taken off again. A requirement already COMPLETED
+   * stays met.
+   * @returns {Promise<Map<string, number>>} Redemption ID -> amount wagered, for those still CREDITED
+   */
+  async getWageringProgress(userId) {
+    const redemptions = await prisma.promotionRedemption.findMany({
+      where: { userId, status: 'CREDITED' },
+      orderBy: { creditedAt: 'asc' }
+    });
+    const progress = new Map();
+    if (redemptions.length === 0) {
+      return progress;
+    }
+
+    // Everything up to now is counted by this check, whatever was paid or refunded in between
+    const now = new Date();
+    const checkedAt = redemptions
+      .map(redemption => redemption.wageringCheckedAt)
+      .filter(Boolean)
+      .reduce((latest, date) => (!latest || date > latest ? date : latest), null);
+    const since = redemptions[0].creditedAt;
+    const unchecked = checkedAt && checkedAt > since ? { gt: checkedAt, lte: now } : { gte: since, lte: now };
+    const [entries, refunds] = await Promise.all([
+      prisma.transaction.findMany({
+        where: { userId, type: 'GAME_ENTRY', status: 'COMPLETED', createdAt: unchecked },
+        select: { id: true, amount: true, createdAt: true },
+        orderBy: { createdAt: 'asc' }
+      }),
+      prisma.transaction.findMany({
+        where: { userId, type: 'REFUND', createdAt: unchecked },
+        select: { metadata: true }
+      })
+    ]);
+    const refunded = new Set(refunds.map(refund => refund.metadata?.refundOf).filter(Boolean));
+
+    // Refunds since the last check of fees that check had counted
+    const entryIds = new Set(entries.map(entry => entry.id));
+    const countedIds = [...refunded].filter(id => !entryIds.has(id));
+    const uncounted = checkedAt && countedIds.length > 0
+      ? await prisma.transaction.findMany({
+        where: { id: { in: countedIds }, type: 'GAME_ENTRY', createdAt: { gte: since } },
+        select: { amount: true, createdAt: true }
+      })
+      : [];
+
+    const open = redemptions.map(redemption => ({
+      redemption,
+      required: parseFloat(redemption.wageringRequired),
+      wagered: parseFloat(redemption.wageredAmount)
+    }));
+    for (const entry of uncounted) {
+      let remaining = parseFloat(entry.amount);
+      for (const item of open) {
+        if (remaining <= 0 || item.redemption.creditedAt > entry.createdAt) {
+          break;
+        }
+        const taken = Math.min(remaining, item.wagered);
+        item.wagered = Math.round((item.wagered - taken) * 100) / 100;
+        remaining -= taken;
+      }
+    }
+    for (const entry of entries) {
+      if (refunded.has(entry.id)) {
+        continue;
+      }
+      let remaining = parseFloat(entry.amount);
+      for (const item of open) {
+        if (remaining <= 0 || item.redemption.creditedAt > entry.createdAt) {
+          break;
+        }
+        const counted = Math.min(remaining, Math.max(item.required - item.wagered, 0));
+        item.wagered = Math.round((item.wagered + counted) * 100) / 100;
+        remaining -= counted;
+      }
+    }
+
+    const changed = entries.length > 0 || uncounted.length > 0;
+    for (const { redemption, required, wagered } of open) {
+      const completed = wagered >= required;
+      if (changed) {
+        // Conditional on the status, so a forfeit in between isn't undone
+        await prisma.promotionRedemption.updateMany({
+          where: { id: redemption.id, status: 'CREDITED' },
+          data: {
+            wageredAmount: wagered,
+            wageringCheckedAt: now,
+            ...(completed && { status: 'COMPLETED', wageringCompletedAt: new Date() })
+          }
+        });
+      }
+      if (completed) {
+        logger.info(`🎁 Wagering requirement of redemption ${redemption.id} met by user ${userId}`);
+      } else {
+        progress.set(redemption.id, wagered);
+      }
+    }
+    return progress;
+  }
+
+  /**
+   * Throw unless every bonus of the user has met its wagering requirement.
+   */
+  async assertWageringComplete(userId) {
+    const progress = await this.getWageringProgress(userId);
+    if (progress.size === 0) {
+      return;
+    }
+
+    const outstanding = await prisma.promotionRedemption.findMany({
+      where: { id: { in: [...progress.keys()] } },
+      include: { promotion: { select: { code: true } } }
+    });
+    const remaining = outstanding.reduce((sum, redemption) =>
+      sum + parseFloat(redemption.wageringRequired) - progress.get(redemption.id), 0);
+    const codes = outstanding.map(redemption => redemption.promotion.code).join(', ');
+    const error = new Error(`Play ₹${remaining.toFixed(2)} more in games to meet the wagering requirement of promo code ${codes}, or forfeit the bonus to withdraw now`);
+    error.code = 'WAGERING_REQUIRED';
+    throw error;
+  }
+
+  /**
+   * Give up a bonus whose wagering requirement isn't met yet. What is left of the bonus credit,
+   * up to the bonus amount, is taken back.
+   */
+  async forfeit(userId, redemptionId) {
+    const result = await prisma.$transaction(async (tx) => {
+      const claimed = await tx.promotionRedemption.updateMany({
+        where: { id: redemptionId, userId, status: 'CREDITED' },
+        data: { status: 'FORFEITED', forfeitedAt: new Date() }
+      });
+      if (claimed.count === 0) {
+        return null;
+      }
+
+      const redemption = await tx.promotionRedemption.findUnique({
+        where: { id: redemptionId },
+        include: { promotion: { select: { code: true } } }
+      });
+      const wallet = await tx.wallet.findUnique({ where: { userId } });
+      const amount = Math.min(parseFloat(redemption.bonusAmount), parseFloat(wallet?.bonusBalance || 0));
+
+      if (amount > 0) {
+        const transaction = await tx.transaction.create({
+          data: {
+            userId,
+            type: 'BONUS_FORFEIT',
+            amount,
+            status: 'COMPLETED',
+            description: `Bonus of promo code ${redemption.promotion.code} forfeited`,
+            metadata: { redemptionId }
+          }
+        });
+        await ledgerService.chargeUser(tx, userId, amount, 'BONUS_FORFEIT', {
+          transactionId: transaction.id,
+          description: transaction.description
+        }, ['USER_BONUS']);
+      }
+      await tx.promotionRedemption.update({
+        where: { id: redemptionId },
+        data: { forfeitedAmount: amount }
+      });
+      return { redemption, amount };
+    });
+
+    if (!result) {
+      const current = await prisma.promotionRedemption.findFirst({ where: { id: redemptionId, userId } });
+      if (!current) {
+        throw new Error('Redemption not found');
+      }
+      throw new Error(`This bonus is ${current.status.toLowerCase()} and can't be forfeited`);
+    }
+
+    logger.info(`🎁 User ${userId} forfeited the bonus of redemption ${redemptionId}: ₹${result.amount} taken back`);
+    return { redemptionId, forfeitedAmount: result.amount };
+  }
+
+  async getUserRedemptions(userId, limit = 50) {
+    await this.getWageringProgress(userId);
+    const redemptions = await prisma.promotionRedemption.findMany({
+      where: { userId },
+      orderBy: { createdAt: 'desc' },
+      take: limit,
+      include: { promotion: { select: { code: true, campaign: true } } }
+    });
+    return redemptions.map(redemption => this.formatRedemption(redemption));
+  }
+
+  async createPromotion(data, adminId) {
+    try {
+      const promotion = await prisma.promotion.create({
+        data: { ...data, code: this.normalizeCode(data.code), createdBy: adminId }
+      });
+      logger.info(`🎁 Promo code ${promotion.code} (${promotion.campaign}) created by admin ${adminId}`);
+      return this.formatPromotion(promotion);
+    } catch (error) {
+      if (error.code === 'P2002') {
+        throw new Error('A promotion with this code already exists');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Change a promotion's window, limits or description, or switch it off. Its bonus rules can't
+   * change once users may have applied it.
+   */
+  async updatePromotion(promotionId, changes) {
+    const existing = await prisma.promotion.findUnique({ where: { id: promotionId } });
+    if (!existing) {
+      throw new Error('Promotion not found');
+    }
+    const promotion = await prisma.promotion.update({ where: { id: promotionId }, data: changes });
+    logger.info(`🎁 Promo code ${promotion.code} updated: ${Object.keys(changes).join(', ')}`);
+    return this.formatPromotion(promotion);
+  }
+
+  async listPromotions(campaign = null) {
+    const promotions = await prisma.promotion.findMany({
+      where: campaign ? { campaign } : {},
+      orderBy: { createdAt: 'desc' }
+    });
+    return promotions.map(promotion => this.formatPromotion(promotion));
+  }
+
+  /**
+   * Redemptions per campaign and per code: counts by status, and the deposits, bonuses and
+   * forfeits of the redeemed ones.
+   */
+  async getCampaignReport(campaign = null) {
+    const promotions = await prisma.promotion.findMany({
+      where: campaign ? { campaign } : {},
+      orderBy: [{ campaign: 'asc' }, { code: 'asc' }]
+    });
+    const promotionIds = promotions.map(promotion => promotion.id);
+    const [byStatus, users] = await Promise.all([
+      prisma.promotionRedemption.groupBy({
+        by: ['promotionId', 'status'],
+        where: { promotionId: { in: promotionIds } },
+        _count: { id: true },
+        _sum: { depositAmount: true, bonusAmount: true, forfeitedAmount: true }
+      }),
+      prisma.promotionRedemption.groupBy({
+        by: ['promotionId', 'userId'],
+        where: { promotionId: { in: promotionIds }, status: { in: this.REDEEMED_STATUSES } }
+      })
+    ]);
+
+    const emptyTotals = () => ({
+      redemptions: { PENDING: 0, CREDITED: 0, COMPLETED: 0, FORFEITED: 0, CANCELLED: 0 },
+      users: 0,
+      depositTotal: 0,
+      bonusTotal: 0,
+      forfeitedTotal: 0
+    });
+    const addTotals = (totals, row) => {
+      totals.redemptions[row.status] += row._count.id;
+      if (this.REDEEMED_STATUSES.includes(row.status)) {
+        totals.depositTotal += parseFloat(row._sum.depositAmount || 0);
+        totals.bonusTotal += parseFloat(row._sum.bonusAmount || 0);
+        totals.forfeitedTotal += parseFloat(row._sum.forfeitedAmount || 0);
+      }
+    };
+    const round = (totals) => {
+      for (const key of ['depositTotal', 'bonusTotal', 'forfeitedTotal']) {
+        totals[key] = Math.round(totals[key] * 100) / 100;
+      }
+      return totals;
+    };
+
+    const campaigns = new Map();
+    for (const promotion of promotions) {
+      const codeTotals = emptyTotals();
+      byStatus.filter(row => row.promotionId === promotion.id).forEach(row => addTotals(codeTotals, row));
+      codeTotals.users = users.filter(row => row.promotionId === promotion.id).length;
+
+      if (!campaigns.has(promotion.campaign)) {
+        campaigns.set(promotion.campaign, { campaign: promotion.campaign, ...emptyTotals(), codes: [] });
+      }
+      const report = campaigns.get(promotion.campaign);
+      for (const [status, count] of Object.entries(codeTotals.redemptions)) {
+        report.redemptions[status] += count;
+      }
+      report.users += codeTotals.users; // Users of each code; one user may have used several
+      report.depositTotal += codeTotals.depositTotal;
+      report.bonusTotal += codeTotals.bonusTotal;
+      report.forfeitedTotal += codeTotals.forfeitedTotal;
+      report.codes.push({ id: promotion.id, code: promotion.code, isActive: promotion.isActive, ...round(codeTotals) });
+    }
+    return [...campaigns.values()].map(round);
+  }
+
+  formatPromotion(promotion) {
+    return {
+      id: promotion.id,
+      code: promotion.code,
+      campaign: promotion.campaign,
+      description: promotion.description,
+      type: promotion.type,
+      value: this.toValue(promotion.value),
+      maxBonus: this.toValue(promotion.maxBonus),
+      minDeposit: this.toValue(promotion.minDeposit),
+      maxDeposit: this.toValue(promotion.maxDeposit),
+      wageringMultiplier: this.toValue(promotion.wageringMultiplier),
+      perUserLimit: promotion.perUserLimit,
+      totalLimit: promotion.totalLimit,
+      redemptionCount: promotion.redemptionCount,
+      firstDepositOnly: promotion.firstDepositOnly,
+      isActive: promotion.isActive,
+      validFrom: promotion.validFrom,
+      validUntil: promotion.validUntil,
+      createdAt: promotion.createdAt
+    };
+  }
+
+  formatRedemption(redemption) {
+    const required = parseFloat(redemption.wageringRequired);
+    const wagered = parseFloat(redemption.wageredAmount);
+    return {
+      id: redemption.id,
+      code: redemption.promotion.code,
+      campaign: redemption.promotion.campaign,
+      status: redemption.status,
+      depositTransactionId: redemption.depositTransactionId,
+      depositAmount: parseFloat(redemption.depositAmount),
+      bonusAmount: parseFloat(redemption.bonusAmount),
+      wageringRequired: required,
+      wagered,
+      wageringRemaining: redemption.status === 'CREDITED' ? Math.round((required - wagered) * 100) / 100 : 0,
+      forfeitedAmount: this.toValue(redemption.forfeitedAmount),
+      cancelReason: redemption.cancelReason,
+      createdAt: redemption.createdAt,
+      creditedAt: redemption.creditedAt,
+      wageringCompletedAt: redemption.wageringCompletedAt,
+      forfeitedAt: redemption.forfeitedAt
+    };
+  }
+}
+
+module.exports = new PromotionService();
@@ -0,0 +1,155 @@
+const prisma = require('../config/database');
+const logger = require('../config/logger');
+const fairDiceService = require('./fairDiceService');
+
+/**
+ * Per-user, per-game-type skill ratings (multiplayer Elo).
+ *
+ * A finished table is scored as a set of head-to-head results: every player is compared with
+ * every other player by final rank (win 1, tie 0.5, loss 0). The rating change is the usual Elo
+ * update averaged over those pairings, so table size doesn't inflate swings.
+ */
+class RatingService {
+  constructor() {
+    this.DEFAULT_RATING = 1500;
+    this.PROVISIONAL_GAMES = 20; // New players move faster until the rating settles
+    this.K_FACTOR_PROVISIONAL = 40;
+    this.K_FACTOR = 20;
+  }
+
+  expectedScore(rating, opponentRating) {
+    return 1 / (1 + Math.pow(10, (opponentRating - rating) / 400));
+  }
+
+  /**
+   * Work out new ratings from ranks.
+   * @param {Array<{userId: string, rank: number, rating: number, gamesPlayed: number}>} players
+   * @returns {Map<string, number>} userId -> new rating
+   */
+  calculateNewRatings(players) {
+    const newRatings = new Map();
+
+    for (const player of players) {
+      const opponents = players.filter(p => p.userId !== player.userId);
+      let scoreDiff = 0;
+
+      for (const opponent of opponents) {
+        const actual = player.rank < opponent.rank ? 1 : player.rank === opponent.rank ? 0.5 : 0;
+        scoreDiff += actual - this.expectedScore(player.rating, opponent.rating);
+      }
+
+      const k = player.gamesPlayed < this.PROVISIONAL_GAMES ? this.K_FACTOR_PROVISIONAL : this.K_FACTOR;
+      const change = opponents.length > 0 ? (k * scoreDiff) / opponents.length : 0;
+      newRatings.set(player.userId, Math.round((player.rating + change) * 10) / 10);
+    }
+
+    return newRatings;
+  }
+
+  async getRating(userId, gameType) {
+    const rating = await prisma.playerRating.findUnique({
+      where: { userId_gameType: { userId, gameType } }
+    });
+    return rating ? rating.rating : this.DEFAULT_RATING;
+  }
+
+  /**
+   * Ratings of several users for one game type. Unrated users get the default rating.
+   * @returns {Promise<Map<string, number>>}
+   */
+  async getRatingsForUsers(userIds, gameType) {
+    const ratings = await prisma.playerRating.findMany({
+      where: { userId: { in: userIds }, gameType }
+    });
+
+    const byUser = new Map(userIds.map(id => [id, this.DEFAULT_RATING]));
+    ratings.forEach(r => byUser.set(r.userId, r.rating));
+    return byUser;
+  }
+
+  async getUserRatings(userId) {
+    const ratings = await prisma.playerRating.findMany({
+      where: { userId },
+      orderBy: { gameType: 'asc' }
+    });
+
+    return ratings.map(r => ({
+      gameType: r.gameType,
+      rating: r.rating,
+      gamesPlayed: r.gamesPlayed,
+      provisional: r.gamesPlayed < this.PROVISIONAL_GAMES
+    }));
+  }
+
+  /**
+   * Update ratings from the final ranks of a finished game. Safe to call more than once:
+   * participations that already carry a rating change are left alone.
+   */
+  async updateRatingsForGame(gameId) {
+    try {
+      const game = await prisma.game.findUnique({
+        where: { id: gameId },
+        omit: fairDiceService.HIDDEN_GAME_FIELDS,
+        include: { participants: true }
+      });
+
+      if (!game || game.status !== 'FINISHED') {
+        logger.warn(`Cannot update ratings for game ${gameId}: game not finished`);
+        return null;
+      }
+
+      // Bots have no rating to gain or lose
+      const ranked = game.participants.filter(p => p.rank !== null && !p.isBot);
+      if (ranked.length < 2) {
+        logger.warn(`Cannot update ratings for game ${gameId}: fewer than 2 ranked players`);
+        return null;
+      }
+      if (ranked.some(p => p.ratingAfter !== null)) {
+        logger.warn(`Ratings already updated for game ${gameId}, skipping`);
+        return null;
+      }
+
+      return await prisma.$transaction(async (tx) => {
+        const current = await tx.playerRating.findMany({
+          where: { userId: { in: ranked.map(p => p.userId) }, gameType: game.type }
+        });
+
+        const players = ranked.map(p => {
+          const existing = current.find(r => r.userId === p.userId);
+          return {
+            userId: p.userId,
+            rank: p.rank,
+            rating: existing ? existing.rating : this.DEFAULT_RATING,
+            gamesPlayed: existing ? existing.gamesPlayed : 0
+          };
+        });
+
+        const newRatings = this.calculateNewRatings(players);
+
+        for (const player of players) {
+          const rating = newRatings.get(player.userId);
+
+          await tx.playerRating.upsert({
+            where: { userId_gameType: { userId: player.userId, gameType: game.type } },
+            create: { userId: player.userId, gameType: game.type, rating, gamesPlayed: 1 },
+            update: { rating, gamesPlayed: { increment: 1 } }
+          });
+
+          await tx.gameParticipation.update({
+            where: { userId_gameId: { userId: player.userId, gameId } },
+            data: { ratingBefore: player.rating, ratingAfter: rating }
+          });
+
+          logger.info(`📈 Rating for user ${player.userId} in ${game.type}: ${player.rating} -> ${rating} (rank ${player.rank})`);
+        }
+
+        return newRatings;
+      });
+    } catch (error) {
+      logger.error(`Error updating ratings for game ${gameId}:`, error);
+      return null;
+    }
+  }
+}
+
+module.exports = new RatingService();
@@ -0,0 +1,165 @@
+const prisma = require('../config/database');
+const logger = require('../config/logger');
+const gameRegistry = require('./gameRegistry');
+const botService = require('./botService');
+const socketManager = require('./socketManager');
+const fairDiceService = require('./fairDiceService');
+
+/**
+ * Holds a player's seat while they are disconnected and resumes their games when they return.
+ *
+ * When a user's last socket drops, every live game they play in gets a grace window
+ * (RECONNECT_GRACE_SECONDS). Their seat is kept and the game service plays their turns
+ * automatically at the AUTO_PLAY_DIFFICULTY bot level. When the user connects again the new
+ * socket rejoins each live game room and receives a `gameResumed` snapshot from the game type.
+ * A player who doesn't return before the window closes forfeits the game.
+ */
+class ReconnectService {
+  constructor() {
+    this.io = null;
+    this.GRACE_MS = parseInt(process.env.RECONNECT_GRACE_SECONDS || '60', 10) * 1000;
+    this.AUTO_PLAY_DIFFICULTY = 'easy';
+    this.away = new Map(); // `${gameId}:${userId}` -> { gameId, gameType, userId, since, deadline, timer }
+  }
+
+  init(io) {
+    this.io = io;
+  }
+
+  key(gameId, userId) {
+    return `${gameId}:${userId}`;
+  }
+
+  /**
+   * Whether a player is disconnected and their turns are being played for them.
+   */
+  isAway(gameId, userId) {
+    return this.away.has(this.key(gameId, userId));
+  }
+
+  getAwayPlayers(gameId) {
+    return [...this.away.values()]
+      .filter(entry => entry.gameId === gameId)
+      .map(entry => ({ playerId: entry.userId, reconnectDeadline: entry.deadline.toISOString() }));
+  }
+
+  async getLiveGames(userId) {
+    const participations = await prisma.gameParticipation.findMany({
+      where: {
+        userId,
+        game: { status: { in: ['WAITING', 'PLAYING'] } }
+      },
+      include: { game: { omit: fairDiceService.HIDDEN_GAME_FIELDS } }
+    });
+    return participations.map(p => p.game);
+  }
+
+  /**
+   * Called once the user has no connected sockets left.
+   */
+  async handleDisconnect(userId, userName) {
+    const games = await this.getLiveGames(userId);
+
+    for (const game of games) {
+      const key = this.key(game.id, userId);
+      if (this.away.has(key)) continue;
+
+      const deadline = new Date(Date.now() + this.GRACE_MS);
+      const timer = setTimeout(() => this.handleGraceExpired(game.id, userId, userName), this.GRACE_MS);
+      this.away.set(key, { gameId: game.id, gameType: game.type, userId, since: new Date(), deadline, timer });
+
+      this.io.to(`game:${game.id}`).emit('playerStatusUpdate', {
+        playerId: userId,
+        playerName: userName,
+        status: 'disconnected',
+        reconnectDeadline: deadline.toISOString(),
+        timestamp: new Date().toISOString()
+      });
+
+      // Their turn may be the one in progress
+      if (game.status === 'PLAYING') {
+        gameRegistry.scheduleAutoTurn(game.type, game.id);
+      }
+
+      logger.info(`🔌 Holding seat of ${userId} in game ${game.id} for ${this.GRACE_MS / 1000}s`);
+    }
+  }
+
+  async handleGraceExpired(gameId, userId, userName) {
+    const key = this.key(gameId, userId);
+    const entry = this.away.get(key);
+    if (!entry) return;
+
+    entry.timer = null;
+    this.io.to(`game:${gameId}`).emit('playerStatusUpdate', {
+      playerId: userId,
+      playerName: userName,
+      status: 'abandoned',
+      timestamp: new Date().toISOString()
+    });
+    logger.warn(`⏰ Reconnect window for ${userId} in game ${gameId} expired`);
+
+    // If the game hasn't started there is nothing to forfeit yet; the seat stays held and
+    // its turns are played automatically once it does
+    try {
+      if (await gameRegistry.forfeit(entry.gameType, gameId, userId, 'abandoned')) {
+        this.away.delete(key);
+      }
+    } catch (error) {
+      logger.error(`Failed to forfeit ${userId} from game ${gameId} after reconnect window:`, error);
+    }
+  }
+
+  /**
+   * Rejoin every live game of a newly connected socket and send it each game's snapshot.
+   */
+  async handleConnect(socket) {
+    const userId = socket.user.id;
+    const games = await this.getLiveGames(userId);
+
+    for (const game of games) {
+      socket.join(`game:${game.id}`);
+      socketManager.addUserToGame(userId, game.id);
+
+      const key = this.key(game.id, userId);
+      const entry = this.away.get(key);
+      if (entry) {
+        if (entry.timer) clearTimeout(entry.timer);
+        this.away.delete(key);
+        botService.cancelTurn(game.id, userId);
+
+        socket.to(`game:${game.id}`).emit('playerStatusUpdate', {
+          playerId: userId,
+          playerName: socket.user.name || 'Unknown',
+          status: 'reconnected',
+          timestamp: new Date().toISOString()
+        });
+        logger.info(`🔌 ${userId} reconnected to game ${game.id} after ${Math.round((Date.now() - entry.since) / 1000)}s`);
+      }
+
+      socket.emit('gameResumed', {
+        gameId: game.id,
+        gameType: game.type,
+        status: game.status,
+        snapshot: await gameRegistry.getSnapshot(game.type, game.id),
+        awayPlayers: this.getAwayPlayers(game.id)
+      });
+    }
+
+    return games.length;
+  }
+
+  /**
+   * Forget held seats of a finished game.
+   */
+  clearGame(gameId) {
+    for (const [key, entry] of this.away) {
+      if (entry.gameId === gameId) {
+        if (entry.timer) clearTimeout(entry.timer);
+        this.away.delete(key);
+      }
+    }
+  }
+}
+
+module.exports = new ReconnectService();
@@ -0,0 +1,187 @@
+const prisma = require('../config/database');
+const logger = require('../config/logger');
+const walletService = require('./walletService');
+const ledgerService = require('./ledgerService');
+const gameRegistry = require('./gameRegistry');
+const spectatorService = require('./spectatorService');
+
+/**
+ * Cancels games that can't be played to the end and refunds their entry fees.
+ *
+ * A game is cancelled when it fails to start, when the server aborts it (an admin, or a restart
+ * that lost its in-memory state) and when the sweeper finds it WAITING longer than
+ * GAME_WAITING_TIMEOUT_MINUTES or PLAYING without a move for GAME_STALLED_TIMEOUT_MINUTES.
+ * Moving the game to CANCELLED claims it, and every paying player's GAME_ENTRY transaction is
+ * refunded in the same database transaction, so each fee is returned exactly once. The game's
+ * commission goes back to escrow first so escrow holds every fee again, and the platform takes
+ * back what it staked for bot seats.
+ *
+ * Tournament games have no entry fee of their own. Listeners added with onGameCancelled hear of
+ * every cancellation, so the tournament can deal the table again or cancel and refund buy-ins.
+ */
+class RefundService {
+  constructor() {
+    this.io = null;
+    this.WAITING_TIMEOUT_MS = parseInt(process.env.GAME_WAITING_TIMEOUT_MINUTES || '10', 10) * 60 * 1000;
+    this.STALLED_TIMEOUT_MS = parseInt(process.env.GAME_STALLED_TIMEOUT_MINUTES || '30', 10) * 60 * 1000;
+    this.SWEEP_INTERVAL_MS = 60000;
+    this.sweepInterval = null;
+    this.gameCancelledListeners = []; // Called with (game, reason) once a game is cancelled
+  }
+
+  init(io) {
+    this.io = io;
+  }
+
+  /**
+   * Register a listener called after a game is cancelled and its refunds are made.
+   */
+  onGameCancelled(listener) {
+    this.gameCancelledListeners.push(listener);
+  }
+
+  async notifyGameCancelled(game, reason) {
+    for (const listener of this.gameCancelledListeners) {
+      try {
+        await listener(game, reason);
+      } catch (error) {
+        logger.error(`Game cancelled listener failed for game ${game.id}:`, error);
+      }
+    }
+  }
+
+  startSweeper() {
+    if (this.sweepInterval) {
+      clearInterval(this.sweepInterval);
+    }
+    this.sweepInterval = setInterval(() => {
+      this.sweepStalledGames().catch(error => logger.error('Stalled game sweep failed:', error));
+    }, this.SWEEP_INTERVAL_MS);
+    logger.info('Stalled game sweep started, running every 60 seconds.');
+  }
+
+  stop() {
+    if (this.sweepInterval) {
+      clearInterval(this.sweepInterval);
+      this.sweepInterval = null;
+      logger.info('Stalled game sweep stopped.');
+    }
+  }
+
+  /**
+   * Cancel a game that is WAITING or PLAYING and refund every entry fee paid for it.
+   * @returns {Promise<object|null>} The refunds made, or null if the game had already ended
+   */
+  async cancelGame(gameId, reason) {
+    const game = await prisma.game.findUnique({
+      where: { id: gameId },
+      include: { tournamentMatch: true }
+    });
+    if (!game) {
+      throw new Error('Game not found');
+    }
+
+    const refunds = await prisma.$transaction(async (tx) => {
+      const claimed = await tx.game.updateMany({
+        where: { id: gameId, status: { in: ['WAITING', 'PLAYING'] } },
+        data: { status: 'CANCELLED', cancelledAt: new Date(), cancelReason: reason }
+      });
+      if (claimed.count === 0) {
+        return null;
+      }
+
+      const rake = await tx.journalEntry.findFirst({ where: { type: 'RAKE', gameId } });
+      if (rake) {
+        await ledgerService.reverse(tx, rake.id, 'RAKE_REVERSAL', `Commission returned for cancelled game ${gameId}`);
+      }
+      const botStake = await tx.journalEntry.findFirst({ where: { type: 'BOT_STAKE', gameId } });
+      if (botStake) {
+        await ledgerService.reverse(tx, botStake.id, 'BOT_STAKE_REVERSAL', `Bot entry fees returned for cancelled game ${gameId}`);
+      }
+
+      const entryFees = await tx.transaction.findMany({
+        where: { gameId, type: 'GAME_ENTRY', status: 'COMPLETED' },
+        orderBy: { createdAt: 'asc' }
+      });
+      const made = [];
+      for (const fee of entryFees) {
+        const refund = await walletService.refundTransaction(fee.id, `Entry fee refund - game ${gameId} cancelled`, tx);
+        made.push({ userId: fee.userId, amount: parseFloat(fee.amount), transactionId: refund.transactionId });
+      }
+      return made;
+    });
+
+    if (!refunds) {
+      logger.warn(`Game ${gameId} was not cancelled: it is no longer waiting or playing`);
+      return null;
+    }
+
+    try {
+      gameRegistry.abortGame(game.type, gameId);
+    } catch (error) {
+      logger.error(`Failed to clear cancelled game ${gameId}:`, error);
+    }
+
+    if (this.io) {
+      this.io.to(spectatorService.liveRooms(gameId)).emit('gameCancelled', {
+        gameId,
+        reason,
+        refunds: refunds.map(({ userId, amount }) => ({ userId, amount }))
+      });
+    }
+
+    const total = refunds.reduce((sum, refund) => sum + refund.amount, 0);
+    logger.info(`💸 Game ${gameId} cancelled (${reason}): ₹${total.toFixed(2)} refunded to ${refunds.length} player(s)`);
+    await this.notifyGameCancelled(game, reason);
+    return { gameId, reason, refunds };
+  }
+
+  /**
+   * Cancel the games left WAITING or PLAYING by a previous server process. Their state lived
+   * in that process's memory, so they can't go on. Tournament tables are dealt again.
+   */
+  async cancelInterruptedGames() {
+    const games = await prisma.game.findMany({
+      where: { status: { in: ['WAITING', 'PLAYING'] } },
+      select: { id: true }
+    });
+
+    for (const game of games) {
+      try {
+        await this.cancelGame(game.id, 'Interrupted by a server restart');
+      } catch (error) {
+        logger.error(`Failed to cancel interrupted game ${game.id}:`, error);
+      }
+    }
+    if (games.length > 0) {
+      logger.info(`💸 ${games.length} game(s) interrupted by a restart were cancelled and refunded.`);
+    }
+  }
+
+  /**
+   * Cancel games that never started, or stopped moving, in time.
+   */
+  async sweepStalledGames() {
+    const now = Date.now();
+    const games = await prisma.game.findMany({
+      where: {
+        OR: [
+          { status: 'WAITING', createdAt: { lt: new Date(now - this.WAITING_TIMEOUT_MS) } },
+          { status: 'PLAYING', updatedAt: { lt: new Date(now - this.STALLED_TIMEOUT_MS) } }
+        ]
+      },
+      select: { id: true, status: true }
+    });
+
+    for (const game of games) {
+      const reason = game.status === 'WAITING' ? 'Game did not start in time' : 'Game stalled';
+      try {
+        await this.cancelGame(game.id, reason);
+      } catch (error) {
+        logger.error(`Failed to cancel stalled game ${game.id}:`, error);
+      }
+    }
+  }
+}
+
+module.exports = new RefundService();
@@ -0,0 +1,324 @@
+const prisma = require('../config/database');
+const logger = require('../config/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Responsible gaming limits a user sets on themselves.
+ *
+ * Deposit limits cap the deposits of a rolling day, week and month; deposit orders opened in
+ * the last DEPOSIT_ORDER_TTL_MINUTES count against them until they are paid or go stale, so an
+ * abandoned checkout doesn't use up the limit. The loss limit caps entry fees less winnings and refunds over a rolling
+ * week. The session limit caps continuous play: games less than SESSION_BREAK_MINUTES apart
+ * belong to one session. A self-excluded user can't deposit or play until the exclusion ends,
+ * and the exclusion can't be shortened.
+ *
+ * Lowering or adding a limit applies at once. Raising or removing one is kept pending for
+ * LIMIT_INCREASE_COOLING_HOURS and applied the first time the limits are read after that.
+ * Every change is recorded as a GamingLimitChange.
+ */
+class ResponsibleGamingService {
+  constructor() {
+    this.COOLING_PERIOD_MS = parseFloat(process.env.LIMIT_INCREASE_COOLING_HOURS || '24') * 60 * 60 * 1000;
+    this.SESSION_BREAK_MS = parseInt(process.env.SESSION_BREAK_MINUTES || '15', 10) * 60 * 1000;
+    // Request fields and the limit each one sets
+    this.FIELDS = {
+      dailyDeposit: 'DAILY_DEPOSIT',
+      weeklyDeposit: 'WEEKLY_DEPOSIT',
+      monthlyDeposit: 'MONTHLY_DEPOSIT',
+      weeklyLoss: 'WEEKLY_LOSS',
+      sessionMinutes: 'SESSION_TIME'
+    };
+    this.DEPOSIT_WINDOWS = {
+      DAILY_DEPOSIT: { label: 'daily', ms: DAY_MS },
+      WEEKLY_DEPOSIT: { label: 'weekly', ms: 7 * DAY_MS },
+      MONTHLY_DEPOSIT: { label: 'monthly', ms: 30 * DAY_MS }
+    };
+    this.LOSS_WINDOW_MS = 7 * DAY_MS;
+    this.DEPOSIT_ORDER_TTL_MS = parseInt(process.env.DEPOSIT_ORDER_TTL_MINUTES || '30', 10) * 60 * 1000;
+  }
+
+  /**
+   * Error for a blocked action; routes show its message to the user.
+   */
+  limitError(message) {
+    const error = new Error(message);
+    error.code = 'GAMING_LIMIT';
+    return error;
+  }
+
+  toValue(decimal) {
+    return decimal === null || decimal === undefined ? null : parseFloat(decimal);
+  }
+
+  /**
+   * The user's limits by type, with pending changes that have waited out the cooling period applied.
+   */
+  async getLimitRows(userId) {
+    const rows = await prisma.gamingLimit.findMany({ where: { userId } });
+    const now = new Date();
+
+    for (const row of rows) {
+      if (row.pendingFrom && row.pendingFrom <= now) {
+        // Conditional on the pending change, so two readers apply it once
+        await prisma.gamingLimit.updateMany({
+          where: { id: row.id, pendingFrom: row.pendingFrom },
+          data: { value: row.pendingValue, pendingValue: null, pendingFrom: null }
+        });
+        logger.info(`🛡️ ${row.type} limit of user ${userId} raised to ${this.toValue(row.pendingValue) ?? 'none'}`);
+        Object.assign(row, { value: row.pendingValue, pendingValue: null, pendingFrom: null });
+      }
+    }
+
+    return new Map(rows.map(row => [row.type, row]));
+  }
+
+  async getSelfExclusion(userId) {
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { selfExcludedUntil: true }
+    });
+    const until = user?.selfExcludedUntil;
+    return until && until > new Date() ? until : null;
+  }
+
+  /**
+   * Deposits of a rolling window, including recent orders not paid yet.
+   */
+  async getDepositTotal(userId, windowMs) {
+    const now = Date.now();
+    const result = await prisma.transaction.aggregate({
+      _sum: { amount: true },
+      where: {
+        userId,
+        type: 'DEPOSIT',
+        createdAt: { gte: new Date(now - windowMs) },
+        OR: [
+          { status: 'COMPLETED' },
+          { status: 'PENDING', createdAt: { gte: new Date(now - this.DEPOSIT_ORDER_TTL_MS) } }
+        ]
+      }
+    });
+    return parseFloat(result._sum.amount || 0);
+  }
+
+  /**
+   * Entry fees less winnings and refunds over the loss window; never below zero.
+   */
+  async getNetLoss(userId) {
+    const totals = await prisma.transaction.groupBy({
+      by: ['type'],
+      _sum: { amount: true },
+      where: {
+        userId,
+        type: { in: ['GAME_ENTRY', 'GAME_WINNING', 'REFUND'] },
+        status: 'COMPLETED',
+        createdAt: { gte: new Date(Date.now() - this.LOSS_WINDOW_MS) }
+      }
+    });
+    const sum = (type) => parseFloat(totals.find(t => t.type === type)?._sum.amount || 0);
+    return Math.max(0, Math.round((sum('GAME_ENTRY') - sum('GAME_WINNING') - sum('REFUND')) * 100) / 100);
+  }
+
+  /**
+   * Minutes since the start of the user's current session, 0 if they are on a break.
+   */
+  async getSessionMinutes(userId) {
+    const participations = await prisma.gameParticipation.findMany({
+      where: { userId, game: { createdAt: { gte: new Date(Date.now() - DAY_MS) } } },
+      include: { game: { select: { status: true, createdAt: true, finishedAt: true, cancelledAt: true } } },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    const now = Date.now();
+    let sessionStart = null;
+    let nextStart = now;
+    for (const { game } of participations) {
+      const live = game.status === 'WAITING' || game.status === 'PLAYING';
+      const end = live ? now : (game.finishedAt || game.cancelledAt || game.createdAt).getTime();
+      if (nextStart - end >= this.SESSION_BREAK_MS) {
+        break;
+      }
+      sessionStart = game.createdAt.getTime();
+      nextStart = sessionStart;
+    }
+
+    return sessionStart === null ? 0 : Math.floor((now - sessionStart) / 60000);
+  }
+
+  /**
+   * Limits, pending changes and what has been used of each.
+   */
+  async getLimits(userId) {
+    const [rows, selfExcludedUntil, lossUsed, sessionUsed] = await Promise.all([
+      this.getLimitRows(userId),
+      this.getSelfExclusion(userId),
+      this.getNetLoss(userId),
+      this.getSessionMinutes(userId)
+    ]);
+
+    const limits = {};
+    for (const [field, type] of Object.entries(this.FIELDS)) {
+      const row = rows.get(type);
+      let used;
+      if (this.DEPOSIT_WINDOWS[type]) {
+        used = await this.getDepositTotal(userId, this.DEPOSIT_WINDOWS[type].ms);
+      } else {
+        used = type === 'WEEKLY_LOSS' ? lossUsed : sessionUsed;
+      }
+      limits[field] = {
+        value: this.toValue(row?.value),
+        used,
+        pendingValue: row?.pendingFrom ? this.toValue(row.pendingValue) : null,
+        pendingFrom: row?.pendingFrom || null
+      };
+    }
+
+    return {
+      limits,
+      selfExcludedUntil,
+      coolingPeriodHours: this.COOLING_PERIOD_MS / (60 * 60 * 1000)
+    };
+  }
+
+  /**
+   * Set, raise or remove limits. Lower and new limits apply now, higher and removed ones after
+   * the cooling period. Asking for the current value again drops a pending change.
+   * @param {object} changes - Request fields (see FIELDS), each a number or null for no limit
+   */
+  async setLimits(userId, changes, ipAddress = null) {
+    const rows = await this.getLimitRows(userId);
+    const now = new Date();
+
+    await prisma.$transaction(async (tx) => {
+      for (const [field, requested] of Object.entries(changes)) {
+        const type = this.FIELDS[field];
+        const row = rows.get(type);
+        const current = this.toValue(row?.value);
+        const value = requested === null ? null : Number(requested);
+        const hasPending = Boolean(row?.pendingFrom);
+
+        if (value === current && !hasPending) {
+          continue;
+        }
+
+        let data;
+        let effectiveAt;
+        let note = null;
+        if (value === current) {
+          data = { pendingValue: null, pendingFrom: null };
+          effectiveAt = now;
+          note = 'Pending change withdrawn';
+        } else if (value !== null && (current === null || value < current)) {
+          data = { value, pendingValue: null, pendingFrom: null };
+          effectiveAt = now;
+        } else {
+          effectiveAt = new Date(now.getTime() + this.COOLING_PERIOD_MS);
+          data = { pendingValue: value, pendingFrom: effectiveAt };
+        }
+
+        await tx.gamingLimit.upsert({
+          where: { userId_type: { userId, type } },
+          create: { userId, type, value: null, ...data },
+          update: data
+        });
+        await tx.gamingLimitChange.create({
+          data: { userId, type, previousValue: current, newValue: value, effectiveAt, note, ipAddress }
+        });
+        logger.info(`🛡️ User ${userId} set ${type} limit from ${current ?? 'none'} to ${value ?? 'none'}, effective ${effectiveAt.toISOString()}`);
+      }
+    });
+
+    return this.getLimits(userId);
+  }
+
+  /**
+   * Exclude the user from deposits and play for a number of days. An exclusion already
+   * running longer is kept.
+   */
+  async selfExclude(userId, days, ipAddress = null) {
+    const current = await this.getSelfExclusion(userId);
+    const requested = new Date(Date.now() + days * DAY_MS);
+    const until = current && current > requested ? current : requested;
+
+    await prisma.$transaction([
+      prisma.user.update({ where: { id: userId }, data: { selfExcludedUntil: until } }),
+      prisma.gamingLimitChange.create({
+        data: {
+          userId,
+          type: 'SELF_EXCLUSION',
+          newValue: days,
+          effectiveAt: new Date(),
+          note: `Excluded until ${until.toISOString()}`,
+          ipAddress
+        }
+      })
+    ]);
+
+    logger.info(`🛡️ User ${userId} self-excluded for ${days} day(s), until ${until.toISOString()}`);
+    return until;
+  }
+
+  async getHistory(userId, limit = 50) {
+    const changes = await prisma.gamingLimitChange.findMany({
+      where: { userId },
+      orderBy: { createdAt: 'desc' },
+      take: limit
+    });
+    return changes.map(change => ({
+      ...change,
+      previousValue: this.toValue(change.previousValue),
+      newValue: this.toValue(change.newValue)
+    }));
+  }
+
+  async assertNotExcluded(userId) {
+    const until = await this.getSelfExclusion(userId);
+    if (until) {
+      throw this.limitError(`You are self-excluded until ${until.toISOString()}`);
+    }
+  }
+
+  /**
+   * Throw a GAMING_LIMIT error if the deposit isn't allowed.
+   */
+  async assertCanDeposit(userId, amount) {
+    await this.assertNotExcluded(userId);
+
+    const rows = await this.getLimitRows(userId);
+    for (const [type, window] of Object.entries(this.DEPOSIT_WINDOWS)) {
+      const limit = this.toValue(rows.get(type)?.value);
+      if (limit === null) {
+        continue;
+      }
+      const deposited = await this.getDepositTotal(userId, window.ms);
+      if (deposited + amount > limit) {
+        const left = Math.max(0, Math.round((limit - deposited) * 100) / 100);
+        throw this.limitError(`This deposit would exceed your ${window.label} deposit limit of ₹${limit}. You can deposit ₹${left} more now.`);
+      }
+    }
+  }
+
+  /**
+   * Throw a GAMING_LIMIT error if the user may not start playing for this entry fee.
+   */
+  async assertCanPlay(userId, entryFee = 0) {
+    await this.assertNotExcluded(userId);
+
+    const rows = await this.getLimitRows(userId);
+    const sessionLimit = this.toValue(rows.get('SESSION_TIME')?.value);
+    if (sessionLimit !== null && await this.getSessionMinutes(userId) >= sessionLimit) {
+      throw this.limitError(`You have reached your session limit of ${sessionLimit} minutes. Take a break of ${this.SESSION_BREAK_MS / 60000} minutes to play again.`);
+    }
+
+    const lossLimit = this.toValue(rows.get('WEEKLY_LOSS')?.value);
+    if (lossLimit !== null && entryFee > 0) {
+      const loss = await this.getNetLoss(userId);
+      if (loss + entryFee > lossLimit) {
+        throw this.limitError(`This entry fee would exceed your weekly loss limit of ₹${lossLimit}.`);
+      }
+    }
+  }
+}
+
+module.exports = new ResponsibleGamingService();
@@ -0,0 +1,90 @@
+const logger = require('../config/logger');
+const gameRegistry = require('./gameRegistry');
+
+/**
+ * Read-only spectators for live games.
+ *
+ * Spectators sit in a separate `spectate:{gameId}` room. Game services broadcast to liveRooms(gameId),
+ * so watchers receive the same board and turn events as the players without being able to act:
+ * every game action checks that the caller is the player whose turn it is.
+ *
+ * The snapshot a spectator gets on joining comes from the game type's getSpectatorState hook, which
+ * must leave out anything private to the players (such as face-down Memory cards).
+ */
+class SpectatorService {
+  constructor() {
+    this.io = null;
+  }
+
+  init(io) {
+    this.io = io;
+  }
+
+  spectatorRoom(gameId) {
+    return `spectate:${gameId}`;
+  }
+
+  /**
+   * Rooms that receive a game's live events: its players and its spectators.
+   */
+  liveRooms(gameId) {
+    return [`game:${gameId}`, this.spectatorRoom(gameId)];
+  }
+
+  getWatcherCount(gameId) {
+    return this.io?.sockets.adapter.rooms.get(this.spectatorRoom(gameId))?.size || 0;
+  }
+
+  broadcastWatcherCount(gameId) {
+    this.io.to(this.liveRooms(gameId)).emit('spectatorCount', {
+      gameId,
+      count: this.getWatcherCount(gameId)
+    });
+  }
+
+  async join(socket, game) {
+    socket.join(this.spectatorRoom(game.id));
+
+    const state = await gameRegistry.getSpectatorState(game.type, game.id);
+    socket.emit('spectatingGame', {
+      gameId: game.id,
+      gameType: game.type,
+      status: game.status,
+      players: game.participants.map(p => ({
+        id: p.userId,
+        name: p.user?.name || `Player ${p.position + 1}`,
+        color: p.color,
+        isBot: p.isBot
+      })),
+      state: state ?? game.gameData,
+      watchers: this.getWatcherCount(game.id)
+    });
+
+    this.broadcastWatcherCount(game.id);
+    logger.info(`👀 User ${socket.user.id} is spectating game ${game.id}`);
+  }
+
+  leave(socket, gameId) {
+    if (!socket.rooms.has(this.spectatorRoom(gameId))) {
+      return;
+    }
+
+    socket.leave(this.spectatorRoom(gameId));
+    this.broadcastWatcherCount(gameId);
+    logger.info(`👀 User ${socket.user.id} stopped spectating game ${gameId}`);
+  }
+
+  /**
+   * Called on 'disconnecting', while socket.rooms still lists the games being watched.
+   */
+  handleDisconnecting(socket) {
+    const prefix = this.spectatorRoom('');
+    for (const room of [...socket.rooms]) {
+      if (room.startsWith(prefix)) {
+        this.leave(socket, room.slice(prefix.length));
+      }
+    }
+  }
+}
+
+module.exports = new SpectatorService();
@@ -0,0 +1,251 @@
+const prisma = require('../config/database');
+const logger = require('../config/logger');
+const ledgerService = require('./ledgerService');
+
+/**
+ * TDS on online gaming winnings.
+ *
+ * Net winnings of a financial year (April to March, IST) are the prize money credited in it
+ * minus the money deposited in it, both read from the ledger. Every withdrawal is taxed on the
+ * net winnings no earlier withdrawal of the year was taxed on, up to the amount withdrawn. The
+ * tax is kept out of the payout, moved from the wallet to TAX_PAYABLE and recorded as a
+ * TDS_DEDUCTION transaction.
+ */
+class TaxService {
+  constructor() {
+    this.TDS_RATE = parseFloat(process.env.TDS_RATE_PERCENT || '30') / 100;
+  }
+
+  /**
+   * Year the financial year containing the date starts in, e.g. 2025 for 2025-26.
+   */
+  getFinancialYear(date = new Date()) {
+    // Shift to IST so a withdrawal just after midnight on April 1st falls in the new year
+    const ist = new Date(date.getTime() + 5.5 * 60 * 60 * 1000);
+    const year = ist.getUTCFullYear();
+    return ist.getUTCMonth() < 3 ? year - 1 : year;
+  }
+
+  getFinancialYearRange(startYear) {
+    return {
+      label: `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`,
+      from: new Date(`${startYear}-04-01T00:00:00+05:30`),
+      to: new Date(`${startYear + 1}-04-01T00:00:00+05:30`)
+    };
+  }
+
+  roundAmount(amount) {
+    return Math.round(amount * 100) / 100;
+  }
+
+  /**
+   * Sum of a user's postings in entries of the given type during the range.
+   */
+  async sumUserPostings(client, userId, type, range) {
+    const result = await client.ledgerPosting.aggregate({
+      _sum: { amount: true },
+      where: {
+        account: { userId },
+        entry: { type, createdAt: { gte: range.from, lt: range.to } }
+      }
+    });
+    return parseFloat(result._sum.amount || 0);
+  }
+
+  /**
+   * Deductions of the year that still stand, i.e. whose withdrawal wasn't refunded.
+   */
+  async getDeductions(client, userId, range) {
+    return client.transaction.findMany({
+      where: {
+        userId,
+        type: 'TDS_DEDUCTION',
+        status: 'COMPLETED',
+        createdAt: { gte: range.from, lt: range.to }
+      },
+      orderBy: { createdAt: 'asc' }
+    });
+  }
+
+  /**
+   * Winnings, deposits and what has been taxed so far in a financial year.
+   */
+  async getNetWinnings(client, userId, startYear) {
+    const range = this.getFinancialYearRange(startYear);
+    const [winnings, deposits, deductions] = await Promise.all([
+      this.sumUserPostings(client, userId, 'GAME_WINNING', range),
+      this.sumUserPostings(client, userId, 'DEPOSIT', range),
+      this.getDeductions(client, userId, range)
+    ]);
+
+    const netWinnings = this.roundAmount(Math.max(0, winnings - deposits));
+    const taxedWinnings = this.roundAmount(deductions.reduce(
+      (sum, deduction) => sum + parseFloat(deduction.metadata?.taxableAmount || 0), 0
+    ));
+
+    return {
+      range,
+      winnings: this.roundAmount(winnings),
+      deposits: this.roundAmount(deposits),
+      netWinnings,
+      taxedWinnings,
+      untaxedWinnings: this.roundAmount(Math.max(0, netWinnings - taxedWinnings)),
+      deductions
+    };
+  }
+
+  /**
+   * TDS due on a withdrawal made now.
+   * @returns {Promise<{taxableAmount: number, tdsAmount: number, netAmount: number, financialYear: string}>}
+   */
+  async calculateWithdrawalTds(client, userId, amount) {
+    const { range, untaxedWinnings } = await this.getNetWinnings(client, userId, this.getFinancialYear());
+    const taxableAmount = this.roundAmount(Math.min(untaxedWinnings, amount));
+    const tdsAmount = this.roundAmount(taxableAmount * this.TDS_RATE);
+
+    return {
+      taxableAmount,
+      tdsAmount,
+      netAmount: this.roundAmount(amount - tdsAmount),
+      financialYear: range.label
+    };
+  }
+
+  /**
+   * Move the TDS of a withdrawal out of the wallet and record it.
+   * Runs inside the withdrawal's database transaction.
+   * @returns {Promise<object|null>} The TDS_DEDUCTION transaction, or null if nothing is due
+   */
+  async recordDeduction(tx, userId, tds, withdrawalTransactionId, order) {
+    if (tds.tdsAmount <= 0) {
+      return null;
+    }
+
+    const deduction = await tx.transaction.create({
+      data: {
+        userId,
+        type: 'TDS_DEDUCTION',
+        amount: tds.tdsAmount,
+        status: 'COMPLETED',
+        description: `TDS of ₹${tds.tdsAmount} on net winnings of ₹${tds.taxableAmount} (FY ${tds.financialYear})`,
+        metadata: {
+          withdrawalTransactionId,
+          taxableAmount: tds.taxableAmount,
+          rate: this.TDS_RATE,
+          financialYear: tds.financialYear
+        }
+      }
+    });
+
+    await ledgerService.chargeUser(tx, userId, tds.tdsAmount, 'TDS', {
+      transactionId: deduction.id,
+      description: deduction.description
+    }, order);
+
+    logger.info(`🧾 TDS of ₹${tds.tdsAmount} deducted from withdrawal ${withdrawalTransactionId} of user ${userId}`);
+    return deduction;
+  }
+
+  /**
+   * Give back the TDS of a withdrawal that failed or was rejected; its winnings count as untaxed again.
+   */
+  async reverseDeduction(tx, withdrawalTransactionId) {
+    const withdrawal = await tx.transaction.findUnique({ where: { id: withdrawalTransactionId } });
+    const deductionId = withdrawal?.metadata?.tds?.transactionId;
+    if (!deductionId) {
+      return null;
+    }
+
+    const deduction = await tx.transaction.update({
+      where: { id: deductionId },
+      data: { status: 'CANCELLED' }
+    });
+    await ledgerService.reverseTransaction(tx, deductionId, 'TDS_REVERSAL', 'TDS refunded with withdrawal');
+
+    logger.info(`🧾 TDS of ₹${deduction.amount} refunded for withdrawal ${withdrawalTransactionId}`);
+    return deduction;
+  }
+
+  /**
+   * Annual tax statement of a user.
+   * @param {number} startYear - Year the financial year starts in, the current one by default
+   */
+  async getTaxStatement(userId, startYear = this.getFinancialYear()) {
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { id: true, name: true, phoneNumber: true, email: true }
+    });
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const net = await this.getNetWinnings(prisma, userId, startYear);
+    const withdrawalIds = net.deductions.map(d => d.metadata?.withdrawalTransactionId).filter(Boolean);
+    const withdrawals = new Map((await prisma.transaction.findMany({
+      where: { id: { in: withdrawalIds } }
+    })).map(w => [w.id, w]));
+
+    const deductions = net.deductions.map(deduction => {
+      const withdrawal = withdrawals.get(deduction.metadata?.withdrawalTransactionId);
+      return {
+        date: deduction.createdAt,
+        transactionId: deduction.id,
+        withdrawalTransactionId: deduction.metadata?.withdrawalTransactionId || null,
+        withdrawalAmount: withdrawal ? parseFloat(withdrawal.metadata?.tds?.grossAmount || withdrawal.amount) : null,
+        taxableAmount: parseFloat(deduction.metadata?.taxableAmount || 0),
+        tdsAmount: parseFloat(deduction.amount)
+      };
+    });
+
+    return {
+      user,
+      financialYear: net.range.label,
+      period: { from: net.range.from, to: new Date(net.range.to.getTime() - 1) },
+      tdsRate: this.TDS_RATE,
+      totalWinnings: net.winnings,
+      totalDeposits: net.deposits,
+      netWinnings: net.netWinnings,
+      taxedWinnings: net.taxedWinnings,
+      untaxedWinnings: net.untaxedWinnings,
+      totalTdsDeducted: this.roundAmount(deductions.reduce((sum, d) => sum + d.tdsAmount, 0)),
+      deductions,
+      generatedAt: new Date()
+    };
+  }
+
+  /**
+   * The statement as CSV: a summary block followed by one row per deduction.
+   */
+  statementToCsv(statement) {
+    const escape = (value) => {
+      const text = value instanceof Date ? value.toISOString() : String(value ?? '');
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const row = (...values) => values.map(escape).join(',');
+
+    return [
+      row('Financial year', statement.financialYear),
+      row('Name', statement.user.name),
+      row('Phone', statement.user.phoneNumber),
+      row('Email', statement.user.email),
+      row('TDS rate (%)', this.roundAmount(statement.tdsRate * 100)),
+      row('Total winnings', statement.totalWinnings.toFixed(2)),
+      row('Total deposits', statement.totalDeposits.toFixed(2)),
+      row('Net winnings', statement.netWinnings.toFixed(2)),
+      row('Net winnings taxed', statement.taxedWinnings.toFixed(2)),
+      row('Total TDS deducted', statement.totalTdsDeducted.toFixed(2)),
+      '',
+      row('Date', 'Transaction ID', 'Withdrawal ID', 'Withdrawal amount', 'Taxable amount', 'TDS amount'),
+      ...statement.deductions.map(d => row(
+        d.date,
+        d.transactionId,
+        d.withdrawalTransactionId,
+        d.withdrawalAmount === null ? '' : d.withdrawalAmount.toFixed(2),
+        d.taxableAmount.toFixed(2),
+        d.tdsAmount.toFixed(2)
+      ))
+    ].join('\n') + '\n';
+  }
+}
+
+module.exports = new TaxService();
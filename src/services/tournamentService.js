@@ -0,0 +1,687 @@
+const prisma = require('../config/database');
+const logger = require('../config/logger');
+const walletService = require('./walletService');
+const gameService = require('./gameService');
+const ratingService = require('./ratingService');
+const commissionService = require('./commissionService');
+const matchmakingService = require('./matchmakingService');
+const ledgerService = require('./ledgerService');
+const responsibleGamingService = require('./responsibleGamingService');
+const refundService = require('./refundService');
+
+/**
+ * Scheduled tournaments played as regular games.
+ *
+ * Players register while the registration window is open and pay the buy-in up front. At the
+ * start time entrants are seeded by rating and seated at tables of `tableSize`:
+ *   KNOCKOUT - the top `advancePerTable` of each table go through until one player is left
+ *   SWISS    - everyone plays `swissRounds` rounds, scoring a point for every opponent they
+ *              finish ahead of; each round seats players on similar points together
+ * Each table is a normal game without its own stake. When a game's results are settled the next
+ * round is scheduled once every table of the round is done, and after the last round the prize
+ * pool (buy-ins less the platform commission) is paid out by `prizeTable`. Tournaments with fewer
+ * than `minPlayers` entrants at the start are cancelled and refunded.
+ *
+ * A table whose game is cancelled (it stalled, or didn't start) is dealt a new game for the same
+ * players, up to TOURNAMENT_TABLE_REPLAYS times. A table that still can't be played cancels the
+ * tournament: the commission goes back to escrow and every buy-in is refunded.
+ *
+ * Tables live in the memory of the server process like any other game. After a restart their
+ * games are cancelled with the rest, which replays the tables, and recoverInterruptedTournaments
+ * picks up tables and rounds the previous process left half done.
+ */
+class TournamentService {
+  constructor() {
+    this.io = null;
+    this.GAME_TYPES = ['FAST_LUDO', 'MEMORY']; // Both end on their own timers, so rounds rarely stall
+    this.DEFAULT_PRIZE_TABLE = [50, 30, 20];
+    this.ROUND_BREAK_MS = parseInt(process.env.TOURNAMENT_ROUND_BREAK_SECONDS || '30', 10) * 1000;
+    this.MAX_TABLE_REPLAYS = parseInt(process.env.TOURNAMENT_TABLE_REPLAYS || '1', 10);
+    this.SCHEDULER_INTERVAL_MS = 10000;
+    this.schedulerInterval = null;
+    this.processing = false;
+  }
+
+  init(io) {
+    this.io = io;
+    gameService.onGameFinished((game, rankings) => this.handleGameFinished(game, rankings));
+    refundService.onGameCancelled((game, reason) => this.handleGameCancelled(game, reason));
+  }
+
+  tournamentRoom(tournamentId) {
+    return `tournament:${tournamentId}`;
+  }
+
+  startScheduler() {
+    if (this.schedulerInterval) {
+      clearInterval(this.schedulerInterval);
+    }
+    this.schedulerInterval = setInterval(() => this.processSchedule(), this.SCHEDULER_INTERVAL_MS);
+    logger.info('Tournament scheduler started, running every 10 seconds.');
+  }
+
+  stop() {
+    if (this.schedulerInterval) {
+      clearInterval(this.schedulerInterval);
+      this.schedulerInterval = null;
+      logger.info('Tournament scheduler stopped.');
+    }
+  }
+
+  /**
+   * Start tournaments that are due and rounds whose break is over.
+   */
+  async processSchedule() {
+    if (this.processing) return;
+    this.processing = true;
+
+    try {
+      const now = new Date();
+      const due = await prisma.tournament.findMany({
+        where: { status: 'SCHEDULED', startsAt: { lte: now } }
+      });
+      for (const tournament of due) {
+        await this.startTournament(tournament);
+      }
+
+      const nextRounds = await prisma.tournament.findMany({
+        where: { status: 'RUNNING', nextRoundAt: { lte: now } }
+      });
+      for (const tournament of nextRounds) {
+        await this.advance(tournament);
+      }
+    } catch (error) {
+      logger.error('Tournament scheduler error:', error);
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  /**
+   * Run at startup, after the previous process's games were cancelled. Deals tables that were
+   * left without a game, starts round 1 of tournaments stopped before it was seated, and
+   * completes rounds whose last table was settled just before the restart. Players a
+   * half-seated round left without a table simply carry on into the next round.
+   */
+  async recoverInterruptedTournaments() {
+    const tournaments = await prisma.tournament.findMany({ where: { status: 'RUNNING', nextRoundAt: null } });
+
+    for (const tournament of tournaments) {
+      try {
+        if (tournament.currentRound === 0) {
+          await this.startRound(tournament, 1);
+          continue;
+        }
+
+        const unseated = await prisma.tournamentMatch.findMany({
+          where: { tournamentId: tournament.id, round: tournament.currentRound, status: 'PLAYING', gameId: null }
+        });
+        for (const match of unseated) {
+          await this.replayTable({ ...match, tournament }, 'Interrupted by a server restart');
+        }
+        await this.checkRoundComplete(tournament.id, tournament.currentRound);
+      } catch (error) {
+        logger.error(`Failed to recover tournament ${tournament.id}:`, error);
+      }
+    }
+    if (tournaments.length > 0) {
+      logger.info(`🏆 Checked ${tournaments.length} running tournament(s) for work interrupted by a restart.`);
+    }
+  }
+
+  async createTournament(data) {
+    const tournament = await prisma.tournament.create({
+      data: {
+        ...data,
+        prizeTable: data.prizeTable || this.DEFAULT_PRIZE_TABLE
+      }
+    });
+    logger.info(`🏆 Tournament ${tournament.id} "${tournament.name}" scheduled for ${tournament.startsAt.toISOString()}`);
+    return tournament;
+  }
+
+  async listTournaments(status = null) {
+    const tournaments = await prisma.tournament.findMany({
+      where: status ? { status } : { status: { in: ['SCHEDULED', 'RUNNING'] } },
+      orderBy: { startsAt: 'asc' },
+      include: { _count: { select: { entries: true } } }
+    });
+    return tournaments.map(tournament => this.formatTournament(tournament, tournament._count.entries));
+  }
+
+  formatTournament(tournament, entryCount) {
+    const now = new Date();
+    return {
+      id: tournament.id,
+      name: tournament.name,
+      gameType: tournament.gameType,
+      format: tournament.format,
+      tableSize: tournament.tableSize,
+      advancePerTable: tournament.advancePerTable,
+      swissRounds: tournament.swissRounds,
+      minPlayers: tournament.minPlayers,
+      maxPlayers: tournament.maxPlayers,
+      buyIn: parseFloat(tournament.buyIn),
+      prizePool: parseFloat(tournament.prizePool),
+      prizeTable: tournament.prizeTable,
+      status: tournament.status,
+      currentRound: tournament.currentRound,
+      registrationOpensAt: tournament.registrationOpensAt,
+      registrationClosesAt: tournament.registrationClosesAt,
+      registrationOpen: tournament.status === 'SCHEDULED'
+        && tournament.registrationOpensAt <= now
+        && tournament.registrationClosesAt > now,
+      startsAt: tournament.startsAt,
+      finishedAt: tournament.finishedAt,
+      entryCount
+    };
+  }
+
+  /**
+   * Tournament with its standings and every round's tables.
+   * @returns {Promise<object|null>} null if the tournament doesn't exist
+   */
+  async getTournament(tournamentId) {
+    const tournament = await prisma.tournament.findUnique({
+      where: { id: tournamentId },
+      include: {
+        entries: { include: { user: { select: { id: true, name: true } } } },
+        matches: { orderBy: [{ round: 'asc' }, { tableNumber: 'asc' }] }
+      }
+    });
+    if (!tournament) {
+      return null;
+    }
+
+    const standings = this.compareStandings(tournament);
+    return {
+      ...this.formatTournament(tournament, tournament.entries.length),
+      standings: [...tournament.entries].sort(standings).map(entry => ({
+        userId: entry.userId,
+        name: entry.user?.name,
+        seed: entry.seed,
+        points: entry.points,
+        eliminatedInRound: entry.eliminatedInRound,
+        finalRank: entry.finalRank,
+        prize: entry.prize !== null ? parseFloat(entry.prize) : null
+      })),
+      rounds: tournament.matches.reduce((rounds, match) => {
+        (rounds[match.round - 1] = rounds[match.round - 1] || []).push({
+          tableNumber: match.tableNumber,
+          gameId: match.gameId,
+          playerIds: match.playerIds,
+          status: match.status,
+          results: match.results
+        });
+        return rounds;
+      }, [])
+    };
+  }
+
+  async register(tournamentId, userId) {
+    const tournament = await prisma.tournament.findUnique({ where: { id: tournamentId } });
+    if (!tournament) {
+      throw new Error('Tournament not found');
+    }
+
+    const now = new Date();
+    if (tournament.status !== 'SCHEDULED' || tournament.registrationOpensAt > now || tournament.registrationClosesAt <= now) {
+      throw new Error('Registration is closed');
+    }
+
+    const existing = await prisma.tournamentEntry.findUnique({
+      where: { tournamentId_userId: { tournamentId, userId } }
+    });
+    if (existing) {
+      throw new Error('Already registered');
+    }
+
+    const buyIn = parseFloat(tournament.buyIn);
+    await responsibleGamingService.assertCanPlay(userId, buyIn);
+
+    // The buy-in is charged in the transaction that creates the entry, so neither is kept
+    // without the other. The field size is checked there too, so the last place can't be
+    // taken twice.
+    const entry = await prisma.$transaction(async (tx) => {
+      const entryCount = await tx.tournamentEntry.count({ where: { tournamentId } });
+      if (entryCount >= tournament.maxPlayers) {
+        throw new Error('Tournament is full');
+      }
+
+      let buyInTransactionId = null;
+      if (buyIn > 0) {
+        try {
+          const result = await walletService.deductWallet(userId, buyIn, 'GAME_ENTRY', `Tournament buy-in - ${tournament.name}`, null, tx);
+          buyInTransactionId = result.transactionId;
+        } catch (error) {
+          throw new Error(error.message === 'Insufficient balance' ? 'Insufficient balance' : 'Failed to pay buy-in');
+        }
+      }
+      return tx.tournamentEntry.create({ data: { tournamentId, userId, buyInTransactionId } });
+    });
+
+    logger.info(`🏆 User ${userId} registered for tournament ${tournamentId}`);
+    return entry;
+  }
+
+  /**
+   * Seed the entrants and start round 1, or cancel and refund if too few registered.
+   */
+  async startTournament(tournament) {
+    const entries = await prisma.tournamentEntry.findMany({
+      where: { tournamentId: tournament.id },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    if (entries.length < Math.max(tournament.minPlayers, 2)) {
+      await this.cancelTournament(tournament, 'Not enough players registered');
+      return;
+    }
+
+    const { prizePool, rakeAmount } = commissionService.calculate(tournament.gameType, parseFloat(tournament.buyIn), entries.length);
+    const claimed = await prisma.$transaction(async (tx) => {
+      const updated = await tx.tournament.updateMany({
+        where: { id: tournament.id, status: 'SCHEDULED' },
+        data: { status: 'RUNNING', prizePool, rakeAmount }
+      });
+      if (updated.count > 0 && rakeAmount > 0) {
+        const rake = await ledgerService.post(tx, { type: 'RAKE', description: `Commission for tournament ${tournament.id}` }, [
+          { type: 'ESCROW', amount: -rakeAmount },
+          { type: 'PLATFORM_RAKE', amount: rakeAmount }
+        ]);
+        await tx.tournament.update({ where: { id: tournament.id }, data: { rakeEntryId: rake.id } });
+      }
+      return updated;
+    });
+    if (claimed.count === 0) {
+      return;
+    }
+
+    // Highest rated player is seed 1; ties keep registration order
+    const ratings = await ratingService.getRatingsForUsers(entries.map(e => e.userId), tournament.gameType);
+    const seeded = [...entries].sort((a, b) => ratings.get(b.userId) - ratings.get(a.userId));
+    for (let i = 0; i < seeded.length; i++) {
+      await prisma.tournamentEntry.update({ where: { id: seeded[i].id }, data: { seed: i + 1 } });
+    }
+
+    logger.info(`🏆 Tournament ${tournament.id} started with ${entries.length} players, prize pool ₹${prizePool.toFixed(2)}`);
+    await this.startRound({ ...tournament, status: 'RUNNING', prizePool }, 1);
+  }
+
+  /**
+   * Cancel a tournament that is scheduled or running and refund every buy-in. A running
+   * tournament's commission goes back to escrow first, and the games of its open tables are
+   * cancelled.
+   */
+  async cancelTournament(tournament, reason) {
+    const cancelled = await prisma.$transaction(async (tx) => {
+      const updated = await tx.tournament.updateMany({
+        where: { id: tournament.id, status: { in: ['SCHEDULED', 'RUNNING'] } },
+        data: { status: 'CANCELLED', nextRoundAt: null }
+      });
+      if (updated.count === 0) {
+        return null;
+      }
+
+      const { rakeEntryId } = await tx.tournament.findUnique({ where: { id: tournament.id }, select: { rakeEntryId: true } });
+      if (rakeEntryId) {
+        await ledgerService.reverse(tx, rakeEntryId, 'RAKE_REVERSAL', `Commission returned for cancelled tournament ${tournament.id}`);
+      }
+      const open = await tx.tournamentMatch.findMany({
+        where: { tournamentId: tournament.id, status: 'PLAYING' },
+        select: { gameId: true }
+      });
+      await tx.tournamentMatch.updateMany({
+        where: { tournamentId: tournament.id, status: 'PLAYING' },
+        data: { status: 'CANCELLED', finishedAt: new Date() }
+      });
+      return open.filter(match => match.gameId).map(match => match.gameId);
+    });
+    if (!cancelled) {
+      return;
+    }
+
+    for (const gameId of cancelled) {
+      try {
+        await refundService.cancelGame(gameId, 'Tournament cancelled');
+      } catch (error) {
+        logger.error(`Failed to cancel game ${gameId} of cancelled tournament ${tournament.id}:`, error);
+      }
+    }
+
+    const entries = await prisma.tournamentEntry.findMany({ where: { tournamentId: tournament.id } });
+    for (const entry of entries) {
+      if (entry.buyInTransactionId && !entry.refunded) {
+        try {
+          await walletService.refundTransaction(entry.buyInTransactionId, `Tournament cancelled - ${tournament.name}`);
+          await prisma.tournamentEntry.update({ where: { id: entry.id }, data: { refunded: true } });
+        } catch (error) {
+          logger.error(`Failed to refund tournament ${tournament.id} buy-in of user ${entry.userId}:`, error);
+        }
+      }
+    }
+
+    this.emitToEntrants(tournament.id, entries.map(e => e.userId), 'tournamentCancelled', {
+      tournamentId: tournament.id,
+      reason
+    });
+    logger.warn(`🏆 Tournament ${tournament.id} cancelled (${reason}) with ${entries.length} registration(s), buy-ins refunded`);
+  }
+
+  /**
+   * Split players into `tableCount` tables of as even a size as possible.
+   * Knockout deals seeds round the tables in a snake so top seeds meet late; Swiss keeps
+   * players who are next to each other in the standings together.
+   */
+  seatPlayers(players, tableSize, format) {
+    const tableCount = Math.ceil(players.length / tableSize);
+    const tables = Array.from({ length: tableCount }, () => []);
+
+    if (format === 'KNOCKOUT') {
+      players.forEach((player, index) => {
+        const pass = Math.floor(index / tableCount);
+        const offset = index % tableCount;
+        tables[pass % 2 === 0 ? offset : tableCount - 1 - offset].push(player);
+      });
+    } else {
+      let next = 0;
+      tables.forEach((table, index) => {
+        const size = Math.floor(players.length / tableCount) + (index < players.length % tableCount ? 1 : 0);
+        table.push(...players.slice(next, next + size));
+        next += size;
+      });
+    }
+
+    return tables;
+  }
+
+  async startRound(tournament, round) {
+    const claimed = await prisma.tournament.updateMany({
+      where: { id: tournament.id, status: 'RUNNING', currentRound: round - 1 },
+      data: { currentRound: round, nextRoundAt: null }
+    });
+    if (claimed.count === 0) {
+      return;
+    }
+
+    const entries = await prisma.tournamentEntry.findMany({
+      where: { tournamentId: tournament.id, eliminatedInRound: null },
+      include: { user: true },
+      orderBy: { seed: 'asc' }
+    });
+    const ordered = tournament.format === 'SWISS'
+      ? [...entries].sort((a, b) => (b.points - a.points) || (a.seed - b.seed))
+      : entries;
+    const tables = this.seatPlayers(ordered, tournament.tableSize, tournament.format);
+
+    const matches = [];
+    for (let i = 0; i < tables.length; i++) {
+      const players = tables[i];
+      const playerIds = players.map(entry => entry.userId);
+
+      if (players.length === 1) {
+        // A bye: the player goes through as if they had won the table
+        await prisma.tournamentMatch.create({
+          data: {
+            tournamentId: tournament.id,
+            round,
+            tableNumber: i + 1,
+            playerIds,
+            status: 'FINISHED',
+            results: [{ userId: playerIds[0], rank: 1 }],
+            finishedAt: new Date()
+          }
+        });
+        await this.applyResults(tournament, round, [{ userId: playerIds[0], rank: 1 }], tournament.tableSize);
+        matches.push({ tableNumber: i + 1, gameId: null, playerIds });
+        continue;
+      }
+
+      const game = await matchmakingService.createTournamentGame(tournament.gameType, players.map(entry => entry.user));
+      await prisma.tournamentMatch.create({
+        data: { tournamentId: tournament.id, round, tableNumber: i + 1, playerIds, gameId: game.id }
+      });
+      matches.push({ tableNumber: i + 1, gameId: game.id, playerIds });
+    }
+
+    logger.info(`🏆 Tournament ${tournament.id} round ${round} started on ${tables.length} table(s)`);
+    this.emitToEntrants(tournament.id, entries.map(e => e.userId), 'tournamentRoundStarted', {
+      tournamentId: tournament.id,
+      round,
+      matches
+    });
+
+    // A round made only of byes is already complete
+    await this.checkRoundComplete(tournament.id, round);
+  }
+
+  /**
+   * Record a table's results against the players' tournament entries. Players who forfeited
+   * don't go through and score nothing.
+   * @param {Array<{userId: string, rank: number, forfeited?: boolean}>} rankings
+   * @param {number} tableSize - Players the table was set for; a bye scores as a full table won
+   */
+  async applyResults(tournament, round, rankings, tableSize) {
+    const sorted = [...rankings].sort((a, b) => a.rank - b.rank);
+    // Someone always goes out of a shared table, so the field keeps shrinking
+    const advancing = Math.max(1, Math.min(tournament.advancePerTable, rankings.length - 1));
+
+    for (const [index, { userId, rank, forfeited }] of sorted.entries()) {
+      const data = { lastTableRank: rank };
+      if (tournament.format === 'SWISS') {
+        const beaten = rankings.length === 1 ? tableSize - 1 : rankings.filter(r => r.rank > rank).length;
+        data.points = { increment: forfeited ? 0 : beaten };
+      } else if (forfeited || index >= advancing) {
+        data.eliminatedInRound = round;
+      }
+
+      await prisma.tournamentEntry.update({
+        where: { tournamentId_userId: { tournamentId: tournament.id, userId } },
+        data
+      });
+    }
+  }
+
+  /**
+   * Game finished listener: settle the tournament table the game was played on.
+   */
+  async handleGameFinished(game, rankings) {
+    const match = await prisma.tournamentMatch.findUnique({
+      where: { gameId: game.id },
+      include: { tournament: true }
+    });
+    if (!match) {
+      return;
+    }
+
+    const forfeitedIds = new Set(game.participants.filter(p => p.forfeited).map(p => p.userId));
+    const results = rankings.map(({ userId, rank }) => ({ userId, rank, forfeited: forfeitedIds.has(userId) }));
+
+    // Only the first call for a game counts
+    const settled = await prisma.tournamentMatch.updateMany({
+      where: { id: match.id, status: 'PLAYING' },
+      data: { status: 'FINISHED', results, finishedAt: new Date() }
+    });
+    if (settled.count === 0) {
+      return;
+    }
+
+    await this.applyResults(match.tournament, match.round, results, match.playerIds.length);
+    logger.info(`🏆 Tournament ${match.tournamentId} round ${match.round} table ${match.tableNumber} finished`);
+    await this.checkRoundComplete(match.tournamentId, match.round);
+  }
+
+  /**
+   * Game cancelled listener: deal the tournament table the game was played on a new game, or
+   * cancel the tournament once the table has used up its replays.
+   */
+  async handleGameCancelled(game, reason) {
+    if (!game.tournamentMatch) {
+      return;
+    }
+    const match = await prisma.tournamentMatch.findUnique({
+      where: { id: game.tournamentMatch.id },
+      include: { tournament: true }
+    });
+    if (match.gameId !== game.id || match.status !== 'PLAYING' || match.tournament.status !== 'RUNNING') {
+      return;
+    }
+
+    if (match.replays >= this.MAX_TABLE_REPLAYS) {
+      await this.cancelTournament(match.tournament, `Round ${match.round} table ${match.tableNumber} could not be played (${reason})`);
+      return;
+    }
+
+    // Only the first call for a game deals the table again
+    const claimed = await prisma.tournamentMatch.updateMany({
+      where: { id: match.id, gameId: game.id, status: 'PLAYING' },
+      data: { gameId: null, replays: { increment: 1 } }
+    });
+    if (claimed.count === 0) {
+      return;
+    }
+    await this.replayTable(match, reason);
+  }
+
+  /**
+   * Seat a table's players at a new game. The match must be PLAYING without a game.
+   */
+  async replayTable(match, reason) {
+    try {
+      const users = await prisma.user.findMany({ where: { id: { in: match.playerIds } } });
+      const players = match.playerIds.map(userId => users.find(user => user.id === userId));
+      const game = await matchmakingService.createTournamentGame(match.tournament.gameType, players);
+      await prisma.tournamentMatch.update({ where: { id: match.id }, data: { gameId: game.id } });
+
+      logger.warn(`🏆 Tournament ${match.tournamentId} round ${match.round} table ${match.tableNumber} replayed as game ${game.id} (${reason})`);
+      this.emitToEntrants(match.tournamentId, match.playerIds, 'tournamentTableReplayed', {
+        tournamentId: match.tournamentId,
+        round: match.round,
+        tableNumber: match.tableNumber,
+        gameId: game.id,
+        reason
+      });
+    } catch (error) {
+      logger.error(`Failed to replay tournament ${match.tournamentId} round ${match.round} table ${match.tableNumber}:`, error);
+      await this.cancelTournament(match.tournament, `Round ${match.round} table ${match.tableNumber} could not be played (${reason})`);
+    }
+  }
+
+  async checkRoundComplete(tournamentId, round) {
+    const playing = await prisma.tournamentMatch.count({
+      where: { tournamentId, round, status: 'PLAYING' }
+    });
+    if (playing > 0) {
+      return;
+    }
+
+    const updated = await prisma.tournament.updateMany({
+      where: { id: tournamentId, status: 'RUNNING', currentRound: round, nextRoundAt: null },
+      data: { nextRoundAt: new Date(Date.now() + this.ROUND_BREAK_MS) }
+    });
+    if (updated.count > 0) {
+      const tournament = await prisma.tournament.findUnique({ where: { id: tournamentId } });
+      this.io?.to(this.tournamentRoom(tournamentId)).emit('tournamentRoundFinished', {
+        tournamentId,
+        round,
+        nextRoundAt: tournament.nextRoundAt
+      });
+      logger.info(`🏆 Tournament ${tournamentId} round ${round} complete`);
+    }
+  }
+
+  /**
+   * After a round's break: play the next round, or finish if the tournament is decided.
+   */
+  async advance(tournament) {
+    const remaining = await prisma.tournamentEntry.count({
+      where: { tournamentId: tournament.id, eliminatedInRound: null }
+    });
+
+    const finished = tournament.format === 'SWISS'
+      ? tournament.currentRound >= tournament.swissRounds
+      : remaining <= 1;
+
+    if (finished) {
+      await this.finishTournament(tournament);
+    } else {
+      await this.startRound(tournament, tournament.currentRound + 1);
+    }
+  }
+
+  /**
+   * Best first: Swiss by points, knockout by how far the player got and then their last table
+   * rank. Seeds settle anything still level.
+   */
+  compareStandings(tournament) {
+    if (tournament.format === 'SWISS') {
+      return (a, b) => (b.points - a.points) || ((a.seed ?? Infinity) - (b.seed ?? Infinity));
+    }
+    return (a, b) => ((b.eliminatedInRound ?? Infinity) - (a.eliminatedInRound ?? Infinity))
+      || ((a.lastTableRank ?? Infinity) - (b.lastTableRank ?? Infinity))
+      || ((a.seed ?? Infinity) - (b.seed ?? Infinity));
+  }
+
+  /**
+   * Rank the entrants and pay the prizes in the transaction that claims the tournament
+   * FINISHED, so every winner is paid or none is. If it fails the tournament stays RUNNING
+   * with its round break over, and the scheduler tries again.
+   */
+  async finishTournament(tournament) {
+    const settled = await prisma.$transaction(async (tx) => {
+      const claimed = await tx.tournament.updateMany({
+        where: { id: tournament.id, status: 'RUNNING' },
+        data: { status: 'FINISHED', nextRoundAt: null, finishedAt: new Date() }
+      });
+      if (claimed.count === 0) {
+        return null;
+      }
+
+      const entries = await tx.tournamentEntry.findMany({ where: { tournamentId: tournament.id } });
+      const compare = this.compareStandings(tournament);
+      const rankings = gameService.rankPlayers(entries, compare);
+      const payouts = gameService.calculatePayouts(parseFloat(tournament.prizePool), rankings, tournament.prizeTable);
+
+      for (const { userId, rank } of rankings) {
+        const payout = payouts.find(p => p.userId === userId);
+        await tx.tournamentEntry.update({
+          where: { tournamentId_userId: { tournamentId: tournament.id, userId } },
+          data: { finalRank: rank, prize: payout ? payout.amount : 0 }
+        });
+
+        if (payout) {
+          await walletService.creditWallet(userId, payout.amount, 'GAME_WINNING', null, `Tournament prize - ${tournament.name}, place ${rank}`, tx);
+        }
+      }
+      return { entries, rankings, payouts };
+    }, { timeout: 30000 }); // A large field means an update per entrant
+    if (!settled) {
+      return;
+    }
+
+    const { entries, rankings, payouts } = settled;
+    for (const payout of payouts) {
+      logger.info(`🏆 Tournament ${tournament.id}: ₹${payout.amount.toFixed(2)} credited to user ${payout.userId} (place ${payout.rank})`);
+    }
+
+    this.emitToEntrants(tournament.id, entries.map(e => e.userId), 'tournamentFinished', {
+      tournamentId: tournament.id,
+      standings: rankings.map(({ userId, rank }) => ({
+        userId,
+        rank,
+        prize: payouts.find(p => p.userId === userId)?.amount || 0
+      }))
+    });
+    logger.info(`🏆 Tournament ${tournament.id} finished after ${tournament.currentRound} round(s)`);
+  }
+
+  /**
+   * Tell entrants through their personal rooms, and anyone following the tournament's room.
+   */
+  emitToEntrants(tournamentId, userIds, event, payload) {
+    if (!this.io) return;
+    this.io.to([this.tournamentRoom(tournamentId), ...userIds.map(userId => `user:${userId}`)]).emit(event, payload);
+  }
+}
+
+module.exports = new TournamentService();
@@ -1,21 +1,29 @@
-const Razorpay = require('razorpay');
-const crypto = require('crypto');
 const prisma = require('../config/database');
 const logger = require('../config/logger');
+const ledgerService = require('./ledgerService');
+const taxService = require('./taxService');
+const withdrawalService = require('./withdrawalService');
+const kycService = require('./kycService');
+const beneficiaryService = require('./beneficiaryService');
+const promotionService = require('./promotionService');
 
 class WalletService {
   constructor() {
-    // Ensure Razorpay keys are loaded from environment variables
-    if (!process.env.RAZORPAY_KEY_ID || !process.env.RAZORPAY_KEY_SECRET) {
-      logger.error('RAZORPAY_KEY_ID or RAZORPAY_KEY_SECRET not configured. Razorpay functionalities will be unavailable.');
-      this.razorpay = null; // Set to null to indicate it's not configured
-    } else {
-      this.razorpay = new Razorpay({
-        key_id: process.env.RAZORPAY_KEY_ID,
-        key_secret: process.env.RAZORPAY_KEY_SECRET,
-      });
-      logger.info('Razorpay instance initialized.');
-    }
+    // Winnings can always be withdrawn; deposits that haven't been played only if policy allows
+    this.WITHDRAW_UNPLAYED_DEPOSITS = process.env.WITHDRAW_UNPLAYED_DEPOSITS === 'true';
+  }
+
+  /**
+   * Accounts a withdrawal draws from, in order.
+   */
+  getWithdrawalOrder() {
+    return this.WITHDRAW_UNPLAYED_DEPOSITS ? ['USER_WINNINGS', 'USER_CASH'] : ['USER_WINNINGS'];
+  }
+
+  getWithdrawableAmount(wallet) {
+    const winnings = parseFloat(wallet.winningsBalance || 0);
+    const deposits = this.WITHDRAW_UNPLAYED_DEPOSITS ? parseFloat(wallet.depositBalance || 0) : 0;
+    return Math.round((winnings + deposits) * 100) / 100;
   }
 
   async getWallet(userId) {
@@ -52,6 +60,138 @@ class WalletService {
     }
   }
 
+  /**
+   * Every balance of a wallet. `available` is the sum of the deposit, winnings and bonus buckets.
+   * Held funds are reserved for pending entries and can't be spent or withdrawn until they are
+   * released. Bonus credit can only be played, and only `withdrawable` can be paid out.
+   */
+  async getBalances(userId) {
+    try {
+      const wallet = await this.getWallet(userId);
+      const available = parseFloat(wallet.balance);
+      const held = parseFloat(wallet.heldBalance || 0);
+      return {
+        available,
+        held,
+        total: Math.round((available + held) * 100) / 100,
+        deposit: parseFloat(wallet.depositBalance || 0),
+        winnings: parseFloat(wallet.winningsBalance || 0),
+        bonus: parseFloat(wallet.bonusBalance || 0),
+        withdrawable: this.getWithdrawableAmount(wallet)
+      };
+    } catch (error) {
+      logger.error(`Get wallet balances error for user ${userId}:`, error);
+      throw new Error('Failed to get wallet balance');
+    }
+  }
+
+  /**
+   * Reserve funds: they move from the user's cash and bonus into their escrow account until the
+   * hold is captured or released. The ledger refuses to take an account below zero, so two holds
+   * can't both take the same money.
+   * @param {object|null} tx - Transaction client to run in, a new transaction otherwise
+   * @param {string[]} order - Accounts to take the funds from, in order
+   * @returns {Promise<object>} The hold
+   */
+  async holdFunds(userId, amount, reason, tx = null, order = ledgerService.SPEND_ORDER) {
+    if (!tx) {
+      await this.getWallet(userId);
+      return prisma.$transaction(t => this.holdFunds(userId, amount, reason, t, order));
+    }
+
+    const numericAmount = parseFloat(amount);
+    if (isNaN(numericAmount) || numericAmount <= 0) {
+      throw new Error('Invalid amount for hold');
+    }
+
+    let entry;
+    try {
+      entry = await ledgerService.post(tx, { type: 'HOLD', userId, description: reason }, [
+        ...await ledgerService.debitUser(tx, userId, numericAmount, order),
+        { type: 'ESCROW', userId, amount: numericAmount }
+      ]);
+    } catch (error) {
+      if (error.message === 'Insufficient balance') {
+        logger.warn(`Insufficient balance for hold: User ${userId}, Wants: ${numericAmount}`);
+      }
+      throw error;
+    }
+
+    const hold = await tx.walletHold.create({
+      data: { userId, amount: numericAmount, reason, journalEntryId: entry.id }
+    });
+    logger.info(`Funds held: User ${userId}, Amount: ${numericAmount}, Hold: ${hold.id} (${reason})`);
+    return hold;
+  }
+
+  /**
+   * Spend a hold: the held funds leave the wallet for the platform account of the transaction
+   * type (game escrow for entry fees) and a completed transaction records it.
+   * Pass the caller's transaction so the capture commits or rolls back with the work it pays for.
+   * @returns {Promise<object>} The recorded transaction
+   */
+  async captureHold(holdId, type, description, gameId = null, tx = null) {
+    if (!tx) {
+      return prisma.$transaction(t => this.captureHold(holdId, type, description, gameId, t));
+    }
+
+    const hold = await tx.walletHold.findUnique({ where: { id: holdId } });
+    const captured = await tx.walletHold.updateMany({
+      where: { id: holdId, status: 'HELD' },
+      data: { status: 'CAPTURED', gameId, capturedAt: new Date() }
+    });
+    if (!hold || captured.count === 0) {
+      throw new Error(`Hold ${holdId} is no longer held`);
+    }
+
+    const transaction = await tx.transaction.create({
+      data: {
+        userId: hold.userId,
+        type,
+        amount: hold.amount,
+        status: 'COMPLETED',
+        description,
+        gameId
+      }
+    });
+    await ledgerService.post(tx, { type: 'HOLD_CAPTURE', userId: hold.userId, gameId, transactionId: transaction.id, description }, [
+      { type: 'ESCROW', userId: hold.userId, amount: -hold.amount },
+      { type: ledgerService.COUNTER_ACCOUNTS[type], amount: hold.amount }
+    ]);
+    await tx.walletHold.update({
+      where: { id: holdId },
+      data: { transactionId: transaction.id }
+    });
+
+    logger.info(`Hold captured: User ${hold.userId}, Amount: ${hold.amount}, Hold: ${holdId}, TransId: ${transaction.id}`);
+    return transaction;
+  }
+
+  /**
+   * Return a hold's funds to the available balance.
+   * @returns {Promise<boolean>} false if the hold was already captured or released
+   */
+  async releaseHold(holdId, releaseReason, tx = null) {
+    if (!tx) {
+      return prisma.$transaction(t => this.releaseHold(holdId, releaseReason, t));
+    }
+
+    const hold = await tx.walletHold.findUnique({ where: { id: holdId } });
+    const released = await tx.walletHold.updateMany({
+      where: { id: holdId, status: 'HELD' },
+      data: { status: 'RELEASED', releaseReason, releasedAt: new Date() }
+    });
+    if (!hold || released.count === 0) {
+      return false;
+    }
+
+    // Reversing the hold returns cash and bonus credit to where they came from
+    await ledgerService.reverse(tx, hold.journalEntryId, 'HOLD_RELEASE', `Hold released - ${releaseReason}`);
+
+    logger.info(`Hold released: User ${hold.userId}, Amount: ${hold.amount}, Hold: ${holdId} (${releaseReason})`);
+    return true;
+  }
+
   async createTransaction(userId, type, amount, status, description, razorpayOrderId = null, gameId = null) {
     try {
       // Ensure amount is a number for Prisma
@@ -78,235 +218,145 @@ class WalletService {
     }
   }
 
-  async processDeposit(userId, amount, razorpayOrderId, razorpayPaymentId, razorpaySignature) {
-    try {
-      // Find pending transaction
-      const transaction = await prisma.transaction.findFirst({
-        where: {
-          userId,
-          razorpayOrderId,
-          status: 'PENDING',
-          type: 'DEPOSIT'
-        }
-      });
-
-      if (!transaction) {
-        logger.warn(`Deposit transaction not found or already processed for user ${userId}, order ${razorpayOrderId}`);
-        return { success: false, message: 'Transaction not found or already processed' };
-      }
-
-      // Verify payment signature (crucial for security)
-      if (this.razorpay) {
-        const generatedSignature = crypto.createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
-                                       .update(razorpayOrderId + "|" + razorpayPaymentId)
-                                       .digest('hex');
-        if (generatedSignature !== razorpaySignature) {
-          logger.error(`Razorpay signature mismatch for user ${userId}, order ${razorpayOrderId}`);
-          // Update transaction to FAILED if signature doesn't match
-          await prisma.transaction.update({
-            where: { id: transaction.id },
-            data: { status: 'FAILED', description: 'Signature verification failed' }
-          });
-          return { success: false, message: 'Payment verification failed' };
-        }
-      } else {
-        logger.warn('Razorpay not configured. Skipping signature verification for deposit.');
-      }
-
-      // Update transaction and wallet in a database transaction
-      const result = await prisma.$transaction(async (tx) => {
-        // Update transaction status
-        const updatedTransaction = await tx.transaction.update({
-          where: { id: transaction.id },
-          data: {
-            status: 'COMPLETED',
-            razorpayPaymentId,
-            razorpaySignature
-          }
-        });
-
-        // Ensure wallet exists before updating balance
-        await tx.wallet.upsert({
-          where: { userId },
-          create: { userId, balance: 0 }, // Create with 0 if not exists
-          update: {} // No update needed if it exists
-        });
-
-        // Update wallet balance (ensure amount is number)
-        const updatedWallet = await tx.wallet.update({
-          where: { userId },
-          data: {
-            balance: {
-              increment: parseFloat(amount)
-            }
-          }
-        });
-
-        return { transaction: updatedTransaction, wallet: updatedWallet };
-      });
-
-      logger.info(`Deposit completed: User ${userId}, Amount: ${amount}, Transaction ID: ${result.transaction.id}`);
-
-      return {
-        success: true,
-        message: 'Deposit completed successfully',
-        balance: parseFloat(result.wallet.balance),
-        transactionId: result.transaction.id
-      };
-    } catch (error) {
-      logger.error(`Process deposit error for user ${userId}, order ${razorpayOrderId}:`, error);
-      return { success: false, message: 'Failed to process deposit' };
-    }
+  /**
+   * Lock the user's wallet row until the transaction ends.
+   * @returns {Promise<object>} The wallet as it is under the lock
+   */
+  async lockWallet(tx, userId) {
+    return tx.wallet.update({ where: { userId }, data: { updatedAt: new Date() } });
   }
 
-  async createWithdrawalRequest(userId, amount, bankDetails) {
+  /**
+   * @param {string|null} beneficiaryId - Saved account to pay; the primary one when null
+   */
+  async createWithdrawalRequest(userId, amount, beneficiaryId = null) {
     try {
       const numericAmount = parseFloat(amount);
       if (isNaN(numericAmount) || numericAmount <= 0) {
         throw new Error('Invalid withdrawal amount');
       }
 
-      // Validate bank details
-      if (!bankDetails || !bankDetails.accountNumber || !bankDetails.ifscCode || !bankDetails.accountHolderName) {
-        throw new Error('Complete bank details are required');
-      }
+      const beneficiary = await beneficiaryService.getForWithdrawal(userId, beneficiaryId);
+      const bankDetails = beneficiaryService.toBankDetails(beneficiary);
 
       // Minimum withdrawal amount check
       if (numericAmount < 100) {
         throw new Error('Minimum withdrawal amount is ₹100');
       }
 
-      const wallet = await this.getWallet(userId);
-
-      if (parseFloat(wallet.balance) < numericAmount) {
-        logger.warn(`Insufficient balance for withdrawal: User ${userId}, Has: ${wallet.balance}, Wants: ${numericAmount}`);
-        return { success: false, message: 'Insufficient balance' };
-      }
+      await promotionService.assertWageringComplete(userId);
+      await this.getWallet(userId); // Make sure there is a wallet row to lock
 
       // Create withdrawal transaction and update wallet
       const result = await prisma.$transaction(async (tx) => {
-        // Create withdrawal transaction
+        // One withdrawal of a user at a time, so the balance and the KYC threshold are checked
+        // against every withdrawal made before this one
+        const wallet = await this.lockWallet(tx, userId);
+
+        if (parseFloat(wallet.balance) < numericAmount) {
+          logger.warn(`Insufficient balance for withdrawal: User ${userId}, Has: ${wallet.balance}, Wants: ${numericAmount}`);
+          throw new Error('Insufficient balance');
+        }
+
+        const withdrawable = this.getWithdrawableAmount(wallet);
+        if (withdrawable < numericAmount) {
+          logger.warn(`Withdrawal above withdrawable amount: User ${userId}, Withdrawable: ${withdrawable}, Wants: ${numericAmount}`);
+          throw new Error(`Only ₹${withdrawable.toFixed(2)} of your balance can be withdrawn`);
+        }
+
+        await kycService.assertWithdrawalAllowed(tx, userId, numericAmount, bankDetails);
+
+        // TDS on net winnings is kept out of the payout
+        const tds = await taxService.calculateWithdrawalTds(tx, userId, numericAmount);
+
+        // Create withdrawal transaction for the amount paid out
         const transaction = await tx.transaction.create({
           data: {
             userId,
             type: 'WITHDRAWAL',
-            amount: numericAmount,
+            amount: tds.netAmount,
             status: 'PENDING',
-            description: `Wallet withdrawal of ₹${numericAmount} to A/C: ${bankDetails.accountNumber.slice(-4)}, IFSC: ${bankDetails.ifscCode}`,
+            description: `Wallet withdrawal of ₹${tds.netAmount} to ${beneficiaryService.describe(beneficiary)}`,
             metadata: {
-              bankDetails: {
-                accountNumber: bankDetails.accountNumber,
-                ifscCode: bankDetails.ifscCode,
-                accountHolderName: bankDetails.accountHolderName,
-                bankName: bankDetails.bankName || 'Not specified'
-              },
+              bankDetails,
               requestedAt: new Date().toISOString()
             }
           }
         });
 
-        // Deduct from wallet (hold the amount)
-        const updatedWallet = await tx.wallet.update({
-          where: { userId },
-          data: {
-            balance: {
-              decrement: numericAmount
+        const deduction = await taxService.recordDeduction(tx, userId, tds, transaction.id, this.getWithdrawalOrder());
+        if (deduction) {
+          await tx.transaction.update({
+            where: { id: transaction.id },
+            data: {
+              metadata: {
+                ...transaction.metadata,
+                tds: { transactionId: deduction.id, grossAmount: numericAmount, tdsAmount: tds.tdsAmount }
+              }
             }
-          }
+          });
+        }
+
+        // Deduct from wallet (the amount waits in gateway clearing until paid out)
+        await ledgerService.chargeUser(tx, userId, tds.netAmount, 'WITHDRAWAL', {
+          transactionId: transaction.id,
+          description: transaction.description
+        }, this.getWithdrawalOrder());
+        const updatedWallet = await tx.wallet.findUnique({ where: { userId } });
+
+        // Reviewed and paid out by the withdrawal job
+        const withdrawal = await withdrawalService.createRequest(tx, transaction, {
+          grossAmount: numericAmount,
+          tdsAmount: tds.tdsAmount,
+          beneficiaryId: beneficiary.id,
+          bankDetails
         });
 
-        return { transaction, wallet: updatedWallet };
+        return { transaction, tds, withdrawal, wallet: updatedWallet };
       });
 
-      // In production, integrate with payout service here
-      // For demo, we'll auto-approve after 30 seconds with proper error handling
-      logger.info(`Withdrawal request created: User ${userId}, Amount: ${numericAmount}, Transaction ID: ${result.transaction.id}. Auto-approving in 30s.`);
-      
-      setTimeout(async () => {
-        try {
-          // Check if transaction still exists and is pending
-          const existingTransaction = await prisma.transaction.findUnique({
-            where: { id: result.transaction.id }
-          });
-
-          if (!existingTransaction || existingTransaction.status !== 'PENDING') {
-            logger.info(`Transaction ${result.transaction.id} no longer pending, skipping auto-approval`);
-            return;
-          }
-
-          const approvedTransaction = await prisma.transaction.update({
-            where: { id: result.transaction.id },
-            data: { 
-              status: 'COMPLETED', 
-              description: 'Withdrawal auto-approved (Demo)',
-              updatedAt: new Date()
-            }
-          });
-          logger.info(`Withdrawal auto-approved: ${approvedTransaction.id} for user ${userId}`);
-          
-          // PRODUCTION: Emit socket event to notify user of approval (implement in production environment)
-          // io.to(`user:${userId}`).emit('withdrawalApproved', { transactionId: result.transaction.id });
-          
-        } catch (err) {
-          logger.error(`Auto-approval error for transaction ${result.transaction.id}:`, err);
-          
-          // Mark transaction as failed and refund the amount
-          try {
-            await prisma.$transaction(async (tx) => {
-              await tx.transaction.update({
-                where: { id: result.transaction.id },
-                data: { 
-                  status: 'FAILED', 
-                  description: 'Withdrawal failed during processing - amount refunded',
-                  updatedAt: new Date()
-                }
-              });
-
-              // Refund the amount back to wallet
-              await tx.wallet.update({
-                where: { userId },
-                data: {
-                  balance: {
-                    increment: numericAmount
-                  }
-                }
-              });
-            });
-            logger.info(`Withdrawal ${result.transaction.id} failed, amount refunded to user ${userId}`);
-          } catch (refundErr) {
-            logger.error(`Critical error: Failed to refund withdrawal ${result.transaction.id}:`, refundErr);
-            // This requires manual intervention
-          }
-        }
-      }, 30000); // 30 seconds delay
+      logger.info(`Withdrawal request created: User ${userId}, Amount: ${numericAmount}, Transaction ID: ${result.transaction.id}`);
 
       return {
         success: true,
         message: 'Withdrawal request created successfully, pending approval',
         transactionId: result.transaction.id,
-        estimatedProcessingTime: '30 seconds (Demo mode)'
+        withdrawalId: result.withdrawal.id,
+        amount: numericAmount,
+        tdsAmount: result.tds.tdsAmount,
+        netAmount: result.tds.netAmount
       };
     } catch (error) {
       logger.error(`Create withdrawal request error for user ${userId}:`, error);
-      return { success: false, message: error.message || 'Failed to create withdrawal request' };
+      return {
+        success: false,
+        message: error.message || 'Failed to create withdrawal request',
+        ...(error.code === 'KYC_REQUIRED' && { kycRequired: true })
+      };
     }
   }
 
-  async deductWallet(userId, amount, type, description, gameId = null) {
+  /**
+   * Pass the caller's transaction to charge as part of its work. Failures are then thrown, not
+   * returned, so the caller's transaction rolls back; the ledger refuses to overdraw the wallet.
+   */
+  async deductWallet(userId, amount, type, description, gameId = null, tx = null) {
     try {
       const numericAmount = parseFloat(amount);
       if (isNaN(numericAmount) || numericAmount <= 0) {
         throw new Error('Invalid amount for deduction');
       }
 
-      const wallet = await this.getWallet(userId);
+      if (!tx) {
+        const wallet = await this.getWallet(userId);
 
-      if (parseFloat(wallet.balance) < numericAmount) {
-        logger.warn(`Insufficient balance for deduction: User ${userId}, Type: ${type}, Has: ${wallet.balance}, Wants: ${numericAmount}`);
-        return { success: false, message: 'Insufficient balance' };
+        if (parseFloat(wallet.balance) < numericAmount) {
+          logger.warn(`Insufficient balance for deduction: User ${userId}, Type: ${type}, Has: ${wallet.balance}, Wants: ${numericAmount}`);
+          return { success: false, message: 'Insufficient balance' };
+        }
       }
 
-      const result = await prisma.$transaction(async (tx) => {
+      const deduct = async (tx) => {
         // Create transaction
         const transaction = await tx.transaction.create({
           data: {
@@ -320,17 +370,12 @@ class WalletService {
         });
 
         // Deduct from wallet
-        const updatedWallet = await tx.wallet.update({
-          where: { userId },
-          data: {
-            balance: {
-              decrement: numericAmount
-            }
-          }
-        });
+        await ledgerService.chargeUser(tx, userId, numericAmount, type, { gameId, transactionId: transaction.id, description });
+        const updatedWallet = await tx.wallet.findUnique({ where: { userId } });
 
         return { transaction, wallet: updatedWallet };
-      });
+      };
+      const result = tx ? await deduct(tx) : await prisma.$transaction(deduct);
 
       logger.info(`Wallet deducted: User ${userId}, Amount: ${numericAmount}, Type: ${type}, TransId: ${result.transaction.id}`);
 
@@ -341,6 +386,9 @@ class WalletService {
       };
     } catch (error) {
       logger.error(`Deduct wallet error for user ${userId}, type ${type}:`, error);
+      if (tx) {
+        throw error;
+      }
       return { success: false, message: error.message || 'Failed to deduct from wallet' };
     }
   }
@@ -361,7 +409,56 @@ class WalletService {
     }
   }
 
-  async creditWallet(userId, amount, type, gameId = null, description = null) {
+  /**
+   * Give back a completed charge, e.g. an entry fee, to the buckets it was taken from.
+   * A charge paid from a hold gets the hold reversed too, so the funds don't stay held.
+   * Pass the caller's transaction to refund as part of its work.
+   */
+  async refundTransaction(transactionId, description, tx = null) {
+    if (!tx) {
+      return prisma.$transaction(t => this.refundTransaction(transactionId, description, t));
+    }
+
+    const original = await tx.transaction.findUnique({ where: { id: transactionId } });
+    if (!original) {
+      throw new Error(`Transaction ${transactionId} not found`);
+    }
+
+    const transaction = await tx.transaction.create({
+      data: {
+        userId: original.userId,
+        type: 'REFUND',
+        amount: original.amount,
+        status: 'COMPLETED',
+        description,
+        gameId: original.gameId,
+        metadata: { refundOf: original.id }
+      }
+    });
+    await ledgerService.reverseTransaction(tx, original.id, 'REFUND', description, transaction.id);
+
+    const hold = await tx.walletHold.findFirst({ where: { transactionId: original.id, status: 'CAPTURED' } });
+    if (hold) {
+      await ledgerService.reverse(tx, hold.journalEntryId, 'REFUND', description, transaction.id);
+      await tx.walletHold.update({
+        where: { id: hold.id },
+        data: { status: 'RELEASED', releaseReason: description, releasedAt: new Date() }
+      });
+    }
+
+    const wallet = await tx.wallet.findUnique({ where: { userId: original.userId } });
+    logger.info(`Transaction ${transactionId} refunded: User ${original.userId}, Amount: ${original.amount}, TransId: ${transaction.id}`);
+    return {
+      success: true,
+      balance: parseFloat(wallet.balance),
+      transactionId: transaction.id
+    };
+  }
+
+  /**
+   * Credit a wallet, inside the caller's database transaction when one is given.
+   */
+  async creditWallet(userId, amount, type, gameId = null, description = null, tx = null) {
     try {
       const numericAmount = parseFloat(amount);
       if (isNaN(numericAmount) || numericAmount <= 0) {
@@ -369,9 +466,11 @@ class WalletService {
       }
 
       // Ensure wallet exists (upsert can handle this)
-      await this.getWallet(userId);
+      if (!tx) {
+        await this.getWallet(userId);
+      }
 
-      const result = await prisma.$transaction(async (tx) => {
+      const credit = async (tx) => {
         // Create transaction
         const transaction = await tx.transaction.create({
           data: {
@@ -385,17 +484,12 @@ class WalletService {
         });
 
         // Add to wallet
-        const updatedWallet = await tx.wallet.update({
-          where: { userId },
-          data: {
-            balance: {
-              increment: numericAmount
-            }
-          }
-        });
+        await ledgerService.creditUser(tx, userId, numericAmount, type, { gameId, transactionId: transaction.id, description: transaction.description });
+        const updatedWallet = await tx.wallet.findUnique({ where: { userId } });
 
         return { transaction, wallet: updatedWallet };
-      });
+      };
+      const result = tx ? await credit(tx) : await prisma.$transaction(credit);
 
       logger.info(`Wallet credited: User ${userId}, Amount: ${numericAmount}, Type: ${type}, TransId: ${result.transaction.id}`);
 
@@ -459,10 +553,15 @@ class WalletService {
 
       const formattedStats = {
         currentBalance: parseFloat(wallet.balance),
+        depositBalance: parseFloat(wallet.depositBalance || 0),
+        winningsBalance: parseFloat(wallet.winningsBalance || 0),
+        bonusBalance: parseFloat(wallet.bonusBalance || 0),
+        heldBalance: parseFloat(wallet.heldBalance || 0),
         totalDeposits: 0,
         totalWithdrawals: 0,
         totalGameEntries: 0,
         totalWinnings: 0,
+        totalTdsDeducted: 0,
         transactionCounts: {}
       };
 
@@ -485,6 +584,9 @@ class WalletService {
           case 'GAME_WINNING':
             formattedStats.totalWinnings = amount;
             break;
+          case 'TDS_DEDUCTION':
+            formattedStats.totalTdsDeducted = amount;
+            break;
         }
       });
 
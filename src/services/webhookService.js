@@ -0,0 +1,179 @@
+const crypto = require('crypto');
+const prisma = require('../config/database');
+const logger = require('../config/logger');
+const paymentManager = require('./paymentManager');
+
+/**
+ * Payment gateway webhooks.
+ *
+ * Every verified event is stored before it is handled, keyed by the gateway's event ID, so a
+ * retry of an event already handled is acknowledged without running it again. Handling claims
+ * the event with a conditional status update, so concurrent deliveries run it once. Events older
+ * than WEBHOOK_MAX_AGE_MINUTES, which defaults to Razorpay's 24 hour retry window, are rejected.
+ * Failed events keep their error and are retried by the gateway or replayed with
+ * `replayEvent` (see scripts/replay-webhooks.js).
+ */
+class WebhookService {
+  constructor() {
+    this.gateway = paymentManager.gateway;
+    this.MAX_AGE_MS = parseInt(process.env.WEBHOOK_MAX_AGE_MINUTES || '1440', 10) * 60 * 1000;
+    this.CLOCK_SKEW_MS = 5 * 60 * 1000;
+    this.STUCK_AFTER_MS = 10 * 60 * 1000; // PROCESSING this long means the handler died
+
+    // Simulated webhooks of the mock gateway arrive here instead of over HTTP
+    if (this.gateway.setWebhookHandler) {
+      this.gateway.setWebhookHandler((rawBody, signature, eventId) => this.receive(rawBody, signature, eventId));
+    }
+  }
+
+  /**
+   * Verify, store and handle a webhook delivery.
+   * @param {string|null} eventId - Gateway's event ID header; a hash of the body without one
+   * @returns {Promise<string>} 'processed', 'ignored', 'duplicate', 'failed', 'stale' or 'invalid'
+   */
+  async receive(rawBody, signature, eventId = null) {
+    if (!this.gateway.verifyWebhookSignature(rawBody, signature)) {
+      logger.warn('Webhook with an invalid signature rejected');
+      return 'invalid';
+    }
+
+    let body;
+    try {
+      body = JSON.parse(rawBody.toString());
+    } catch (error) {
+      logger.warn('Webhook with an unreadable body rejected');
+      return 'invalid';
+    }
+
+    const event = this.gateway.normalizeWebhook(body);
+    if (!event.type) {
+      logger.warn('Webhook without an event type rejected');
+      return 'invalid';
+    }
+    if (event.createdAt) {
+      const age = Date.now() - event.createdAt.getTime();
+      if (age > this.MAX_AGE_MS || age < -this.CLOCK_SKEW_MS) {
+        logger.warn(`Stale webhook ${event.type} from ${event.createdAt.toISOString()} rejected`);
+        return 'stale';
+      }
+    }
+
+    const id = eventId || `body_${crypto.createHash('sha256').update(rawBody).digest('hex')}`;
+    let stored;
+    try {
+      stored = await prisma.webhookEvent.create({
+        data: {
+          gateway: this.gateway.name,
+          eventId: id,
+          type: event.type,
+          payload: body,
+          eventCreatedAt: event.createdAt
+        }
+      });
+    } catch (error) {
+      if (error.code !== 'P2002') {
+        throw error;
+      }
+      stored = await prisma.webhookEvent.findUnique({ where: { eventId: id } });
+      if (['PROCESSED', 'IGNORED'].includes(stored.status)) {
+        logger.info(`Duplicate webhook ${id} (${stored.type}) acknowledged`);
+        return 'duplicate';
+      }
+    }
+
+    return this.process(stored);
+  }
+
+  /**
+   * Claim a stored event and run its handler.
+   */
+  async process(stored) {
+    const claimed = await prisma.webhookEvent.updateMany({
+      where: {
+        id: stored.id,
+        OR: [
+          { status: { in: ['RECEIVED', 'FAILED'] } },
+          { status: 'PROCESSING', updatedAt: { lt: new Date(Date.now() - this.STUCK_AFTER_MS) } }
+        ]
+      },
+      data: { status: 'PROCESSING', attempts: { increment: 1 } }
+    });
+    if (claimed.count === 0) {
+      return 'duplicate'; // Handled, or being handled by another delivery
+    }
+
+    try {
+      const handled = await paymentManager.handleWebhook(this.gateway.normalizeWebhook(stored.payload));
+      await prisma.webhookEvent.update({
+        where: { id: stored.id },
+        data: { status: handled ? 'PROCESSED' : 'IGNORED', processedAt: new Date(), lastError: null }
+      });
+      return handled ? 'processed' : 'ignored';
+    } catch (error) {
+      logger.error(`Webhook ${stored.eventId} (${stored.type}) failed:`, error);
+      await prisma.webhookEvent.update({
+        where: { id: stored.id },
+        data: { status: 'FAILED', lastError: error.message }
+      });
+      return 'failed';
+    }
+  }
+
+  /**
+   * Run a failed or stuck event again.
+   * @param {string} id - WebhookEvent ID or gateway event ID
+   */
+  async replayEvent(id) {
+    const stored = await prisma.webhookEvent.findFirst({
+      where: { OR: [{ id }, { eventId: id }] }
+    });
+    if (!stored) {
+      throw new Error('Webhook event not found');
+    }
+    if (['PROCESSED', 'IGNORED'].includes(stored.status)) {
+      throw new Error(`Webhook event was already ${stored.status.toLowerCase()}`);
+    }
+
+    const result = await this.process(stored);
+    logger.info(`Webhook ${stored.eventId} (${stored.type}) replayed: ${result}`);
+    return { id: stored.id, eventId: stored.eventId, type: stored.type, result };
+  }
+
+  /**
+   * Replay every failed event, oldest first.
+   */
+  async replayFailed(limit = 100) {
+    const failed = await prisma.webhookEvent.findMany({
+      where: { status: 'FAILED' },
+      orderBy: { createdAt: 'asc' },
+      take: limit
+    });
+    const results = [];
+    for (const stored of failed) {
+      results.push(await this.replayEvent(stored.id));
+    }
+    return results;
+  }
+
+  async listEvents(status = null, limit = 50) {
+    return prisma.webhookEvent.findMany({
+      where: status ? { status } : {},
+      orderBy: { createdAt: 'desc' },
+      take: limit,
+      select: {
+        id: true,
+        gateway: true,
+        eventId: true,
+        type: true,
+        status: true,
+        attempts: true,
+        lastError: true,
+        eventCreatedAt: true,
+        createdAt: true,
+        processedAt: true
+      }
+    });
+  }
+}
+
+module.exports = new WebhookService();
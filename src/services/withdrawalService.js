@@ -0,0 +1,352 @@
+const prisma = require('../config/database');
+const logger = require('../config/logger');
+const ledgerService = require('./ledgerService');
+const taxService = require('./taxService');
+const beneficiaryService = require('./beneficiaryService');
+const { getPaymentGateway } = require('./paymentGateways');
+
+/**
+ * Withdrawal pipeline.
+ *
+ *   REQUESTED -> UNDER_REVIEW -> APPROVED -> PROCESSING -> PAID
+ *        \____________\______________\______________\___> REJECTED (by an admin) / FAILED (by the provider)
+ *
+ * The amount leaves the wallet when the withdrawal is requested and is refunded, TDS included,
+ * when it ends REJECTED or FAILED. Requests up to WITHDRAWAL_AUTO_APPROVE_LIMIT skip review.
+ * A job advances every withdrawal from its stored state, and every move is a conditional update
+ * on the current status, so runs can overlap with admin actions, crash or repeat without paying
+ * or refunding twice. Payouts are idempotent on the withdrawal ID (see paymentGateways).
+ */
+class WithdrawalService {
+  constructor() {
+    this.io = null;
+    this.provider = getPaymentGateway();
+    this.JOB_INTERVAL_MS = parseInt(process.env.WITHDRAWAL_JOB_INTERVAL_SECONDS || '30', 10) * 1000;
+    this.AUTO_APPROVE_LIMIT = parseFloat(process.env.WITHDRAWAL_AUTO_APPROVE_LIMIT || '0');
+    this.MAX_PAYOUT_ATTEMPTS = 5;
+    this.RETRY_BASE_MS = 60 * 1000;
+    this.REVIEWABLE_STATUSES = ['REQUESTED', 'UNDER_REVIEW'];
+    this.jobInterval = null;
+    this.processing = false;
+  }
+
+  init(io) {
+    this.io = io;
+  }
+
+  startProcessing() {
+    if (this.jobInterval) {
+      clearInterval(this.jobInterval);
+    }
+    this.jobInterval = setInterval(() => this.processPending(), this.JOB_INTERVAL_MS);
+    logger.info(`Withdrawal job started, running every ${this.JOB_INTERVAL_MS / 1000} seconds.`);
+  }
+
+  stop() {
+    if (this.jobInterval) {
+      clearInterval(this.jobInterval);
+      this.jobInterval = null;
+      logger.info('Withdrawal job stopped.');
+    }
+  }
+
+  /**
+   * Record the withdrawal for a WITHDRAWAL transaction, inside the transaction that charged the wallet.
+   */
+  async createRequest(tx, transaction, { grossAmount, tdsAmount, beneficiaryId, bankDetails }) {
+    const withdrawal = await tx.withdrawal.create({
+      data: {
+        userId: transaction.userId,
+        transactionId: transaction.id,
+        amount: transaction.amount,
+        grossAmount,
+        tdsAmount,
+        beneficiaryId,
+        bankDetails
+      }
+    });
+    logger.info(`💸 Withdrawal ${withdrawal.id} of ₹${transaction.amount} requested by user ${transaction.userId}`);
+    return withdrawal;
+  }
+
+  async processPending() {
+    if (this.processing) return;
+    this.processing = true;
+
+    try {
+      await this.queueRequests();
+
+      const approved = await prisma.withdrawal.findMany({
+        where: { status: 'APPROVED' },
+        orderBy: { createdAt: 'asc' }
+      });
+      for (const withdrawal of approved) {
+        const claimed = await prisma.withdrawal.updateMany({
+          where: { id: withdrawal.id, status: 'APPROVED' },
+          data: { status: 'PROCESSING', provider: this.provider.name }
+        });
+        if (claimed.count > 0) {
+          await this.advancePayout({ ...withdrawal, status: 'PROCESSING' });
+        }
+      }
+
+      const processing = await prisma.withdrawal.findMany({
+        where: {
+          status: 'PROCESSING',
+          OR: [{ nextAttemptAt: null }, { nextAttemptAt: { lte: new Date() } }]
+        },
+        orderBy: { createdAt: 'asc' }
+      });
+      for (const withdrawal of processing) {
+        await this.advancePayout(withdrawal);
+      }
+    } catch (error) {
+      logger.error('Withdrawal job error:', error);
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  /**
+   * Auto-approve small requests and put the rest in the review queue.
+   */
+  async queueRequests() {
+    if (this.AUTO_APPROVE_LIMIT > 0) {
+      const approved = await prisma.withdrawal.updateMany({
+        where: { status: 'REQUESTED', amount: { lte: this.AUTO_APPROVE_LIMIT } },
+        data: { status: 'APPROVED', reviewNote: 'Auto-approved', reviewedAt: new Date() }
+      });
+      if (approved.count > 0) {
+        logger.info(`💸 Auto-approved ${approved.count} withdrawals`);
+      }
+    }
+
+    const queued = await prisma.withdrawal.updateMany({
+      where: { status: 'REQUESTED' },
+      data: { status: 'UNDER_REVIEW' }
+    });
+    if (queued.count > 0) {
+      logger.info(`💸 ${queued.count} withdrawals waiting for review`);
+    }
+  }
+
+  /**
+   * Create the payout of a PROCESSING withdrawal, or check on it, and settle the withdrawal
+   * once the provider has paid or failed it.
+   */
+  async advancePayout(withdrawal) {
+    let payout;
+    try {
+      // Look the reference up first: a previous run may have created the payout and crashed
+      payout = await this.provider.getPayout(withdrawal.id);
+      if (!payout) {
+        // Withdrawals from before saved beneficiaries carry the full bank details themselves
+        const bankDetails = withdrawal.beneficiaryId
+          ? await beneficiaryService.getPayoutDetails(withdrawal.beneficiaryId)
+          : withdrawal.bankDetails;
+        payout = await this.provider.createPayout({
+          reference: withdrawal.id,
+          amount: parseFloat(withdrawal.amount),
+          bankDetails
+        });
+      }
+    } catch (error) {
+      const attempts = withdrawal.attempts + 1;
+      logger.error(`Payout attempt ${attempts} for withdrawal ${withdrawal.id} failed:`, error);
+
+      // Without a payout ID nothing can have been sent, so it's safe to give the money back
+      if (!withdrawal.payoutId && attempts >= this.MAX_PAYOUT_ATTEMPTS) {
+        return this.closeWithRefund(withdrawal.id, 'FAILED', 'Payout provider unavailable', ['PROCESSING'], {
+          attempts,
+          lastError: error.message
+        });
+      }
+
+      const delay = Math.min(this.RETRY_BASE_MS * 2 ** (attempts - 1), 60 * 60 * 1000);
+      await prisma.withdrawal.updateMany({
+        where: { id: withdrawal.id, status: 'PROCESSING' },
+        data: { attempts, lastError: error.message, nextAttemptAt: new Date(Date.now() + delay) }
+      });
+      return null;
+    }
+
+    if (payout.status === 'PAID') {
+      return this.markPaid(withdrawal.id, payout.payoutId);
+    }
+    if (payout.status === 'FAILED') {
+      return this.closeWithRefund(withdrawal.id, 'FAILED', payout.failureReason || 'Payout failed', ['PROCESSING'], {
+        payoutId: payout.payoutId
+      });
+    }
+
+    if (payout.payoutId !== withdrawal.payoutId || withdrawal.nextAttemptAt) {
+      await prisma.withdrawal.updateMany({
+        where: { id: withdrawal.id, status: 'PROCESSING' },
+        data: { payoutId: payout.payoutId, lastError: null, nextAttemptAt: null }
+      });
+    }
+    return null;
+  }
+
+  async markPaid(withdrawalId, payoutId) {
+    const withdrawal = await prisma.$transaction(async (tx) => {
+      const moved = await tx.withdrawal.updateMany({
+        where: { id: withdrawalId, status: 'PROCESSING' },
+        data: { status: 'PAID', payoutId, paidAt: new Date(), lastError: null, nextAttemptAt: null }
+      });
+      if (moved.count === 0) {
+        return null;
+      }
+
+      const paid = await tx.withdrawal.findUnique({ where: { id: withdrawalId } });
+      await tx.transaction.update({
+        where: { id: paid.transactionId },
+        data: { status: 'COMPLETED' }
+      });
+      return paid;
+    });
+
+    if (withdrawal) {
+      logger.info(`💸 Withdrawal ${withdrawalId} paid out (${payoutId})`);
+      this.notify(withdrawal);
+    }
+    return withdrawal;
+  }
+
+  /**
+   * End a withdrawal as REJECTED or FAILED and refund it to the wallet, with its TDS.
+   * @param {string[]} fromStatuses - Statuses the withdrawal may be in; anything else is left alone
+   * @returns {Promise<object|null>} The closed withdrawal, or null if it had already moved on
+   */
+  async closeWithRefund(withdrawalId, status, reason, fromStatuses, extra = {}) {
+    const withdrawal = await prisma.$transaction(async (tx) => {
+      const now = new Date();
+      const moved = await tx.withdrawal.updateMany({
+        where: { id: withdrawalId, status: { in: fromStatuses } },
+        data: {
+          ...extra,
+          status,
+          failureReason: status === 'FAILED' ? reason : null,
+          failedAt: status === 'FAILED' ? now : null,
+          nextAttemptAt: null
+        }
+      });
+      if (moved.count === 0) {
+        return null;
+      }
+
+      const closed = await tx.withdrawal.findUnique({ where: { id: withdrawalId } });
+      const description = status === 'REJECTED'
+        ? `Withdrawal rejected - amount refunded: ${reason}`
+        : `Withdrawal failed - amount refunded: ${reason}`;
+      await tx.transaction.update({
+        where: { id: closed.transactionId },
+        data: { status: status === 'REJECTED' ? 'CANCELLED' : 'FAILED', description }
+      });
+      await ledgerService.reverseTransaction(tx, closed.transactionId, 'WITHDRAWAL_REVERSAL', description);
+      await taxService.reverseDeduction(tx, closed.transactionId);
+      return closed;
+    });
+
+    if (withdrawal) {
+      logger.info(`💸 Withdrawal ${withdrawalId} ${status.toLowerCase()} and refunded: ${reason}`);
+      this.notify(withdrawal, reason);
+    }
+    return withdrawal;
+  }
+
+  async approve(withdrawalId, adminId, note = null) {
+    const approved = await prisma.withdrawal.updateMany({
+      where: { id: withdrawalId, status: { in: this.REVIEWABLE_STATUSES } },
+      data: { status: 'APPROVED', reviewedBy: adminId, reviewNote: note, reviewedAt: new Date() }
+    });
+    const withdrawal = await prisma.withdrawal.findUnique({ where: { id: withdrawalId } });
+    if (!withdrawal) {
+      throw new Error('Withdrawal not found');
+    }
+    if (approved.count === 0) {
+      throw new Error(`Withdrawal is ${withdrawal.status.toLowerCase()} and can't be approved`);
+    }
+
+    logger.info(`💸 Withdrawal ${withdrawalId} approved by admin ${adminId}`);
+    this.notify(withdrawal);
+    return this.formatWithdrawal(withdrawal);
+  }
+
+  async reject(withdrawalId, adminId, reason) {
+    const withdrawal = await this.closeWithRefund(withdrawalId, 'REJECTED', reason, [...this.REVIEWABLE_STATUSES, 'APPROVED'], {
+      reviewedBy: adminId,
+      reviewNote: reason,
+      reviewedAt: new Date()
+    });
+    if (!withdrawal) {
+      const current = await prisma.withdrawal.findUnique({ where: { id: withdrawalId } });
+      if (!current) {
+        throw new Error('Withdrawal not found');
+      }
+      throw new Error(`Withdrawal is ${current.status.toLowerCase()} and can't be rejected`);
+    }
+    return this.formatWithdrawal(withdrawal);
+  }
+
+  notify(withdrawal, reason = null) {
+    if (!this.io) return;
+    this.io.to(`user:${withdrawal.userId}`).emit('withdrawalStatus', {
+      withdrawalId: withdrawal.id,
+      transactionId: withdrawal.transactionId,
+      status: withdrawal.status,
+      amount: parseFloat(withdrawal.amount),
+      reason
+    });
+  }
+
+  formatWithdrawal(withdrawal) {
+    const { accountNumber, ...bankDetails } = withdrawal.bankDetails || {};
+    const last4 = bankDetails.accountNumberLast4 || (accountNumber ? String(accountNumber).slice(-4) : null);
+    return {
+      id: withdrawal.id,
+      userId: withdrawal.userId,
+      transactionId: withdrawal.transactionId,
+      status: withdrawal.status,
+      amount: parseFloat(withdrawal.amount),
+      grossAmount: parseFloat(withdrawal.grossAmount),
+      tdsAmount: parseFloat(withdrawal.tdsAmount),
+      beneficiaryId: withdrawal.beneficiaryId,
+      bankDetails: {
+        ...bankDetails,
+        accountNumber: last4 ? `XXXX${last4}` : null
+      },
+      reviewNote: withdrawal.reviewNote,
+      failureReason: withdrawal.failureReason,
+      payoutId: withdrawal.payoutId,
+      createdAt: withdrawal.createdAt,
+      reviewedAt: withdrawal.reviewedAt,
+      paidAt: withdrawal.paidAt,
+      failedAt: withdrawal.failedAt
+    };
+  }
+
+  async getUserWithdrawals(userId, limit = 20) {
+    const withdrawals = await prisma.withdrawal.findMany({
+      where: { userId },
+      orderBy: { createdAt: 'desc' },
+      take: limit
+    });
+    return withdrawals.map(w => this.formatWithdrawal(w));
+  }
+
+  /**
+   * Withdrawals for the admin queue, oldest first; those awaiting review by default.
+   */
+  async listForReview(status = null) {
+    const withdrawals = await prisma.withdrawal.findMany({
+      where: { status: status ? status : { in: this.REVIEWABLE_STATUSES } },
+      include: { user: { select: { id: true, name: true, phoneNumber: true } } },
+      orderBy: { createdAt: 'asc' },
+      take: 100
+    });
+    return withdrawals.map(w => ({ ...this.formatWithdrawal(w), user: w.user }));
+  }
+}
+
+module.exports = new WithdrawalService();
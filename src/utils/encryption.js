@@ -0,0 +1,43 @@
+const crypto = require('crypto');
+
+// Field encryption for data that must be readable again, such as account numbers.
+// DATA_ENCRYPTION_KEY is 32 bytes as 64 hex characters; values are AES-256-GCM,
+// stored as "v1:<iv>:<auth tag>:<ciphertext>" in base64.
+
+const VERSION = 'v1';
+
+function getKey() {
+  const hex = process.env.DATA_ENCRYPTION_KEY || '';
+  if (!/^[0-9a-fA-F]{64}$/.test(hex)) {
+    throw new Error('DATA_ENCRYPTION_KEY must be set to 64 hex characters');
+  }
+  return Buffer.from(hex, 'hex');
+}
+
+function encrypt(plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+  return [VERSION, iv.toString('base64'), cipher.getAuthTag().toString('base64'), ciphertext.toString('base64')].join(':');
+}
+
+function decrypt(value) {
+  const [version, iv, tag, ciphertext] = String(value).split(':');
+  if (version !== VERSION || !iv || !tag || !ciphertext) {
+    throw new Error('Unrecognised encrypted value');
+  }
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getKey(), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+}
+
+// Keyed hash of a value, to find equal values without decrypting them
+function fingerprint(value) {
+  return crypto.createHmac('sha256', getKey()).update(String(value)).digest('hex');
+}
+
+module.exports = {
+  encrypt,
+  decrypt,
+  fingerprint
+};
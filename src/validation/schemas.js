@@ -1,4 +1,21 @@
 const Joi = require('joi');
+const gameRegistry = require('../services/gameRegistry');
+
+// Game types and table sizes come from the game registry, so new games need no schema changes
+const registeredGameType = (value, helpers) => {
+  if (!gameRegistry.has(value)) {
+    return helpers.message('Invalid game type');
+  }
+  return value;
+};
+
+const playerCountForGameType = (value, helpers) => {
+  if (gameRegistry.has(value.gameType) && !gameRegistry.isValidPlayerCount(value.gameType, value.maxPlayers)) {
+    const { minPlayers, maxPlayers } = gameRegistry.get(value.gameType);
+    return helpers.message(`Invalid number of players (${minPlayers}-${maxPlayers} allowed)`);
+  }
+  return value;
+};
 
 const authSchemas = {
   sendOTP: Joi.object({
@@ -28,18 +45,53 @@ const authSchemas = {
   updateProfile: Joi.object({
     name: Joi.string().min(2).max(50).optional(),
     email: Joi.string().email().optional()
+  }),
+
+  // Responsible gaming limits in rupees (sessionMinutes in minutes); null removes a limit
+  updateLimits: Joi.object({
+    dailyDeposit: Joi.number().positive().max(10000000).precision(2).allow(null),
+    weeklyDeposit: Joi.number().positive().max(10000000).precision(2).allow(null),
+    monthlyDeposit: Joi.number().positive().max(10000000).precision(2).allow(null),
+    weeklyLoss: Joi.number().positive().max(10000000).precision(2).allow(null),
+    sessionMinutes: Joi.number().integer().min(15).max(1440).allow(null)
+  }).min(1),
+
+  selfExclude: Joi.object({
+    days: Joi.number().valid(1, 7, 30, 90, 180, 365).required()
+  }),
+
+  submitKyc: Joi.object({
+    panNumber: Joi.string()
+      .trim()
+      .pattern(/^[A-Za-z]{5}\d{4}[A-Za-z]$/)
+      .required()
+      .messages({ 'string.pattern.base': 'Please provide a valid PAN' }),
+    fullName: Joi.string().trim().min(2).max(100).required(),
+    dateOfBirth: Joi.date().iso().max('now').required(),
+    addressProofType: Joi.string().valid('AADHAAR', 'PASSPORT', 'VOTER_ID', 'DRIVING_LICENCE').required(),
+    addressProofNumber: Joi.string().trim().alphanum().min(6).max(20).required(),
+    bankAccountName: Joi.string().trim().min(2).max(100).required()
+  }),
+
+  approveKyc: Joi.object({
+    note: Joi.string().trim().max(500).allow('', null)
+  }),
+
+  rejectKyc: Joi.object({
+    reason: Joi.string().trim().min(3).max(500).required()
   })
 };
 
 const gameSchemas = {
   joinMatchmaking: Joi.object({
-    gameType: Joi.string().valid('CLASSIC_LUDO', 'FAST_LUDO', 'MEMORY', 'SNAKES_LADDERS').required(),
-    maxPlayers: Joi.number().integer().min(2).max(4).required(),
+    gameType: Joi.string().custom(registeredGameType).required(),
+    maxPlayers: Joi.number().integer().required(),
     entryFee: Joi.number().min(0).max(10000).required() // entryFee can be 0 for free games, max 10k
-  }),
+  }).custom(playerCountForGameType),
 
   rollDice: Joi.object({
-    gameId: Joi.string().required()
+    gameId: Joi.string().required(),
+    clientSeed: Joi.string().max(64).optional() // Mixed into the provably fair roll
   }),
 
   movePiece: Joi.object({
@@ -53,6 +105,54 @@ const gameSchemas = {
   selectCard: Joi.object({ // Schema for Memory Game
     gameId: Joi.string().required(),
     position: Joi.number().integer().min(0).required()
+  }),
+
+  forfeitGame: Joi.object({
+    gameId: Joi.string().required()
+  }),
+
+  cancelGame: Joi.object({ // Admin abort, every entry fee is refunded
+    reason: Joi.string().trim().min(3).max(200).required()
+  }),
+
+  createPrivateTable: Joi.object({
+    gameType: Joi.string().custom(registeredGameType).required(),
+    maxPlayers: Joi.number().integer().required(),
+    entryFee: Joi.number().min(0).max(10000).required()
+  }).custom(playerCountForGameType),
+
+  joinPrivateTable: Joi.object({
+    code: Joi.string().trim().max(64).required() // Invite code or deep-link token
+  }),
+
+  createTournament: Joi.object({
+    name: Joi.string().trim().min(3).max(100).required(),
+    gameType: Joi.string().valid('FAST_LUDO', 'MEMORY').required(), // Games that end on their own timers
+    format: Joi.string().valid('KNOCKOUT', 'SWISS').default('KNOCKOUT'),
+    tableSize: Joi.number().integer().min(2).max(4).required(),
+    advancePerTable: Joi.number().integer().min(1).less(Joi.ref('tableSize')).default(1),
+    swissRounds: Joi.number().integer().min(1).max(20).when('format', {
+      is: 'SWISS',
+      then: Joi.required(),
+      otherwise: Joi.forbidden()
+    }),
+    minPlayers: Joi.number().integer().min(2).required(),
+    maxPlayers: Joi.number().integer().min(Joi.ref('minPlayers')).max(1024).required(),
+    buyIn: Joi.number().min(0).max(10000).required(),
+    prizeTable: Joi.array().items(Joi.number().positive()).min(1).max(100).optional()
+      .custom((value, helpers) => {
+        const total = value.reduce((sum, percent) => sum + percent, 0);
+        return Math.abs(total - 100) < 0.001 ? value : helpers.message('Prize table must add up to 100');
+      }),
+    registrationOpensAt: Joi.date().iso().required(),
+    registrationClosesAt: Joi.date().iso().greater(Joi.ref('registrationOpensAt')).required(),
+    startsAt: Joi.date().iso().min(Joi.ref('registrationClosesAt')).greater('now').required()
+  }).custom((value, helpers) => {
+    if (!gameRegistry.isValidPlayerCount(value.gameType, value.tableSize)) {
+      const { minPlayers, maxPlayers } = gameRegistry.get(value.gameType);
+      return helpers.message(`Invalid table size (${minPlayers}-${maxPlayers} allowed)`);
+    }
+    return value;
   })
 };
 
@@ -62,13 +162,82 @@ const walletSchemas = {
   }),
 
   withdraw: Joi.object({
-    amount: Joi.number().positive().min(10).required(),
-    bankDetails: Joi.object({
-      bankName: Joi.string().required(),
-      accountNumber: Joi.string().required(),
-      ifscCode: Joi.string().required(),
-      accountHolderName: Joi.string().required()
-    }).required()
+    amount: Joi.number().positive().min(100).required(),
+    beneficiaryId: Joi.string().trim().max(64).optional() // The primary beneficiary when left out
+  }),
+
+  addBeneficiary: Joi.object({
+    type: Joi.string().valid('BANK_ACCOUNT', 'UPI').required(),
+    label: Joi.string().trim().max(50).allow('', null),
+    accountHolderName: Joi.string().trim().min(2).max(100).required(),
+    accountNumber: Joi.string().trim().pattern(/^\d{9,18}$/).when('type', {
+      is: 'BANK_ACCOUNT',
+      then: Joi.required(),
+      otherwise: Joi.forbidden()
+    }).messages({ 'string.pattern.base': 'Account number must be 9 to 18 digits' }),
+    confirmAccountNumber: Joi.string().trim().when('type', {
+      is: 'BANK_ACCOUNT',
+      then: Joi.valid(Joi.ref('accountNumber')).required(),
+      otherwise: Joi.forbidden()
+    }).messages({ 'any.only': 'Account numbers do not match' }),
+    ifscCode: Joi.string().trim().uppercase().pattern(/^[A-Z]{4}0[A-Z0-9]{6}$/).when('type', {
+      is: 'BANK_ACCOUNT',
+      then: Joi.required(),
+      otherwise: Joi.forbidden()
+    }).messages({ 'string.pattern.base': 'Please provide a valid IFSC code' }),
+    bankName: Joi.string().trim().max(100).when('type', {
+      is: 'BANK_ACCOUNT',
+      then: Joi.optional(),
+      otherwise: Joi.forbidden()
+    }),
+    vpa: Joi.string().trim().lowercase().pattern(/^[a-z0-9._-]{2,256}@[a-z][a-z0-9]{2,64}$/).when('type', {
+      is: 'UPI',
+      then: Joi.required(),
+      otherwise: Joi.forbidden()
+    }).messages({ 'string.pattern.base': 'Please provide a valid UPI ID' })
+  }),
+
+  createPromotion: Joi.object({
+    code: Joi.string().trim().uppercase().pattern(/^[A-Z0-9_-]{3,32}$/).required()
+      .messages({ 'string.pattern.base': 'Code must be 3 to 32 letters, digits, dashes or underscores' }),
+    campaign: Joi.string().trim().min(2).max(100).required(),
+    description: Joi.string().trim().max(500).allow('', null),
+    type: Joi.string().valid('PERCENTAGE', 'FLAT').required(),
+    value: Joi.number().positive().precision(2).when('type', {
+      is: 'PERCENTAGE',
+      then: Joi.number().max(500),
+      otherwise: Joi.number().max(50000)
+    }).required(),
+    maxBonus: Joi.number().positive().precision(2).allow(null),
+    minDeposit: Joi.number().min(0).max(50000).precision(2).default(0),
+    maxDeposit: Joi.number().positive().max(50000).precision(2).min(Joi.ref('minDeposit')).allow(null),
+    wageringMultiplier: Joi.number().min(0).max(100).precision(2).default(0),
+    perUserLimit: Joi.number().integer().min(1).max(1000).default(1),
+    totalLimit: Joi.number().integer().min(1).allow(null),
+    firstDepositOnly: Joi.boolean().default(false),
+    validFrom: Joi.date().iso().required(),
+    validUntil: Joi.date().iso().greater(Joi.ref('validFrom')).required()
+  }),
+
+  updatePromotion: Joi.object({
+    description: Joi.string().trim().max(500).allow('', null),
+    perUserLimit: Joi.number().integer().min(1).max(1000),
+    totalLimit: Joi.number().integer().min(1).allow(null),
+    isActive: Joi.boolean(),
+    validUntil: Joi.date().iso()
+  }).min(1),
+
+  checkPromoCode: Joi.object({
+    code: Joi.string().trim().max(32).required(),
+    amount: Joi.number().min(10).max(50000).required()
+  }),
+
+  approveWithdrawal: Joi.object({
+    note: Joi.string().trim().max(500).allow('', null)
+  }),
+
+  rejectWithdrawal: Joi.object({
+    reason: Joi.string().trim().min(3).max(500).required()
   })
 };
 
@@ -0,0 +1,36 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+/**
+ * Serve a router under its mount path, as server.js does, and send it authenticated requests.
+ */
+async function startApp(mountPath, router) {
+  const app = express();
+  app.use(express.json());
+  app.use(mountPath, router);
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}${mountPath}`;
+
+  return {
+    async request(method, path, { userId, body } = {}) {
+      const headers = { 'Content-Type': 'application/json' };
+      if (userId) {
+        headers.Authorization = `Bearer ${jwt.sign({ userId }, process.env.JWT_SECRET)}`;
+      }
+      const response = await fetch(`${baseUrl}${path}`, {
+        method,
+        headers,
+        body: body === undefined ? undefined : JSON.stringify(body)
+      });
+      return { status: response.status, body: await response.json() };
+    },
+    close() {
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+module.exports = { startApp };
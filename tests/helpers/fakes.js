@@ -0,0 +1,24 @@
+const path = require('path');
+
+// Services load src/config/database and src/config/logger at require time. Tests swap them for
+// an empty Prisma stand-in, whose models each test fills in, and a silent logger.
+
+const prisma = {
+  async $transaction(work) {
+    return typeof work === 'function' ? work(prisma) : Promise.all(work);
+  }
+};
+const logger = { info() {}, warn() {}, error() {}, debug() {} };
+
+function replaceModule(request, exports) {
+  const filename = require.resolve(path.join(__dirname, '..', '..', 'src', request));
+  require.cache[filename] = { id: filename, filename, loaded: true, exports };
+}
+
+replaceModule('config/database', prisma);
+replaceModule('config/logger', logger);
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.PAYMENT_GATEWAY = process.env.PAYMENT_GATEWAY || 'mock';
+process.env.KYC_PROVIDER = process.env.KYC_PROVIDER || 'mock';
+
+module.exports = { prisma, logger };
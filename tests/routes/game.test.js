@@ -0,0 +1,44 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { prisma } = require('../helpers/fakes');
+const { startApp } = require('../helpers/app');
+const gameRouter = require('../../src/routes/game');
+
+const storedGame = {
+  id: 'game-1',
+  type: 'CLASSIC_LUDO',
+  status: 'PLAYING',
+  serverSeed: 'a'.repeat(64),
+  serverSeedHash: 'b'.repeat(64),
+  participants: []
+};
+
+// Applies `omit` the way Prisma does, so the test sees what the database would return
+prisma.game = {
+  async findUnique({ where, omit = {} }) {
+    if (where.id !== storedGame.id) {
+      return null;
+    }
+    return Object.fromEntries(Object.entries(storedGame).filter(([field]) => !omit[field]));
+  }
+};
+prisma.user = {
+  async findUnique({ where }) {
+    return { id: where.userId || where.id, name: 'Player', phoneNumber: '9999999999', isAdmin: false };
+  }
+};
+
+let app;
+before(async () => {
+  app = await startApp('/api/game', gameRouter);
+});
+after(() => app.close());
+
+test('GET on a PLAYING game returns the seed commitment but not the server seed', async () => {
+  const { status, body } = await app.request('GET', '/game-1', { userId: 'user-1' });
+
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.game.status, 'PLAYING');
+  assert.strictEqual(body.game.serverSeedHash, storedGame.serverSeedHash);
+  assert.ok(!('serverSeed' in body.game));
+});
@@ -0,0 +1,99 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { prisma } = require('../helpers/fakes');
+require('../../src/services/ClassicLudoService'); // Registers CLASSIC_LUDO
+const matchmakingService = require('../../src/services/matchmakingService');
+const gameService = require('../../src/services/gameService');
+const gameRegistry = require('../../src/services/gameRegistry');
+const botService = require('../../src/services/botService');
+const ratingService = require('../../src/services/ratingService');
+const walletService = require('../../src/services/walletService');
+const ledgerService = require('../../src/services/ledgerService');
+
+afterEach(() => mock.restoreAll());
+
+test('1 human at a 4-player table with 3 bots plays for a full prize pool', async () => {
+  const human = { id: 'human', name: 'Player' };
+  const bots = [1, 2, 3].map(n => ({ id: `bot-${n}`, name: `Bot ${n}`, isBot: true }));
+  let createdGame = null;
+  const participants = [];
+  const entries = [];
+
+  prisma.matchmakingQueue = {
+    findMany: async () => [{ id: 'queue-1', userId: human.id, holdId: 'hold-1', user: human }],
+    deleteMany: async () => ({ count: 1 })
+  };
+  prisma.game = {
+    create: async ({ data }) => (createdGame = { id: 'game-1', ...data }),
+    findUnique: async () => ({ ...createdGame, participants })
+  };
+  prisma.gameParticipation = {
+    create: async ({ data }) => participants.push(data)
+  };
+  mock.method(botService, 'getBotUsers', async () => bots);
+  mock.method(ratingService, 'getRatingsForUsers', async () => new Map([[human.id, 1500]]));
+  mock.method(walletService, 'captureHold', async () => ({ success: true }));
+  mock.method(ledgerService, 'post', async (tx, entry, postings) => entries.push({ ...entry, postings }));
+  mock.method(matchmakingService, 'notifyGameCreated', () => {});
+
+  await matchmakingService.createGame('CLASSIC_LUDO', 4, 100, ['queue-1'], 3);
+
+  const stake = entries.find(entry => entry.type === 'BOT_STAKE');
+  assert.deepStrictEqual(stake.postings, [
+    { type: 'PLATFORM_RAKE', amount: -300 },
+    { type: 'ESCROW', amount: 300 }
+  ]);
+  assert.strictEqual(createdGame.prizePool, 360);
+
+  const payouts = gameService.calculatePayouts(
+    createdGame.prizePool,
+    [human, ...bots].map((player, index) => ({ userId: player.id, rank: index + 1 })),
+    gameRegistry.getPayoutStructure('CLASSIC_LUDO', 4)
+  );
+  assert.deepStrictEqual(payouts[0], { userId: human.id, rank: 1, amount: 252 });
+});
+
+test('a finished game is settled once, in the transaction that marks it finished', async () => {
+  const game = {
+    id: 'game-2',
+    type: 'CLASSIC_LUDO',
+    status: 'PLAYING',
+    prizePool: 360,
+    participants: [
+      { userId: 'human', isBot: false },
+      ...[1, 2, 3].map(n => ({ userId: `bot-${n}`, isBot: true }))
+    ]
+  };
+  const credits = [];
+  const entries = [];
+
+  prisma.game = {
+    updateMany: async ({ where, data }) => {
+      if (where.id !== game.id || where.status !== game.status) {
+        return { count: 0 };
+      }
+      Object.assign(game, data);
+      return { count: 1 };
+    },
+    findUnique: async () => game
+  };
+  prisma.gameParticipation = { updateMany: async () => ({ count: 1 }) };
+  mock.method(walletService, 'creditWallet', async (userId, amount, type, gameId, description, tx) => {
+    assert.ok(tx, 'winnings are credited inside the settlement transaction');
+    credits.push({ userId, amount, type });
+  });
+  mock.method(ledgerService, 'post', async (tx, entry, postings) => entries.push({ ...entry, postings }));
+  mock.method(ratingService, 'updateRatingsForGame', async () => null);
+
+  const rankings = game.participants.map((participant, index) => ({ userId: participant.userId, rank: index + 1 }));
+  const finish = () => gameService.finishGame(game.id, { gameData: {}, currentTurn: 0, winnerId: 'human', rankings });
+
+  await finish();
+  assert.strictEqual(game.status, 'FINISHED');
+  assert.deepStrictEqual(credits, [{ userId: 'human', amount: 252, type: 'GAME_WINNING' }]);
+  assert.deepStrictEqual(entries.map(entry => entry.type), ['BOT_SHARE']);
+
+  assert.strictEqual(await finish(), null);
+  assert.strictEqual(credits.length, 1);
+  assert.strictEqual(entries.length, 1);
+});
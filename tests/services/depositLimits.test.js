@@ -0,0 +1,31 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { prisma } = require('../helpers/fakes');
+const responsibleGamingService = require('../../src/services/responsibleGamingService');
+
+const MINUTE = 60 * 1000;
+
+// Matches the where clause of getDepositTotal the way the database would
+function matches(row, where) {
+  const after = (date, range) => !range || date >= range.gte;
+  return row.type === where.type
+    && after(row.createdAt, where.createdAt)
+    && where.OR.some(option => row.status === option.status && after(row.createdAt, option.createdAt));
+}
+
+test('abandoned deposit orders stop counting against the deposit limit', async () => {
+  const now = Date.now();
+  const rows = [
+    { type: 'DEPOSIT', status: 'COMPLETED', amount: 500, createdAt: new Date(now - 120 * MINUTE) },
+    { type: 'DEPOSIT', status: 'PENDING', amount: 1000, createdAt: new Date(now - 5 * MINUTE) },
+    { type: 'DEPOSIT', status: 'PENDING', amount: 2000, createdAt: new Date(now - 90 * MINUTE) },
+    { type: 'DEPOSIT', status: 'FAILED', amount: 4000, createdAt: new Date(now - 5 * MINUTE) }
+  ];
+  prisma.transaction = {
+    aggregate: async ({ where }) => ({
+      _sum: { amount: rows.filter(row => matches(row, where)).reduce((sum, row) => sum + row.amount, 0) }
+    })
+  };
+
+  assert.strictEqual(await responsibleGamingService.getDepositTotal('user-1', 24 * 60 * MINUTE), 1500);
+});
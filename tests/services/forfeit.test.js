@@ -0,0 +1,36 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+require('../helpers/fakes');
+const FastLudoService = require('../../src/services/FastLudoService');
+const ClassicLudoService = require('../../src/services/ClassicLudoService');
+const SnakesLaddersService = require('../../src/services/SnakesLaddersService');
+
+// Registers the service's handlers on a stand-in socket that records what it is sent
+function connect(service) {
+  const handlers = new Map();
+  const emitted = [];
+  service.setupSocketHandlers({
+    user: { id: 'user-1', name: 'Player' },
+    on: (event, handler) => handlers.set(event, handler),
+    emit: (event, payload) => emitted.push({ event, payload }),
+    join() {}
+  });
+  return { handlers, emitted };
+}
+
+for (const [Service, event, errorEvent] of [
+  [FastLudoService, 'FORFEIT_FAST_LUDO', 'FAST_LUDO_ERROR'],
+  [ClassicLudoService, 'FORFEIT_CLASSIC_LUDO', 'CLASSIC_LUDO_ERROR'],
+  [SnakesLaddersService, 'snakes_forfeit', 'snakes_error']
+]) {
+  test(`a failed ${event} is reported to the player instead of rejecting`, async () => {
+    const service = new Service(null);
+    service.forfeit = async () => {
+      throw new Error('Database unavailable');
+    };
+    const { handlers, emitted } = connect(service);
+
+    await handlers.get(event)({ gameId: 'game-1' });
+    assert.deepStrictEqual(emitted.map(e => e.event), [errorEvent]);
+  });
+}
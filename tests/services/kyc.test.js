@@ -0,0 +1,120 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { prisma } = require('../helpers/fakes');
+const kycService = require('../../src/services/kycService');
+const walletService = require('../../src/services/walletService');
+const beneficiaryService = require('../../src/services/beneficiaryService');
+const promotionService = require('../../src/services/promotionService');
+
+const PROVIDERS_MODULE = require.resolve('../../src/services/kycProviders');
+const savedEnv = { ...process.env };
+
+afterEach(() => {
+  mock.restoreAll();
+  process.env = { ...savedEnv };
+});
+
+// A fresh copy of the module, as a new server process would load it
+function loadProviders() {
+  delete require.cache[PROVIDERS_MODULE];
+  const providers = require(PROVIDERS_MODULE);
+  delete require.cache[PROVIDERS_MODULE];
+  return providers;
+}
+
+test('a KYC provider must be chosen explicitly, and the mock is refused in production', () => {
+  delete process.env.KYC_PROVIDER;
+  assert.throws(() => loadProviders().getKycProvider(), /KYC_PROVIDER is not set/);
+
+  process.env.KYC_PROVIDER = 'mock';
+  process.env.NODE_ENV = 'production';
+  assert.throws(() => loadProviders().getKycProvider(), /cannot be used in production/);
+});
+
+test('without a usable provider the service still loads and only KYC calls fail', async () => {
+  const SERVICE_MODULE = require.resolve('../../src/services/kycService');
+  delete process.env.KYC_PROVIDER;
+  delete require.cache[SERVICE_MODULE];
+  delete require.cache[PROVIDERS_MODULE];
+  try {
+    const service = require(SERVICE_MODULE);
+    prisma.kycVerification = { findUnique: async () => null };
+    await assert.rejects(service.submit('user-1', { panNumber: 'ABCDE1234F' }), { code: 'KYC_UNAVAILABLE' });
+  } finally {
+    delete require.cache[SERVICE_MODULE];
+    delete require.cache[PROVIDERS_MODULE];
+  }
+});
+
+test('two accounts submitting the same PAN at once cannot both link it', async () => {
+  const rows = new Map();
+  let nextId = 1;
+
+  // Enforces the unique index on linkedPan the way the database does
+  prisma.kycVerification = {
+    findUnique: async ({ where }) => rows.get(where.userId) || null,
+    findFirst: async ({ where }) => [...rows.values()].find(row =>
+      row.panNumber === where.panNumber && row.userId !== where.userId.not && where.status.in.includes(row.status)) || null,
+    upsert: async ({ where, create }) => {
+      const row = { id: `kyc-${nextId++}`, ...create };
+      rows.set(where.userId, row);
+      return row;
+    },
+    update: async ({ where, data }) => {
+      const row = [...rows.values()].find(r => r.id === where.id);
+      if (data.linkedPan && [...rows.values()].some(r => r !== row && r.linkedPan === data.linkedPan)) {
+        throw Object.assign(new Error('Unique constraint failed on linkedPan'), { code: 'P2002' });
+      }
+      return Object.assign(row, data);
+    }
+  };
+  const provider = kycService.getProvider();
+  mock.method(provider, 'verifyPan', async ({ fullName }) => ({ status: 'VERIFIED', registeredName: fullName, reference: 'pan-ref' }));
+  mock.method(provider, 'verifyAddressProof', async () => ({ status: 'VERIFIED', reference: 'address-ref' }));
+  mock.method(provider, 'matchNames', async () => 1);
+
+  const details = {
+    panNumber: 'abcde1234f',
+    fullName: 'Asha Rao',
+    dateOfBirth: '1990-01-01',
+    addressProofType: 'PASSPORT',
+    addressProofNumber: 'P1234567',
+    bankAccountName: 'Asha Rao'
+  };
+  const results = await Promise.all([kycService.submit('user-1', details), kycService.submit('user-2', details)]);
+
+  assert.deepStrictEqual(results.map(kyc => kyc.status).sort(), ['APPROVED', 'REJECTED']);
+  assert.strictEqual(results.find(kyc => kyc.status === 'REJECTED').rejectionReason, 'This PAN is already linked to another account');
+  assert.deepStrictEqual([...rows.values()].map(row => row.linkedPan).filter(Boolean), ['ABCDE1234F']);
+});
+
+test('the KYC threshold of a withdrawal is checked in its transaction, under the wallet lock', async () => {
+  const steps = [];
+  const tx = {
+    wallet: {
+      update: async ({ where }) => {
+        steps.push('lock');
+        return { userId: where.userId, balance: '30000', depositBalance: '0', winningsBalance: '30000', bonusBalance: '0' };
+      }
+    }
+  };
+  const transaction = prisma.$transaction;
+  prisma.$transaction = async (work) => work(tx);
+  mock.method(beneficiaryService, 'getForWithdrawal', async () => ({ id: 'beneficiary-1' }));
+  mock.method(beneficiaryService, 'toBankDetails', () => ({ accountHolderName: 'Asha Rao' }));
+  mock.method(promotionService, 'assertWageringComplete', async () => {});
+  mock.method(walletService, 'getWallet', async () => ({}));
+  mock.method(kycService, 'assertWithdrawalAllowed', async (client) => {
+    assert.strictEqual(client, tx, 'checked with the withdrawal transaction');
+    steps.push('kyc');
+    throw kycService.kycError('KYC verification is required');
+  });
+
+  try {
+    const result = await walletService.createWithdrawalRequest('user-1', 20000);
+    assert.deepStrictEqual(steps, ['lock', 'kyc']);
+    assert.strictEqual(result.kycRequired, true);
+  } finally {
+    prisma.$transaction = transaction;
+  }
+});
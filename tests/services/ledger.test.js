@@ -0,0 +1,110 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { prisma } = require('../helpers/fakes');
+const ledgerService = require('../../src/services/ledgerService');
+
+// In-memory ledger tables, enough for post and reverse
+let accounts;
+let entries;
+let postings;
+let wallets;
+
+beforeEach(() => {
+  accounts = new Map(); // code -> account
+  entries = [];
+  postings = [];
+  wallets = new Map(); // userId -> wallet columns
+
+  const accountById = id => [...accounts.values()].find(account => account.id === id);
+  prisma.ledgerAccount = {
+    upsert: async ({ where, create }) => {
+      if (!accounts.has(where.code)) {
+        accounts.set(where.code, { id: `account-${accounts.size + 1}`, balance: 0, ...create });
+      }
+      return { ...accounts.get(where.code) };
+    },
+    update: async ({ where, data }) => {
+      const account = accountById(where.id);
+      account.balance = Math.round((account.balance + data.balance.increment) * 100) / 100;
+      return account;
+    },
+    updateMany: async ({ where, data }) => {
+      const account = accountById(where.id);
+      if (account.balance < where.balance.gte) {
+        return { count: 0 };
+      }
+      account.balance = Math.round((account.balance + data.balance.increment) * 100) / 100;
+      return { count: 1 };
+    }
+  };
+  prisma.journalEntry = {
+    create: async ({ data }) => {
+      const entry = { id: `entry-${entries.length + 1}`, ...data };
+      entries.push(entry);
+      return entry;
+    },
+    findUnique: async ({ where }) => {
+      const entry = where.id
+        ? entries.find(e => e.id === where.id)
+        : entries.find(e => e.reversalOfId === where.reversalOfId);
+      if (!entry) {
+        return null;
+      }
+      return {
+        ...entry,
+        postings: postings.filter(p => p.entryId === entry.id).map(p => ({ ...p, account: accountById(p.accountId) }))
+      };
+    }
+  };
+  prisma.ledgerPosting = { create: async ({ data }) => postings.push(data) };
+  prisma.wallet = {
+    upsert: async ({ where, create, update }) => {
+      const wallet = wallets.get(where.userId);
+      if (!wallet) {
+        wallets.set(where.userId, { ...create });
+        return;
+      }
+      for (const [column, { increment }] of Object.entries(update)) {
+        wallet[column] = Math.round(((wallet[column] || 0) + increment) * 100) / 100;
+      }
+    }
+  };
+});
+
+const balanceOf = (type, userId = null) => accounts.get(ledgerService.accountCode(type, userId))?.balance || 0;
+
+test('an entry whose postings do not sum to zero is refused', async () => {
+  await assert.rejects(
+    ledgerService.post(prisma, { type: 'DEPOSIT' }, [
+      { type: 'GATEWAY_CLEARING', amount: -100 },
+      { type: 'USER_CASH', userId: 'user-1', amount: 99.99 }
+    ]),
+    /Unbalanced DEPOSIT journal entry/
+  );
+  assert.strictEqual(entries.length, 0);
+});
+
+test('postings keep the books balanced and a reversal puts every account back, once', async () => {
+  await ledgerService.creditUser(prisma, 'user-1', 500, 'DEPOSIT');
+  const entry = await ledgerService.chargeUser(prisma, 'user-1', 120, 'GAME_ENTRY');
+
+  const total = [...accounts.values()].reduce((sum, account) => sum + account.balance, 0);
+  assert.strictEqual(Math.round(total * 100), 0);
+  assert.strictEqual(balanceOf('USER_CASH', 'user-1'), 380);
+  assert.strictEqual(balanceOf('ESCROW'), 120);
+  assert.strictEqual(wallets.get('user-1').balance, 380);
+
+  await ledgerService.reverse(prisma, entry.id, 'REFUND');
+  assert.strictEqual(balanceOf('USER_CASH', 'user-1'), 500);
+  assert.strictEqual(balanceOf('ESCROW'), 0);
+  assert.strictEqual(wallets.get('user-1').balance, 500);
+
+  await assert.rejects(ledgerService.reverse(prisma, entry.id, 'REFUND'), /already reversed/);
+  assert.strictEqual(balanceOf('USER_CASH', 'user-1'), 500);
+});
+
+test('a user account is never taken below zero', async () => {
+  await ledgerService.creditUser(prisma, 'user-1', 50, 'DEPOSIT');
+  await assert.rejects(ledgerService.chargeUser(prisma, 'user-1', 80, 'GAME_ENTRY'), /Insufficient balance/);
+  assert.strictEqual(balanceOf('USER_CASH', 'user-1'), 50);
+});
@@ -0,0 +1,49 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+require('../helpers/fakes');
+
+const GATEWAYS_MODULE = require.resolve('../../src/services/paymentGateways');
+const PAYMENT_ROUTES = require.resolve('../../src/routes/payment');
+const savedEnv = { ...process.env };
+
+// A fresh copy of the module, as a new server process would load it
+function loadGateways(env) {
+  for (const [name, value] of Object.entries(env)) {
+    if (value === undefined) {
+      delete process.env[name];
+    } else {
+      process.env[name] = value;
+    }
+  }
+  delete require.cache[GATEWAYS_MODULE];
+  delete require.cache[PAYMENT_ROUTES];
+  return require(GATEWAYS_MODULE);
+}
+
+function hasMockCheckout(router) {
+  return router.stack.some(layer => layer.route?.path === '/mock/checkout');
+}
+
+afterEach(() => {
+  process.env = { ...savedEnv };
+  delete require.cache[GATEWAYS_MODULE];
+  delete require.cache[PAYMENT_ROUTES];
+});
+
+test('a payment gateway must be chosen explicitly', () => {
+  const { getPaymentGateway } = loadGateways({ PAYMENT_GATEWAY: undefined, RAZORPAY_KEY_ID: undefined });
+  assert.throws(() => getPaymentGateway(), /PAYMENT_GATEWAY is not set/);
+});
+
+test('the mock gateway is refused in production', () => {
+  const { getPaymentGateway } = loadGateways({ PAYMENT_GATEWAY: 'mock', NODE_ENV: 'production' });
+  assert.throws(() => getPaymentGateway(), /cannot be used in production/);
+});
+
+test('mock checkout is only mounted with the mock gateway', () => {
+  loadGateways({ PAYMENT_GATEWAY: 'mock', NODE_ENV: 'development' });
+  assert.strictEqual(hasMockCheckout(require(PAYMENT_ROUTES)), true);
+
+  loadGateways({ PAYMENT_GATEWAY: 'razorpay', RAZORPAY_KEY_ID: 'rzp_test_key', RAZORPAY_KEY_SECRET: 'secret' });
+  assert.strictEqual(hasMockCheckout(require(PAYMENT_ROUTES)), false);
+});
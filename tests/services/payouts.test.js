@@ -0,0 +1,22 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+require('../helpers/fakes');
+require('../../src/services/ClassicLudoService'); // Registers CLASSIC_LUDO
+const gameRegistry = require('../../src/services/gameRegistry');
+const gameService = require('../../src/services/gameService');
+
+test('3-player tables pay 2nd place', () => {
+  const structure = gameRegistry.getPayoutStructure('CLASSIC_LUDO', 3);
+  assert.deepStrictEqual(structure, [70, 30]);
+
+  const payouts = gameService.calculatePayouts(270, [
+    { userId: 'first', rank: 1 },
+    { userId: 'second', rank: 2 },
+    { userId: 'third', rank: 3 }
+  ], structure);
+
+  assert.deepStrictEqual(payouts, [
+    { userId: 'first', rank: 1, amount: 189 },
+    { userId: 'second', rank: 2, amount: 81 }
+  ]);
+});
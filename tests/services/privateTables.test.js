@@ -0,0 +1,60 @@
+const { test, mock, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { prisma } = require('../helpers/fakes');
+const privateTableService = require('../../src/services/privateTableService');
+const walletService = require('../../src/services/walletService');
+
+let table;
+let seats;
+
+beforeEach(() => {
+  table = { id: 'table-1', hostId: 'host', inviteCode: 'ABC234', inviteToken: 'token', status: 'OPEN', entryFee: 50, maxPlayers: 4 };
+  seats = [
+    { id: 'seat-1', tableId: table.id, userId: 'host', holdId: 'hold-1', user: { id: 'host' } },
+    { id: 'seat-2', tableId: table.id, userId: 'guest', holdId: 'hold-2', user: { id: 'guest' } }
+  ];
+
+  prisma.privateTable = {
+    findUnique: async () => ({ ...table, seats: [...seats] }),
+    updateMany: async ({ where, data }) => {
+      if (where.id !== table.id || where.status !== table.status) {
+        return { count: 0 };
+      }
+      Object.assign(table, data);
+      return { count: 1 };
+    }
+  };
+  prisma.privateTableSeat = {
+    findUnique: async ({ where }) => seats.find(seat => seat.userId === where.tableId_userId.userId) || null,
+    delete: async ({ where }) => {
+      seats = seats.filter(seat => seat.id !== where.id);
+    }
+  };
+});
+afterEach(() => mock.restoreAll());
+
+test('leaving an open table releases the hold and frees the seat', async () => {
+  const release = mock.method(walletService, 'releaseHold', async () => true);
+
+  const result = await privateTableService.leaveTable(table.id, 'guest');
+
+  assert.deepStrictEqual(result, { cancelled: false });
+  assert.strictEqual(release.mock.callCount(), 1);
+  assert.strictEqual(release.mock.calls[0].arguments[0], 'hold-2');
+  assert.deepStrictEqual(seats.map(seat => seat.userId), ['host']);
+});
+
+test('a player whose table starts while they leave keeps their seat and their fee stays held', async () => {
+  const release = mock.method(walletService, 'releaseHold', async () => true);
+  // The table is read as OPEN, then starts before the leave takes the table lock
+  const read = prisma.privateTable.findUnique;
+  prisma.privateTable.findUnique = async (args) => {
+    const snapshot = await read(args);
+    table.status = 'STARTED';
+    return snapshot;
+  };
+
+  await assert.rejects(privateTableService.leaveTable(table.id, 'guest'), /no longer open/);
+  assert.strictEqual(release.mock.callCount(), 0);
+  assert.strictEqual(seats.length, 2);
+});
@@ -0,0 +1,179 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { prisma } = require('../helpers/fakes');
+const tournamentService = require('../../src/services/tournamentService');
+const refundService = require('../../src/services/refundService');
+const matchmakingService = require('../../src/services/matchmakingService');
+const walletService = require('../../src/services/walletService');
+const ledgerService = require('../../src/services/ledgerService');
+const gameRegistry = require('../../src/services/gameRegistry');
+const responsibleGamingService = require('../../src/services/responsibleGamingService');
+
+afterEach(() => mock.restoreAll());
+
+tournamentService.init(null);
+
+test('a stalled tournament table is replayed, then the tournament is cancelled and refunded', async () => {
+  const tournament = { id: 'tour-1', name: 'Sunday Cup', gameType: 'FAST_LUDO', status: 'RUNNING', rakeEntryId: 'rake-1' };
+  const match = { id: 'match-1', tournamentId: tournament.id, round: 1, tableNumber: 1, playerIds: ['u1', 'u2'], gameId: 'game-1', status: 'PLAYING', replays: 0 };
+  const entries = ['u1', 'u2'].map(userId => ({ id: `entry-${userId}`, userId, buyInTransactionId: `buy-in-${userId}`, refunded: false }));
+  const games = new Map([['game-1', { id: 'game-1', type: 'FAST_LUDO', status: 'PLAYING' }]]);
+  const reversed = [];
+  const refunded = [];
+
+  prisma.game = {
+    findMany: async () => [...games.values()].filter(game => game.status === 'PLAYING').map(({ id, status }) => ({ id, status })),
+    findUnique: async ({ where }) => ({ ...games.get(where.id), tournamentMatch: match.gameId === where.id ? { ...match } : null }),
+    updateMany: async ({ where, data }) => {
+      const game = games.get(where.id);
+      if (!where.status.in.includes(game.status)) {
+        return { count: 0 };
+      }
+      Object.assign(game, data);
+      return { count: 1 };
+    }
+  };
+  prisma.journalEntry = { findFirst: async () => null };
+  prisma.transaction = { findMany: async () => [] };
+  prisma.user = { findMany: async ({ where }) => where.id.in.map(id => ({ id, name: id })) };
+  prisma.tournament = {
+    findUnique: async () => ({ ...tournament }),
+    updateMany: async ({ where, data }) => {
+      if (!where.status.in.includes(tournament.status)) {
+        return { count: 0 };
+      }
+      Object.assign(tournament, data);
+      return { count: 1 };
+    }
+  };
+  prisma.tournamentMatch = {
+    findUnique: async () => ({ ...match, tournament: { ...tournament } }),
+    findMany: async () => (match.status === 'PLAYING' ? [{ gameId: match.gameId }] : []),
+    update: async ({ data }) => Object.assign(match, data),
+    updateMany: async ({ where, data }) => {
+      if (match.status !== where.status || (where.gameId && match.gameId !== where.gameId)) {
+        return { count: 0 };
+      }
+      Object.assign(match, data, data.replays ? { replays: match.replays + data.replays.increment } : {});
+      return { count: 1 };
+    }
+  };
+  prisma.tournamentEntry = {
+    findMany: async () => entries,
+    update: async ({ where, data }) => Object.assign(entries.find(entry => entry.id === where.id), data)
+  };
+  mock.method(gameRegistry, 'abortGame', () => {});
+  mock.method(matchmakingService, 'createTournamentGame', async (gameType, players) => {
+    assert.deepStrictEqual(players.map(player => player.id), match.playerIds);
+    const game = { id: `game-${games.size + 1}`, type: gameType, status: 'PLAYING' };
+    games.set(game.id, game);
+    return game;
+  });
+  mock.method(ledgerService, 'reverse', async (tx, entryId, type) => reversed.push({ entryId, type }));
+  mock.method(walletService, 'refundTransaction', async (transactionId) => refunded.push(transactionId));
+
+  await refundService.sweepStalledGames();
+  assert.strictEqual(games.get('game-1').status, 'CANCELLED');
+  assert.strictEqual(match.gameId, 'game-2');
+  assert.strictEqual(match.replays, 1);
+  assert.strictEqual(tournament.status, 'RUNNING');
+
+  await refundService.sweepStalledGames();
+  assert.strictEqual(games.get('game-2').status, 'CANCELLED');
+  assert.strictEqual(match.status, 'CANCELLED');
+  assert.strictEqual(tournament.status, 'CANCELLED');
+  assert.deepStrictEqual(reversed, [{ entryId: 'rake-1', type: 'RAKE_REVERSAL' }]);
+  assert.deepStrictEqual(refunded, ['buy-in-u1', 'buy-in-u2']);
+  assert.ok(entries.every(entry => entry.refunded));
+});
+
+test('a table left without a game by a restart is dealt a new one at startup', async () => {
+  const tournament = { id: 'tour-2', gameType: 'MEMORY', status: 'RUNNING', currentRound: 2, nextRoundAt: null };
+  const match = { id: 'match-2', tournamentId: tournament.id, round: 2, tableNumber: 1, playerIds: ['u3', 'u4'], gameId: null, status: 'PLAYING', replays: 1 };
+
+  prisma.tournament = { findMany: async () => [tournament] };
+  prisma.tournamentMatch = {
+    findMany: async ({ where }) => (where.gameId === null && match.gameId === null ? [match] : []),
+    update: async ({ data }) => Object.assign(match, data),
+    count: async () => 1
+  };
+  prisma.user = { findMany: async ({ where }) => where.id.in.map(id => ({ id, name: id })) };
+  mock.method(matchmakingService, 'createTournamentGame', async () => ({ id: 'game-9' }));
+
+  await tournamentService.recoverInterruptedTournaments();
+  assert.strictEqual(match.gameId, 'game-9');
+  assert.strictEqual(matchmakingService.createTournamentGame.mock.calls[0].arguments[0], 'MEMORY');
+});
+
+test('prizes are credited in the transaction that marks the tournament finished', async () => {
+  const tournament = { id: 'tour-3', name: 'Final', format: 'SWISS', status: 'RUNNING', prizePool: '1000', prizeTable: [70, 30], currentRound: 3 };
+  const entries = [
+    { userId: 'u1', points: 2, seed: 2 },
+    { userId: 'u2', points: 5, seed: 1 },
+    { userId: 'u3', points: 1, seed: 3 }
+  ];
+  let inTransaction = false;
+  const credits = [];
+
+  const transaction = prisma.$transaction;
+  prisma.$transaction = async (work) => {
+    inTransaction = true;
+    try {
+      return await work(prisma);
+    } finally {
+      inTransaction = false;
+    }
+  };
+  prisma.tournament = {
+    updateMany: async ({ data }) => {
+      assert.ok(inTransaction, 'the tournament is claimed inside the transaction');
+      Object.assign(tournament, data);
+      return { count: 1 };
+    }
+  };
+  prisma.tournamentEntry = {
+    findMany: async () => entries,
+    update: async () => assert.ok(inTransaction, 'final ranks are written inside the transaction')
+  };
+  mock.method(walletService, 'creditWallet', async (userId, amount, type, gameId, description, tx) => {
+    assert.ok(inTransaction && tx, 'prizes are credited inside the transaction');
+    credits.push({ userId, amount });
+  });
+
+  try {
+    await tournamentService.finishTournament(tournament);
+  } finally {
+    prisma.$transaction = transaction;
+  }
+  assert.strictEqual(tournament.status, 'FINISHED');
+  assert.deepStrictEqual(credits, [{ userId: 'u2', amount: 700 }, { userId: 'u1', amount: 300 }]);
+});
+
+test('the buy-in is charged in the transaction that creates the entry', async () => {
+  const now = Date.now();
+  const tournament = {
+    id: 'tour-4',
+    name: 'Open',
+    status: 'SCHEDULED',
+    buyIn: '50',
+    maxPlayers: 8,
+    registrationOpensAt: new Date(now - 60000),
+    registrationClosesAt: new Date(now + 60000)
+  };
+  let created = null;
+
+  prisma.tournament = { findUnique: async () => tournament };
+  prisma.tournamentEntry = {
+    findUnique: async () => null,
+    count: async () => 0,
+    create: async ({ data }) => (created = data)
+  };
+  mock.method(responsibleGamingService, 'assertCanPlay', async () => {});
+  mock.method(walletService, 'deductWallet', async (userId, amount, type, description, gameId, tx) => {
+    assert.strictEqual(tx, prisma, 'the buy-in is charged inside the transaction');
+    return { success: true, transactionId: 'buy-in-1' };
+  });
+
+  await tournamentService.register(tournament.id, 'u1');
+  assert.deepStrictEqual(created, { tournamentId: tournament.id, userId: 'u1', buyInTransactionId: 'buy-in-1' });
+});
@@ -0,0 +1,43 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { prisma } = require('../helpers/fakes');
+const promotionService = require('../../src/services/promotionService');
+
+const at = minutes => new Date(Date.UTC(2026, 0, 1, 0, minutes));
+
+test('an entry fee refunded after it was counted comes off the wagering progress', async () => {
+  const redemption = {
+    id: 'redemption-1',
+    status: 'CREDITED',
+    creditedAt: at(0),
+    wageringRequired: '300',
+    wageredAmount: '100', // The entry fee below, counted by the last check
+    wageringCheckedAt: at(10)
+  };
+  const transactions = [
+    { id: 'entry-1', type: 'GAME_ENTRY', status: 'COMPLETED', amount: '100', createdAt: at(5) },
+    { id: 'refund-1', type: 'REFUND', status: 'COMPLETED', amount: '100', createdAt: at(20), metadata: { refundOf: 'entry-1' } },
+    { id: 'entry-2', type: 'GAME_ENTRY', status: 'COMPLETED', amount: '50', createdAt: at(30) }
+  ];
+  const inRange = (date, { gt, gte, lte }) => (!gt || date > gt) && (!gte || date >= gte) && (!lte || date <= lte);
+
+  prisma.promotionRedemption = {
+    findMany: async () => [redemption],
+    updateMany: async ({ data }) => Object.assign(redemption, data)
+  };
+  prisma.transaction = {
+    findMany: async ({ where }) => transactions.filter(t =>
+      t.type === where.type
+      && (!where.id || where.id.in.includes(t.id))
+      && (!where.status || t.status === where.status)
+      && inRange(t.createdAt, where.createdAt))
+  };
+
+  const progress = await promotionService.getWageringProgress('user-1');
+  assert.strictEqual(progress.get(redemption.id), 50);
+  assert.strictEqual(redemption.wageredAmount, 50);
+
+  // The refund is taken off once
+  const again = await promotionService.getWageringProgress('user-1');
+  assert.strictEqual(again.get(redemption.id), 50);
+});
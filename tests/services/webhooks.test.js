@@ -0,0 +1,86 @@
+const { test, mock, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { prisma } = require('../helpers/fakes');
+const paymentManager = require('../../src/services/paymentManager');
+const webhookService = require('../../src/services/webhookService');
+
+let events;
+
+beforeEach(() => {
+  events = new Map(); // eventId -> stored event
+
+  // Enforces the unique eventId and the status guard of the claim, as the database does
+  prisma.webhookEvent = {
+    create: async ({ data }) => {
+      if (events.has(data.eventId)) {
+        throw Object.assign(new Error('Unique constraint failed on eventId'), { code: 'P2002' });
+      }
+      const stored = { id: `event-${events.size + 1}`, status: 'RECEIVED', updatedAt: new Date(), ...data };
+      events.set(data.eventId, stored);
+      return { ...stored };
+    },
+    findUnique: async ({ where }) => ({ ...events.get(where.eventId) }),
+    updateMany: async ({ where }) => {
+      const stored = [...events.values()].find(event => event.id === where.id);
+      if (!where.OR[0].status.in.includes(stored.status)) {
+        return { count: 0 };
+      }
+      stored.status = 'PROCESSING';
+      return { count: 1 };
+    },
+    update: async ({ where, data }) => {
+      const stored = [...events.values()].find(event => event.id === where.id);
+      return Object.assign(stored, data);
+    }
+  };
+  mock.method(webhookService.gateway, 'verifyWebhookSignature', () => true);
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+function delivery(event = 'payment.captured') {
+  return Buffer.from(JSON.stringify({
+    event,
+    created_at: Math.floor(Date.now() / 1000),
+    payload: { payment: { entity: { id: 'pay_1', order_id: 'order_1', amount: 10000, status: 'captured' } } }
+  }));
+}
+
+test('a retry of a processed event is acknowledged without handling it again', async () => {
+  const handleWebhook = mock.method(paymentManager, 'handleWebhook', async () => true);
+
+  assert.strictEqual(await webhookService.receive(delivery(), 'signature', 'evt_1'), 'processed');
+  assert.strictEqual(events.get('evt_1').status, 'PROCESSED');
+  assert.strictEqual(await webhookService.receive(delivery(), 'signature', 'evt_1'), 'duplicate');
+  assert.strictEqual(handleWebhook.mock.callCount(), 1);
+});
+
+test('concurrent deliveries of one event handle it once', async () => {
+  let finish;
+  const handleWebhook = mock.method(paymentManager, 'handleWebhook', () => new Promise(resolve => {
+    finish = resolve;
+  }));
+
+  const first = webhookService.receive(delivery(), 'signature', 'evt_1');
+  const second = await webhookService.receive(delivery(), 'signature', 'evt_1');
+  finish(true);
+
+  assert.strictEqual(second, 'duplicate');
+  assert.strictEqual(await first, 'processed');
+  assert.strictEqual(handleWebhook.mock.callCount(), 1);
+});
+
+test('a failed event is handled again when the gateway retries it', async () => {
+  const handleWebhook = mock.method(paymentManager, 'handleWebhook', async () => {
+    throw new Error('Database unavailable');
+  });
+
+  assert.strictEqual(await webhookService.receive(delivery(), 'signature', 'evt_1'), 'failed');
+  assert.strictEqual(events.get('evt_1').lastError, 'Database unavailable');
+
+  handleWebhook.mock.mockImplementation(async () => true);
+  assert.strictEqual(await webhookService.receive(delivery(), 'signature', 'evt_1'), 'processed');
+  assert.strictEqual(handleWebhook.mock.callCount(), 2);
+});
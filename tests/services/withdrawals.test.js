@@ -0,0 +1,97 @@
+const { test, mock, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { prisma } = require('../helpers/fakes');
+const withdrawalService = require('../../src/services/withdrawalService');
+const ledgerService = require('../../src/services/ledgerService');
+const taxService = require('../../src/services/taxService');
+
+let withdrawal;
+let reversals;
+
+beforeEach(() => {
+  withdrawal = {
+    id: 'withdrawal-1',
+    userId: 'user-1',
+    transactionId: 'txn-1',
+    status: 'PROCESSING',
+    amount: '1000',
+    bankDetails: { accountNumber: '123456789012' },
+    payoutId: null,
+    attempts: 0,
+    nextAttemptAt: null
+  };
+  reversals = [];
+
+  // Honours the status guard of updateMany, as the database does
+  prisma.withdrawal = {
+    updateMany: async ({ where, data }) => {
+      const statuses = typeof where.status === 'string' ? [where.status] : where.status.in;
+      if (where.id !== withdrawal.id || !statuses.includes(withdrawal.status)) {
+        return { count: 0 };
+      }
+      Object.assign(withdrawal, data);
+      return { count: 1 };
+    },
+    findUnique: async () => ({ ...withdrawal })
+  };
+  prisma.transaction = { update: async () => ({}) };
+  mock.method(ledgerService, 'reverseTransaction', async (tx, transactionId) => reversals.push(transactionId));
+  mock.method(taxService, 'reverseDeduction', async () => {});
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+test('a withdrawal closed twice is refunded once', async () => {
+  const close = () => withdrawalService.closeWithRefund(withdrawal.id, 'FAILED', 'Payout failed', ['PROCESSING']);
+  const results = await Promise.all([close(), close()]);
+
+  assert.deepStrictEqual(results.map(result => result?.status ?? null).sort(), ['FAILED', null]);
+  assert.deepStrictEqual(reversals, ['txn-1']);
+});
+
+test('rejecting a withdrawal under review refunds it', async () => {
+  withdrawal.status = 'UNDER_REVIEW';
+  const rejected = await withdrawalService.reject(withdrawal.id, 'admin-1', 'Bank details mismatch');
+
+  assert.strictEqual(rejected.status, 'REJECTED');
+  assert.deepStrictEqual(reversals, ['txn-1']);
+  await assert.rejects(withdrawalService.reject(withdrawal.id, 'admin-1', 'Again'), /rejected and can't be rejected/);
+  assert.deepStrictEqual(reversals, ['txn-1']);
+});
+
+test('a payout already created under the withdrawal reference is reused, not sent again', async () => {
+  const provider = withdrawalService.provider;
+  mock.method(provider, 'getPayout', async (reference) => ({ payoutId: `payout-${reference}`, status: 'PROCESSING' }));
+  const createPayout = mock.method(provider, 'createPayout', async () => {
+    throw new Error('createPayout should not be called');
+  });
+
+  await withdrawalService.advancePayout({ ...withdrawal });
+  assert.strictEqual(createPayout.mock.callCount(), 0);
+  assert.strictEqual(withdrawal.payoutId, 'payout-withdrawal-1');
+  assert.strictEqual(withdrawal.status, 'PROCESSING');
+
+  provider.getPayout.mock.mockImplementation(async (reference) => ({ payoutId: `payout-${reference}`, status: 'PAID' }));
+  await withdrawalService.advancePayout({ ...withdrawal });
+  assert.strictEqual(createPayout.mock.callCount(), 0);
+  assert.strictEqual(withdrawal.status, 'PAID');
+  assert.deepStrictEqual(reversals, []);
+});
+
+test('a failed payout refunds the withdrawal', async () => {
+  const provider = withdrawalService.provider;
+  mock.method(provider, 'getPayout', async () => null);
+  mock.method(provider, 'createPayout', async ({ reference }) => ({
+    payoutId: `payout-${reference}`,
+    status: 'FAILED',
+    failureReason: 'Account closed'
+  }));
+
+  await withdrawalService.advancePayout({ ...withdrawal });
+  assert.strictEqual(withdrawal.status, 'FAILED');
+  assert.strictEqual(withdrawal.failureReason, 'Account closed');
+  assert.strictEqual(withdrawal.payoutId, 'payout-withdrawal-1');
+  assert.deepStrictEqual(reversals, ['txn-1']);
+});